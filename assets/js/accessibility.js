@@ -11,6 +11,16 @@
 (function($) {
     'use strict';
 
+    // English strings if i18n.js is not on the page
+    const { __, sprintf, isRTL } = window.WPAIChatbotI18n || {
+        __: (text) => text,
+        sprintf: (format, ...args) => {
+            let index = 0;
+            return String(format).replace(/%(?:(\d+)\$)?[sd]/g, (match, position) => String(args[position ? position - 1 : index++]));
+        },
+        isRTL: () => document.documentElement.dir === 'rtl',
+    };
+
     /**
      * Accessibility Manager class.
      */
@@ -34,22 +44,22 @@
                 
                 // ARIA labels
                 labels: {
-                    widget: 'Chat assistant',
-                    toggle: 'Open chat',
-                    toggleClose: 'Close chat',
-                    window: 'Chat conversation',
-                    messages: 'Chat messages',
-                    input: 'Type your message',
-                    send: 'Send message',
-                    close: 'Close chat',
-                    minimize: 'Minimize chat',
-                    newMessage: 'New message received',
-                    typing: 'Assistant is typing',
-                    userMessage: 'You said',
-                    botMessage: 'Assistant said',
-                    feedbackUp: 'Mark as helpful',
-                    feedbackDown: 'Mark as not helpful',
-                    quickReply: 'Quick reply option'
+                    widget: __('Chat assistant'),
+                    toggle: __('Open chat'),
+                    toggleClose: __('Close chat'),
+                    window: __('Chat conversation'),
+                    messages: __('Chat messages'),
+                    input: __('Type your message'),
+                    send: __('Send message'),
+                    close: __('Close chat'),
+                    minimize: __('Minimize chat'),
+                    newMessage: __('New message received'),
+                    typing: __('Assistant is typing'),
+                    userMessage: __('You said'),
+                    botMessage: __('Assistant said'),
+                    feedbackUp: __('Mark as helpful'),
+                    feedbackDown: __('Mark as not helpful'),
+                    quickReply: __('Quick reply option')
                 },
                 
                 // Announcement settings
@@ -161,7 +171,7 @@
                 const hint = document.createElement('span');
                 hint.id = 'wp-ai-chatbot-input-hint';
                 hint.className = 'wp-ai-chatbot-sr-only';
-                hint.textContent = 'Press Enter to send, Shift+Enter for new line';
+                hint.textContent = __('Press Enter to send, Shift+Enter for new line');
                 input.parentNode.appendChild(hint);
             }
 
@@ -203,7 +213,8 @@
             const label = isUser ? this.config.labels.userMessage : this.config.labels.botMessage;
             
             message.setAttribute('role', 'article');
-            message.setAttribute('aria-label', `${label}: Message ${index + 1}`);
+            /* translators: 1: "You said" or "Assistant said", 2: message number. */
+            message.setAttribute('aria-label', sprintf(__('%1$s: Message %2$d'), label, index + 1));
             message.setAttribute('tabindex', '0');
 
             // Setup feedback buttons if present
@@ -399,17 +410,14 @@
          */
         setupMessageAnnouncements() {
             // Listen for new messages
-            document.addEventListener('wp_ai_chatbot_message_added', (e) => {
-                if (this.config.announceNewMessages) {
-                    const message = e.detail?.message;
-                    if (message) {
-                        this.announceMessage(message);
-                    }
+            window.WPAIChatbotEvents.on('messageAdded', (message) => {
+                if (this.config.announceNewMessages && message) {
+                    this.announceMessage(message);
                 }
             });
 
             // Listen for typing indicator
-            document.addEventListener('wp_ai_chatbot_typing_start', () => {
+            window.WPAIChatbotEvents.on('typingStarted', () => {
                 if (this.config.announceTyping) {
                     this.announce(this.config.labels.typing);
                 }
@@ -445,7 +453,8 @@
             // Truncate long messages for announcement
             const truncated = content.length > 200 ? content.substring(0, 200) + '...' : content;
             
-            this.announce(`${label}: ${truncated}`);
+            /* translators: 1: "You said" or "Assistant said", 2: message text. */
+            this.announce(sprintf(__('%1$s: %2$s'), label, truncated));
         }
 
         /**
@@ -499,6 +508,10 @@
          * Open chat.
          */
         openChat() {
+            if (!this.widget) {
+                return;
+            }
+
             this.isOpen = true;
             this.lastFocusedElement = document.activeElement;
 
@@ -522,13 +535,17 @@
                 }
             }, 100);
 
-            this.announce('Chat opened');
+            this.announce(__('Chat opened'));
         }
 
         /**
          * Close chat.
          */
         closeChat() {
+            if (!this.widget) {
+                return;
+            }
+
             this.isOpen = false;
 
             const toggle = this.widget.querySelector(this.config.toggleSelector);
@@ -550,7 +567,7 @@
                 toggle.focus();
             }
 
-            this.announce('Chat closed');
+            this.announce(__('Chat closed'));
         }
 
         /**
@@ -574,21 +591,25 @@
             replies.forEach((reply, index) => {
                 reply.setAttribute('role', 'button');
                 reply.setAttribute('tabindex', index === 0 ? '0' : '-1');
-                reply.setAttribute('aria-label', `${this.config.labels.quickReply}: ${reply.textContent}`);
+                /* translators: 1: "Quick reply option", 2: reply text. */
+                reply.setAttribute('aria-label', sprintf(__('%1$s: %2$s'), this.config.labels.quickReply, reply.textContent));
             });
 
-            // Arrow key navigation
+            // Arrow key navigation, mirrored for right-to-left languages
+            const forward = isRTL() ? 'ArrowLeft' : 'ArrowRight';
+            const back = isRTL() ? 'ArrowRight' : 'ArrowLeft';
+
             container.addEventListener('keydown', (e) => {
                 const items = Array.from(container.querySelectorAll(this.config.quickReplySelector));
                 const currentIndex = items.indexOf(document.activeElement);
 
-                if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+                if (e.key === forward || e.key === 'ArrowDown') {
                     e.preventDefault();
                     const nextIndex = (currentIndex + 1) % items.length;
                     items[currentIndex].setAttribute('tabindex', '-1');
                     items[nextIndex].setAttribute('tabindex', '0');
                     items[nextIndex].focus();
-                } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+                } else if (e.key === back || e.key === 'ArrowUp') {
                     e.preventDefault();
                     const prevIndex = (currentIndex - 1 + items.length) % items.length;
                     items[currentIndex].setAttribute('tabindex', '-1');
@@ -610,11 +631,13 @@
         updateFeedbackButton(button, isActive) {
             button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
             
-            const type = button.classList.contains('wp-ai-chatbot-message__feedback-btn--positive') 
-                ? 'helpful' 
-                : 'not helpful';
-            
-            this.announce(isActive ? `Marked as ${type}` : `Removed ${type} mark`);
+            const positive = button.classList.contains('wp-ai-chatbot-message__feedback-btn--positive');
+
+            if (positive) {
+                this.announce(isActive ? __('Marked as helpful') : __('Removed helpful mark'));
+            } else {
+                this.announce(isActive ? __('Marked as not helpful') : __('Removed not helpful mark'));
+            }
         }
 
         /**
@@ -624,11 +647,11 @@
             const skipLink = document.createElement('a');
             skipLink.href = '#wp-ai-chatbot-leadgen-pro-widget';
             skipLink.className = 'wp-ai-chatbot-skip-link wp-ai-chatbot-sr-only';
-            skipLink.textContent = 'Skip to chat assistant';
+            skipLink.textContent = __('Skip to chat assistant');
             skipLink.style.cssText = `
                 position: fixed;
                 top: -100px;
-                left: 0;
+                ${isRTL() ? 'right' : 'left'}: 0;
                 background: var(--wp-ai-chatbot-primary, #4f46e5);
                 color: white;
                 padding: 8px 16px;
@@ -686,11 +709,11 @@
         const accessibility = new AccessibilityManager();
 
         // Listen for chat state changes
-        document.addEventListener('wp_ai_chatbot_opened', () => {
+        window.WPAIChatbotEvents.on('opened', () => {
             accessibility.openChat();
         });
 
-        document.addEventListener('wp_ai_chatbot_closed', () => {
+        window.WPAIChatbotEvents.on('closed', () => {
             accessibility.closeChat();
         });
 
@@ -0,0 +1,649 @@
+/**
+ * Agent Console JavaScript
+ *
+ * Live chat console for escalated conversations. Polls the queue, shows
+ * the AI transcript with the visitor's lead score, and lets the agent
+ * claim the chat, reply, keep internal notes, and resolve it or hand the
+ * visitor back to the bot. Talks to WP_AI_Chatbot_LeadGen_Pro_Agent_Console_Admin.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function($) {
+	'use strict';
+
+	const { __, _n, sprintf, formatNumber, formatDate } = window.WPAIChatbotI18n;
+
+	/**
+	 * Agent Console Controller
+	 */
+	const AgentConsole = {
+		/**
+		 * Configuration
+		 */
+		config: {
+			ajaxUrl: window.wpAiChatbotAgentConsole?.ajaxUrl || window.ajaxurl,
+			nonce: window.wpAiChatbotAgentConsole?.nonce || '',
+			userId: parseInt(window.wpAiChatbotAgentConsole?.userId, 10) || 0,
+			escalationId: parseInt(window.wpAiChatbotAgentConsole?.escalationId, 10) || 0,
+			cannedResponses: window.wpAiChatbotAgentConsole?.cannedResponses || [],
+
+			// Poll intervals (ms) of the queue and the open conversation
+			queueInterval: 5000,
+			conversationInterval: 2000,
+
+			// How long (ms) a keystroke counts as typing
+			typingTimeout: 4000
+		},
+
+		/**
+		 * State
+		 */
+		state: {
+			escalation: null,
+			lastMessageId: 0,
+			typingUntil: 0,
+			closeMode: null,
+			queueTimer: null,
+			conversationTimer: null,
+			conversationXhr: null
+		},
+
+		/**
+		 * Initialize
+		 */
+		init: function() {
+			this.$root = $('#wp-ai-chatbot-agent-console');
+
+			if (!this.$root.length) {
+				return;
+			}
+
+			this.$transcript = this.$root.find('.agent-console-transcript');
+			this.$message = this.$root.find('.agent-console-message');
+
+			this.renderCannedResponses();
+			this.bindEvents();
+			this.loadQueue();
+
+			if (this.config.escalationId) {
+				this.select(this.config.escalationId);
+			}
+		},
+
+		/**
+		 * Bind events
+		 */
+		bindEvents: function() {
+			this.$root.on('click', '.agent-console-item', (e) => {
+				this.select(parseInt($(e.currentTarget).data('id'), 10));
+			});
+
+			this.$root.on('keydown', '.agent-console-item', (e) => {
+				if (e.key === 'Enter' || e.key === ' ') {
+					e.preventDefault();
+					this.select(parseInt($(e.currentTarget).data('id'), 10));
+				}
+			});
+
+			this.$root.on('click', '.agent-console-claim', this.claim.bind(this));
+			this.$root.on('click', '.agent-console-resolve', () => this.openCloseForm('resolve'));
+			this.$root.on('click', '.agent-console-return', () => this.openCloseForm('return'));
+			this.$root.on('click', '.agent-console-close-cancel', this.closeCloseForm.bind(this));
+			this.$root.on('submit', '.agent-console-close-form', (e) => {
+				e.preventDefault();
+				this.close();
+			});
+
+			this.$root.on('change', '.agent-console-canned', (e) => {
+				const response = this.config.cannedResponses[parseInt(e.currentTarget.value, 10)];
+
+				if (response) {
+					this.$message.val(response.text).trigger('focus');
+				}
+
+				e.currentTarget.value = '';
+			});
+
+			this.$message.on('input', () => {
+				this.state.typingUntil = Date.now() + this.config.typingTimeout;
+			});
+
+			// Enter sends, Shift+Enter adds a line
+			this.$message.on('keydown', (e) => {
+				if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+					e.preventDefault();
+					this.send();
+				}
+			});
+
+			this.$root.on('submit', '.agent-console-composer', (e) => {
+				e.preventDefault();
+				this.send();
+			});
+
+			this.$root.on('submit', '.agent-console-note-form', (e) => {
+				e.preventDefault();
+				this.addNote();
+			});
+		},
+
+		/**
+		 * Fill the canned responses menu
+		 */
+		renderCannedResponses: function() {
+			const $select = this.$root.find('.agent-console-canned');
+
+			this.config.cannedResponses.forEach((response, index) => {
+				$select.append($('<option>').val(index).text(response.title));
+			});
+
+			$select.prop('hidden', !this.config.cannedResponses.length);
+		},
+
+		/**
+		 * Load the queue, then poll it
+		 */
+		loadQueue: function() {
+			clearTimeout(this.state.queueTimer);
+
+			this.post('wp_ai_chatbot_agent_queue').then((data) => {
+				this.renderQueue(data);
+			}).catch(() => {
+				// Try again with the next poll
+			}).then(() => {
+				this.state.queueTimer = setTimeout(() => this.loadQueue(), this.config.queueInterval);
+			});
+		},
+
+		/**
+		 * Render the queue
+		 */
+		renderQueue: function(data) {
+			const render = ($list, $count, escalations, empty) => {
+				$list.empty();
+				$count.text(escalations.length ? '(' + formatNumber(escalations.length) + ')' : '');
+
+				if (!escalations.length) {
+					$list.append($('<li class="agent-console-list-empty">').text(empty));
+					return;
+				}
+
+				escalations.forEach((escalation) => {
+					$list.append(this.createQueueItem(escalation));
+				});
+			};
+
+			render(
+				this.$root.find('.agent-console-waiting'),
+				this.$root.find('.agent-console-waiting-count'),
+				data.waiting || [],
+				__('Nobody is waiting.')
+			);
+
+			render(
+				this.$root.find('.agent-console-active'),
+				this.$root.find('.agent-console-active-count'),
+				data.active || [],
+				__('No chats in progress.')
+			);
+		},
+
+		/**
+		 * Create a queue item
+		 */
+		createQueueItem: function(escalation) {
+			const $item = $('<li class="agent-console-item" tabindex="0" role="button">')
+				.attr('data-id', escalation.id)
+				.toggleClass('is-selected', !!this.state.escalation && this.state.escalation.id === escalation.id)
+				.toggleClass('is-mine', !!escalation.agent && escalation.agent.id === this.config.userId);
+
+			const $header = $('<div class="agent-console-item-header">')
+				.append($('<span class="agent-console-item-visitor">').text(escalation.visitor || sprintf(__('Conversation #%d'), escalation.conversation_id)))
+				.append(this.createPriorityBadge(escalation.priority));
+
+			const details = [this.formatWaiting(escalation.waiting)];
+
+			if (escalation.agent) {
+				details.push(escalation.agent.name);
+			}
+
+			$item.append($header);
+			$item.append($('<div class="agent-console-item-meta">').text(details.join(' · ')));
+
+			if (escalation.preview) {
+				$item.append($('<div class="agent-console-item-preview">').text(escalation.preview));
+			}
+
+			return $item;
+		},
+
+		/**
+		 * Create a priority badge
+		 */
+		createPriorityBadge: function(priority) {
+			const labels = {
+				low: __('Low'),
+				medium: __('Medium'),
+				high: __('High'),
+				critical: __('Critical')
+			};
+
+			return $('<span class="agent-console-priority">')
+				.addClass('priority-' + priority)
+				.text(labels[priority] || priority);
+		},
+
+		/**
+		 * Open an escalation
+		 */
+		select: function(escalationId) {
+			if (!escalationId) {
+				return;
+			}
+
+			clearTimeout(this.state.conversationTimer);
+
+			if (this.state.conversationXhr) {
+				this.state.conversationXhr.abort();
+				this.state.conversationXhr = null;
+			}
+
+			this.state.escalation = { id: escalationId };
+			this.state.lastMessageId = 0;
+			this.state.typingUntil = 0;
+
+			this.closeCloseForm();
+			this.$transcript.empty();
+			this.$message.val('');
+			this.$root.find('.agent-console-item').each(function() {
+				$(this).toggleClass('is-selected', parseInt($(this).data('id'), 10) === escalationId);
+			});
+			this.$root.find('.agent-console-empty').prop('hidden', true);
+			this.$root.find('.agent-console-conversation, .agent-console-details').prop('hidden', false);
+
+			this.loadConversation();
+		},
+
+		/**
+		 * Load new messages of the open escalation, then poll again
+		 */
+		loadConversation: function() {
+			const escalationId = this.state.escalation && this.state.escalation.id;
+			const isOpen = () => !!this.state.escalation && this.state.escalation.id === escalationId;
+
+			clearTimeout(this.state.conversationTimer);
+
+			if (!escalationId || this.state.conversationXhr) {
+				return;
+			}
+
+			this.post('wp_ai_chatbot_agent_conversation', {
+				escalation_id: escalationId,
+				after_id: this.state.lastMessageId,
+				typing: this.state.typingUntil > Date.now() ? 1 : 0
+			}, true).then((data) => {
+				if (isOpen()) {
+					this.renderConversation(data);
+				}
+			}).catch((error) => {
+				if (error.message !== 'abort' && this.state.lastMessageId === 0) {
+					this.showNotice('error', error.message);
+				}
+			}).then(() => {
+				if (isOpen() && this.isLive()) {
+					this.state.conversationTimer = setTimeout(() => this.loadConversation(), this.config.conversationInterval);
+				}
+			});
+		},
+
+		/**
+		 * Render a conversation update
+		 */
+		renderConversation: function(data) {
+			this.state.escalation = { ...data.escalation, live: !!data.live };
+
+			(data.messages || []).forEach((message) => {
+				this.appendMessage(message);
+				this.state.lastMessageId = Math.max(this.state.lastMessageId, message.id);
+			});
+
+			this.renderHeader();
+			this.renderLead(data.lead);
+			this.$root.find('.agent-console-notes').text(data.notes || __('No notes yet.'));
+			this.$root.find('.agent-console-typing').text(data.visitor_typing ? __('The visitor is typing...') : '');
+		},
+
+		/**
+		 * Render the header and which actions the agent can take
+		 */
+		renderHeader: function() {
+			const escalation = this.state.escalation;
+			const mine = this.isMine();
+			const live = this.isLive();
+			const statuses = {
+				pending: __('In queue'),
+				assigned: __('Assigned'),
+				in_progress: __('In progress'),
+				resolved: __('Resolved'),
+				closed: __('Returned to bot')
+			};
+
+			const meta = [
+				statuses[escalation.status] || escalation.status,
+				escalation.reason,
+				sprintf(__('Waiting %s'), this.formatWaiting(escalation.waiting))
+			];
+
+			if (escalation.agent) {
+				meta.push(mine ? __('Assigned to you') : sprintf(__('Assigned to %s'), escalation.agent.name));
+			}
+
+			this.$root.find('.agent-console-visitor')
+				.text(escalation.visitor || sprintf(__('Conversation #%d'), escalation.conversation_id))
+				.append(' ', this.createPriorityBadge(escalation.priority));
+			this.$root.find('.agent-console-meta').text(meta.filter(Boolean).join(' · '));
+
+			this.$root.find('.agent-console-claim')
+				.prop('hidden', !live || mine)
+				.text(escalation.agent ? __('Take over') : __('Claim'));
+			this.$root.find('.agent-console-resolve, .agent-console-return').prop('hidden', !live || !mine);
+			this.$root.find('.agent-console-composer').find('textarea, select, button').prop('disabled', !live || !mine);
+		},
+
+		/**
+		 * Append a transcript message
+		 */
+		appendMessage: function(message) {
+			const labels = {
+				user: __('Visitor'),
+				assistant: __('AI assistant'),
+				agent: __('Agent'),
+				system: ''
+			};
+
+			const $message = $('<div class="agent-console-message-item">')
+				.addClass('role-' + message.role)
+				.attr('data-id', message.id);
+
+			const $meta = $('<div class="agent-console-message-meta">');
+
+			if (labels[message.role]) {
+				$meta.append($('<strong>').text(labels[message.role]), ' ');
+			}
+
+			if (message.created_at) {
+				$meta.append($('<time>').attr('datetime', message.created_at).text(formatDate(message.created_at, { hour: 'numeric', minute: '2-digit' })));
+			}
+
+			$message.append($meta, $('<div class="agent-console-message-content">').text(message.content));
+
+			const transcript = this.$transcript.get(0);
+			const atBottom = transcript.scrollHeight - transcript.scrollTop - transcript.clientHeight < 40;
+
+			this.$transcript.append($message);
+
+			if (atBottom || message.role === 'agent') {
+				transcript.scrollTop = transcript.scrollHeight;
+			}
+		},
+
+		/**
+		 * Render the lead card
+		 */
+		renderLead: function(lead) {
+			const $lead = this.$root.find('.agent-console-lead').empty();
+
+			if (!lead) {
+				$lead.append($('<p class="description">').text(__('No contact details captured yet.')));
+				return;
+			}
+
+			$lead.append(
+				$('<div class="agent-console-score">')
+					.addClass('grade-' + String(lead.grade).toLowerCase())
+					.append($('<span class="agent-console-score-value">').text(formatNumber(lead.score)))
+					.append($('<span class="agent-console-score-grade">').text(sprintf(__('Grade %s'), lead.grade)))
+			);
+
+			const $list = $('<dl class="agent-console-lead-fields">');
+			const fields = [
+				[__('Name'), lead.name],
+				[__('Email'), lead.email],
+				[__('Company'), lead.company],
+				[__('Status'), lead.status]
+			];
+
+			fields.forEach(([label, value]) => {
+				if (value) {
+					$list.append($('<dt>').text(label), $('<dd>').text(value));
+				}
+			});
+
+			$lead.append($list);
+		},
+
+		/**
+		 * Claim the open escalation, or take it over from another agent
+		 */
+		claim: function() {
+			const agent = this.state.escalation.agent;
+
+			if (agent && !confirm(sprintf(__('Take this conversation over from %s?'), agent.name))) {
+				return;
+			}
+
+			const $button = this.$root.find('.agent-console-claim').prop('disabled', true);
+
+			this.post('wp_ai_chatbot_agent_claim', {
+				escalation_id: this.state.escalation.id,
+				takeover: agent ? 1 : 0
+			}).then((data) => {
+				this.state.escalation = { ...this.state.escalation, ...data.escalation };
+				this.$root.find('.agent-console-notes').text(data.notes || __('No notes yet.'));
+				this.renderHeader();
+				this.loadQueue();
+				this.$message.trigger('focus');
+			}).catch((error) => {
+				this.showNotice('error', error.message);
+			}).then(() => {
+				$button.prop('disabled', false);
+			});
+		},
+
+		/**
+		 * Send the composer's reply
+		 */
+		send: function() {
+			const message = this.$message.val().trim();
+
+			if (!message || !this.isMine() || !this.isLive()) {
+				return;
+			}
+
+			this.$message.val('');
+			this.state.typingUntil = 0;
+
+			this.post('wp_ai_chatbot_agent_send', {
+				escalation_id: this.state.escalation.id,
+				message: message
+			}).then(() => {
+				this.loadConversation();
+			}).catch((error) => {
+				this.$message.val(message);
+				this.showNotice('error', error.message);
+			});
+		},
+
+		/**
+		 * Add an internal note
+		 */
+		addNote: function() {
+			const $note = this.$root.find('#agent-console-note');
+			const note = $note.val().trim();
+
+			if (!note) {
+				return;
+			}
+
+			this.post('wp_ai_chatbot_agent_note', {
+				escalation_id: this.state.escalation.id,
+				note: note
+			}).then((data) => {
+				$note.val('');
+				this.$root.find('.agent-console-notes').text(data.notes);
+			}).catch((error) => {
+				this.showNotice('error', error.message);
+			});
+		},
+
+		/**
+		 * Ask for a summary before resolving or returning to the bot
+		 */
+		openCloseForm: function(mode) {
+			this.state.closeMode = mode;
+
+			this.$root.find('.agent-console-close-confirm').text(mode === 'resolve' ? __('Resolve') : __('Return to bot'));
+			this.$root.find('.agent-console-close-form').prop('hidden', false).find('textarea').val('').trigger('focus');
+		},
+
+		/**
+		 * Hide the summary form
+		 */
+		closeCloseForm: function() {
+			this.state.closeMode = null;
+			this.$root.find('.agent-console-close-form').prop('hidden', true);
+		},
+
+		/**
+		 * Resolve the escalation or return the visitor to the bot
+		 */
+		close: function() {
+			const mode = this.state.closeMode;
+			const $button = this.$root.find('.agent-console-close-confirm').prop('disabled', true);
+
+			this.post('wp_ai_chatbot_agent_close', {
+				escalation_id: this.state.escalation.id,
+				mode: mode,
+				summary: this.$root.find('#agent-console-summary').val().trim()
+			}).then((data) => {
+				this.closeCloseForm();
+				this.showNotice('success', mode === 'resolve' ? __('Conversation resolved.') : __('The visitor is back with the AI assistant.'));
+				this.state.escalation = { ...this.state.escalation, ...data.escalation };
+				this.loadConversation();
+				this.loadQueue();
+			}).catch((error) => {
+				this.showNotice('error', error.message);
+			}).then(() => {
+				$button.prop('disabled', false);
+			});
+		},
+
+		/**
+		 * Check if the open escalation is claimed by the current agent
+		 */
+		isMine: function() {
+			const escalation = this.state.escalation;
+
+			return !!(escalation && escalation.agent && escalation.agent.id === this.config.userId);
+		},
+
+		/**
+		 * Check if the open escalation still waits for or has an agent
+		 */
+		isLive: function() {
+			const escalation = this.state.escalation;
+
+			return !!escalation && (escalation.live === undefined || escalation.live) && ['resolved', 'closed'].indexOf(escalation.status) === -1;
+		},
+
+		/**
+		 * Format a waiting time
+		 */
+		formatWaiting: function(seconds) {
+			seconds = Math.max(0, parseInt(seconds, 10) || 0);
+
+			if (seconds < 60) {
+				return __('just now');
+			}
+
+			const minutes = Math.floor(seconds / 60);
+
+			if (minutes < 60) {
+				return sprintf(_n('%s minute', '%s minutes', minutes), formatNumber(minutes));
+			}
+
+			const hours = Math.floor(minutes / 60);
+
+			return sprintf(_n('%s hour', '%s hours', hours), formatNumber(hours));
+		},
+
+		/**
+		 * Post a console action
+		 *
+		 * @returns {Promise} Resolves to the response data, rejects with an Error.
+		 */
+		post: function(action, data = {}, isPoll = false) {
+			return new Promise((resolve, reject) => {
+				const xhr = $.ajax({
+					url: this.config.ajaxUrl,
+					type: 'POST',
+					data: {
+						action: action,
+						nonce: this.config.nonce,
+						...data
+					},
+					success: function(response) {
+						if (response && response.success) {
+							resolve(response.data || {});
+						} else {
+							reject(new Error((response && response.data && response.data.message) || __('Something went wrong. Please try again.')));
+						}
+					},
+					error: function(xhr, status, error) {
+						const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+
+						reject(new Error(message || error || status));
+					},
+					complete: () => {
+						if (this.state.conversationXhr === xhr) {
+							this.state.conversationXhr = null;
+						}
+					}
+				});
+
+				if (isPoll) {
+					this.state.conversationXhr = xhr;
+				}
+			});
+		},
+
+		/**
+		 * Show notice
+		 */
+		showNotice: function(type, message) {
+			const $notice = $('<div class="notice is-dismissible"><p></p></div>').addClass('notice-' + type);
+
+			$notice.find('p').text(message);
+			$('.wrap > .notice').remove();
+			$('.wrap h1').first().after($notice);
+
+			if (type === 'success') {
+				setTimeout(function() {
+					$notice.fadeOut(300, function() {
+						$(this).remove();
+					});
+				}, 5000);
+			}
+		}
+	};
+
+	$(document).ready(function() {
+		AgentConsole.init();
+	});
+
+	// Expose for external use
+	window.WPAIChatbotAgentConsole = AgentConsole;
+
+})(jQuery);
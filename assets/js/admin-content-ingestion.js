@@ -8,15 +8,19 @@
 (function($) {
 	'use strict';
 
+	var i18n = window.WPAIChatbotI18n;
+	var __ = i18n.__;
+	var sprintf = i18n.sprintf;
+
 	$(document).ready(function() {
 		// Start full indexing
 		$('#start-full-indexing').on('click', function() {
-			if (!confirm('Are you sure you want to start full indexing? This may take a while.')) {
+			if (!confirm(__('Are you sure you want to start full indexing? This may take a while.'))) {
 				return;
 			}
 
 			var $button = $(this);
-			$button.prop('disabled', true).text('Starting...');
+			$button.prop('disabled', true).text(__('Starting...'));
 
 			$.ajax({
 				url: wpAiChatbotIngestion.ajaxUrl,
@@ -29,26 +33,26 @@
 					if (response.success) {
 						alert(response.data.message);
 					} else {
-						alert('Error: ' + response.data.message);
+						alert(sprintf(__('Error: %s'), response.data.message));
 					}
 				},
 				error: function() {
-					alert('An error occurred. Please try again.');
+					alert(__('An error occurred. Please try again.'));
 				},
 				complete: function() {
-					$button.prop('disabled', false).text('Start Full Indexing');
+					$button.prop('disabled', false).text(__('Start Full Indexing'));
 				}
 			});
 		});
 
 		// Re-index stale content
 		$('#reindex-stale').on('click', function() {
-			if (!confirm('Re-index all stale content?')) {
+			if (!confirm(__('Re-index all stale content?'))) {
 				return;
 			}
 
 			var $button = $(this);
-			$button.prop('disabled', true).text('Re-indexing...');
+			$button.prop('disabled', true).text(__('Re-indexing...'));
 
 			$.ajax({
 				url: wpAiChatbotIngestion.ajaxUrl,
@@ -59,17 +63,17 @@
 				},
 				success: function(response) {
 					if (response.success) {
-						alert(response.data.message || 'Stale content re-indexing started.');
+						alert(response.data.message || __('Stale content re-indexing started.'));
 						location.reload();
 					} else {
-						alert('Error: ' + (response.data.message || 'Failed to start re-indexing.'));
+						alert(sprintf(__('Error: %s'), response.data.message || __('Failed to start re-indexing.')));
 					}
 				},
 				error: function() {
-					alert('An error occurred. Please try again.');
+					alert(__('An error occurred. Please try again.'));
 				},
 				complete: function() {
-					$button.prop('disabled', false).text('Re-index Stale Content');
+					$button.prop('disabled', false).text(__('Re-index Stale Content'));
 				}
 			});
 		});
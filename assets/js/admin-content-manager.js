@@ -8,6 +8,11 @@
 (function($) {
 	'use strict';
 
+	var i18n = window.WPAIChatbotI18n;
+	var __ = i18n.__;
+	var _n = i18n._n;
+	var sprintf = i18n.sprintf;
+
 	$(document).ready(function() {
 		// Select all checkbox
 		$('#select-all-checkbox').on('change', function() {
@@ -37,16 +42,16 @@
 		$('#bulk-reindex-pages').on('click', function() {
 			var selected = $('.page-checkbox:checked');
 			if (selected.length === 0) {
-				alert('Please select at least one page to re-index.');
+				alert(__('Please select at least one page to re-index.'));
 				return;
 			}
 
-			if (!confirm('Are you sure you want to re-index ' + selected.length + ' selected page(s)?')) {
+			if (!confirm(sprintf(_n('Are you sure you want to re-index %d selected page?', 'Are you sure you want to re-index %d selected pages?', selected.length), selected.length))) {
 				return;
 			}
 
 			var $button = $(this);
-			$button.prop('disabled', true).text('Re-indexing...');
+			$button.prop('disabled', true).text(__('Re-indexing...'));
 
 			var urls = [];
 			selected.each(function() {
@@ -63,29 +68,29 @@
 				},
 				success: function(response) {
 					if (response.success) {
-						alert(response.data.message || 'Re-indexing started successfully.');
+						alert(response.data.message || __('Re-indexing started successfully.'));
 						location.reload();
 					} else {
-						alert('Error: ' + (response.data.message || 'Failed to start re-indexing.'));
+						alert(sprintf(__('Error: %s'), response.data.message || __('Failed to start re-indexing.')));
 					}
 				},
 				error: function() {
-					alert('An error occurred. Please try again.');
+					alert(__('An error occurred. Please try again.'));
 				},
 				complete: function() {
-					$button.prop('disabled', false).text('Re-index Selected');
+					$button.prop('disabled', false).text(__('Re-index Selected'));
 				}
 			});
 		});
 
 		// Re-index stale content
 		$('#refresh-stale-pages').on('click', function() {
-			if (!confirm('Re-index all stale content? This may take a while.')) {
+			if (!confirm(__('Re-index all stale content? This may take a while.'))) {
 				return;
 			}
 
 			var $button = $(this);
-			$button.prop('disabled', true).text('Re-indexing...');
+			$button.prop('disabled', true).text(__('Re-indexing...'));
 
 			// Select all stale pages
 			$('.stale-content .page-checkbox').prop('checked', true);
@@ -101,11 +106,11 @@
 			var url = $(this).data('url');
 			var $button = $(this);
 
-			if (!confirm('Re-index this page?')) {
+			if (!confirm(__('Re-index this page?'))) {
 				return;
 			}
 
-			$button.prop('disabled', true).text('Re-indexing...');
+			$button.prop('disabled', true).text(__('Re-indexing...'));
 
 			$.ajax({
 				url: wpAiChatbotContentManager.ajaxUrl,
@@ -120,14 +125,14 @@
 						alert(response.data.message);
 						location.reload();
 					} else {
-						alert('Error: ' + (response.data.message || 'Failed to re-index.'));
+						alert(sprintf(__('Error: %s'), response.data.message || __('Failed to re-index.')));
 					}
 				},
 				error: function() {
-					alert('An error occurred. Please try again.');
+					alert(__('An error occurred. Please try again.'));
 				},
 				complete: function() {
-					$button.prop('disabled', false).text('Re-index');
+					$button.prop('disabled', false).text(__('Re-index'));
 				}
 			});
 		});
@@ -31,8 +31,11 @@
 				...options
 			};
 
+			this.storage = window.WPAIChatbotStorage;
+			this.consent = window.WPAIChatbotConsent || null;
 			this.sessionId = this.getOrCreateSessionId();
-			this.visitorId = this.getOrCreateVisitorId();
+			this.visitorId = null;
+			this.started = false;
 			this.pageLoadTime = Date.now();
 			this.maxScrollDepth = 0;
 			this.scrollDepthMilestones = new Set();
@@ -41,9 +44,47 @@
 			this.totalActiveTime = 0;
 			this.lastActiveTime = Date.now();
 
+			// The visitor ID is stored, so start once storage has loaded and
+			// the visitor allows tracking
+			this.storage.ready.then(() => {
+				if (this.isAllowed()) {
+					this.start();
+				}
+
+				window.WPAIChatbotEvents.on('consentChanged', (consent) => {
+					if (consent.tracking) {
+						// Keeps the stored visitor ID if storage was allowed too
+						this.storage.enable().then(() => this.start());
+					}
+				});
+			});
+		}
+
+		/**
+		 * Start tracking.
+		 */
+		start() {
+			if (this.started) {
+				return;
+			}
+
+			this.started = true;
+			this.visitorId = this.getOrCreateVisitorId();
 			this.init();
 		}
 
+		/**
+		 * Check if the visitor allows tracking (consent.js).
+		 *
+		 * Turns false when consent is withdrawn or the browser sends Global
+		 * Privacy Control or Do Not Track.
+		 *
+		 * @returns {boolean} True if allowed.
+		 */
+		isAllowed() {
+			return !this.consent || this.consent.has('tracking');
+		}
+
 		/**
 		 * Initialize the tracker
 		 */
@@ -88,11 +129,11 @@
 		 * @returns {string}
 		 */
 		getOrCreateSessionId() {
-			let sessionId = sessionStorage.getItem('wp_ai_chatbot_session_id');
+			let sessionId = this.storage.getSession('session_id');
 			
 			if (!sessionId) {
 				sessionId = 'sess_' + this.generateId();
-				sessionStorage.setItem('wp_ai_chatbot_session_id', sessionId);
+				this.storage.setSession('session_id', sessionId);
 			}
 
 			return sessionId;
@@ -103,13 +144,15 @@
 		 * @returns {string}
 		 */
 		getOrCreateVisitorId() {
-			let visitorId = localStorage.getItem('wp_ai_chatbot_visitor_id');
+			let visitorId = this.storage.get('visitor_id');
 			
 			if (!visitorId) {
 				visitorId = 'vis_' + this.generateId();
-				localStorage.setItem('wp_ai_chatbot_visitor_id', visitorId);
 			}
 
+			// Kept for a year, renewed on every visit
+			this.storage.set('visitor_id', visitorId, { ttl: 365 * 24 * 60 * 60 * 1000 });
+
 			return visitorId;
 		}
 
@@ -126,11 +169,11 @@
 		 * @returns {boolean}
 		 */
 		isNewSession() {
-			const lastActivity = sessionStorage.getItem('wp_ai_chatbot_last_activity');
-			const sessionStarted = sessionStorage.getItem('wp_ai_chatbot_session_started');
+			const lastActivity = this.storage.getSession('last_activity');
+			const sessionStarted = this.storage.getSession('session_started');
 
 			if (!sessionStarted) {
-				sessionStorage.setItem('wp_ai_chatbot_session_started', 'true');
+				this.storage.setSession('session_started', true);
 				return true;
 			}
 
@@ -140,7 +183,7 @@
 				if (elapsed > 30 * 60 * 1000) {
 					// Generate new session ID
 					this.sessionId = 'sess_' + this.generateId();
-					sessionStorage.setItem('wp_ai_chatbot_session_id', this.sessionId);
+					this.storage.setSession('session_id', this.sessionId);
 					return true;
 				}
 			}
@@ -152,7 +195,7 @@
 		 * Update last activity timestamp
 		 */
 		updateLastActivity() {
-			sessionStorage.setItem('wp_ai_chatbot_last_activity', Date.now().toString());
+			this.storage.setSession('last_activity', Date.now());
 		}
 
 		/**
@@ -323,18 +366,20 @@
 		 * Initialize chat event listeners
 		 */
 		initChatEventListeners() {
+			const events = window.WPAIChatbotEvents;
+
 			// Chat opened
-			$(document).on('wp_ai_chatbot_opened', () => {
+			events.on('opened', () => {
 				this.trackEvent('chat_open');
 			});
 
 			// Chat closed
-			$(document).on('wp_ai_chatbot_closed', () => {
+			events.on('closed', () => {
 				this.trackEvent('chat_close');
 			});
 
 			// Message sent
-			$(document).on('wp_ai_chatbot_message_sent', (e, message) => {
+			events.on('messageSent', (message) => {
 				this.trackEvent('message_sent', {
 					message: message?.content || '',
 					length: (message?.content || '').length
@@ -342,19 +387,19 @@
 			});
 
 			// Message received
-			$(document).on('wp_ai_chatbot_message_received', (e, message) => {
+			events.on('messageReceived', (data) => {
 				this.trackEvent('message_received', {
-					message_id: message?.id
+					message_id: data?.message_id
 				});
 			});
 
 			// Lead form shown
-			$(document).on('wp_ai_chatbot_lead_form_shown', () => {
+			events.on('leadFormShown', () => {
 				this.trackEvent('form_started');
 			});
 
 			// Lead captured
-			$(document).on('wp_ai_chatbot_lead_captured', (e, data) => {
+			events.on('leadCaptured', (data) => {
 				this.trackEvent('lead_captured', {
 					lead_id: data?.lead_id
 				});
@@ -362,20 +407,21 @@
 			});
 
 			// Lead form dismissed
-			$(document).on('wp_ai_chatbot_lead_form_dismissed', () => {
+			events.on('leadFormDismissed', () => {
 				this.trackEvent('form_abandoned');
 			});
 
 			// Feedback given
-			$(document).on('wp_ai_chatbot_feedback_submitted', (e, data) => {
+			events.on('feedbackSubmitted', (data) => {
 				this.trackEvent('feedback_given', {
 					rating: data?.rating,
+					reason: data?.reason,
 					message_id: data?.message_id
 				});
 			});
 
 			// Exit intent
-			$(document).on('wp_ai_chatbot_exit_intent', () => {
+			events.on('exitIntent', () => {
 				this.trackEvent('exit_intent');
 			});
 		}
@@ -386,6 +432,10 @@
 		 * @param {Object} eventData Additional event data
 		 */
 		trackEvent(eventType, eventData = {}) {
+			if (!this.isAllowed()) {
+				return;
+			}
+
 			const data = {
 				action: 'wp_ai_chatbot_track_event',
 				session_id: this.sessionId,
@@ -422,6 +472,10 @@
 		 * @param {string} action Session action (start, end, heartbeat)
 		 */
 		trackSession(action) {
+			if (!this.isAllowed()) {
+				return;
+			}
+
 			const data = {
 				action: 'wp_ai_chatbot_track_session',
 				session_id: this.sessionId,
@@ -11,6 +11,11 @@
 (function($) {
     'use strict';
 
+    // English strings if i18n.js is not on the page
+    const { __ } = window.WPAIChatbotI18n || {
+        __: (text) => text,
+    };
+
     /**
      * Chat Triggers class.
      */
@@ -27,27 +32,27 @@
                 exitIntentDelay: 5000, // ms before exit intent is active
                 exitIntentSensitivity: 20, // pixels from top
                 exitIntentCooldown: 86400000, // 24 hours in ms
-                exitIntentMessage: 'Wait! Before you go, is there anything I can help you with?',
+                exitIntentMessage: __('Wait! Before you go, is there anything I can help you with?'),
 
                 // Time-based trigger settings
                 timeTriggersEnabled: true,
                 timeDelay: 30000, // ms (30 seconds default)
-                timeMessage: 'Hi there! 👋 Need any help? I\'m here to answer your questions.',
+                timeMessage: __('Hi there! 👋 Need any help? I\'m here to answer your questions.'),
 
                 // Scroll trigger settings
                 scrollTriggersEnabled: true,
                 scrollPercentage: 50, // trigger at 50% scroll
-                scrollMessage: 'Enjoying the content? Let me know if you have any questions!',
+                scrollMessage: __('Enjoying the content? Let me know if you have any questions!'),
 
                 // Inactivity trigger settings
                 inactivityEnabled: true,
                 inactivityDelay: 60000, // 1 minute
-                inactivityMessage: 'Still there? Feel free to ask me anything!',
+                inactivityMessage: __('Still there? Feel free to ask me anything!'),
 
                 // General settings
                 maxTriggersPerSession: 3,
                 triggerCooldown: 30000, // 30 seconds between triggers
-                storageKey: 'wp_ai_chatbot_triggers',
+                storageKey: 'triggers',
                 onTrigger: null, // Callback when trigger fires
 
                 ...config
@@ -81,36 +86,33 @@
          * Initialize triggers.
          */
         init() {
-            this.loadState();
-            this.bindEvents();
-            this.startTimers();
+            // Counts and cooldowns are stored, so start once storage has loaded
+            window.WPAIChatbotStorage.ready.then(() => {
+                this.loadState();
+                this.bindEvents();
+                this.startTimers();
+            });
         }
 
         /**
          * Load state from storage.
          */
         loadState() {
-            try {
-                const stored = localStorage.getItem(this.config.storageKey);
-                if (stored) {
-                    const data = JSON.parse(stored);
-                    
-                    // Check if it's a new session (page load time different)
-                    if (data.sessionStart && Date.now() - data.sessionStart > 3600000) {
-                        // More than 1 hour, reset session triggers
-                        this.state.triggersShown = 0;
-                    } else {
-                        this.state.triggersShown = data.triggersShown || 0;
-                    }
-                    
-                    // Check exit intent cooldown
-                    if (data.exitIntentLastShown) {
-                        const timeSinceExitIntent = Date.now() - data.exitIntentLastShown;
-                        this.state.exitIntentShown = timeSinceExitIntent < this.config.exitIntentCooldown;
-                    }
+            const data = window.WPAIChatbotStorage.get(this.config.storageKey);
+            if (data) {
+                // Check if it's a new session (page load time different)
+                if (data.sessionStart && Date.now() - data.sessionStart > 3600000) {
+                    // More than 1 hour, reset session triggers
+                    this.state.triggersShown = 0;
+                } else {
+                    this.state.triggersShown = data.triggersShown || 0;
+                }
+
+                // Check exit intent cooldown
+                if (data.exitIntentLastShown) {
+                    const timeSinceExitIntent = Date.now() - data.exitIntentLastShown;
+                    this.state.exitIntentShown = timeSinceExitIntent < this.config.exitIntentCooldown;
                 }
-            } catch (e) {
-                console.warn('Failed to load trigger state:', e);
             }
         }
 
@@ -118,16 +120,11 @@
          * Save state to storage.
          */
         saveState() {
-            try {
-                const data = {
-                    triggersShown: this.state.triggersShown,
-                    sessionStart: this.state.pageLoadTime,
-                    exitIntentLastShown: this.state.exitIntentShown ? Date.now() : null
-                };
-                localStorage.setItem(this.config.storageKey, JSON.stringify(data));
-            } catch (e) {
-                console.warn('Failed to save trigger state:', e);
-            }
+            window.WPAIChatbotStorage.set(this.config.storageKey, {
+                triggersShown: this.state.triggersShown,
+                sessionStart: this.state.pageLoadTime,
+                exitIntentLastShown: this.state.exitIntentShown ? Date.now() : null
+            });
         }
 
         /**
@@ -157,17 +154,17 @@
             }
 
             // Track chat widget state
-            document.addEventListener('wp_ai_chatbot_opened', () => {
+            window.WPAIChatbotEvents.on('opened', () => {
                 this.state.chatOpen = true;
                 this.state.hasEngaged = true;
                 this.clearTimers();
             });
 
-            document.addEventListener('wp_ai_chatbot_closed', () => {
+            window.WPAIChatbotEvents.on('closed', () => {
                 this.state.chatOpen = false;
             });
 
-            document.addEventListener('wp_ai_chatbot_message_sent', () => {
+            window.WPAIChatbotEvents.on('messageSent', () => {
                 this.state.hasEngaged = true;
             });
 
@@ -238,6 +235,7 @@
                 !this.state.chatOpen &&
                 this.state.isActive) {
                 
+                window.WPAIChatbotEvents.emit('exitIntent');
                 this.fireTrigger('exit_intent', this.config.exitIntentMessage);
                 this.state.exitIntentShown = true;
                 this.saveState();
@@ -358,11 +356,8 @@
                 this.config.onTrigger(type, message, data);
             }
 
-            // Dispatch custom event
-            const event = new CustomEvent('wp_ai_chatbot_trigger', {
-                detail: { type, message, data }
-            });
-            document.dispatchEvent(event);
+            // Let other scripts know
+            window.WPAIChatbotEvents.emit('triggerFired', { type, message, data });
 
             // Track trigger
             this.trackEvent('trigger_fired', { type, message });
@@ -412,11 +407,8 @@
          * @param {Object} data Event data.
          */
         trackEvent(eventName, data = {}) {
-            // Dispatch for analytics
-            const event = new CustomEvent('wp_ai_chatbot_analytics', {
-                detail: { event: eventName, data }
-            });
-            document.dispatchEvent(event);
+            // Publish for analytics
+            window.WPAIChatbotEvents.emit('analytics', { event: eventName, data });
         }
 
         /**
@@ -538,7 +530,7 @@
                         </svg>
                     </div>
                     <div class="${this.config.messageClass}__text">${this.escapeHtml(message)}</div>
-                    <button class="${this.config.messageClass}__close" aria-label="Close">
+                    <button class="${this.config.messageClass}__close" aria-label="${this.escapeHtml(__('Close'))}">
                         <svg viewBox="0 0 24 24" fill="currentColor">
                             <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
                         </svg>
@@ -636,8 +628,7 @@
         const proactiveMessage = new ProactiveMessage({
             onClick: function() {
                 // Open chat widget
-                const event = new CustomEvent('wp_ai_chatbot_open_request');
-                document.dispatchEvent(event);
+                window.WPAIChatbotEvents.emit('openRequested');
             }
         });
 
@@ -654,8 +645,8 @@
         window.wpAiChatbotProactiveMessage = proactiveMessage;
 
         // Listen for manual trigger requests
-        document.addEventListener('wp_ai_chatbot_show_proactive', function(e) {
-            const { message, type } = e.detail || {};
+        window.WPAIChatbotEvents.on('proactiveRequested', function(proactive) {
+            const { message, type } = proactive || {};
             if (message) {
                 triggers.showProactiveMessage(message, type);
             }
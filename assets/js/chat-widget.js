@@ -2,6 +2,12 @@
  * Chat Widget JavaScript.
  *
  * Handles message sending, receiving, and display for the chat widget.
+ * Events are published on the shared event bus (event-bus.js), the
+ * conversation is kept through storage.js and strings are translated
+ * through i18n.js, so load those first. Without the bus the widget keeps
+ * its events to itself and jQuery `wpAiChatbot:<event>` listeners, without
+ * storage.js the conversation lasts for the page only and without i18n.js
+ * it shows English.
  *
  * @package    WP_AI_Chatbot_LeadGen_Pro
  * @subpackage WP_AI_Chatbot_LeadGen_Pro/assets/js
@@ -10,18 +16,98 @@
 (function($) {
 	'use strict';
 
+	// English strings and no locale formatting if i18n.js is not on the page
+	const { __, _n, sprintf, formatNumber, applyDirection } = window.WPAIChatbotI18n || {
+		__: (text) => text,
+		_n: (single, plural, number) => (number === 1 ? single : plural),
+		sprintf: (format, ...args) => {
+			let index = 0;
+			return String(format).replace(/%(?:(\d+)\$)?[sd]/g, (match, position) => String(args[position ? position - 1 : index++]));
+		},
+		formatNumber: (number) => String(number),
+		applyDirection: () => {},
+	};
+
+	/**
+	 * Widget-local events, used when event-bus.js is not on the page.
+	 *
+	 * Same on/off/emit/clear calls as the bus, so the widget's own listeners
+	 * keep working; events are also triggered under their jQuery name.
+	 */
+	const createLocalEvents = () => {
+		const handlers = {};
+
+		return {
+			on(name, handler) {
+				(handlers[name] = handlers[name] || []).push(handler);
+				return () => this.off(name, handler);
+			},
+			off(name, handler) {
+				handlers[name] = handler ? (handlers[name] || []).filter((h) => h !== handler) : [];
+			},
+			emit(name, ...args) {
+				(handlers[name] || []).slice().forEach((handler) => handler(...args));
+				$(document).trigger('wpAiChatbot:' + name, args);
+			},
+			clear() {},
+		};
+	};
+
+	/**
+	 * Page-only storage, used when storage.js is not on the page.
+	 *
+	 * Same calls as WPAIChatbotStorage, ready straight away; nothing is kept
+	 * once the page is left.
+	 */
+	const createPageStorage = () => {
+		const values = new Map();
+
+		return {
+			ready: Promise.resolve(),
+			get(name, fallback = null) {
+				return values.has(name) ? JSON.parse(values.get(name)) : fallback;
+			},
+			set(name, value) {
+				if (value === null || value === undefined) {
+					values.delete(name);
+				} else {
+					values.set(name, JSON.stringify(value));
+				}
+				return false;
+			},
+			remove(name) {
+				values.delete(name);
+			},
+			getSession(name, fallback = null) {
+				return fallback;
+			},
+			enable() {
+				return Promise.resolve();
+			},
+		};
+	};
+
 	/**
 	 * Chat Widget Class.
 	 */
 	class ChatWidget {
 		constructor(config) {
 			this.config = config || {};
+
+			// Shared event bus (event-bus.js)
+			this.events = window.WPAIChatbotEvents || createLocalEvents();
+			this.onOpenRequested = () => this.open();
+			this.onConsentChanged = (consent) => this.restoreAfterConsent(consent);
+			this.onLeadCaptured = () => this.markLeadCaptured();
+			this.onMessageAdded = () => this.scheduleSurvey();
 			
 			// State management
 			this.state = {
 				isOpen: false,
 				isMinimized: false,
 				conversationId: null,
+				// Session ID the server stored with the conversation
+				chatSessionId: null,
 				messages: [],
 				isTyping: false,
 				isSending: false,
@@ -40,19 +126,132 @@
 			this.$input = $('#wp-ai-chatbot-input');
 			this.$form = $('#wp-ai-chatbot-form');
 			this.$sendButton = $('#wp-ai-chatbot-send');
+			this.$stopButton = $('#wp-ai-chatbot-stop');
 			this.$typingIndicator = $('#wp-ai-chatbot-typing');
 			this.$charCount = $('.wp-ai-chatbot-char-count-current');
 			this.$leadCapture = $('#wp-ai-chatbot-lead-capture');
-			this.$leadForm = $('#wp-ai-chatbot-lead-form');
 			this.$notificationBadge = $('.wp-ai-chatbot-notification-badge');
+			this.$attachButton = $('#wp-ai-chatbot-attach');
+			this.$fileInput = $('#wp-ai-chatbot-file-input');
+			this.$attachments = $('#wp-ai-chatbot-attachments');
+			this.$searchToggle = $('#wp-ai-chatbot-search-toggle');
+			this.$search = $('#wp-ai-chatbot-search');
+			this.$searchInput = $('#wp-ai-chatbot-search-input');
+			this.$searchCount = this.$search.find('.wp-ai-chatbot-search-count');
+			this.$threadsToggle = $('#wp-ai-chatbot-threads-toggle');
+			this.$threads = $('#wp-ai-chatbot-threads');
+			this.$menuToggle = $('#wp-ai-chatbot-menu-toggle');
+			this.$menu = $('#wp-ai-chatbot-menu');
+			this.$handoff = $('#wp-ai-chatbot-handoff');
+			this.$survey = $('#wp-ai-chatbot-survey');
+
+			// Files attached in the composer, uploaded before the message is sent
+			this.attachments = [];
+			this.attachmentConfig = {
+				types: this.config.attachmentTypes || ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf', 'text/plain'],
+				maxSize: this.config.maxAttachmentSize || 10485760,
+				maxFiles: this.config.maxAttachments || 5,
+			};
+
+			// Markdown renderer for assistant messages (markdown-renderer.js)
+			this.markdown = window.WPAIChatbotMarkdown && this.config.markdown !== false
+				? new window.WPAIChatbotMarkdown(this.config.markdownOptions || {})
+				: null;
 			
+			// Structured message renderers (message-renderers.js)
+			this.renderers = window.WPAIChatbotRenderers && this.config.richMessages !== false
+				? window.WPAIChatbotRenderers
+				: null;
+
+			// Windowed transcript, only messages near the view are mounted (virtual-list.js)
+			this.virtualList = window.WPAIChatbotVirtualList && this.config.virtualize !== false && this.$messages.length
+				? new window.WPAIChatbotVirtualList(this.$messages[0], {
+					buffer: this.config.virtualBuffer || 800,
+					keepMounted: '.is-streaming, .is-editing',
+					onRender: (element) => {
+						if (this.search.query) {
+							this.highlightMatches($(element));
+						}
+					},
+				})
+				: null;
+
+			// Runtime theme: colors, radii, fonts and launcher icon (theme-manager.js)
+			this.theme = window.WPAIChatbotTheme && this.config.theming !== false && this.$widget.length
+				? new window.WPAIChatbotTheme(this.$widget[0], this.config.theme, this.events)
+				: null;
+
+			// Persistence, namespaced per site with expiry (storage.js)
+			this.storage = window.WPAIChatbotStorage || createPageStorage();
+
 			// State persistence keys
 			this.storageKeys = {
-				conversationId: 'wp_ai_chatbot_conversation_id',
-				messages: 'wp_ai_chatbot_messages',
-				state: 'wp_ai_chatbot_state',
-				leadCaptured: 'wp_ai_chatbot_lead_captured',
+				conversationId: 'conversation_id',
+				chatSessionId: 'chat_session_id',
+				messages: 'messages',
+				state: 'state',
+				leadCaptured: 'lead_captured',
+				outbox: 'outbox',
+				threads: 'threads',
+				visitor: 'visitor',
+				handoff: 'handoff',
+			};
+
+			// Visitor identity and page context set through the SDK (chatbot-sdk.js)
+			this.visitor = null;
+			this.context = {};
+
+			// Messages that could not be sent, oldest first
+			this.outbox = [];
+			this.outboxTimer = null;
+
+			// Cross-tab sync (tab-sync.js)
+			this.sync = null;
+			this.applyingSync = false;
+			this.pollTimer = null;
+
+			// Older server history above the stored transcript (conversation-loader.js)
+			this.history = null;
+
+			// Conversation search, results newest first
+			this.search = {
+				query: '',
+				results: [],
+				index: -1,
+				pending: false,
+				token: 0,
+				timer: null,
 			};
+
+			// Thread list shows archived threads
+			this.showArchivedThreads = false;
+
+			// Live chat with a human agent (live-handoff.js), while escalated
+			this.handoff = null;
+
+			// Lead capture (lead-capture-form.js): when to ask, the lead form
+			// and the captured lead flag
+			this.leadCapture = window.WPAIChatbotLeadForm ? this.createLeadCapture() : null;
+
+			// Lead details asked as chat turns (lead-conversation.js), and the
+			// visitor's message held until they are given
+			this.leadConversation = null;
+			this.pendingLeadMessage = null;
+
+			// End-of-conversation survey (conversation-survey.js), asked when
+			// the visitor closes the chat or after a quiet spell
+			this.survey = window.WPAIChatbotSurvey && this.config.survey !== false ? this.createSurvey() : null;
+			this.surveyTimer = null;
+
+			// Transcript download formats, loaded when the menu first opens
+			this.transcriptFormats = null;
+
+			// Citation preview, created on first hover
+			this.$citationPopover = null;
+			this.citationPopoverTimer = null;
+
+			// Set by destroy(), e.g. before storage finished loading
+			this.destroyed = false;
 			
 			this.init();
 		}
@@ -61,19 +260,38 @@
 		 * Initialize the chat widget.
 		 */
 		init() {
+			// Mirror the layout for right-to-left languages
+			applyDirection(this.$widget[0]);
+
 			this.bindEvents();
-			this.loadState();
-			this.loadConversation();
 			this.updateCharCount();
-			this.restoreScrollPosition();
-			this.updateUnreadBadge();
-			this.trackScroll();
-			
-			// Restore open state if it was open (but don't auto-open on page load)
-			// Only restore if user explicitly had it open
-			if (this.state.isOpen && this.config.restoreOpenState !== false) {
-				// Don't auto-open, let user decide
-			}
+
+			/**
+			 * Resolves once the stored conversation is restored.
+			 *
+			 * @type {Promise}
+			 */
+			this.restoring = this.storage.ready.then(() => {
+				if (this.destroyed) {
+					return;
+				}
+
+				this.loadState();
+				this.loadConversation();
+				this.restoreOutbox();
+				this.initHistory();
+				this.initTabSync();
+				this.resumeHandoff();
+				this.restoreScrollPosition();
+				this.updateUnreadBadge();
+				this.trackScroll();
+
+				// Restore open state if it was open (but don't auto-open on page load)
+				// Only restore if user explicitly had it open
+				if (this.state.isOpen && this.config.restoreOpenState !== false) {
+					// Don't auto-open, let user decide
+				}
+			});
 		}
 
 		/**
@@ -83,8 +301,20 @@
 			// Toggle chat
 			this.$toggle.on('click', () => this.toggle());
 
+			// Open requests from proactive messages and other scripts
+			this.events.on('openRequested', this.onOpenRequested);
+
+			// Stored conversation, once the visitor consents to storage
+			this.events.on('consentChanged', this.onConsentChanged);
+
+			// Leads captured by the form or in the chat
+			this.events.on('leadCaptured', this.onLeadCaptured);
+
+			// Each message restarts the wait before the survey is asked
+			this.events.on('messageAdded', this.onMessageAdded);
+
 			// Close button
-			$('.wp-ai-chatbot-close').on('click', () => this.close());
+			$('.wp-ai-chatbot-close').on('click', () => this.requestClose());
 
 			// Form submission
 			this.$form.on('submit', (e) => {
@@ -92,25 +322,141 @@
 				this.sendMessage();
 			});
 
+			// Stop generation
+			this.$stopButton.on('click', () => this.stopGeneration());
+
 			// Input events
 			this.$input.on('input', () => {
 				this.updateCharCount();
 				this.autoResize();
 				this.toggleSendButton();
+
+				if (this.isHandoffLive()) {
+					this.handoff.setTyping();
+				}
 			});
 
 			this.$input.on('keydown', (e) => {
 				// Send on Enter (but allow Shift+Enter for new line)
 				if (e.key === 'Enter' && !e.shiftKey) {
 					e.preventDefault();
-					if (!this.isSending && this.$input.val().trim()) {
+					if (!this.state.isSending) {
 						this.sendMessage();
 					}
 				}
 			});
 
+			// Attachments
+			if (this.config.attachments !== false) {
+				this.bindAttachmentEvents();
+			} else {
+				this.$attachButton.hide();
+			}
+
+			// Conversation search
+			if (this.config.search !== false) {
+				this.bindSearchEvents();
+			} else {
+				this.$searchToggle.hide();
+			}
+
+			// Conversation threads, opened through the history loader
+			if (this.config.threads !== false && this.config.history !== false && window.WPAIChatbotConversationLoader) {
+				this.bindThreadEvents();
+			} else {
+				this.$threadsToggle.hide();
+			}
+
+			// Transcript menu
+			if (this.config.transcriptMenu !== false) {
+				this.bindMenuEvents();
+			} else {
+				this.$menuToggle.closest('.wp-ai-chatbot-menu-wrapper').hide();
+			}
+
+			// Leave the agent queue or end the chat with the agent
+			this.$handoff.on('click', '.wp-ai-chatbot-handoff-end', () => this.leaveHandoff());
+
+			// Outbox actions on unsent messages
+			this.$messages.on('click', '.wp-ai-chatbot-outbox-retry', () => {
+				this.retryOutbox();
+			});
+
+			this.$messages.on('click', '.wp-ai-chatbot-outbox-discard', (e) => {
+				this.discardOutboxEntry($(e.currentTarget).attr('data-outbox-id'));
+			});
+
+			// Edit the last question, regenerate the last answer, flip between versions
+			this.$messages.on('click', '.wp-ai-chatbot-edit', (e) => {
+				this.startEdit(this.getMessageIdFrom(e.currentTarget));
+			});
+
+			this.$messages.on('click', '.wp-ai-chatbot-edit-save', (e) => {
+				const $message = $(e.currentTarget).closest('.wp-ai-chatbot-message');
+				this.submitEdit($message.attr('data-message-id'), $message.find('.wp-ai-chatbot-edit-input').val());
+			});
+
+			this.$messages.on('click', '.wp-ai-chatbot-edit-cancel', (e) => {
+				this.cancelEdit(this.getMessageIdFrom(e.currentTarget));
+			});
+
+			this.$messages.on('keydown', '.wp-ai-chatbot-edit-input', (e) => {
+				const messageId = this.getMessageIdFrom(e.currentTarget);
+
+				if (e.key === 'Enter' && !e.shiftKey) {
+					e.preventDefault();
+					this.submitEdit(messageId, $(e.currentTarget).val());
+				} else if (e.key === 'Escape') {
+					e.stopPropagation();
+					this.cancelEdit(messageId);
+				}
+			});
+
+			this.$messages.on('click', '.wp-ai-chatbot-regenerate', (e) => {
+				this.regenerateMessage(this.getMessageIdFrom(e.currentTarget));
+			});
+
+			this.$messages.on('click', '.wp-ai-chatbot-variant-prev, .wp-ai-chatbot-variant-next', (e) => {
+				const $button = $(e.currentTarget);
+				const step = $button.hasClass('wp-ai-chatbot-variant-next') ? 1 : -1;
+				this.switchVariant(this.getMessageIdFrom(e.currentTarget), step);
+			});
+
+			// Resend queued messages once the connection is back
+			$(window).on('online.wpAiChatbotWidget', () => this.retryOutbox());
+
+			// Citation previews and click reporting
+			this.$messages.on('mouseenter focusin', '.wp-ai-chatbot-citation', (e) => {
+				this.showCitationPopover($(e.currentTarget));
+			});
+
+			this.$messages.on('mouseleave focusout', '.wp-ai-chatbot-citation', () => {
+				this.hideCitationPopover(150);
+			});
+
+			this.$messages.on('keydown', '.wp-ai-chatbot-citation', (e) => {
+				if (e.key === 'Escape') {
+					this.hideCitationPopover();
+				}
+			});
+
+			this.$messages.on('scroll', () => this.hideCitationPopover());
+
+			this.$messages.on('click', '.wp-ai-chatbot-citation', (e) => {
+				this.reportCitationClick($(e.currentTarget), 'inline');
+			});
+
+			this.$messages.on('click', '.wp-ai-chatbot-source-link', (e) => {
+				this.reportCitationClick($(e.currentTarget), 'sources');
+			});
+
+			// Code block copy buttons
+			this.$messages.on('click', '.wp-ai-chatbot-code-copy', (e) => {
+				this.copyCodeBlock($(e.currentTarget));
+			});
+
 			// Quick question buttons
-			$(document).on('click', '.wp-ai-chatbot-quick-question', (e) => {
+			$(document).on('click.wpAiChatbotWidget', '.wp-ai-chatbot-quick-question', (e) => {
 				const question = $(e.currentTarget).data('question');
 				if (question) {
 					this.$input.val(question);
@@ -118,18 +464,8 @@
 				}
 			});
 
-			// Lead capture form
-			this.$leadForm.on('submit', (e) => {
-				e.preventDefault();
-				this.submitLeadForm();
-			});
-
-			$('#wp-ai-chatbot-lead-skip').on('click', () => {
-				this.hideLeadCapture();
-			});
-
 			// Click outside to close
-			$(document).on('click', (e) => {
+			$(document).on('click.wpAiChatbotWidget', (e) => {
 				if (this.isOpen && !this.$widget.find(e.target).length && !$(e.target).closest(this.$widget).length) {
 					this.close();
 				}
@@ -146,7 +482,7 @@
 		 */
 		toggle() {
 			if (this.state.isOpen) {
-				this.close();
+				this.requestClose();
 			} else {
 				this.open();
 			}
@@ -180,7 +516,7 @@
 			this.saveState();
 
 			// Trigger event
-			$(document).trigger('wpAiChatbot:opened', [this.state]);
+			this.events.emit('opened', this.state);
 		}
 
 		/**
@@ -189,6 +525,12 @@
 		close() {
 			if (!this.state.isOpen) return;
 
+			clearTimeout(this.surveyTimer);
+
+			if (this.survey) {
+				this.survey.dismiss();
+			}
+
 			// Save scroll position before closing
 			this.saveScrollPosition();
 
@@ -202,7 +544,7 @@
 			this.saveState();
 
 			// Trigger event
-			$(document).trigger('wpAiChatbot:closed', [this.state]);
+			this.events.emit('closed', this.state);
 		}
 
 		/**
@@ -215,7 +557,7 @@
 			this.$container.addClass('is-minimized');
 			this.saveState();
 			
-			$(document).trigger('wpAiChatbot:minimized', [this.state]);
+			this.events.emit('minimized', this.state);
 		}
 
 		/**
@@ -228,34 +570,110 @@
 			this.$container.removeClass('is-minimized');
 			this.saveState();
 			
-			$(document).trigger('wpAiChatbot:restored', [this.state]);
+			this.events.emit('restored', this.state);
 		}
 
 		/**
 		 * Send a message.
+		 *
+		 * Sends the composer contents, or the given text when a button or
+		 * quick reply posts back a value.
+		 *
+		 * @param {string} text     Optional text to send instead of the composer contents.
+		 * @param {Object} metadata Optional metadata for the user message, e.g. {postback}.
 		 */
-		sendMessage() {
-			const message = this.$input.val().trim();
+		sendMessage(text = null, metadata = {}) {
+			const fromInput = typeof text !== 'string';
+			const message = fromInput ? this.$input.val().trim() : text.trim();
+			const attachments = fromInput ? this.getUploadedAttachments() : [];
 			
-			if (!message || this.state.isSending || this.state.isTyping) {
+			if ((!message && attachments.length === 0) || this.state.isSending || this.state.isTyping || this.isUploading()) {
 				return;
 			}
 
-			// Check if lead capture is required
-			if (this.shouldShowLeadCapture()) {
+			// Check if lead capture is required, asked in the chat after the message is shown
+			const askLead = this.shouldShowLeadCapture() && !this.isHandoffLive();
+			if (askLead && !this.isLeadConversationMode()) {
 				this.showLeadCapture();
 				return;
 			}
 
+			// Answers to the questions for the visitor's details aren't sent to the AI
+			const leadField = this.isCapturingLead() && this.leadConversation.getCurrentField();
+			if (leadField) {
+				metadata = { ...metadata, lead_capture: leadField.name };
+			}
+
 			// Clear input
-			this.$input.val('');
-			this.updateCharCount();
-			this.autoResize();
-			this.toggleSendButton();
+			if (fromInput) {
+				this.$input.val('');
+				this.updateCharCount();
+				this.autoResize();
+				this.toggleSendButton();
+			}
+
+			// Suggested replies only apply to the message they came with
+			this.dismissQuickReplies();
 
 			// Display user message
-			this.addMessage('user', message);
+			if (attachments.length) {
+				metadata = { ...metadata, attachments: attachments };
+			}
+			const messageData = this.addMessage('user', message, metadata);
+			if (fromInput) {
+				this.clearAttachments();
+			}
+			this.events.emit('messageSent', messageData, this.state);
+
+			// Goes to the agent instead of the AI while handed off
+			if (this.isHandoffLive()) {
+				this.sendHandoffMessage(messageData);
+				return;
+			}
+
+			if (leadField) {
+				this.answerLeadConversation(message, metadata);
+				return;
+			}
+
+			// Ask for the visitor's details first, then answer the message
+			if (askLead) {
+				this.startLeadConversation(messageData);
+				return;
+			}
+
+			this.dispatchMessage(message, messageData.id);
+		}
+
+		/**
+		 * Send a message shown in the transcript to the AI, or queue it.
+		 *
+		 * @param {string} message   Message text.
+		 * @param {string} messageId ID of the user message bubble.
+		 */
+		dispatchMessage(message, messageId) {
+			const requestId = 'req-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+
+			// Keep the order of earlier unsent messages and don't try while offline
+			if (this.outbox.length > 0 || navigator.onLine === false) {
+				this.queueMessage({ id: requestId, messageId: messageId, message: message });
+				this.flushOutbox();
+				return;
+			}
+
+			this.deliverMessage(message, messageId, requestId);
+		}
 
+		/**
+		 * Send a message that is already shown in the transcript.
+		 *
+		 * @param {string} message   Message text.
+		 * @param {string} messageId ID of the user message bubble.
+		 * @param {string} requestId Request ID, reused when an outbox entry is retried.
+		 * @param {Object} revision  Optional {type: 'edit'|'regenerate', replacesId} when
+		 *                           the message revises the last turn.
+		 */
+		deliverMessage(message, messageId, requestId, revision = null) {
 			// Update state
 			this.setState({ 
 				isSending: true,
@@ -268,7 +686,36 @@
 			// Disable send button
 			this.$sendButton.prop('disabled', true);
 
-			$.ajax({
+			// Track the request so it can be stopped or queued for retry
+			this.activeRequest = {
+				id: requestId,
+				messageId: messageId,
+				message: message,
+				revision: revision,
+				aborted: false,
+				queued: false,
+				xhr: null,
+				controller: null,
+				stream: null,
+			};
+			this.updateMessageActions();
+			this.$sendButton.hide();
+			this.$stopButton.show().prop('disabled', false);
+
+			if (this.canStream()) {
+				this.streamMessage(message);
+			} else {
+				this.requestMessage(message);
+			}
+		}
+
+		/**
+		 * Send a message with a single request/response round trip.
+		 */
+		requestMessage(message) {
+			const request = this.activeRequest;
+
+			const xhr = $.ajax({
 				url: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
 				type: 'POST',
 				data: {
@@ -276,139 +723,603 @@
 					nonce: this.config.nonce || wpAiChatbot.nonce,
 					message: message,
 					conversation_id: this.state.conversationId,
+					request_id: request ? request.id : '',
+					...this.getRequestParams(request),
 				},
 				success: (response) => {
 					this.handleMessageResponse(response);
 				},
 				error: (xhr, status, error) => {
+					if (status === 'abort' || (request && request.aborted)) {
+						return;
+					}
+					if (xhr.status === 0 || status === 'timeout') {
+						this.queueForRetry(request, error || status);
+						return;
+					}
 					this.handleError(error);
 				},
 				complete: () => {
-					this.setState({ isSending: false });
-					this.$sendButton.prop('disabled', false);
-					this.hideTyping();
-					this.$input.focus();
-					this.saveState();
+					this.finishSending();
 				}
 			});
+
+			if (request) {
+				request.xhr = xhr;
+			}
 		}
 
 		/**
-		 * Handle message response from server.
+		 * Reset the composer once a send has completed.
 		 */
-		handleMessageResponse(response) {
-			if (!response.success) {
-				this.handleError(response.data?.message || 'Failed to send message');
+		finishSending() {
+			const request = this.activeRequest;
+
+			this.activeRequest = null;
+			this.$stopButton.hide();
+			this.$sendButton.show();
+			this.setState({ isSending: false });
+			this.$sendButton.prop('disabled', false);
+			this.hideTyping();
+			this.$input.focus();
+			this.saveState();
+			this.updateMessageActions();
+
+			// Anything but a network failure settles an outbox entry
+			if (request && !request.queued) {
+				this.removeFromOutbox(request.id);
+			}
+
+			this.flushOutbox();
+		}
+
+		/**
+		 * Stop the in-flight request.
+		 *
+		 * Aborts the request, asks the server to cancel generation, keeps any
+		 * partial answer marked as stopped and puts the message back in the input.
+		 * A question stopped before any of its answer arrived is taken out of
+		 * the transcript, so sending it again doesn't show it twice.
+		 */
+		stopGeneration() {
+			const request = this.activeRequest;
+
+			if (!request || request.aborted) {
 				return;
 			}
 
-			const data = response.data;
+			request.aborted = true;
+			this.$stopButton.prop('disabled', true);
 
-			// Update conversation ID
-			if (data.conversation_id) {
-				this.setState({ conversationId: data.conversation_id });
-				this.saveConversationId();
+			if (request.controller) {
+				request.controller.abort();
 			}
 
-			// Add assistant message
-			if (data.message) {
-				this.addMessage('assistant', data.message, {
-					citations: data.citations,
-					message_id: data.message_id,
-				});
+			if (request.xhr) {
+				request.xhr.abort();
 			}
 
-			// Handle lead capture trigger
-			if (data.show_lead_capture) {
-				this.showLeadCapture();
+			$.ajax({
+				url: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wp_ai_chatbot_cancel_message',
+					nonce: this.config.nonce || wpAiChatbot.nonce,
+					request_id: request.id,
+					conversation_id: this.state.conversationId,
+					session_id: this.getChatSessionId(),
+				},
+				error: () => {
+					console.error('Failed to cancel message');
+				}
+			});
+
+			// Let the user rephrase (an edited or regenerated turn keeps its bubble)
+			if (!request.revision) {
+				if (!request.stream || !request.stream.content) {
+					this.removeMessage(request.messageId);
+					this.saveMessages();
+					this.broadcast('messageRemoved', { id: request.messageId });
+				}
+
+				this.$input.val(request.message);
+				this.updateCharCount();
+				this.autoResize();
+				this.toggleSendButton();
 			}
 
-			// Update unread count if chat is closed
-			if (!this.state.isOpen) {
-				this.setState({ 
-					unreadCount: this.state.unreadCount + 1,
-					hasUnreadMessages: true,
-				});
-				this.updateUnreadBadge();
+			this.events.emit('generationStopped', request.message, this.state);
+		}
+
+		/**
+		 * Check if an error comes from an aborted request.
+		 */
+		isAbortError(error) {
+			return !!error && error.name === 'AbortError';
+		}
+
+		/**
+		 * Check if an error means the request never reached the server.
+		 *
+		 * fetch() rejects with a TypeError when the network fails.
+		 */
+		isNetworkError(error) {
+			if (this.isAbortError(error)) {
+				return false;
 			}
 
-			// Save state and messages
-			this.saveState();
-			this.saveMessages();
+			return navigator.onLine === false || error instanceof TypeError;
+		}
 
-			// Trigger event
-			$(document).trigger('wpAiChatbot:messageReceived', [data, this.state]);
+		/**
+		 * Check if the browser and config allow streaming responses.
+		 */
+		canStream() {
+			if (this.config.streaming === false || this.streamingUnavailable) {
+				return false;
+			}
+
+			return typeof window.fetch === 'function' &&
+				typeof window.ReadableStream === 'function' &&
+				typeof window.TextDecoder === 'function';
 		}
 
 		/**
-		 * Add a message to the chat.
+		 * Send a message and render the answer as it streams in.
+		 *
+		 * The server answers `wp_ai_chatbot_stream_message` with Server-Sent
+		 * Events: `start` ({conversation_id, message_id}), `token` ({text}),
+		 * `citations` ({citations}), `done` (same payload as the non-streaming
+		 * response) and `error` ({message}). A plain JSON answer is handled like
+		 * the non-streaming response; anything else falls back to requestMessage().
 		 */
-		addMessage(role, content, metadata = {}) {
-			// Hide welcome message
-			$('#wp-ai-chatbot-welcome').hide();
+		async streamMessage(message) {
+			const stream = {
+				$message: null,
+				content: '',
+				citations: null,
+				data: {},
+				done: false,
+				renderFrame: null,
+			};
+			const request = this.activeRequest;
+			let response;
 
-			const messageId = metadata.message_id || 'msg-' + Date.now();
-			const $message = $('<div>')
-				.addClass('wp-ai-chatbot-message')
-				.addClass('wp-ai-chatbot-message-' + role)
-				.attr('data-message-id', messageId)
-				.attr('role', 'article')
-				.attr('aria-label', role === 'user' ? 'Your message' : 'AI response');
+			if (request) {
+				// Lets stopGeneration() tell whether any answer arrived
+				request.stream = stream;
+			}
 
-			const $content = $('<div>').addClass('wp-ai-chatbot-message-content');
-			
-			if (role === 'user') {
-				$content.text(content);
-			} else {
-				// Format assistant message with citations
-				$content.html(this.formatAssistantMessage(content, metadata.citations));
-				
-				// Add feedback buttons
-				if (metadata.message_id) {
-					const $feedback = $('<div>')
-						.addClass('wp-ai-chatbot-message-feedback')
-						.attr('role', 'group')
-						.attr('aria-label', 'Rate this response');
-					
-					$feedback.append(
-						$('<button>')
-							.addClass('wp-ai-chatbot-feedback-btn wp-ai-chatbot-feedback-up')
-							.attr('type', 'button')
-							.attr('aria-label', 'Helpful')
-							.attr('data-message-id', metadata.message_id)
-							.html('<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><path d="M8 14V8M8 8V2M8 8H4L6 4H10L8 8Z" stroke="currentColor" stroke-width="2"/></svg>')
-					);
-					
-					$feedback.append(
-						$('<button>')
-							.addClass('wp-ai-chatbot-feedback-btn wp-ai-chatbot-feedback-down')
-							.attr('type', 'button')
-							.attr('aria-label', 'Not helpful')
-							.attr('data-message-id', metadata.message_id)
-							.html('<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><path d="M8 2V8M8 8V14M8 8H12L10 12H6L8 8Z" stroke="currentColor" stroke-width="2"/></svg>')
-					);
-					
-					$content.after($feedback);
-					
-					// Bind feedback handlers
-					$feedback.find('.wp-ai-chatbot-feedback-btn').on('click', (e) => {
-						const $btn = $(e.currentTarget);
-						const msgId = $btn.data('message-id');
-						const feedback = $btn.hasClass('wp-ai-chatbot-feedback-up') ? 'positive' : 'negative';
-						this.submitFeedback(msgId, feedback);
-						$feedback.find('.wp-ai-chatbot-feedback-btn').prop('disabled', true);
-						$btn.addClass('is-active');
-					});
-				}
+			if (request && typeof window.AbortController === 'function') {
+				request.controller = new AbortController();
 			}
 
-			$message.append($content);
-			this.$messages.append($message);
+			try {
+				response = await fetch(this.config.ajaxUrl || wpAiChatbot.ajaxUrl, {
+					method: 'POST',
+					signal: request && request.controller ? request.controller.signal : undefined,
+					headers: {
+						'Accept': 'text/event-stream, application/json',
+						'Content-Type': 'application/x-www-form-urlencoded',
+					},
+					credentials: 'same-origin',
+					body: new URLSearchParams({
+						action: this.config.streamAction || 'wp_ai_chatbot_stream_message',
+						nonce: this.config.nonce || wpAiChatbot.nonce,
+						message: message,
+						conversation_id: this.state.conversationId || '',
+						request_id: request ? request.id : '',
+						...this.getRequestParams(request),
+					}).toString(),
+				});
+			} catch (e) {
+				if (this.isNetworkError(e)) {
+					this.queueForRetry(request, e);
+				} else if (!this.isAbortError(e)) {
+					this.handleError(e);
+				}
+				this.finishSending();
+				return;
+			}
 
-			// Scroll to bottom
-			this.scrollToBottom();
+			const contentType = response.headers.get('Content-Type') || '';
 
-			// Store message in state
+			if (contentType.indexOf('application/json') !== -1) {
+				try {
+					this.handleMessageResponse(await response.json());
+				} catch (e) {
+					if (!this.isAbortError(e)) {
+						this.handleError(e);
+					}
+				}
+				this.finishSending();
+				return;
+			}
+
+			if (!response.ok || !response.body || contentType.indexOf('text/event-stream') === -1) {
+				// Streaming endpoint is missing or unsupported, use the regular request from now on
+				this.streamingUnavailable = true;
+				this.requestMessage(message);
+				return;
+			}
+
+			try {
+				await this.readEventStream(response.body, (event, payload) => {
+					this.handleStreamEvent(stream, event, payload);
+				});
+
+				if (!stream.done) {
+					if (!stream.content) {
+						throw new Error(__('Stream closed without a response'));
+					}
+
+					// Stream closed without a final event, keep what arrived
+					this.completeStream(stream, {});
+				}
+			} catch (e) {
+				const stopped = this.isAbortError(e) || (request && request.aborted);
+
+				if (stream.done) {
+					// Final payload was already applied
+				} else if (request && request.discarded) {
+					// Widget was reset or destroyed, nothing to keep
+				} else if (stream.content) {
+					this.finalizeStreamingMessage(stream, {
+						...stream.data,
+						citations: stream.citations,
+						stopped: stopped,
+						incomplete: !stopped,
+					});
+				} else if (stream.$message) {
+					this.removeMessageElement(stream.$message);
+				}
+
+				if (stopped) {
+					// Partial answer (if any) was kept
+				} else if (!stream.content && this.isNetworkError(e)) {
+					this.queueForRetry(request, e);
+				} else {
+					this.handleError(e);
+				}
+			} finally {
+				cancelAnimationFrame(stream.renderFrame);
+				this.finishSending();
+			}
+		}
+
+		/**
+		 * Read a Server-Sent Events body and dispatch each event.
+		 */
+		async readEventStream(body, onEvent) {
+			const reader = body.getReader();
+			const decoder = new TextDecoder();
+			let buffer = '';
+
+			const dispatch = (block) => {
+				let event = 'message';
+				const data = [];
+
+				block.split(/\r?\n/).forEach((line) => {
+					if (line.indexOf('event:') === 0) {
+						event = line.slice(6).trim();
+					} else if (line.indexOf('data:') === 0) {
+						data.push(line.slice(5).replace(/^ /, ''));
+					}
+				});
+
+				if (data.length === 0) {
+					return;
+				}
+
+				const raw = data.join('\n');
+				let payload;
+				try {
+					payload = JSON.parse(raw);
+				} catch (e) {
+					payload = null;
+				}
+
+				if (!payload || typeof payload !== 'object') {
+					payload = { text: raw };
+				}
+
+				onEvent(event, payload);
+			};
+
+			while (true) {
+				const { value, done } = await reader.read();
+				if (done) {
+					break;
+				}
+
+				buffer += decoder.decode(value, { stream: true });
+
+				const blocks = buffer.split(/\r?\n\r?\n/);
+				buffer = blocks.pop();
+				blocks.forEach(dispatch);
+			}
+
+			buffer += decoder.decode();
+			if (buffer.trim()) {
+				dispatch(buffer);
+			}
+		}
+
+		/**
+		 * Handle a single streaming event.
+		 */
+		handleStreamEvent(stream, event, payload) {
+			switch (event) {
+				case 'start':
+					stream.data = { ...stream.data, ...payload };
+					break;
+
+				case 'token':
+				case 'message':
+					if (!stream.$message) {
+						this.hideTyping();
+						stream.$message = this.createStreamingMessage();
+					}
+					stream.content += payload.text || '';
+					this.scheduleStreamRender(stream);
+					break;
+
+				case 'citations':
+					stream.citations = payload.citations || [];
+					this.scheduleStreamRender(stream);
+					break;
+
+				case 'done':
+					this.completeStream(stream, payload);
+					break;
+
+				case 'error':
+					throw new Error(payload.message || __('Streaming failed'));
+			}
+		}
+
+		/**
+		 * Create the assistant bubble that streamed tokens are rendered into.
+		 */
+		createStreamingMessage() {
+			$('#wp-ai-chatbot-welcome').hide();
+
+			const $message = $('<div>')
+				.addClass('wp-ai-chatbot-message wp-ai-chatbot-message-assistant is-streaming')
+				.attr('role', 'article')
+				.attr('aria-label', __('AI response'))
+				.attr('aria-busy', 'true')
+				.append($('<div>').addClass('wp-ai-chatbot-message-content'));
+
+			// Keyed until the reply has its own ID
+			this.appendMessageElement($message, 'streaming-' + Date.now());
+			this.scrollToBottom();
+
+			return $message;
+		}
+
+		/**
+		 * Render the streamed content at most once per animation frame.
+		 */
+		scheduleStreamRender(stream) {
+			if (!stream.$message || stream.renderFrame) {
+				return;
+			}
+
+			stream.renderFrame = requestAnimationFrame(() => {
+				stream.renderFrame = null;
+				stream.$message
+					.find('.wp-ai-chatbot-message-content')
+					.html(this.formatAssistantMessage(stream.content, stream.citations));
+				this.$messages.scrollTop(this.$messages[0].scrollHeight);
+			});
+		}
+
+		/**
+		 * Complete a stream with its final payload.
+		 */
+		completeStream(stream, payload) {
+			stream.done = true;
+
+			const data = { ...stream.data, ...payload };
+
+			if (!data.message) {
+				data.message = stream.content;
+			}
+
+			if (!data.citations && stream.citations) {
+				data.citations = stream.citations;
+			}
+
+			this.handleMessageResponse({ success: true, data: data }, stream);
+		}
+
+		/**
+		 * Turn the streaming bubble into a regular assistant message.
+		 */
+		finalizeStreamingMessage(stream, metadata = {}) {
+			cancelAnimationFrame(stream.renderFrame);
+			stream.renderFrame = null;
+
+			const messageId = metadata.message_id || 'msg-' + Date.now();
+			const $content = stream.$message.find('.wp-ai-chatbot-message-content');
+
+			stream.$message
+				.removeClass('is-streaming')
+				.removeAttr('aria-busy')
+				.attr('data-message-id', messageId);
+
+			if (this.virtualList) {
+				this.virtualList.setId(stream.$message[0], messageId);
+			}
+
+			$content.html(this.formatAssistantMessage(stream.content, metadata.citations));
+
+			if (metadata.stopped) {
+				this.markStopped(stream.$message);
+			} else if (metadata.message_id) {
+				$content.after(this.createFeedbackButtons(metadata.message_id, metadata.feedback));
+			}
+
+			if (metadata.blocks) {
+				$content.after(this.renderBlocks(messageId, metadata));
+			}
+
+			$content.after(this.createSourcesPanel(metadata.citations));
+
+			const messageData = {
+				id: messageId,
+				role: 'assistant',
+				content: stream.content,
+				metadata: metadata,
+				timestamp: new Date().toISOString(),
+			};
+
+			this.state.messages.push(messageData);
+			this.saveMessages();
+			this.broadcast('message', messageData);
+			this.updateMessageActions();
+
+			this.events.emit('messageAdded', messageData, this.state);
+		}
+
+		/**
+		 * Handle message response from server.
+		 *
+		 * @param {Object} response Server response.
+		 * @param {Object} stream   Optional streaming state whose bubble holds the answer.
+		 */
+		handleMessageResponse(response, stream = null) {
+			if (!response.success) {
+				if (stream && stream.$message) {
+					this.removeMessageElement(stream.$message);
+				}
+				this.handleError(response.data?.message || __('Failed to send message'));
+				return;
+			}
+
+			const data = response.data;
+
+			// Update conversation ID
+			if (data.conversation_id && data.conversation_id !== this.state.conversationId) {
+				this.setState({ conversationId: data.conversation_id });
+				this.saveConversationId();
+				this.updatePolling();
+			}
+
+			// Proves to the server that later requests come from this visitor
+			if (data.session_id && data.session_id !== this.state.chatSessionId) {
+				this.setState({ chatSessionId: data.session_id });
+				this.storage.set(this.storageKeys.chatSessionId, data.session_id);
+			}
+
+			// Keep the server ID of the question so a later edit can reference it
+			if (data.user_message_id && this.activeRequest) {
+				const question = this.state.messages.find((msg) => msg.id === this.activeRequest.messageId);
+				if (question) {
+					question.metadata = { ...question.metadata, message_id: data.user_message_id };
+				}
+			}
+
+			// Add assistant message
+			const metadata = {
+				citations: data.citations,
+				message_id: data.message_id,
+				...this.getBlockMetadata(data.blocks),
+			};
+
+			if (stream && stream.$message) {
+				stream.content = data.message || stream.content;
+				this.finalizeStreamingMessage(stream, metadata);
+			} else if (data.message || metadata.blocks) {
+				this.addMessage('assistant', data.message || '', metadata);
+			}
+
+			if (data.intent) {
+				this.events.emit('intentDetected', data.intent, this.state);
+			}
+
+			// The server escalated the conversation to a human agent
+			if (data.escalation && data.escalation.escalated) {
+				this.startHandoff({ escalationId: data.escalation.escalation_id, lastMessageId: data.message_id || 0 });
+			}
+
+			// Handle lead capture trigger, from the server or the intent of the reply
+			if (data.show_lead_capture || (data.intent && this.shouldShowLeadCapture({ intent: data.intent }))) {
+				this.showLeadCapture();
+			}
+
+			// Update unread count if chat is closed
+			if (!this.state.isOpen) {
+				this.setState({ 
+					unreadCount: this.state.unreadCount + 1,
+					hasUnreadMessages: true,
+				});
+				this.updateUnreadBadge();
+			}
+
+			// Save state and messages
+			this.saveState();
+			this.saveMessages();
+
+			// Trigger event
+			this.events.emit('messageReceived', data, this.state);
+		}
+
+		/**
+		 * Add a message to the chat.
+		 */
+		addMessage(role, content, metadata = {}) {
+			// Hide welcome message
+			$('#wp-ai-chatbot-welcome').hide();
+
+			// Unique even for messages added in the same tick, e.g. an answer and the next question
+			const messageId = metadata.message_id || 'msg-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+			const $message = $('<div>')
+				.addClass('wp-ai-chatbot-message')
+				.addClass('wp-ai-chatbot-message-' + role)
+				.attr('data-message-id', messageId)
+				.attr('role', 'article')
+				.attr('aria-label', this.getMessageLabel(role, metadata));
+
+			const $content = $('<div>').addClass('wp-ai-chatbot-message-content');
+			
+			if (role === 'user' || role === 'system') {
+				$content.text(content);
+			} else {
+				// Format assistant message with citations
+				$content.html(this.formatAssistantMessage(content, metadata.citations));
+			}
+
+			$message.append($content);
+
+			// Add feedback buttons, once the content is in the message
+			if (metadata.message_id && role === 'assistant') {
+				$content.after(this.createFeedbackButtons(metadata.message_id, metadata.feedback));
+			}
+
+			if (role === 'agent') {
+				$message.prepend(this.createAgentHeader(metadata.agent));
+			}
+
+			if (metadata.blocks) {
+				$content.after(this.renderBlocks(messageId, metadata));
+			}
+
+			if (role === 'assistant') {
+				$content.after(this.createSourcesPanel(metadata.citations));
+			}
+
+			if (metadata.attachments && metadata.attachments.length) {
+				$message.append(this.createAttachmentList(metadata.attachments));
+			}
+
+			this.appendMessageElement($message, messageId);
+
+			// Scroll to bottom
+			this.scrollToBottom();
+
+			// Store message in state
 			const messageData = {
 				id: messageId,
 				role: role,
@@ -421,453 +1332,4456 @@
 			
 			// Save messages
 			this.saveMessages();
+			this.broadcast('message', messageData);
+			this.updateMessageActions();
 			
 			// Trigger event
-			$(document).trigger('wpAiChatbot:messageAdded', [messageData, this.state]);
+			this.events.emit('messageAdded', messageData, this.state);
+
+			return messageData;
 		}
 
 		/**
-		 * Format assistant message with citations.
+		 * Metadata for structured blocks in a server response.
+		 *
+		 * Stores the blocks with their plain-text fallback, which is shown when
+		 * the history is restored without the renderers.
+		 *
+		 * @param {Array} blocks Structured blocks from the server.
+		 * @returns {Object} {blocks, blocks_text}, or nothing without blocks.
 		 */
-		formatAssistantMessage(content, citations) {
-			if (!citations || !Array.isArray(citations) || citations.length === 0) {
-				return this.escapeHtml(content);
+		getBlockMetadata(blocks) {
+			if (!Array.isArray(blocks) || blocks.length === 0) {
+				return {};
 			}
 
-			let formatted = this.escapeHtml(content);
+			return {
+				blocks: blocks,
+				blocks_text: this.renderers ? this.renderers.toText(blocks) : '',
+			};
+		}
 
-			// Replace citation markers with links
-			citations.forEach((citation, index) => {
-				const marker = `[${index + 1}]`;
-				const url = citation.source_url || citation.url || '#';
-				const title = citation.title || citation.source_url || 'Source';
-				
-				const link = `<a href="${this.escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="wp-ai-chatbot-citation" aria-label="Citation ${index + 1}: ${this.escapeHtml(title)}">${marker}</a>`;
-				formatted = formatted.replace(new RegExp('\\[' + (index + 1) + '\\]', 'g'), link);
+		/**
+		 * Render the structured blocks of a message.
+		 *
+		 * @param {string} messageId Message ID.
+		 * @param {Object} metadata  Message metadata with blocks.
+		 * @returns {jQuery} Rendered blocks.
+		 */
+		renderBlocks(messageId, metadata) {
+			if (!this.renderers) {
+				return $('<div>')
+					.addClass('wp-ai-chatbot-blocks')
+					.append($('<p>').addClass('wp-ai-chatbot-block-fallback').text(metadata.blocks_text || ''));
+			}
+
+			return this.renderers.render(metadata.blocks, {
+				onAction: (action, block) => {
+					this.events.emit('blockAction', action, block, messageId);
+					this.sendMessage(action.label, { postback: action.value });
+				},
 			});
+		}
 
-			return formatted;
+		/**
+		 * Remove quick replies once the visitor has answered.
+		 */
+		dismissQuickReplies() {
+			let changed = false;
+
+			this.getMessageElements().find('.wp-ai-chatbot-block[data-block-type="quick_replies"]').remove();
+
+			this.state.messages.forEach((msg) => {
+				const blocks = msg.metadata && msg.metadata.blocks;
+
+				if (blocks && blocks.some((block) => block.type === 'quick_replies')) {
+					const { blocks: removed, blocks_text: removedText, ...metadata } = msg.metadata;
+
+					msg.metadata = {
+						...metadata,
+						...this.getBlockMetadata(blocks.filter((block) => block.type !== 'quick_replies')),
+					};
+					changed = true;
+				}
+			});
+
+			if (changed) {
+				this.saveMessages();
+			}
 		}
 
 		/**
-		 * Escape HTML.
+		 * Mark an assistant message as stopped by the user.
 		 */
-		escapeHtml(text) {
-			const map = {
-				'&': '&amp;',
-				'<': '&lt;',
-				'>': '&gt;',
-				'"': '&quot;',
-				"'": '&#039;'
-			};
-			return text.replace(/[&<>"']/g, m => map[m]);
+		markStopped($message) {
+			$message
+				.addClass('is-stopped')
+				.append(
+					$('<div>')
+						.addClass('wp-ai-chatbot-message-status')
+						.text(__('Stopped'))
+				);
 		}
 
 		/**
-		 * Show typing indicator.
+		 * Accessible name of a message.
+		 *
+		 * @param {string} role     Message role.
+		 * @param {Object} metadata Message metadata.
+		 * @returns {string} Label.
 		 */
-		showTyping() {
-			this.setState({ isTyping: true });
-			this.$typingIndicator.show().attr('aria-hidden', 'false');
-			this.scrollToBottom();
-			
-			// Auto-hide after timeout (safety measure)
-			clearTimeout(this.typingTimeout);
-			this.typingTimeout = setTimeout(() => {
-				this.hideTyping();
-			}, 30000); // 30 seconds max
+		getMessageLabel(role, metadata = {}) {
+			switch (role) {
+				case 'user':
+					return __('Your message');
+				case 'agent':
+					/* translators: %s: name of the support agent. */
+					return sprintf(__('Message from %s'), (metadata.agent && metadata.agent.name) || __('Support agent'));
+				case 'system':
+					return __('Notice');
+				default:
+					return __('AI response');
+			}
+		}
+
+		/**
+		 * Create the name and avatar above an agent message.
+		 *
+		 * @param {Object} agent Optional {name, avatar}.
+		 * @returns {jQuery} Header.
+		 */
+		createAgentHeader(agent) {
+			const $header = $('<div>').addClass('wp-ai-chatbot-message-author');
+
+			if (agent && this.isSafeUrl(agent.avatar)) {
+				$header.append($('<img>').addClass('wp-ai-chatbot-message-author-avatar').attr({ src: agent.avatar, alt: '' }));
+			}
+
+			return $header.append(
+				$('<span>').addClass('wp-ai-chatbot-message-author-name').text((agent && agent.name) || __('Support agent'))
+			);
+		}
+
+		/**
+		 * Create the feedback buttons for an assistant message.
+		 *
+		 * A vote can be changed, or taken back by clicking it again. A thumbs
+		 * down opens a panel asking what went wrong.
+		 *
+		 * @param {string|number} messageId Server message ID.
+		 * @param {Object}        feedback  Optional feedback given before, {type, reason, comment}.
+		 * @returns {jQuery} Feedback buttons.
+		 */
+		createFeedbackButtons(messageId, feedback = null) {
+			const $feedback = $('<div>')
+				.addClass('wp-ai-chatbot-message-feedback')
+				.attr('role', 'group')
+				.attr('aria-label', __('Rate this response'));
+
+			$feedback.append(
+				$('<button>')
+					.addClass('wp-ai-chatbot-feedback-btn wp-ai-chatbot-feedback-up')
+					.attr('type', 'button')
+					.attr('aria-label', __('Helpful'))
+					.attr('data-message-id', messageId)
+					.html('<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><path d="M8 14V8M8 8V2M8 8H4L6 4H10L8 8Z" stroke="currentColor" stroke-width="2"/></svg>')
+			);
+
+			$feedback.append(
+				$('<button>')
+					.addClass('wp-ai-chatbot-feedback-btn wp-ai-chatbot-feedback-down')
+					.attr('type', 'button')
+					.attr('aria-label', __('Not helpful'))
+					.attr('data-message-id', messageId)
+					.html('<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><path d="M8 2V8M8 8V14M8 8H12L10 12H6L8 8Z" stroke="currentColor" stroke-width="2"/></svg>')
+			);
+
+			this.setFeedbackButtons($feedback, this.getFeedbackRating(feedback));
+
+			// Bind feedback handlers
+			$feedback.find('.wp-ai-chatbot-feedback-btn').on('click', (e) => {
+				const $btn = $(e.currentTarget);
+				const msgId = $btn.data('message-id');
+				const feedback = $btn.hasClass('wp-ai-chatbot-feedback-up') ? 'positive' : 'negative';
+
+				// Clicking the active vote takes it back
+				this.vote($feedback, msgId, $btn.hasClass('is-active') ? '' : feedback);
+			});
+
+			return $feedback;
+		}
+
+		/**
+		 * Get the rating of stored feedback.
+		 *
+		 * @param {Object} feedback Feedback, {type}, as stored in message metadata.
+		 * @returns {string} 'positive', 'negative', or an empty string.
+		 */
+		getFeedbackRating(feedback) {
+			if (!feedback || !feedback.type) {
+				return '';
+			}
+
+			return feedback.type === 'thumbs_down' ? 'negative' : 'positive';
+		}
+
+		/**
+		 * Show which vote is active.
+		 *
+		 * @param {jQuery} $feedback Feedback buttons.
+		 * @param {string} rating    'positive', 'negative', or an empty string.
+		 */
+		setFeedbackButtons($feedback, rating) {
+			$feedback.find('.wp-ai-chatbot-feedback-up')
+				.toggleClass('is-active', rating === 'positive')
+				.attr('aria-pressed', rating === 'positive' ? 'true' : 'false');
+
+			$feedback.find('.wp-ai-chatbot-feedback-down')
+				.toggleClass('is-active', rating === 'negative')
+				.attr('aria-pressed', rating === 'negative' ? 'true' : 'false');
+		}
+
+		/**
+		 * Vote on an answer, change the vote, or take it back.
+		 *
+		 * The buttons change at once and go back if the vote can't be saved.
+		 *
+		 * @param {jQuery}        $feedback Feedback buttons.
+		 * @param {string|number} messageId Server message ID.
+		 * @param {string}        rating    'positive', 'negative', or an empty string to take the vote back.
+		 */
+		vote($feedback, messageId, rating) {
+			const previous = $feedback.find('.wp-ai-chatbot-feedback-up').hasClass('is-active')
+				? 'positive'
+				: ($feedback.find('.wp-ai-chatbot-feedback-down').hasClass('is-active') ? 'negative' : '');
+
+			this.setFeedbackButtons($feedback, rating);
+
+			if (rating === 'negative') {
+				this.openFeedbackPanel($feedback, messageId);
+			} else {
+				this.closeFeedbackPanel($feedback);
+			}
+
+			this.submitFeedback(messageId, rating).fail(() => {
+				this.setFeedbackButtons($feedback, previous);
+				this.closeFeedbackPanel($feedback);
+			});
+		}
+
+		/**
+		 * Get the reasons offered after a thumbs down.
+		 *
+		 * Keys match Feedback_Handler's reasons; the `feedbackReasons` setting
+		 * replaces them.
+		 *
+		 * @returns {Array} Reasons, {value, label}.
+		 */
+		getFeedbackReasons() {
+			return this.config.feedbackReasons || [
+				{ value: 'inaccurate', label: __('Inaccurate') },
+				{ value: 'outdated', label: __('Outdated') },
+				{ value: 'not_answered', label: __('Didn\'t answer my question') },
+				{ value: 'irrelevant', label: __('Not relevant') },
+				{ value: 'confusing', label: __('Hard to understand') },
+				{ value: 'other', label: __('Something else') },
+			];
+		}
+
+		/**
+		 * Open the panel asking what went wrong, below the feedback buttons.
+		 *
+		 * @param {jQuery}        $feedback Feedback buttons.
+		 * @param {string|number} messageId Server message ID.
+		 */
+		openFeedbackPanel($feedback, messageId) {
+			if ($feedback.next('.wp-ai-chatbot-feedback-panel').length) {
+				return;
+			}
+
+			const id = 'wp-ai-chatbot-feedback-' + messageId;
+			const $panel = $('<form>')
+				.addClass('wp-ai-chatbot-feedback-panel')
+				.attr('aria-labelledby', id + '-title');
+
+			$panel.append($('<p>').addClass('wp-ai-chatbot-feedback-title').attr('id', id + '-title').text(__('What went wrong?')));
+
+			const $reasons = $('<div>').addClass('wp-ai-chatbot-feedback-reasons');
+			this.getFeedbackReasons().forEach((reason) => {
+				$reasons.append(
+					$('<button>')
+						.addClass('wp-ai-chatbot-feedback-reason')
+						.attr({ type: 'button', 'aria-pressed': 'false', 'data-reason': reason.value })
+						.text(reason.label)
+				);
+			});
+
+			const $comment = $('<textarea>')
+				.addClass('wp-ai-chatbot-feedback-comment')
+				.attr({
+					id: id + '-comment',
+					rows: 2,
+					maxlength: 1000,
+					placeholder: __('Tell us more (optional)'),
+					'aria-label': __('Comment'),
+				});
+
+			const $send = $('<button>')
+				.addClass('wp-ai-chatbot-button wp-ai-chatbot-button-primary wp-ai-chatbot-feedback-send')
+				.attr('type', 'submit')
+				.prop('disabled', true)
+				.text(__('Send'));
+
+			const $close = $('<button>')
+				.addClass('wp-ai-chatbot-button wp-ai-chatbot-button-secondary wp-ai-chatbot-feedback-close')
+				.attr('type', 'button')
+				.text(__('Close'));
+
+			const $status = $('<p>').addClass('wp-ai-chatbot-feedback-status').attr('role', 'status');
+
+			$panel.append($reasons, $comment, $('<div>').addClass('wp-ai-chatbot-feedback-actions').append($send, $close), $status);
+
+			const canSend = () => {
+				$send.prop('disabled', !$reasons.find('[aria-pressed="true"]').length && !$comment.val().trim());
+			};
+
+			// One reason at a time
+			$reasons.on('click', '.wp-ai-chatbot-feedback-reason', (e) => {
+				const $reason = $(e.currentTarget);
+				const pressed = $reason.attr('aria-pressed') !== 'true';
+
+				$reasons.find('.wp-ai-chatbot-feedback-reason').removeClass('is-active').attr('aria-pressed', 'false');
+				$reason.toggleClass('is-active', pressed).attr('aria-pressed', pressed ? 'true' : 'false');
+				canSend();
+			});
+
+			$comment.on('input', canSend);
+
+			$close.on('click', () => this.closeFeedbackPanel($feedback));
+
+			$panel.on('submit', (e) => {
+				e.preventDefault();
+
+				$send.prop('disabled', true);
+				$status.text('');
+
+				this.submitFeedback(messageId, 'negative', {
+					reason: $reasons.find('[aria-pressed="true"]').data('reason') || '',
+					comment: $comment.val().trim(),
+				}).done(() => {
+					$panel.children().not($status).remove();
+					$status.text(__('Thanks for your feedback.'));
+					setTimeout(() => this.closeFeedbackPanel($feedback), 2000);
+				}).fail(() => {
+					$status.text(__('Your feedback could not be sent. Please try again.'));
+					canSend();
+				});
+			});
+
+			$feedback.after($panel);
+			$reasons.find('.wp-ai-chatbot-feedback-reason').first().trigger('focus');
+		}
+
+		/**
+		 * Close the panel asking what went wrong.
+		 *
+		 * @param {jQuery} $feedback Feedback buttons.
+		 */
+		closeFeedbackPanel($feedback) {
+			$feedback.next('.wp-ai-chatbot-feedback-panel').remove();
+		}
+
+		/**
+		 * Format assistant message with citations.
+		 */
+		formatAssistantMessage(content, citations) {
+			// Render Markdown when the renderer is loaded
+			if (this.markdown) {
+				return this.markdown.render(content, {
+					citations: citations,
+					citationLink: (index, citation) => this.formatCitationLink(index, citation),
+				});
+			}
+
+			if (!citations || !Array.isArray(citations) || citations.length === 0) {
+				return this.escapeHtml(content);
+			}
+
+			let formatted = this.escapeHtml(content);
+
+			// Replace citation markers with links
+			citations.forEach((citation, index) => {
+				const link = this.formatCitationLink(index, citation);
+				formatted = formatted.replace(new RegExp('\\[' + (index + 1) + '\\]', 'g'), link);
+			});
+
+			return formatted;
+		}
+
+		/**
+		 * Format a citation marker link.
+		 */
+		formatCitationLink(index, citation) {
+			const marker = `[${index + 1}]`;
+			const url = citation.source_url || citation.url || '#';
+			const title = citation.title || citation.source_url || __('Source');
+
+			return `<a href="${this.escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="wp-ai-chatbot-citation" data-citation-index="${index}" aria-label="${this.escapeHtml(sprintf(__('Citation %1$d: %2$s'), index + 1, title))}">${marker}</a>`;
+		}
+
+		/**
+		 * Get the citation a link points to.
+		 *
+		 * @param {jQuery} $link Citation or source link.
+		 * @returns {Object|null} {message, citation, index}.
+		 */
+		getCitationFor($link) {
+			const messageId = $link.closest('.wp-ai-chatbot-message').attr('data-message-id');
+			const message = this.state.messages.find((msg) => msg.id === messageId);
+			const index = parseInt($link.attr('data-citation-index'), 10);
+			const citations = message && message.metadata && message.metadata.citations;
+
+			if (!citations || isNaN(index) || !citations[index]) {
+				return null;
+			}
+
+			return { message: message, citation: citations[index], index: index };
+		}
+
+		/**
+		 * Show a preview of the cited source next to a citation marker.
+		 */
+		showCitationPopover($link) {
+			const data = this.getCitationFor($link);
+
+			clearTimeout(this.citationPopoverTimer);
+
+			if (!data) {
+				return;
+			}
+
+			const citation = data.citation;
+			const url = citation.source_url || citation.url || '';
+			let host = '';
+			let favicon = '';
+
+			try {
+				const parsed = new URL(url, window.location.href);
+				host = parsed.hostname.replace(/^www\./, '');
+				favicon = parsed.origin + '/favicon.ico';
+			} catch (e) {
+				// Not a URL, show the preview without host
+			}
+
+			if (!this.$citationPopover) {
+				this.$citationPopover = $('<div>')
+					.attr('id', 'wp-ai-chatbot-citation-popover')
+					.addClass('wp-ai-chatbot-citation-popover')
+					.attr('role', 'tooltip')
+					.on('mouseenter', () => clearTimeout(this.citationPopoverTimer))
+					.on('mouseleave', () => this.hideCitationPopover(150))
+					.appendTo(this.$container);
+			}
+
+			const $header = $('<div>').addClass('wp-ai-chatbot-citation-popover-header');
+
+			if (this.isSafeUrl(citation.thumbnail)) {
+				$header.append($('<img>').addClass('wp-ai-chatbot-citation-popover-thumb').attr('src', citation.thumbnail).attr('alt', ''));
+			} else if (favicon) {
+				$header.append(
+					$('<img>')
+						.addClass('wp-ai-chatbot-citation-popover-favicon')
+						.attr('src', favicon)
+						.attr('alt', '')
+						.on('error', (e) => $(e.currentTarget).remove())
+				);
+			}
+
+			$header.append(
+				$('<span>')
+					.addClass('wp-ai-chatbot-citation-popover-title')
+					.append(
+						$('<strong>').text(citation.title || host || __('Source')),
+						host ? $('<span>').addClass('wp-ai-chatbot-citation-popover-host').text(host) : null
+					)
+			);
+
+			this.$citationPopover.empty().append($header);
+
+			if (citation.excerpt) {
+				this.$citationPopover.append($('<p>').addClass('wp-ai-chatbot-citation-popover-excerpt').text(citation.excerpt));
+			}
+
+			// Position under the marker, kept inside the widget
+			const linkRect = $link[0].getBoundingClientRect();
+			const boxRect = this.$container[0].getBoundingClientRect();
+			const width = this.$citationPopover.outerWidth() || 260;
+			const left = Math.max(boxRect.left + 8, Math.min(linkRect.left, boxRect.right - width - 8));
+
+			this.$citationPopover
+				.css({ top: linkRect.bottom + 6, left: left })
+				.addClass('is-visible');
+
+			this.$messages.find('[aria-describedby="wp-ai-chatbot-citation-popover"]').removeAttr('aria-describedby');
+			$link.attr('aria-describedby', 'wp-ai-chatbot-citation-popover');
+		}
+
+		/**
+		 * Hide the citation preview.
+		 *
+		 * @param {number} delay Optional delay so the pointer can move onto the preview.
+		 */
+		hideCitationPopover(delay = 0) {
+			clearTimeout(this.citationPopoverTimer);
+
+			this.citationPopoverTimer = setTimeout(() => {
+				if (this.$citationPopover) {
+					this.$citationPopover.removeClass('is-visible');
+				}
+				this.$messages.find('[aria-describedby="wp-ai-chatbot-citation-popover"]').removeAttr('aria-describedby');
+			}, delay);
+		}
+
+		/**
+		 * Create the collapsible list of sources cited by an answer.
+		 *
+		 * Sources cited more than once are listed once with all their markers.
+		 *
+		 * @param {Array} citations Message citations.
+		 * @returns {jQuery|null} Sources panel, or null without citations.
+		 */
+		createSourcesPanel(citations) {
+			if (!Array.isArray(citations) || citations.length === 0) {
+				return null;
+			}
+
+			const sources = [];
+
+			citations.forEach((citation, index) => {
+				const url = citation.source_url || citation.url || '';
+				const existing = url ? sources.find((source) => source.url === url) : null;
+
+				if (existing) {
+					existing.numbers.push(index + 1);
+				} else {
+					sources.push({ url: url, citation: citation, index: index, numbers: [index + 1] });
+				}
+			});
+
+			const $list = $('<ol>').addClass('wp-ai-chatbot-sources-list');
+
+			sources.forEach((source) => {
+				const title = source.citation.title || source.url || __('Source');
+				const $item = $('<li>').append(
+					$('<span>').addClass('wp-ai-chatbot-sources-numbers').text(source.numbers.map((n) => '[' + n + ']').join(''))
+				);
+
+				if (this.isSafeUrl(source.url)) {
+					$item.append(
+						$('<a>')
+							.addClass('wp-ai-chatbot-source-link')
+							.attr({ href: source.url, target: '_blank', rel: 'noopener noreferrer' })
+							.attr('data-citation-index', source.index)
+							.text(title)
+					);
+				} else {
+					$item.append($('<span>').text(title));
+				}
+
+				$list.append($item);
+			});
+
+			return $('<details>')
+				.addClass('wp-ai-chatbot-sources')
+				.append(
+					$('<summary>').text(sprintf(__('Sources (%d)'), sources.length)),
+					$list
+				);
+		}
+
+		/**
+		 * Report a citation click so Citation_Tracker can count opened sources.
+		 *
+		 * @param {jQuery} $link    Clicked link.
+		 * @param {string} location Where the link was: 'inline' or 'sources'.
+		 */
+		reportCitationClick($link, location) {
+			const data = this.getCitationFor($link);
+
+			if (!data) {
+				return;
+			}
+
+			const messageId = (data.message.metadata && data.message.metadata.message_id) || '';
+			const params = {
+				action: 'wp_ai_chatbot_track_citation_click',
+				nonce: this.config.nonce || wpAiChatbot.nonce,
+				message_id: messageId,
+				chunk_id: data.citation.chunk_id || '',
+				source_url: data.citation.source_url || data.citation.url || '',
+				position: data.index + 1,
+				location: location,
+			};
+
+			this.events.emit('citationClicked', data.citation, params, this.state);
+
+			if (!messageId) {
+				return;
+			}
+
+			// The source opens in a new tab, but a beacon also survives navigation
+			if (navigator.sendBeacon) {
+				const body = new FormData();
+				Object.keys(params).forEach((key) => body.append(key, params[key]));
+
+				if (navigator.sendBeacon(this.config.ajaxUrl || wpAiChatbot.ajaxUrl, body)) {
+					return;
+				}
+			}
+
+			$.ajax({
+				url: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
+				type: 'POST',
+				data: params,
+			});
+		}
+
+		/**
+		 * Copy a code block to the clipboard.
+		 */
+		copyCodeBlock($button) {
+			const code = $button.closest('.wp-ai-chatbot-code-block').find('code').text();
+
+			this.copyText(code).then((copied) => {
+				if (!copied) {
+					console.error('Failed to copy code');
+					return;
+				}
+
+				$button.text(__('Copied')).addClass('is-copied');
+				clearTimeout($button.data('resetTimer'));
+				$button.data('resetTimer', setTimeout(() => {
+					$button.text(__('Copy')).removeClass('is-copied');
+				}, 2000));
+			});
+		}
+
+		/**
+		 * Copy text to the clipboard.
+		 *
+		 * @param {string} text Text to copy.
+		 * @returns {Promise} Resolves to whether the text was copied.
+		 */
+		copyText(text) {
+			// Fallback for browsers without the async clipboard API, or
+			// when it refuses because the click was too long ago
+			const fallback = () => {
+				const $textarea = $('<textarea>')
+					.val(text)
+					.attr('readonly', '')
+					.css({ position: 'fixed', top: '-1000px', opacity: 0 })
+					.appendTo('body');
+				let copied = false;
+
+				$textarea[0].select();
+				try {
+					copied = document.execCommand('copy');
+				} catch (e) {
+					copied = false;
+				}
+				$textarea.remove();
+
+				return copied;
+			};
+
+			if (navigator.clipboard && navigator.clipboard.writeText) {
+				return navigator.clipboard.writeText(text).then(() => true).catch(fallback);
+			}
+
+			return Promise.resolve(fallback());
+		}
+
+		/**
+		 * Escape HTML.
+		 */
+		escapeHtml(text) {
+			const map = {
+				'&': '&amp;',
+				'<': '&lt;',
+				'>': '&gt;',
+				'"': '&quot;',
+				"'": '&#039;'
+			};
+			return text.replace(/[&<>"']/g, m => map[m]);
+		}
+
+		/**
+		 * Show typing indicator.
+		 */
+		showTyping() {
+			if (!this.state.isTyping) {
+				this.events.emit('typingStarted');
+			}
+
+			this.setState({ isTyping: true });
+			this.$typingIndicator.show().attr('aria-hidden', 'false');
+			this.scrollToBottom();
+			
+			// Auto-hide after timeout (safety measure)
+			clearTimeout(this.typingTimeout);
+			this.typingTimeout = setTimeout(() => {
+				this.hideTyping();
+			}, 30000); // 30 seconds max
+		}
+
+		/**
+		 * Hide typing indicator.
+		 */
+		hideTyping() {
+			clearTimeout(this.typingTimeout);
+
+			if (this.state.isTyping) {
+				this.setState({ isTyping: false });
+				this.events.emit('typingStopped');
+			}
+
+			this.$typingIndicator.hide().attr('aria-hidden', 'true');
+		}
+
+		/**
+		 * Scroll messages to bottom.
+		 */
+		scrollToBottom() {
+			setTimeout(() => {
+				if (this.virtualList) {
+					this.virtualList.scrollToBottom();
+				} else {
+					this.$messages.scrollTop(this.$messages[0].scrollHeight);
+				}
+			}, 100);
+		}
+
+		/**
+		 * Update character count.
+		 */
+		updateCharCount() {
+			const length = this.$input.val().length;
+			const max = parseInt(this.$input.attr('maxlength') || 2000);
+			this.$charCount.text(length);
+			
+			if (length > max * 0.9) {
+				this.$charCount.parent().addClass('is-warning');
+			} else {
+				this.$charCount.parent().removeClass('is-warning');
+			}
+		}
+
+		/**
+		 * Auto-resize textarea.
+		 */
+		autoResize() {
+			this.$input.css('height', 'auto');
+			const height = Math.min(this.$input[0].scrollHeight, 150);
+			this.$input.css('height', height + 'px');
+		}
+
+		/**
+		 * Toggle send button state.
+		 */
+		toggleSendButton() {
+			const hasContent = this.$input.val().trim().length > 0 || this.getUploadedAttachments().length > 0;
+			this.$sendButton.prop('disabled', !hasContent || this.state.isSending || this.isUploading());
+		}
+
+		/**
+		 * Bind picker, paste and drag-and-drop uploads.
+		 */
+		bindAttachmentEvents() {
+			let dragDepth = 0;
+			const hasFiles = (e) => {
+				const transfer = e.originalEvent && e.originalEvent.dataTransfer;
+				return !!transfer && Array.prototype.indexOf.call(transfer.types || [], 'Files') !== -1;
+			};
+
+			this.$fileInput.attr('accept', this.attachmentConfig.types.join(','));
+
+			this.$attachButton.on('click', () => this.$fileInput.trigger('click'));
+
+			this.$fileInput.on('change', (e) => {
+				this.addAttachments(e.currentTarget.files);
+				e.currentTarget.value = '';
+			});
+
+			this.$input.on('paste', (e) => {
+				const clipboard = e.originalEvent && e.originalEvent.clipboardData;
+				const files = clipboard ? Array.from(clipboard.files || []) : [];
+
+				if (files.length > 0) {
+					// Keep pasted text, but don't also paste the image's file name
+					if (!clipboard.getData('text/plain')) {
+						e.preventDefault();
+					}
+					this.addAttachments(files);
+				}
+			});
+
+			this.$container.on('dragenter', (e) => {
+				if (!hasFiles(e)) return;
+				e.preventDefault();
+				dragDepth++;
+				this.$container.addClass('is-dragging');
+			});
+
+			this.$container.on('dragover', (e) => {
+				if (!hasFiles(e)) return;
+				e.preventDefault();
+				e.originalEvent.dataTransfer.dropEffect = 'copy';
+			});
+
+			this.$container.on('dragleave', (e) => {
+				if (!hasFiles(e)) return;
+				dragDepth = Math.max(0, dragDepth - 1);
+				if (dragDepth === 0) {
+					this.$container.removeClass('is-dragging');
+				}
+			});
+
+			this.$container.on('drop', (e) => {
+				if (!hasFiles(e)) return;
+				e.preventDefault();
+				dragDepth = 0;
+				this.$container.removeClass('is-dragging');
+				this.addAttachments(e.originalEvent.dataTransfer.files);
+			});
+
+			this.$attachments.on('click', '.wp-ai-chatbot-attachment-remove', (e) => {
+				this.removeAttachment($(e.currentTarget).closest('.wp-ai-chatbot-attachment').attr('data-attachment-id'));
+			});
+		}
+
+		/**
+		 * Validate and upload files added to the composer.
+		 *
+		 * @param {FileList|Array} files Files from the picker, clipboard or a drop.
+		 */
+		addAttachments(files) {
+			Array.from(files || []).forEach((file) => {
+				const error = this.validateAttachment(file);
+
+				if (error) {
+					this.showAttachmentError(error);
+					return;
+				}
+
+				const attachment = {
+					localId: 'att-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+					file: file,
+					name: file.name || 'pasted-image',
+					type: file.type,
+					size: file.size,
+					previewUrl: file.type.indexOf('image/') === 0 && window.URL ? URL.createObjectURL(file) : '',
+					progress: 0,
+					status: 'uploading',
+					xhr: null,
+					data: null,
+				};
+
+				this.attachments.push(attachment);
+				this.renderAttachment(attachment);
+				this.uploadAttachment(attachment);
+			});
+
+			this.toggleSendButton();
+		}
+
+		/**
+		 * Check a file against the allowed types, size and count.
+		 *
+		 * @param {File} file File to check.
+		 * @returns {string|null} Error message, or null if the file is fine.
+		 */
+		validateAttachment(file) {
+			const name = file.name || __('This file');
+			const maxFiles = this.attachmentConfig.maxFiles;
+
+			if (this.attachments.length >= maxFiles) {
+				return sprintf(_n('You can attach up to %d file.', 'You can attach up to %d files.', maxFiles), maxFiles);
+			}
+
+			if (this.attachmentConfig.types.indexOf(file.type) === -1) {
+				/* translators: %s: file name. */
+				return sprintf(__('%s is not a supported file type.'), name);
+			}
+
+			if (file.size > this.attachmentConfig.maxSize) {
+				/* translators: 1: file name, 2: maximum size, e.g. "10 MB". */
+				return sprintf(__('%1$s is larger than %2$s.'), name, this.formatFileSize(this.attachmentConfig.maxSize));
+			}
+
+			return null;
+		}
+
+		/**
+		 * Upload a composer attachment and track its progress.
+		 *
+		 * `wp_ai_chatbot_upload_attachment` answers with {id, token, name, type,
+		 * size, url, thumbnail_url}.
+		 */
+		uploadAttachment(attachment) {
+			const formData = new FormData();
+
+			formData.append('action', 'wp_ai_chatbot_upload_attachment');
+			formData.append('nonce', this.config.nonce || wpAiChatbot.nonce);
+			formData.append('conversation_id', this.state.conversationId || '');
+			formData.append('file', attachment.file, attachment.name);
+
+			attachment.xhr = $.ajax({
+				url: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
+				type: 'POST',
+				data: formData,
+				processData: false,
+				contentType: false,
+				xhr: () => {
+					const xhr = $.ajaxSettings.xhr();
+					if (xhr.upload) {
+						xhr.upload.addEventListener('progress', (e) => {
+							if (e.lengthComputable) {
+								attachment.progress = Math.round((e.loaded / e.total) * 100);
+								this.updateAttachment(attachment);
+							}
+						});
+					}
+					return xhr;
+				},
+				success: (response) => {
+					if (response.success && response.data) {
+						attachment.status = 'done';
+						attachment.progress = 100;
+						attachment.data = response.data;
+					} else {
+						attachment.status = 'error';
+						this.showAttachmentError(response.data?.message || sprintf(__('Failed to upload %s.'), attachment.name));
+					}
+				},
+				error: (xhr, status) => {
+					if (status === 'abort') {
+						return;
+					}
+					attachment.status = 'error';
+					this.showAttachmentError(xhr.responseJSON?.data?.message || sprintf(__('Failed to upload %s.'), attachment.name));
+				},
+				complete: () => {
+					attachment.xhr = null;
+					this.updateAttachment(attachment);
+					this.toggleSendButton();
+				}
+			});
+		}
+
+		/**
+		 * Render a composer attachment chip.
+		 */
+		renderAttachment(attachment) {
+			const $chip = $('<div>')
+				.addClass('wp-ai-chatbot-attachment')
+				.attr('role', 'listitem')
+				.attr('data-attachment-id', attachment.localId);
+
+			if (attachment.previewUrl) {
+				$chip.append($('<img>').addClass('wp-ai-chatbot-attachment-thumb').attr('src', attachment.previewUrl).attr('alt', ''));
+			} else {
+				$chip.append($('<span>').addClass('wp-ai-chatbot-attachment-icon').attr('aria-hidden', 'true').text(this.getFileLabel(attachment)));
+			}
+
+			$chip.append(
+				$('<span>')
+					.addClass('wp-ai-chatbot-attachment-info')
+					.append(
+						$('<span>').addClass('wp-ai-chatbot-attachment-name').text(attachment.name),
+						$('<span>').addClass('wp-ai-chatbot-attachment-meta')
+					),
+				$('<span>')
+					.addClass('wp-ai-chatbot-attachment-progress')
+					.attr('role', 'progressbar')
+					.attr('aria-valuemin', 0)
+					.attr('aria-valuemax', 100)
+					.append($('<span>').addClass('wp-ai-chatbot-attachment-progress-bar')),
+				$('<button>')
+					.addClass('wp-ai-chatbot-attachment-remove')
+					.attr('type', 'button')
+					.attr('aria-label', sprintf(__('Remove %s'), attachment.name))
+					.html('&times;')
+			);
+
+			this.$attachments.append($chip).show();
+			this.updateAttachment(attachment);
+		}
+
+		/**
+		 * Update a chip's progress and status.
+		 */
+		updateAttachment(attachment) {
+			const $chip = this.$attachments.find('[data-attachment-id="' + attachment.localId + '"]');
+			let meta = this.formatFileSize(attachment.size);
+
+			if (attachment.status === 'uploading') {
+				meta = formatNumber(attachment.progress / 100, { style: 'percent' });
+			} else if (attachment.status === 'error') {
+				meta = __('Upload failed');
+			}
+
+			$chip
+				.toggleClass('is-uploading', attachment.status === 'uploading')
+				.toggleClass('is-error', attachment.status === 'error');
+			$chip.find('.wp-ai-chatbot-attachment-meta').text(meta);
+			$chip.find('.wp-ai-chatbot-attachment-progress')
+				.attr('aria-valuenow', attachment.progress)
+				.toggle(attachment.status === 'uploading');
+			$chip.find('.wp-ai-chatbot-attachment-progress-bar').css('width', attachment.progress + '%');
+		}
+
+		/**
+		 * Remove a composer attachment, cancelling its upload.
+		 */
+		removeAttachment(localId) {
+			const attachment = this.attachments.find((item) => item.localId === localId);
+
+			if (!attachment) {
+				return;
+			}
+
+			if (attachment.xhr) {
+				attachment.xhr.abort();
+			}
+
+			if (attachment.previewUrl) {
+				URL.revokeObjectURL(attachment.previewUrl);
+			}
+
+			this.attachments = this.attachments.filter((item) => item !== attachment);
+			this.$attachments.find('[data-attachment-id="' + localId + '"]').remove();
+
+			if (this.attachments.length === 0) {
+				this.$attachments.hide();
+			}
+
+			this.toggleSendButton();
+		}
+
+		/**
+		 * Remove all composer attachments.
+		 */
+		clearAttachments() {
+			this.attachments.slice().forEach((attachment) => this.removeAttachment(attachment.localId));
+			this.$attachments.empty().hide();
+		}
+
+		/**
+		 * Get the upload results of finished attachments.
+		 *
+		 * @returns {Array} Attachment data to store with the message.
+		 */
+		getUploadedAttachments() {
+			return this.attachments
+				.filter((attachment) => attachment.status === 'done')
+				.map((attachment) => attachment.data);
+		}
+
+		/**
+		 * Check if any attachment is still uploading.
+		 */
+		isUploading() {
+			return this.attachments.some((attachment) => attachment.status === 'uploading');
+		}
+
+		/**
+		 * Show a composer attachment error for a few seconds.
+		 */
+		showAttachmentError(message) {
+			const $error = $('<div>')
+				.addClass('wp-ai-chatbot-attachment-error')
+				.attr('role', 'alert')
+				.text(message);
+
+			this.$attachments.append($error).show();
+
+			setTimeout(() => {
+				$error.remove();
+				if (this.attachments.length === 0) {
+					this.$attachments.hide();
+				}
+			}, 5000);
+		}
+
+		/**
+		 * Create the thumbnails and file chips shown in a message bubble.
+		 *
+		 * @param {Array} attachments Stored attachment data.
+		 * @returns {jQuery} Attachment list.
+		 */
+		createAttachmentList(attachments) {
+			const $list = $('<div>')
+				.addClass('wp-ai-chatbot-message-attachments')
+				.attr('role', 'list');
+
+			attachments.forEach((attachment) => {
+				const url = this.isSafeUrl(attachment.url) ? attachment.url : '';
+				const thumbnail = this.isSafeUrl(attachment.thumbnail_url) ? attachment.thumbnail_url : '';
+				const $item = $(url ? '<a>' : '<span>')
+					.addClass('wp-ai-chatbot-message-attachment')
+					.attr('role', 'listitem');
+
+				if (url) {
+					$item.attr({ href: url, target: '_blank', rel: 'noopener noreferrer' });
+				}
+
+				if (thumbnail) {
+					$item
+						.addClass('is-image')
+						.append($('<img>').attr('src', thumbnail).attr('alt', attachment.name || ''));
+				} else {
+					$item.append(
+						$('<span>').addClass('wp-ai-chatbot-attachment-icon').attr('aria-hidden', 'true').text(this.getFileLabel(attachment)),
+						$('<span>').addClass('wp-ai-chatbot-attachment-name').text(attachment.name || ''),
+						$('<span>').addClass('wp-ai-chatbot-attachment-meta').text(this.formatFileSize(attachment.size))
+					);
+				}
+
+				$list.append($item);
+			});
+
+			return $list;
+		}
+
+		/**
+		 * Short file type label for file chips, e.g. "PDF".
+		 */
+		getFileLabel(attachment) {
+			const match = /\.([a-z0-9]{1,4})$/i.exec(attachment.name || '');
+			return match ? match[1].toUpperCase() : 'FILE';
+		}
+
+		/**
+		 * Format a file size for display.
+		 */
+		formatFileSize(bytes) {
+			bytes = Number(bytes) || 0;
+
+			if (bytes < 1024) {
+				/* translators: %s: number of bytes. */
+				return sprintf(__('%s B'), formatNumber(bytes));
+			}
+
+			if (bytes < 1048576) {
+				/* translators: %s: number of kilobytes. */
+				return sprintf(__('%s KB'), formatNumber(Math.round(bytes / 1024)));
+			}
+
+			/* translators: %s: number of megabytes. */
+			return sprintf(__('%s MB'), formatNumber(bytes / 1048576, { maximumFractionDigits: 1 }));
+		}
+
+		/**
+		 * Check that a URL is http(s) or site-relative.
+		 */
+		isSafeUrl(url) {
+			return typeof url === 'string' && (/^https?:\/\//i.test(url) || /^\/(?!\/)/.test(url));
+		}
+
+		/**
+		 * Handle error.
+		 */
+		handleError(error) {
+			this.addMessage('assistant', __('Sorry, I encountered an error. Please try again.'), {
+				is_error: true,
+			});
+			console.error('Chat widget error:', error);
+		}
+
+		/**
+		 * Put a request that failed on the network in the outbox.
+		 *
+		 * @param {Object} request Active request.
+		 * @param {*}      error   Network error, for the console.
+		 */
+		queueForRetry(request, error) {
+			if (!request) {
+				this.handleError(error);
+				return;
+			}
+
+			console.warn('Chat message not sent, will retry:', error);
+			request.queued = true;
+
+			const entry = this.getOutboxEntry(request.id) || this.queueMessage({
+				id: request.id,
+				messageId: request.messageId,
+				message: request.message,
+				revision: request.revision,
+			});
+
+			entry.attempts++;
+			entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts);
+			this.saveOutbox();
+			this.markUnsent(entry);
+		}
+
+		/**
+		 * Add a message to the outbox.
+		 *
+		 * @param {Object} data Request ID, message bubble ID and text.
+		 * @returns {Object} Outbox entry.
+		 */
+		queueMessage(data) {
+			const entry = {
+				id: data.id,
+				messageId: data.messageId,
+				message: data.message,
+				revision: data.revision || null,
+				attempts: 0,
+				nextAttemptAt: 0,
+				createdAt: new Date().toISOString(),
+			};
+
+			this.outbox.push(entry);
+			this.saveOutbox();
+			this.markUnsent(entry);
+
+			this.events.emit('messageQueued', entry, this.state);
+
+			return entry;
+		}
+
+		/**
+		 * Get an outbox entry by request ID.
+		 */
+		getOutboxEntry(id) {
+			return this.outbox.find((entry) => entry.id === id) || null;
+		}
+
+		/**
+		 * Exponential backoff with jitter, capped at the max delay.
+		 *
+		 * @param {number} attempts Failed attempts so far.
+		 * @returns {number} Delay in milliseconds.
+		 */
+		getRetryDelay(attempts) {
+			const base = this.config.retryDelay || 2000;
+			const max = this.config.maxRetryDelay || 60000;
+			const delay = Math.min(max, base * Math.pow(2, Math.max(0, attempts - 1)));
+
+			return Math.round(delay * (0.8 + Math.random() * 0.4));
+		}
+
+		/**
+		 * Send the oldest outbox entry once it is due.
+		 *
+		 * Entries go out one at a time and in order, so a later message never
+		 * reaches the server before an earlier one.
+		 */
+		flushOutbox() {
+			clearTimeout(this.outboxTimer);
+			this.outboxTimer = null;
+
+			const entry = this.outbox[0];
+
+			if (!entry || this.state.isSending || navigator.onLine === false) {
+				return;
+			}
+
+			const wait = entry.nextAttemptAt - Date.now();
+			if (wait > 0) {
+				this.outboxTimer = setTimeout(() => this.flushOutbox(), wait);
+				return;
+			}
+
+			this.markUnsent(entry, true);
+			this.deliverMessage(entry.message, entry.messageId, entry.id, entry.revision);
+		}
+
+		/**
+		 * Retry all outbox entries now.
+		 */
+		retryOutbox() {
+			this.outbox.forEach((entry) => {
+				entry.nextAttemptAt = 0;
+			});
+			this.saveOutbox();
+			this.flushOutbox();
+		}
+
+		/**
+		 * Remove an entry from the outbox and clear its unsent state.
+		 */
+		removeFromOutbox(id) {
+			const entry = this.getOutboxEntry(id);
+
+			if (!entry) {
+				return;
+			}
+
+			this.outbox = this.outbox.filter((item) => item.id !== id);
+			this.saveOutbox();
+
+			this.findMessage(entry.messageId)
+				.removeClass('is-unsent')
+				.find('.wp-ai-chatbot-outbox-status')
+				.remove();
+			this.updateMessageActions();
+		}
+
+		/**
+		 * Drop an unsent message from the outbox and the transcript.
+		 */
+		discardOutboxEntry(id) {
+			const entry = this.getOutboxEntry(id);
+
+			if (!entry || (this.activeRequest && this.activeRequest.id === id)) {
+				return;
+			}
+
+			this.removeFromOutbox(id);
+			this.removeMessageElement(entry.messageId);
+			this.setState({
+				messages: this.state.messages.filter((msg) => msg.id !== entry.messageId),
+			});
+			this.saveMessages();
+			this.broadcast('messageRemoved', { id: entry.messageId });
+			this.flushOutbox();
+
+			this.events.emit('messageDiscarded', entry, this.state);
+		}
+
+		/**
+		 * Show the unsent state and manual actions on a user message.
+		 *
+		 * @param {Object}  entry   Outbox entry.
+		 * @param {boolean} sending Whether the entry is being sent right now.
+		 */
+		markUnsent(entry, sending = false) {
+			const $message = this.findMessage(entry.messageId);
+			let $status = $message.find('.wp-ai-chatbot-outbox-status');
+
+			if (!$status.length) {
+				$status = $('<div>')
+					.addClass('wp-ai-chatbot-message-status wp-ai-chatbot-outbox-status')
+					.attr('role', 'status')
+					.append($('<span>').addClass('wp-ai-chatbot-outbox-label'))
+					.append(
+						$('<button>')
+							.addClass('wp-ai-chatbot-outbox-retry')
+							.attr('type', 'button')
+							.attr('data-outbox-id', entry.id)
+							.text(__('Retry'))
+					)
+					.append(
+						$('<button>')
+							.addClass('wp-ai-chatbot-outbox-discard')
+							.attr('type', 'button')
+							.attr('data-outbox-id', entry.id)
+							.text(__('Discard'))
+					);
+				$message.append($status);
+			}
+
+			$message.addClass('is-unsent');
+			$status.find('.wp-ai-chatbot-outbox-label').text(sending ? __('Sending…') : __('Not sent – retrying…'));
+			$status.find('button').prop('disabled', sending);
+			this.updateMessageActions();
+		}
+
+		/**
+		 * Find a message element by ID.
+		 */
+		findMessage(messageId) {
+			if (this.virtualList) {
+				return $(this.virtualList.get(messageId) || []);
+			}
+
+			return this.$messages.find('.wp-ai-chatbot-message[data-message-id="' + messageId + '"]');
+		}
+
+		/**
+		 * Get the rendered message elements, including unmounted ones.
+		 *
+		 * @returns {jQuery} Message elements.
+		 */
+		getMessageElements() {
+			if (this.virtualList) {
+				return $(this.virtualList.getElements());
+			}
+
+			return this.$messages.find('.wp-ai-chatbot-message');
+		}
+
+		/**
+		 * Add a message element at the end of the transcript.
+		 *
+		 * @param {jQuery} $message  Message element.
+		 * @param {string} messageId Message ID.
+		 */
+		appendMessageElement($message, messageId) {
+			if (this.virtualList) {
+				this.virtualList.append({ id: messageId, element: $message[0] });
+			} else {
+				this.$messages.append($message);
+			}
+		}
+
+		/**
+		 * Remove a message element from the transcript.
+		 *
+		 * @param {string|jQuery} message Message ID or element.
+		 */
+		removeMessageElement(message) {
+			if (this.virtualList) {
+				this.virtualList.remove(message.jquery ? message[0] : message);
+			} else {
+				(message.jquery ? message : this.findMessage(message)).remove();
+			}
+		}
+
+		/**
+		 * Remove every message element, e.g. before another transcript.
+		 */
+		clearMessageElements() {
+			if (this.virtualList) {
+				this.virtualList.clear();
+			}
+
+			this.$messages.find('.wp-ai-chatbot-message').remove();
+		}
+
+		/**
+		 * Save the outbox to storage.
+		 */
+		saveOutbox() {
+			if (this.outbox.length > 0) {
+				this.storage.set(this.storageKeys.outbox, this.outbox);
+			} else {
+				this.storage.remove(this.storageKeys.outbox);
+			}
+		}
+
+		/**
+		 * Restore unsent messages from a previous page load and resume sending.
+		 */
+		restoreOutbox() {
+			const stored = this.storage.get(this.storageKeys.outbox, []);
+			if (Array.isArray(stored)) {
+				this.outbox = stored.filter((entry) => entry && entry.id && entry.message);
+			}
+
+			this.outbox.forEach((entry) => this.markUnsent(entry));
+			this.flushOutbox();
+		}
+
+		/**
+		 * Create the lead capture, rendering the lead form in the widget.
+		 *
+		 * The trigger comes from the lead form settings; without them the
+		 * form shows after `leadCaptureAfterMessages` messages.
+		 *
+		 * @returns {Object} LeadCaptureForm.
+		 */
+		createLeadCapture() {
+			const settings = window.wpAiChatbotLeadCapture || {};
+
+			return new window.WPAIChatbotLeadForm({
+				ajaxUrl: settings.ajaxUrl || this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
+				target: this.$leadCapture,
+				triggerSettings: settings.trigger || {
+					enabled: true,
+					trigger: 'after_messages',
+					triggerCount: this.config.leadCaptureAfterMessages || 3,
+				},
+				conversationId: () => this.state.conversationId,
+				sessionId: () => this.getSessionId(),
+				onTrigger: () => this.showLeadCapture(),
+				onShow: (container) => {
+					if (this.$leadCapture.has(container).length) {
+						this.$leadCapture.show().attr('aria-hidden', 'false');
+					}
+					this.prefillLeadForm();
+				},
+				onHide: () => {
+					this.$leadCapture.hide().attr('aria-hidden', 'true');
+				},
+			});
+		}
+
+		/**
+		 * Check if lead capture should be shown.
+		 *
+		 * Asks the lead capture's trigger policy (LeadCaptureForm.shouldShow).
+		 *
+		 * @param {Object} context Optional context, e.g. {intent} of a reply. Defaults to
+		 *                         the number of messages the visitor sent.
+		 * @returns {boolean}
+		 */
+		shouldShowLeadCapture(context = null) {
+			// Check if user is already captured or is being asked
+			if (!this.leadCapture || this.state.leadCaptured || this.config.leadCaptured || this.isCapturingLead()) {
+				return false;
+			}
+
+			return this.leadCapture.shouldShow(context || {
+				messageCount: this.state.messages.filter(m => m.role === 'user').length,
+			});
+		}
+
+		/**
+		 * Show lead capture form.
+		 */
+		showLeadCapture() {
+			if (!this.leadCapture || this.state.leadCaptured) {
+				return;
+			}
+
+			if (this.isLeadConversationMode()) {
+				this.startLeadConversation();
+				return;
+			}
+
+			this.leadCapture.show();
+		}
+
+		/**
+		 * Hide lead capture form.
+		 */
+		hideLeadCapture() {
+			if (this.leadCapture) {
+				this.leadCapture.hide();
+			}
+		}
+
+		/**
+		 * Remember that the visitor's details were captured.
+		 *
+		 * Called for every `leadCaptured` event, from the form or the chat.
+		 */
+		markLeadCaptured() {
+			if (this.state.leadCaptured) {
+				return;
+			}
+
+			this.setState({ leadCaptured: true });
+			this.config.leadCaptured = true;
+			this.saveState();
+		}
+
+		/**
+		 * Check if lead details are asked in the chat instead of the form.
+		 *
+		 * Set with the `leadCaptureMode` widget setting, or the lead form's
+		 * capture mode printed with lead-capture-form.js.
+		 *
+		 * @returns {boolean} True for the conversational mode.
+		 */
+		isLeadConversationMode() {
+			const mode = this.config.leadCaptureMode || (window.wpAiChatbotLeadCapture && window.wpAiChatbotLeadCapture.mode);
+
+			return mode === 'conversational' && !!this.leadCapture && !!window.WPAIChatbotLeadConversation;
+		}
+
+		/**
+		 * Check if the bot is asking for the visitor's details.
+		 *
+		 * @returns {boolean} True until they are submitted or the visitor declines.
+		 */
+		isCapturingLead() {
+			return !!this.leadConversation && this.leadConversation.isActive();
+		}
+
+		/**
+		 * Start asking for the visitor's details in the chat.
+		 *
+		 * Details known from identify() are not asked again.
+		 *
+		 * @param {Object} pending Optional user message to answer once the details are in.
+		 */
+		startLeadConversation(pending = null) {
+			if (this.isCapturingLead() || this.isHandoffLive() || this.state.leadCaptured) {
+				if (pending) {
+					this.dispatchMessage(pending.content, pending.id);
+				}
+				return;
+			}
+
+			let asked = 0;
+			const config = {
+				leadForm: this.leadCapture,
+				onAsk: (field, question) => {
+					this.addLeadQuestion(field, question, asked++ === 0);
+				},
+				onInvalid: (field, error) => {
+					this.hideTyping();
+					this.addLeadQuestion(field, error, false);
+				},
+				onSubmit: () => {
+					this.showTyping();
+				},
+				onComplete: (profile, data) => {
+					this.completeLeadConversation(profile, data);
+				},
+				onError: (message) => {
+					this.hideTyping();
+					this.addMessage('assistant', message, {
+						lead_capture: 'submit',
+						...this.getBlockMetadata([{
+							type: 'quick_replies',
+							replies: [
+								{ label: __('Try again'), value: 'lead_capture:retry' },
+								{ label: __('Not now'), value: 'lead_capture:decline' },
+							],
+						}]),
+					});
+				},
+			};
+
+			if (this.config.leadCaptureFields) {
+				config.fields = this.config.leadCaptureFields;
+			}
+
+			this.pendingLeadMessage = pending;
+			this.leadConversation = new window.WPAIChatbotLeadConversation(config);
+			this.events.emit('leadFormShown', null);
+			this.leadConversation.start(this.visitor || {});
+		}
+
+		/**
+		 * Ask for a field, with quick replies to skip it or decline.
+		 *
+		 * @param {Object}  field   Field.
+		 * @param {string}  text    Question, or why the last answer was not accepted.
+		 * @param {boolean} isFirst Whether this is the first question.
+		 */
+		addLeadQuestion(field, text, isFirst) {
+			const replies = [];
+
+			if (!field.required) {
+				replies.push({ label: __('Skip'), value: 'lead_capture:skip' });
+			}
+
+			if (isFirst) {
+				replies.push({ label: __('Not now'), value: 'lead_capture:decline' });
+			}
+
+			this.addMessage('assistant', text, {
+				lead_capture: field.name,
+				...this.getBlockMetadata(replies.length ? [{ type: 'quick_replies', replies: replies }] : []),
+			});
+		}
+
+		/**
+		 * Take the visitor's answer, or their skip, retry or decline reply.
+		 *
+		 * @param {string} message  Message text.
+		 * @param {Object} metadata Message metadata, with the quick reply's postback.
+		 */
+		answerLeadConversation(message, metadata = {}) {
+			switch (metadata.postback) {
+				case 'lead_capture:skip':
+					this.leadConversation.skip();
+					break;
+
+				case 'lead_capture:retry':
+					this.leadConversation.retry();
+					break;
+
+				case 'lead_capture:decline':
+					this.declineLeadConversation();
+					break;
+
+				default:
+					this.leadConversation.answer(message);
+			}
+		}
+
+		/**
+		 * Stop asking because the visitor declined, and answer their message.
+		 */
+		declineLeadConversation() {
+			this.stopLeadConversation(false);
+
+			// Not asked again for a while, like a dismissed form
+			this.leadCapture.handleDismiss();
+
+			const pending = this.pendingLeadMessage;
+			this.pendingLeadMessage = null;
+
+			if (pending) {
+				this.dispatchMessage(pending.content, pending.id);
+			} else {
+				this.addMessage('assistant', __('No problem. How can I help you?'));
+			}
+		}
+
+		/**
+		 * Finish once the details are submitted, then answer the held message.
+		 *
+		 * The lead capture already announced the lead (leadCaptured).
+		 *
+		 * @param {Object} profile Submitted details.
+		 * @param {Object} data    Server response, {message, lead_id}.
+		 */
+		completeLeadConversation(profile, data) {
+			const pending = this.pendingLeadMessage;
+
+			this.pendingLeadMessage = null;
+			this.hideTyping();
+			this.addMessage('assistant', (data && data.message) || __('Thank you! How can I help you?'));
+			this.saveState();
+
+			if (pending) {
+				this.dispatchMessage(pending.content, pending.id);
+			}
+		}
+
+		/**
+		 * Stop asking for details, e.g. when the conversation changes.
+		 *
+		 * @param {boolean} dropPending Whether to forget the held message too.
+		 */
+		stopLeadConversation(dropPending = true) {
+			if (this.leadConversation) {
+				this.leadConversation.cancel();
+				this.leadConversation = null;
+			}
+
+			if (dropPending) {
+				this.pendingLeadMessage = null;
+			}
+		}
+
+		/**
+		 * Create the end-of-conversation survey.
+		 *
+		 * @returns {Object} ConversationSurvey.
+		 */
+		createSurvey() {
+			return new window.WPAIChatbotSurvey({
+				ajaxUrl: (window.wpAiChatbotSurvey && window.wpAiChatbotSurvey.ajaxUrl) || this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
+				nonce: (window.wpAiChatbotSurvey && window.wpAiChatbotSurvey.nonce) || this.config.nonce || wpAiChatbot.nonce,
+				target: this.$survey,
+				conversationId: () => this.state.conversationId,
+				sessionId: () => this.getChatSessionId(),
+				onShow: () => {
+					this.$survey.show().attr('aria-hidden', 'false');
+				},
+				onHide: () => {
+					this.$survey.hide().attr('aria-hidden', 'true');
+				},
+			});
+		}
+
+		/**
+		 * Close the chat at the visitor's request.
+		 *
+		 * Asks the survey instead when it is due; closing again closes the
+		 * chat.
+		 */
+		requestClose() {
+			if (this.maybeShowSurvey()) {
+				return;
+			}
+
+			this.close();
+		}
+
+		/**
+		 * Ask the survey once the chat has been quiet for the survey's
+		 * inactivity delay.
+		 */
+		scheduleSurvey() {
+			clearTimeout(this.surveyTimer);
+
+			const delay = this.survey ? this.survey.getInactivityDelay() : 0;
+
+			if (!delay) {
+				return;
+			}
+
+			this.surveyTimer = setTimeout(() => {
+				// Not while the visitor is typing
+				if (this.$input.val().trim()) {
+					this.scheduleSurvey();
+					return;
+				}
+
+				this.maybeShowSurvey();
+			}, delay);
+		}
+
+		/**
+		 * Show the survey if it is due.
+		 *
+		 * Not while a reply is on its way, lead details are asked or an
+		 * agent is on the chat.
+		 *
+		 * @returns {boolean} True if the survey was shown.
+		 */
+		maybeShowSurvey() {
+			if (!this.survey || !this.state.isOpen || this.state.isSending || this.isCapturingLead() || this.isHandoffLive()) {
+				return false;
+			}
+
+			if (this.$leadCapture.attr('aria-hidden') === 'false') {
+				return false;
+			}
+
+			if (!this.survey.isDue(this.state.messages.filter(m => m.role === 'user').length)) {
+				return false;
+			}
+
+			this.survey.show();
+
+			return true;
+		}
+
+		/**
+		 * Submit feedback.
+		 *
+		 * @param {string|number} messageId Server message ID.
+		 * @param {string}        feedback  'positive', 'negative', or an empty string to take the vote back.
+		 * @param {Object}        details   Optional {reason, comment}.
+		 * @returns {jqXHR} Request, failing when the feedback isn't saved.
+		 */
+		submitFeedback(messageId, feedback, details = {}) {
+			return $.ajax({
+				url: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wp_ai_chatbot_submit_feedback',
+					nonce: this.config.nonce || wpAiChatbot.nonce,
+					session_id: this.getChatSessionId(),
+					message_id: messageId,
+					feedback: feedback || 'none',
+					reason: details.reason || '',
+					comment: details.comment || '',
+				},
+			}).then((response) => {
+				if (!response || !response.success) {
+					return $.Deferred().reject(response).promise();
+				}
+
+				this.setMessageFeedback(messageId, response.data && response.data.feedback);
+
+				this.events.emit('feedbackSubmitted', {
+					message_id: messageId,
+					rating: feedback || null,
+					reason: details.reason || null,
+					comment: details.comment || null,
+				});
+
+				return response;
+			}).fail(() => {
+				console.error('Failed to submit feedback');
+			});
+		}
+
+		/**
+		 * Keep the feedback on a message, so the vote shows after a reload.
+		 *
+		 * @param {string|number} messageId Server message ID.
+		 * @param {Object|null}   feedback  Feedback, {type, reason, comment}, or null once taken back.
+		 */
+		setMessageFeedback(messageId, feedback) {
+			const message = this.state.messages.find((msg) => msg.metadata && String(msg.metadata.message_id) === String(messageId));
+
+			if (!message) {
+				return;
+			}
+
+			const metadata = { ...message.metadata };
+
+			if (feedback) {
+				metadata.feedback = feedback;
+			} else {
+				delete metadata.feedback;
+			}
+
+			message.metadata = metadata;
+			this.saveMessages();
+		}
+
+		/**
+		 * Load conversation history.
+		 */
+		loadConversation() {
+			// Load conversation ID from storage
+			const storedId = this.storage.get(this.storageKeys.conversationId);
+			if (storedId) {
+				this.setState({ conversationId: storedId });
+			}
+
+			const chatSessionId = this.storage.get(this.storageKeys.chatSessionId);
+			if (chatSessionId) {
+				this.setState({ chatSessionId: chatSessionId });
+			}
+
+			// Load messages from storage
+			const messages = this.storage.get(this.storageKeys.messages, []);
+			if (Array.isArray(messages) && messages.length > 0) {
+				// Restore messages to UI
+				messages.forEach((msg) => {
+					this.addMessageToUI(msg.role, msg.content, msg.metadata || {}, false, msg.id);
+				});
+				this.setState({ messages: messages });
+				this.updateMessageActions();
+			}
+
+			// Load lead capture status
+			if (this.storage.get(this.storageKeys.leadCaptured) === true) {
+				this.setState({ leadCaptured: true });
+				this.config.leadCaptured = true;
+			}
+
+			// Load visitor identity
+			this.visitor = this.storage.get(this.storageKeys.visitor);
+			this.prefillLeadForm();
+		}
+
+		/**
+		 * Load the stored conversation when the visitor consents to storage
+		 * after the widget loaded, e.g. through a consent manager that
+		 * answers late.
+		 *
+		 * A conversation started before consent is kept and stored instead.
+		 *
+		 * @param {Object} consent {storage, tracking}.
+		 */
+		restoreAfterConsent(consent) {
+			if (!consent.storage) {
+				return;
+			}
+
+			this.storage.enable().then(() => {
+				if (this.destroyed || this.state.messages.length > 0) {
+					return;
+				}
+
+				this.loadState();
+				this.loadConversation();
+				this.restoreOutbox();
+			});
+		}
+
+		/**
+		 * Save conversation ID.
+		 */
+		saveConversationId() {
+			if (this.state.conversationId) {
+				this.storage.set(this.storageKeys.conversationId, this.state.conversationId);
+			}
+		}
+
+		/**
+		 * Save messages to storage.
+		 */
+		saveMessages() {
+			// Only save last 50 messages; when storage is full, keep halving
+			// them, down to the last 10
+			this.storage.set(this.storageKeys.messages, this.state.messages.slice(-50), {
+				shrink: (messages) => (messages.length > 10 ? messages.slice(-Math.max(10, Math.floor(messages.length / 2))) : null),
+			});
+
+			this.updateThread();
+		}
+
+		/**
+		 * Save state to storage.
+		 */
+		saveState() {
+			this.storage.set(this.storageKeys.state, {
+				isOpen: this.state.isOpen,
+				isMinimized: this.state.isMinimized,
+				conversationId: this.state.conversationId,
+				leadCaptured: this.state.leadCaptured,
+				lastMessageTime: this.state.lastMessageTime,
+				scrollPosition: this.$messages.scrollTop(),
+			});
+
+			this.broadcast('state', {
+				isOpen: this.state.isOpen,
+				isMinimized: this.state.isMinimized,
+				conversationId: this.state.conversationId,
+				leadCaptured: this.state.leadCaptured,
+				unreadCount: this.state.unreadCount,
+				hasUnreadMessages: this.state.hasUnreadMessages,
+			});
+		}
+
+		/**
+		 * Load state from storage.
+		 */
+		loadState() {
+			const state = this.storage.get(this.storageKeys.state);
+			if (state) {
+				// Restore state (but don't auto-open)
+				this.setState({
+					conversationId: state.conversationId || null,
+					leadCaptured: state.leadCaptured || false,
+					lastMessageTime: state.lastMessageTime || null,
+					scrollPosition: state.scrollPosition || 0,
+				});
+
+				if (state.leadCaptured) {
+					this.config.leadCaptured = true;
+				}
+			}
+		}
+
+		/**
+		 * Restore scroll position.
+		 */
+		restoreScrollPosition() {
+			if (this.state.scrollPosition > 0) {
+				setTimeout(() => {
+					this.$messages.scrollTop(this.state.scrollPosition);
+				}, 100);
+			}
+		}
+
+		/**
+		 * Save scroll position.
+		 */
+		saveScrollPosition() {
+			this.setState({ scrollPosition: this.$messages.scrollTop() });
+		}
+
+		/**
+		 * Update unread badge.
+		 */
+		updateUnreadBadge() {
+			if (this.state.unreadCount > 0) {
+				this.$notificationBadge.text(this.state.unreadCount).show();
+			} else {
+				this.$notificationBadge.hide();
+			}
+		}
+
+		/**
+		 * Set state (with optional callback).
+		 */
+		setState(newState) {
+			const oldState = { ...this.state };
+			this.state = { ...this.state, ...newState };
+			
+			// Trigger state change event
+			this.events.emit('stateChanged', this.state, oldState);
+		}
+
+		/**
+		 * Get current state.
+		 */
+		getState() {
+			return { ...this.state };
+		}
+
+		/**
+		 * Clear conversation history.
+		 */
+		clearHistory() {
+			this.setState({ messages: [] });
+			this.outbox = [];
+			clearTimeout(this.outboxTimer);
+			this.storage.remove(this.storageKeys.outbox);
+			this.clearMessageElements();
+			$('#wp-ai-chatbot-welcome').show();
+			this.storage.remove(this.storageKeys.messages);
+			this.saveState();
+			this.closeSearch();
+			this.attachHistory();
+			this.broadcast('cleared', null);
+			
+			this.events.emit('historyCleared');
+		}
+
+		/**
+		 * Identify the visitor, e.g. a logged-in customer of the site.
+		 *
+		 * The identity is kept across pages and sent with every message.
+		 *
+		 * @param {Object} user Visitor details such as {id, email, name, phone}.
+		 */
+		identify(user) {
+			if (!user || typeof user !== 'object') {
+				return;
+			}
+
+			// Keep only JSON data
+			this.visitor = JSON.parse(JSON.stringify({ ...(this.visitor || {}), ...user }));
+
+			// Remembered for a year, like the tracker's visitor ID
+			this.storage.set(this.storageKeys.visitor, this.visitor, { ttl: 365 * 24 * 60 * 60 * 1000 });
+
+			this.prefillLeadForm();
+
+			this.events.emit('identified', this.visitor, this.state);
+		}
+
+		/**
+		 * Fill the lead capture form with what is known about the visitor.
+		 */
+		prefillLeadForm() {
+			if (!this.visitor) {
+				return;
+			}
+
+			['name', 'email', 'phone', 'company'].forEach((field) => {
+				const $field = this.$leadCapture.find('[name="' + field + '"]');
+
+				if (this.visitor[field] && !$field.val()) {
+					$field.val(this.visitor[field]);
+				}
+			});
+		}
+
+		/**
+		 * Set page context sent with the visitor's messages.
+		 *
+		 * Merges into the current context for this page; a key set to null
+		 * is removed, and null clears the whole context.
+		 *
+		 * @param {Object|null} context Context such as {plan: 'pro', cartTotal: 120}.
+		 */
+		setContext(context) {
+			if (context === null) {
+				this.context = {};
+			} else if (context && typeof context === 'object') {
+				Object.keys(context).forEach((key) => {
+					if (context[key] === null || context[key] === undefined) {
+						delete this.context[key];
+					} else {
+						this.context[key] = context[key];
+					}
+				});
+			} else {
+				return;
+			}
+
+			this.events.emit('contextChanged', { ...this.context }, this.state);
+		}
+
+		/**
+		 * Change the widget's theme.
+		 *
+		 * @param {Object|string|null} theme Theme options, a preset name, or
+		 *                                   null for the configured theme.
+		 * @returns {Object|null} The applied theme, or null without theming.
+		 */
+		setTheme(theme) {
+			if (!this.theme) {
+				console.warn('WPAIChatbot: Theming is not available');
+				return null;
+			}
+
+			return this.theme.setTheme(theme);
+		}
+
+		/**
+		 * Get the applied theme.
+		 *
+		 * @returns {Object|null} Theme, or null without theming.
+		 */
+		getTheme() {
+			return this.theme ? this.theme.getTheme() : null;
+		}
+
+		/**
+		 * Forget the visitor, e.g. when they log out.
+		 *
+		 * Starts an empty conversation and removes everything the widget
+		 * stored: transcript, threads, unsent messages and identity.
+		 */
+		reset() {
+			this.abortActiveRequest();
+			this.stopHandoff();
+
+			this.outbox = [];
+			clearTimeout(this.outboxTimer);
+			this.clearAttachments();
+			this.closeThreads();
+			this.closeMenu();
+			this.hideLeadCapture();
+			this.resetTranscript(null);
+
+			Object.keys(this.storageKeys).forEach((key) => {
+				this.storage.remove(this.storageKeys[key]);
+			});
+
+			this.visitor = null;
+			this.context = {};
+			this.config.leadCaptured = false;
+			this.setState({
+				leadCaptured: false,
+				lastMessageTime: null,
+				unreadCount: 0,
+				hasUnreadMessages: false,
+			});
+
+			if (this.leadCapture) {
+				this.leadCapture.reset();
+			}
+
+			clearTimeout(this.surveyTimer);
+
+			if (this.survey) {
+				this.survey.reset();
+			}
+
+			this.attachHistory();
+			this.updatePolling();
+			this.updateUnreadBadge();
+			this.broadcast('reset', null);
+
+			this.events.emit('reset', this.state);
+		}
+
+		/**
+		 * Remove the widget from the page.
+		 *
+		 * Stops timers, background requests and tab sync. Stored
+		 * conversations are kept.
+		 */
+		destroy() {
+			this.destroyed = true;
+			this.abortActiveRequest();
+
+			clearTimeout(this.outboxTimer);
+			clearTimeout(this.search.timer);
+			clearTimeout(this.citationPopoverTimer);
+			clearTimeout(this.surveyTimer);
+			clearInterval(this.pollTimer);
+			this.stopHandoff();
+			this.stopLeadConversation();
+
+			if (this.sync) {
+				this.sync.destroy();
+				this.sync = null;
+			}
+
+			if (this.history) {
+				this.history.destroy();
+				this.history = null;
+			}
+
+			if (this.theme) {
+				this.theme.destroy();
+				this.theme = null;
+			}
+
+			if (this.leadCapture) {
+				this.leadCapture.destroy();
+				this.leadCapture = null;
+			}
+
+			if (this.survey) {
+				this.survey.destroy();
+				this.survey = null;
+			}
+
+			if (this.virtualList) {
+				this.virtualList.destroy();
+				this.virtualList = null;
+			}
+
+			$(document).off('.wpAiChatbotWidget');
+			$(window).off('.wpAiChatbotWidget');
+			this.events.off('openRequested', this.onOpenRequested);
+			this.events.off('consentChanged', this.onConsentChanged);
+			this.events.off('leadCaptured', this.onLeadCaptured);
+			this.events.off('messageAdded', this.onMessageAdded);
+			this.events.clear('ready');
+			this.$widget.remove();
+
+			if (window.chatWidget === this) {
+				window.chatWidget = null;
+			}
+
+			this.events.emit('destroyed');
+		}
+
+		/**
+		 * Abort and discard the reply in progress, e.g. on reset.
+		 *
+		 * Unlike stopGeneration() no partial answer is kept and the server is
+		 * not asked to cancel.
+		 */
+		abortActiveRequest() {
+			const request = this.activeRequest;
+
+			if (!request || request.aborted) {
+				return;
+			}
+
+			request.aborted = true;
+			request.discarded = true;
+
+			if (request.controller) {
+				request.controller.abort();
+			}
+
+			if (request.xhr) {
+				request.xhr.abort();
+			}
+		}
+
+		/**
+		 * Add message to UI without saving (for restoring history).
+		 *
+		 * With the virtual list the element is only created once the message
+		 * is scrolled into view or looked up.
+		 */
+		addMessageToUI(role, content, metadata = {}, save = true, messageId = null) {
+			// Hide welcome message
+			$('#wp-ai-chatbot-welcome').hide();
+
+			if (this.virtualList) {
+				this.virtualList.append({
+					id: messageId || metadata.message_id || 'msg-' + Date.now(),
+					render: (item) => this.renderStoredMessage(role, content, metadata, item.id)[0],
+				});
+			} else {
+				this.$messages.append(this.renderStoredMessage(role, content, metadata, messageId));
+			}
+
+			if (save) {
+				// Scroll to bottom only if saving (new message)
+				this.scrollToBottom();
+			}
+		}
+
+		/**
+		 * Create the element for a stored message, marked if it was stopped.
+		 *
+		 * @param {string} role      Message role.
+		 * @param {string} content   Message content.
+		 * @param {Object} metadata  Message metadata.
+		 * @param {string} messageId Optional message ID.
+		 * @returns {jQuery} Message element.
+		 */
+		renderStoredMessage(role, content, metadata = {}, messageId = null) {
+			const $message = this.createMessageElement(role, content, metadata, messageId);
+
+			if (metadata.stopped) {
+				this.markStopped($message);
+			}
+
+			return $message;
+		}
+
+		/**
+		 * Create the element for a stored message.
+		 *
+		 * @param {string} role      Message role.
+		 * @param {string} content   Message content.
+		 * @param {Object} metadata  Message metadata.
+		 * @param {string} messageId Optional message ID.
+		 * @returns {jQuery} Message element.
+		 */
+		createMessageElement(role, content, metadata = {}, messageId = null) {
+			messageId = messageId || metadata.message_id || 'msg-' + Date.now();
+			const $message = $('<div>')
+				.addClass('wp-ai-chatbot-message')
+				.addClass('wp-ai-chatbot-message-' + role)
+				.attr('data-message-id', messageId)
+				.attr('role', 'article')
+				.attr('aria-label', this.getMessageLabel(role, metadata));
+
+			const $content = $('<div>').addClass('wp-ai-chatbot-message-content');
+			
+			if (role === 'user' || role === 'system') {
+				$content.text(content);
+			} else {
+				$content.html(this.formatAssistantMessage(content, metadata.citations));
+			}
+
+			$message.append($content);
+
+			// Add feedback buttons if message_id exists, once the content is in the message
+			if (metadata.message_id && !metadata.stopped && role === 'assistant') {
+				$content.after(this.createFeedbackButtons(metadata.message_id, metadata.feedback));
+			}
+
+			if (role === 'agent') {
+				$message.prepend(this.createAgentHeader(metadata.agent));
+			}
+
+			if (metadata.blocks) {
+				$content.after(this.renderBlocks(messageId, metadata));
+			}
+
+			if (role === 'assistant') {
+				$content.after(this.createSourcesPanel(metadata.citations));
+			}
+
+			if (metadata.attachments && metadata.attachments.length) {
+				$message.append(this.createAttachmentList(metadata.attachments));
+			}
+
+			return $message;
+		}
+
+		/**
+		 * Get the ID of the message an element belongs to.
+		 */
+		getMessageIdFrom(element) {
+			return $(element).closest('.wp-ai-chatbot-message').attr('data-message-id');
+		}
+
+		/**
+		 * Extra request parameters for the message being sent.
+		 *
+		 * A revision of the last turn adds `revision` ('edit' or 'regenerate')
+		 * and `replaces_message_id`, the message the new one supersedes.
+		 * Attachments are sent as `attachments`, a JSON list of {id, token}
+		 * from the upload response. A button or quick reply adds `postback`,
+		 * its value, while `message` carries its label. The visitor set with
+		 * identify() and the page context are sent as JSON `visitor` and
+		 * `context`.
+		 */
+		getRequestParams(request) {
+			const params = {};
+
+			if (this.visitor) {
+				params.visitor = JSON.stringify(this.visitor);
+			}
+
+			if (Object.keys(this.context).length) {
+				params.context = JSON.stringify(this.context);
+			}
+
+			if (!request) {
+				return params;
+			}
+
+			if (request.revision) {
+				params.revision = request.revision.type;
+				params.replaces_message_id = request.revision.replacesId || '';
+			}
+
+			const question = this.state.messages.find((msg) => msg.id === request.messageId);
+			const attachments = question && question.metadata && question.metadata.attachments;
+
+			if (attachments && attachments.length) {
+				params.attachments = JSON.stringify(attachments.map((attachment) => ({
+					id: attachment.id,
+					token: attachment.token,
+				})));
+			}
+
+			if (question && question.metadata && question.metadata.postback !== undefined) {
+				params.postback = question.metadata.postback;
+			}
+
+			return params;
+		}
+
+		/**
+		 * Index of the most recent message with the given role.
+		 */
+		findLastIndex(role) {
+			for (let i = this.state.messages.length - 1; i >= 0; i--) {
+				if (this.state.messages[i].role === role) {
+					return i;
+				}
+			}
+
+			return -1;
+		}
+
+		/**
+		 * Show edit, regenerate and version controls on the last turn only.
+		 */
+		updateMessageActions() {
+			this.getMessageElements().find('.wp-ai-chatbot-message-actions').remove();
+
+			const userIndex = this.findLastIndex('user');
+			const last = this.state.messages[this.state.messages.length - 1];
+			const busy = this.state.isSending;
+
+			// Messages to an agent and answers to the lead questions can't be
+			// edited or answered again by the AI
+			if (userIndex === -1 || this.isHandoffLive() || this.isCapturingLead()) {
+				return;
+			}
+
+			const question = this.state.messages[userIndex];
+			const $question = this.findMessage(question.id);
+			const variants = question.metadata && question.metadata.variants;
+
+			if (question.metadata && question.metadata.lead_capture) {
+				return;
+			}
+
+			if (!$question.hasClass('is-unsent') && !$question.hasClass('is-editing') && !(question.metadata && question.metadata.handoff)) {
+				const $actions = $('<div>').addClass('wp-ai-chatbot-message-actions');
+
+				if (variants && variants.length > 1) {
+					const active = question.metadata.activeVariant;
+
+					$actions.append(
+						$('<button>')
+							.addClass('wp-ai-chatbot-variant-prev')
+							.attr('type', 'button')
+							.attr('aria-label', __('Previous version'))
+							.prop('disabled', busy || active === 0)
+							.text('‹'),
+						$('<span>')
+							.addClass('wp-ai-chatbot-variant-count')
+							.text((active + 1) + ' / ' + variants.length),
+						$('<button>')
+							.addClass('wp-ai-chatbot-variant-next')
+							.attr('type', 'button')
+							.attr('aria-label', __('Next version'))
+							.prop('disabled', busy || active === variants.length - 1)
+							.text('›')
+					);
+				}
+
+				$actions.append(
+					$('<button>')
+						.addClass('wp-ai-chatbot-edit')
+						.attr('type', 'button')
+						.attr('aria-label', __('Edit message'))
+						.prop('disabled', busy)
+						.text(__('Edit'))
+				);
+
+				$question.append($actions);
+			}
+
+			if (last && last.role === 'assistant' && this.state.messages.indexOf(last) > userIndex) {
+				this.findMessage(last.id).append(
+					$('<div>')
+						.addClass('wp-ai-chatbot-message-actions')
+						.append(
+							$('<button>')
+								.addClass('wp-ai-chatbot-regenerate')
+								.attr('type', 'button')
+								.attr('aria-label', __('Regenerate response'))
+								.prop('disabled', busy)
+								.text(__('Regenerate'))
+						)
+				);
+			}
+		}
+
+		/**
+		 * Turn the last user message into an inline editor.
+		 */
+		startEdit(messageId) {
+			const index = this.findLastIndex('user');
+			const message = this.state.messages[index];
+
+			if (!message || message.id !== messageId || this.state.isSending) {
+				return;
+			}
+
+			const $message = this.findMessage(messageId).addClass('is-editing');
+			const $editor = $('<div>')
+				.addClass('wp-ai-chatbot-edit-form')
+				.append(
+					$('<textarea>')
+						.addClass('wp-ai-chatbot-edit-input')
+						.attr('aria-label', __('Edit message'))
+						.attr('maxlength', this.$input.attr('maxlength') || 2000)
+						.val(message.content),
+					$('<div>')
+						.addClass('wp-ai-chatbot-edit-buttons')
+						.append(
+							$('<button>')
+								.addClass('wp-ai-chatbot-edit-cancel')
+								.attr('type', 'button')
+								.text(__('Cancel')),
+							$('<button>')
+								.addClass('wp-ai-chatbot-edit-save')
+								.attr('type', 'button')
+								.text(__('Send'))
+						)
+				);
+
+			$message.find('.wp-ai-chatbot-message-content').hide().after($editor);
+			this.updateMessageActions();
+			$editor.find('textarea').trigger('focus');
+		}
+
+		/**
+		 * Close the inline editor without changes.
+		 */
+		cancelEdit(messageId) {
+			const $message = this.findMessage(messageId).removeClass('is-editing');
+
+			$message.find('.wp-ai-chatbot-edit-form').remove();
+			$message.find('.wp-ai-chatbot-message-content').show();
+			this.updateMessageActions();
+		}
+
+		/**
+		 * Send an edited version of the last user message.
+		 */
+		submitEdit(messageId, content) {
+			const index = this.findLastIndex('user');
+			const message = this.state.messages[index];
+
+			content = (content || '').trim();
+			this.cancelEdit(messageId);
+
+			if (!message || message.id !== messageId || !content || content === message.content) {
+				return;
+			}
+
+			this.startRevision(index, content, {
+				type: 'edit',
+				replacesId: (message.metadata && message.metadata.message_id) || message.id,
+			});
+		}
+
+		/**
+		 * Ask for a new answer to the last user message.
+		 */
+		regenerateMessage(messageId) {
+			const index = this.findLastIndex('user');
+			const answer = this.state.messages[this.state.messages.length - 1];
+
+			if (index === -1 || !answer || answer.id !== messageId || answer.role !== 'assistant') {
+				return;
+			}
+
+			this.startRevision(index, this.state.messages[index].content, {
+				type: 'regenerate',
+				replacesId: (answer.metadata && answer.metadata.message_id) || '',
+			});
+		}
+
+		/**
+		 * Start a new version of the last turn.
+		 *
+		 * The question keeps every version in `metadata.variants` as
+		 * {content, replies}. The active version's replies are the messages
+		 * after it, so they are only copied into the list when switching away.
+		 *
+		 * @param {number} index    Index of the last user message.
+		 * @param {string} content  Question text for the new version.
+		 * @param {Object} revision Revision type and replaced message ID.
+		 */
+		startRevision(index, content, revision) {
+			if (this.state.isSending) {
+				return;
+			}
+
+			const message = this.state.messages[index];
+			const variants = this.storeActiveVariant(index);
+
+			variants.push({ content: content, replies: [] });
+			message.content = content;
+			message.metadata = { ...message.metadata, variants: variants, activeVariant: variants.length - 1 };
+
+			this.showVariant(index, []);
+			this.broadcast('messages', this.state.messages);
+
+			this.events.emit('messageRevised', message, revision.type, this.state);
+
+			const requestId = 'req-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+
+			if (this.outbox.length > 0 || navigator.onLine === false) {
+				this.queueMessage({ id: requestId, messageId: message.id, message: content, revision: revision });
+				this.flushOutbox();
+				return;
+			}
+
+			this.deliverMessage(content, message.id, requestId, revision);
+		}
+
+		/**
+		 * Show the previous or next version of the last turn.
+		 *
+		 * @param {string} messageId ID of the last user message.
+		 * @param {number} step      -1 or 1.
+		 */
+		switchVariant(messageId, step) {
+			const index = this.findLastIndex('user');
+			const message = this.state.messages[index];
+			const variants = message && message.metadata && message.metadata.variants;
+
+			if (!variants || message.id !== messageId || this.state.isSending) {
+				return;
+			}
+
+			const target = message.metadata.activeVariant + step;
+			if (target < 0 || target >= variants.length) {
+				return;
+			}
+
+			const stored = this.storeActiveVariant(index);
+			const variant = stored[target];
+
+			stored[target] = { content: variant.content, replies: [] };
+			message.content = variant.content;
+			message.metadata = { ...message.metadata, variants: stored, activeVariant: target };
+
+			this.showVariant(index, variant.replies);
+			this.broadcast('messages', this.state.messages);
+
+			this.events.emit('variantChanged', message, target, this.state);
+		}
+
+		/**
+		 * Copy the active version's replies into the variants list.
+		 *
+		 * @param {number} index Index of the last user message.
+		 * @returns {Array} Variants of the message.
+		 */
+		storeActiveVariant(index) {
+			const message = this.state.messages[index];
+			const variants = (message.metadata && message.metadata.variants || []).slice();
+			const active = variants.length ? message.metadata.activeVariant : 0;
+
+			variants[active] = {
+				content: message.content,
+				replies: this.state.messages.slice(index + 1),
+			};
+
+			return variants;
+		}
+
+		/**
+		 * Replace everything after the last user message with the given replies.
+		 *
+		 * @param {number} index   Index of the last user message.
+		 * @param {Array}  replies Messages to show after it.
+		 */
+		showVariant(index, replies) {
+			const message = this.state.messages[index];
+
+			this.state.messages.slice(index + 1).forEach((msg) => {
+				this.removeMessageElement(msg.id);
+			});
+
+			this.findMessage(message.id).find('.wp-ai-chatbot-message-content').text(message.content);
+
+			replies.forEach((msg) => {
+				this.addMessageToUI(msg.role, msg.content, msg.metadata || {}, false, msg.id);
+			});
+
+			this.setState({ messages: this.state.messages.slice(0, index + 1).concat(replies) });
+			this.saveMessages();
+			this.updateMessageActions();
+			this.scrollToBottom();
+		}
+
+		/**
+		 * Re-render the whole transcript, e.g. after another tab revised it.
+		 *
+		 * @param {Array} messages Stored messages.
+		 */
+		renderTranscript(messages) {
+			this.clearMessageElements();
+
+			messages.forEach((msg) => {
+				this.addMessageToUI(msg.role, msg.content, msg.metadata || {}, false, msg.id);
+			});
+
+			this.setState({ messages: messages });
+			this.outbox.forEach((entry) => this.markUnsent(entry));
+			this.updateMessageActions();
+			this.scrollToBottom();
+		}
+
+		/**
+		 * Page in server history older than the stored transcript.
+		 *
+		 * Only the last 50 messages are kept in storage. Older ones are loaded
+		 * through ConversationLoader when the visitor scrolls to the top or a
+		 * search result needs them.
+		 */
+		initHistory() {
+			if (!window.WPAIChatbotConversationLoader || this.config.history === false) {
+				return;
+			}
+
+			this.history = new window.WPAIChatbotConversationLoader({
+				containerSelector: '#wp-ai-chatbot-messages',
+				messageClass: 'wp-ai-chatbot-message',
+				ajaxUrl: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
+				nonce: this.config.nonce || wpAiChatbot.nonce,
+				pageSize: this.config.historyPageSize || 20,
+				initialLoad: this.config.historyPageSize || 20,
+				renderMessage: (message) => this.renderHistoryMessage(message),
+				virtualList: this.virtualList,
+				onMessagesLoaded: (messages, options) => {
+					if (options.direction === 'older') {
+						this.addHistoryMessages(messages);
+					} else if (options.direction === 'latest') {
+						this.setState({ messages: messages.map((message) => this.normalizeServerMessage(message)) });
+					}
+				},
+			});
+
+			this.attachHistory();
+		}
+
+		/**
+		 * Point the history loader at the current conversation.
+		 */
+		attachHistory() {
+			if (!this.history) {
+				return;
+			}
+
+			const withId = this.state.messages.filter((msg) => msg.metadata && msg.metadata.message_id);
+
+			this.history.attach(this.state.conversationId, {
+				oldestMessageId: withId.length ? withId[0].metadata.message_id : null,
+				newestMessageId: withId.length ? withId[withId.length - 1].metadata.message_id : null,
+			});
+		}
+
+		/**
+		 * Get a server message in the widget's message format.
+		 *
+		 * @param {Object} message Message from wp_ai_chatbot_get_messages.
+		 * @returns {Object} Message data.
+		 */
+		normalizeServerMessage(message) {
+			return {
+				id: String(message.id),
+				role: message.role,
+				content: message.content,
+				metadata: { ...(message.metadata || {}), message_id: message.id },
+				timestamp: message.created_at || new Date().toISOString(),
+			};
+		}
+
+		/**
+		 * Render a message loaded by the history loader.
+		 *
+		 * @param {Object} message Message from wp_ai_chatbot_get_messages.
+		 * @returns {HTMLElement|null} Message element, or null if already shown.
+		 */
+		renderHistoryMessage(message) {
+			const data = this.normalizeServerMessage(message);
+
+			// The virtual list skips messages it already has
+			if (!this.virtualList && this.findMessage(data.id).length) {
+				return null;
+			}
+
+			return this.createMessageElement(data.role, data.content, data.metadata, data.id)[0];
+		}
+
+		/**
+		 * Add older messages loaded from the server to the transcript.
+		 *
+		 * @param {Array} messages Messages, oldest first.
+		 */
+		addHistoryMessages(messages) {
+			const older = messages
+				.map((message) => this.normalizeServerMessage(message))
+				.filter((data) => !this.state.messages.some((msg) => msg.id === data.id));
+
+			if (older.length === 0) {
+				return;
+			}
+
+			this.setState({ messages: [...older, ...this.state.messages] });
+			$('#wp-ai-chatbot-welcome').hide();
+
+			// Keep matches highlighted in the new messages
+			if (this.search.query) {
+				this.highlightMatches();
+			}
+
+			this.events.emit('historyLoaded', older, this.state);
+		}
+
+		/**
+		 * Bind conversation search events.
+		 */
+		bindSearchEvents() {
+			this.$searchToggle.on('click', () => {
+				if (this.$search.prop('hidden')) {
+					this.openSearch();
+				} else {
+					this.closeSearch();
+				}
+			});
+
+			this.$searchInput.on('input', () => {
+				clearTimeout(this.search.timer);
+				this.search.timer = setTimeout(() => this.runSearch(this.$searchInput.val()), 250);
+			});
+
+			this.$searchInput.on('keydown', (e) => {
+				if (e.key === 'Enter') {
+					e.preventDefault();
+					clearTimeout(this.search.timer);
+
+					if (this.$searchInput.val() !== this.search.query) {
+						this.runSearch(this.$searchInput.val());
+					} else {
+						this.stepSearch(e.shiftKey ? -1 : 1);
+					}
+				} else if (e.key === 'Escape') {
+					e.preventDefault();
+					e.stopPropagation();
+					this.closeSearch();
+					this.$searchToggle.trigger('focus');
+				}
+			});
+
+			this.$search.on('click', '.wp-ai-chatbot-search-older', () => this.stepSearch(1));
+			this.$search.on('click', '.wp-ai-chatbot-search-newer', () => this.stepSearch(-1));
+			this.$search.on('click', '.wp-ai-chatbot-search-close', () => {
+				this.closeSearch();
+				this.$searchToggle.trigger('focus');
+			});
+		}
+
+		/**
+		 * Show the search bar.
+		 */
+		openSearch() {
+			this.$search.prop('hidden', false);
+			this.$searchToggle.attr('aria-expanded', 'true');
+			this.$searchInput.trigger('focus').trigger('select');
+		}
+
+		/**
+		 * Hide the search bar and remove highlights.
+		 */
+		closeSearch() {
+			clearTimeout(this.search.timer);
+
+			this.search.token++;
+			this.search.query = '';
+			this.search.results = [];
+			this.search.index = -1;
+			this.search.pending = false;
+
+			this.clearHighlights();
+			this.$searchInput.val('');
+			this.$search.prop('hidden', true);
+			this.$searchToggle.attr('aria-expanded', 'false');
+			this.updateSearchStatus();
+		}
+
+		/**
+		 * Search the transcript, then server history older than it.
+		 *
+		 * Results are ordered newest first, so older server matches are added
+		 * at the end without moving the current one.
+		 *
+		 * @param {string} query Search text.
+		 */
+		async runSearch(query) {
+			const token = ++this.search.token;
+
+			query = String(query || '').trim();
+
+			this.search.query = query;
+			this.search.results = [];
+			this.search.index = -1;
+			this.search.pending = false;
+			this.clearHighlights();
+
+			if (query.length < 2) {
+				this.search.query = '';
+				this.updateSearchStatus();
+				return;
+			}
+
+			const needle = query.toLowerCase();
+
+			this.search.results = this.state.messages
+				.filter((msg) => this.getSearchableText(msg).toLowerCase().includes(needle))
+				.map((msg) => msg.id)
+				.reverse();
+
+			this.highlightMatches();
+
+			if (this.search.results.length) {
+				this.goToSearchResult(0);
+			}
+
+			this.updateSearchStatus();
+
+			const history = this.history;
+
+			if (!history || !history.state.hasMore || !history.state.oldestMessageId) {
+				this.events.emit('searched', query, this.search.results.length);
+				return;
+			}
+
+			this.search.pending = true;
+			this.updateSearchStatus();
+
+			let older = [];
+
+			try {
+				older = await history.searchMessages(query, { maxPages: this.config.searchMaxPages || 5 });
+			} catch (e) {
+				console.error('Failed to search history:', e);
+			}
+
+			// A newer search or closing the bar wins
+			if (token !== this.search.token) {
+				return;
+			}
+
+			older
+				.map((message) => String(message.id))
+				.reverse()
+				.forEach((id) => {
+					if (this.search.results.indexOf(id) === -1) {
+						this.search.results.push(id);
+					}
+				});
+
+			this.search.pending = false;
+
+			if (this.search.index === -1 && this.search.results.length) {
+				this.goToSearchResult(0);
+			}
+
+			this.updateSearchStatus();
+
+			this.events.emit('searched', query, this.search.results.length);
+		}
+
+		/**
+		 * Get the text a message is searched by.
+		 *
+		 * @param {Object} message Message data.
+		 * @returns {string} Searchable text.
+		 */
+		getSearchableText(message) {
+			const blocksText = message.metadata && message.metadata.blocks_text;
+
+			return [message.content, blocksText].filter(Boolean).join('\n');
+		}
+
+		/**
+		 * Move to the next older (1) or newer (-1) result, wrapping around.
+		 *
+		 * @param {number} direction Step direction.
+		 */
+		stepSearch(direction) {
+			const count = this.search.results.length;
+
+			if (count === 0) {
+				return;
+			}
+
+			this.goToSearchResult((this.search.index + direction + count) % count);
+		}
+
+		/**
+		 * Scroll to a search result, loading older pages first if needed.
+		 *
+		 * @param {number} index Result index.
+		 */
+		async goToSearchResult(index) {
+			const id = this.search.results[index];
+			const token = this.search.token;
+
+			if (id === undefined) {
+				return;
+			}
+
+			this.search.index = index;
+			this.updateSearchStatus();
+
+			let $message = this.findMessage(id);
+
+			if (!$message.length && this.history) {
+				this.$search.addClass('is-loading');
+				await this.history.loadUntil(id);
+				this.$search.removeClass('is-loading');
+
+				if (token !== this.search.token || this.search.index !== index) {
+					return;
+				}
+
+				$message = this.findMessage(id);
+			}
+
+			this.getMessageElements().filter('.is-search-current').removeClass('is-search-current');
+
+			if (!$message.length) {
+				return;
+			}
+
+			$message.addClass('is-search-current');
+
+			if (this.virtualList) {
+				this.virtualList.scrollTo(id);
+			} else if ($message[0].scrollIntoView) {
+				$message[0].scrollIntoView({ block: 'center', behavior: 'smooth' });
+			}
+		}
+
+		/**
+		 * Highlight the current query in rendered messages.
+		 *
+		 * @param {jQuery} $messages Messages to highlight, all rendered ones by default.
+		 */
+		highlightMatches($messages = null) {
+			const needle = this.search.query.toLowerCase();
+
+			if (!$messages) {
+				$messages = this.getMessageElements();
+				this.clearHighlights(false);
+			}
+
+			if (!needle) {
+				return;
+			}
+
+			$messages.find('.wp-ai-chatbot-message-content, .wp-ai-chatbot-blocks').each((i, element) => {
+				const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+				const nodes = [];
+
+				while (walker.nextNode()) {
+					// Leave button labels (e.g. code copy) alone
+					if (!$(walker.currentNode.parentNode).closest('button').length) {
+						nodes.push(walker.currentNode);
+					}
+				}
+
+				nodes.forEach((node) => {
+					const text = node.nodeValue;
+					const lower = text.toLowerCase();
+					let position = lower.indexOf(needle);
+
+					if (position === -1) {
+						return;
+					}
+
+					const fragment = document.createDocumentFragment();
+					let last = 0;
+
+					while (position !== -1) {
+						const mark = document.createElement('mark');
+						mark.className = 'wp-ai-chatbot-search-match';
+						mark.textContent = text.slice(position, position + needle.length);
+
+						fragment.appendChild(document.createTextNode(text.slice(last, position)));
+						fragment.appendChild(mark);
+
+						last = position + needle.length;
+						position = lower.indexOf(needle, last);
+					}
+
+					fragment.appendChild(document.createTextNode(text.slice(last)));
+					node.parentNode.replaceChild(fragment, node);
+				});
+			});
+		}
+
+		/**
+		 * Remove search highlights.
+		 *
+		 * @param {boolean} current Also clear the current result marker.
+		 */
+		clearHighlights(current = true) {
+			this.getMessageElements().find('mark.wp-ai-chatbot-search-match').each((i, mark) => {
+				const parent = mark.parentNode;
+				parent.replaceChild(document.createTextNode(mark.textContent), mark);
+				parent.normalize();
+			});
+
+			if (current) {
+				this.getMessageElements().filter('.is-search-current').removeClass('is-search-current');
+			}
+		}
+
+		/**
+		 * Update the result count and navigation buttons.
+		 */
+		updateSearchStatus() {
+			const count = this.search.results.length;
+			let status = '';
+
+			if (count) {
+				/* translators: 1: current result, 2: number of results. */
+				status = sprintf(__('%1$d of %2$d'), this.search.index + 1, count) + (this.search.pending ? '+' : '');
+			} else if (this.search.pending) {
+				status = __('Searching...');
+			} else if (this.search.query) {
+				status = __('No results');
+			}
+
+			this.$searchCount.text(status);
+			this.$search.find('.wp-ai-chatbot-search-older, .wp-ai-chatbot-search-newer').prop('disabled', count < 2);
+		}
+
+		/**
+		 * Get the visitor's conversation threads, most recent first.
+		 *
+		 * Titles, previews and archive state are kept in this browser; the
+		 * messages themselves are loaded from the server when a thread opens.
+		 *
+		 * @returns {Array} Threads: {conversationId, title, preview, updatedAt, archived}.
+		 */
+		getThreads() {
+			const threads = this.storage.get(this.storageKeys.threads, []);
+			return Array.isArray(threads) ? threads : [];
+		}
+
+		/**
+		 * Save conversation threads.
+		 *
+		 * @param {Array} threads Threads.
+		 */
+		saveThreads(threads) {
+			threads.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+
+			// When storage is full, drop the oldest half until they fit
+			this.storage.set(this.storageKeys.threads, threads.slice(0, this.config.maxThreads || 50), {
+				shrink: (stored) => (stored.length > 1 ? stored.slice(0, Math.ceil(stored.length / 2)) : null),
+			});
+
+			if (!this.$threads.prop('hidden')) {
+				this.renderThreads();
+			}
+		}
+
+		/**
+		 * Record the current conversation's title, preview and time in the thread list.
+		 */
+		updateThread() {
+			const messages = this.state.messages;
+
+			if (!this.state.conversationId || messages.length === 0) {
+				return;
+			}
+
+			const threads = this.getThreads();
+			const conversationId = String(this.state.conversationId);
+			let thread = threads.find((item) => String(item.conversationId) === conversationId);
+
+			if (!thread) {
+				thread = { conversationId: conversationId, title: '', archived: false };
+				threads.push(thread);
+			}
+
+			const first = messages.find((msg) => msg.role === 'user');
+			const last = messages[messages.length - 1];
+
+			if (!thread.title && first) {
+				thread.title = this.truncateText(first.content, 40);
+			}
+
+			const preview = this.truncateText(this.getSearchableText(last), 80);
+			const updatedAt = last.timestamp || new Date().toISOString();
+
+			if (thread.preview === preview && thread.updatedAt === updatedAt && !thread.archived) {
+				return;
+			}
+
+			thread.preview = preview;
+			thread.updatedAt = updatedAt;
+
+			// Opening or continuing an archived thread brings it back
+			thread.archived = false;
+
+			this.saveThreads(threads);
+		}
+
+		/**
+		 * Shorten text to a single line.
+		 *
+		 * @param {string} text   Text.
+		 * @param {number} length Maximum length.
+		 * @returns {string} Shortened text.
+		 */
+		truncateText(text, length) {
+			text = String(text || '').replace(/\s+/g, ' ').trim();
+
+			return text.length > length ? text.substr(0, length - 1).trim() + '\u2026' : text;
+		}
+
+		/**
+		 * Bind thread list events.
+		 */
+		bindThreadEvents() {
+			this.$threadsToggle.on('click', () => {
+				if (this.$threads.prop('hidden')) {
+					this.openThreads();
+				} else {
+					this.closeThreads();
+				}
+			});
+
+			this.$threads.on('click', '.wp-ai-chatbot-thread-new', () => this.startNewThread());
+
+			this.$threads.on('click', '.wp-ai-chatbot-thread-open', (e) => {
+				this.switchThread($(e.currentTarget).closest('.wp-ai-chatbot-thread').attr('data-conversation-id'));
+			});
+
+			this.$threads.on('click', '.wp-ai-chatbot-thread-rename', (e) => {
+				this.startThreadRename($(e.currentTarget).closest('.wp-ai-chatbot-thread'));
+			});
+
+			this.$threads.on('click', '.wp-ai-chatbot-thread-archive', (e) => {
+				const $thread = $(e.currentTarget).closest('.wp-ai-chatbot-thread');
+				this.archiveThread($thread.attr('data-conversation-id'), !$thread.hasClass('is-archived'));
+			});
+
+			this.$threads.on('click', '.wp-ai-chatbot-threads-archived', () => {
+				this.showArchivedThreads = !this.showArchivedThreads;
+				this.renderThreads();
+			});
+
+			this.$threads.on('keydown', (e) => {
+				if (e.key === 'Escape' && !$(e.target).is('.wp-ai-chatbot-thread-title-input')) {
+					this.closeThreads();
+					this.$threadsToggle.trigger('focus');
+				}
+			});
+		}
+
+		/**
+		 * Show the thread list in place of the transcript.
+		 */
+		openThreads() {
+			this.closeSearch();
+			this.renderThreads();
+
+			this.$threads.prop('hidden', false);
+			this.$container.addClass('is-threads-open');
+			this.$threadsToggle.attr('aria-expanded', 'true');
+			this.$threads.find('.wp-ai-chatbot-thread-new').trigger('focus');
+		}
+
+		/**
+		 * Go back to the transcript.
+		 */
+		closeThreads() {
+			this.$threads.prop('hidden', true);
+			this.$container.removeClass('is-threads-open');
+			this.$threadsToggle.attr('aria-expanded', 'false');
+		}
+
+		/**
+		 * Render the thread list.
+		 */
+		renderThreads() {
+			const threads = this.getThreads();
+			const archivedCount = threads.filter((thread) => thread.archived).length;
+			const visible = threads.filter((thread) => !!thread.archived === this.showArchivedThreads);
+			const $list = this.$threads.find('.wp-ai-chatbot-threads-list').empty();
+			const locked = !this.canSwitchThread();
+
+			this.$threads.find('.wp-ai-chatbot-threads-notice').prop('hidden', !locked);
+			this.$threads.find('.wp-ai-chatbot-thread-new').prop('disabled', locked);
+
+			if (visible.length === 0) {
+				$list.append(
+					$('<li>')
+						.addClass('wp-ai-chatbot-threads-empty')
+						.text(this.showArchivedThreads ? __('No archived conversations') : __('No past conversations yet'))
+				);
+			}
+
+			visible.forEach((thread) => {
+				const isActive = String(thread.conversationId) === String(this.state.conversationId);
+				const title = thread.title || __('Untitled conversation');
+
+				$list.append(
+					$('<li>')
+						.addClass('wp-ai-chatbot-thread')
+						.toggleClass('is-active', isActive)
+						.toggleClass('is-archived', !!thread.archived)
+						.attr('data-conversation-id', thread.conversationId)
+						.append(
+							$('<button>')
+								.addClass('wp-ai-chatbot-thread-open')
+								.attr('type', 'button')
+								.attr('aria-current', isActive ? 'true' : null)
+								.prop('disabled', locked && !isActive)
+								.append(
+									$('<span>').addClass('wp-ai-chatbot-thread-title').text(title),
+									$('<span>').addClass('wp-ai-chatbot-thread-preview').text(thread.preview || ''),
+									$('<time>')
+										.addClass('wp-ai-chatbot-thread-time')
+										.attr('datetime', thread.updatedAt)
+										.text(this.history ? this.history.formatTime(thread.updatedAt) : '')
+								),
+							$('<div>')
+								.addClass('wp-ai-chatbot-thread-actions')
+								.append(
+									$('<button>')
+										.addClass('wp-ai-chatbot-thread-rename')
+										.attr('type', 'button')
+										.attr('aria-label', sprintf(__('Rename “%s”'), title))
+										.text(__('Rename')),
+									$('<button>')
+										.addClass('wp-ai-chatbot-thread-archive')
+										.attr('type', 'button')
+										.attr('aria-label', sprintf(thread.archived ? __('Restore “%s”') : __('Archive “%s”'), title))
+										.text(thread.archived ? __('Restore') : __('Archive'))
+								)
+						)
+				);
+			});
+
+			this.$threads.find('.wp-ai-chatbot-threads-archived')
+				.prop('hidden', archivedCount === 0 && !this.showArchivedThreads)
+				.attr('aria-expanded', this.showArchivedThreads ? 'true' : 'false')
+				.text(this.showArchivedThreads ? __('Back to conversations') : sprintf(__('Archived (%d)'), archivedCount));
+		}
+
+		/**
+		 * Replace a thread title with an input to rename it.
+		 *
+		 * @param {jQuery} $thread Thread list item.
+		 */
+		startThreadRename($thread) {
+			const conversationId = $thread.attr('data-conversation-id');
+			const thread = this.getThreads().find((item) => String(item.conversationId) === conversationId);
+			const $title = $thread.find('.wp-ai-chatbot-thread-title');
+			let done = false;
+
+			if (!thread) {
+				return;
+			}
+
+			const finish = (save) => {
+				if (done) {
+					return;
+				}
+				done = true;
+
+				const title = this.truncateText($input.val(), 80);
+
+				if (save && title && title !== thread.title) {
+					this.renameThread(conversationId, title);
+				} else {
+					this.renderThreads();
+				}
+			};
+
+			const $input = $('<input>')
+				.addClass('wp-ai-chatbot-thread-title-input')
+				.attr({ type: 'text', maxlength: 80, 'aria-label': __('Conversation name') })
+				.val(thread.title || '')
+				.on('keydown', (e) => {
+					if (e.key === 'Enter') {
+						e.preventDefault();
+						finish(true);
+					} else if (e.key === 'Escape') {
+						e.preventDefault();
+						finish(false);
+					}
+				})
+				.on('blur', () => finish(true));
+
+			// The title sits inside the open button, so edit next to it
+			$thread.addClass('is-renaming');
+			$title.closest('.wp-ai-chatbot-thread-open').before($input);
+			$input.trigger('focus').trigger('select');
+		}
+
+		/**
+		 * Rename a thread.
+		 *
+		 * @param {string} conversationId Conversation ID.
+		 * @param {string} title          New title.
+		 */
+		renameThread(conversationId, title) {
+			const threads = this.getThreads();
+			const thread = threads.find((item) => String(item.conversationId) === String(conversationId));
+
+			if (!thread) {
+				return;
+			}
+
+			thread.title = title;
+			this.saveThreads(threads);
+
+			this.events.emit('threadRenamed', thread, this.state);
+		}
+
+		/**
+		 * Archive or restore a thread.
+		 *
+		 * Archiving the open thread starts a new one.
+		 *
+		 * @param {string}  conversationId Conversation ID.
+		 * @param {boolean} archived       Whether to archive.
+		 */
+		archiveThread(conversationId, archived) {
+			const threads = this.getThreads();
+			const thread = threads.find((item) => String(item.conversationId) === String(conversationId));
+			const isActive = String(conversationId) === String(this.state.conversationId);
+
+			if (!thread || (archived && isActive && !this.canSwitchThread())) {
+				return;
+			}
+
+			thread.archived = archived;
+			this.saveThreads(threads);
+
+			if (archived && isActive) {
+				this.startNewThread(false);
+			}
+
+			this.events.emit('threadArchived', thread, archived, this.state);
+		}
+
+		/**
+		 * Check if the visitor can leave the current thread.
+		 *
+		 * Not while a reply is on its way or messages wait in the outbox, as
+		 * they belong to the current conversation.
+		 *
+		 * @returns {boolean} Whether threads can be switched.
+		 */
+		canSwitchThread() {
+			return !this.state.isSending && this.outbox.length === 0;
+		}
+
+		/**
+		 * Empty the transcript for another thread.
+		 *
+		 * @param {string|null} conversationId Conversation ID of the new thread.
+		 */
+		resetTranscript(conversationId) {
+			this.closeSearch();
+			this.hideCitationPopover();
+
+			this.clearMessageElements();
+			this.$messages.find('.wp-ai-chatbot-loading').remove();
+			$('#wp-ai-chatbot-welcome').show();
+
+			this.setState({ conversationId: conversationId, messages: [] });
+
+			this.storage.remove(this.storageKeys.messages);
+
+			if (conversationId) {
+				this.saveConversationId();
+			} else {
+				this.storage.remove(this.storageKeys.conversationId);
+			}
+
+			// A handoff and the questions for the visitor's details belong to their conversation
+			this.stopHandoff();
+			this.resumeHandoff();
+			this.stopLeadConversation();
+		}
+
+		/**
+		 * Start a new conversation, keeping the current one in the thread list.
+		 *
+		 * @param {boolean} close Go back to the transcript.
+		 */
+		startNewThread(close = true) {
+			if (!this.canSwitchThread()) {
+				return;
+			}
+
+			this.resetTranscript(null);
+			this.attachHistory();
+			this.updatePolling();
+			this.saveState();
+			this.broadcast('thread', { conversationId: null, messages: [] });
+
+			if (close) {
+				this.closeThreads();
+				this.$input.trigger('focus');
+			} else if (!this.$threads.prop('hidden')) {
+				this.renderThreads();
+			}
+
+			this.events.emit('threadChanged', null, this.state);
+		}
+
+		/**
+		 * Open a past thread, loading its latest messages from the server.
+		 *
+		 * @param {string} conversationId Conversation ID.
+		 */
+		async switchThread(conversationId) {
+			if (String(conversationId) === String(this.state.conversationId)) {
+				this.closeThreads();
+				return;
+			}
+
+			if (!this.canSwitchThread() || !this.history) {
+				return;
+			}
+
+			this.resetTranscript(conversationId);
+			this.closeThreads();
+			this.$container.addClass('is-loading-thread');
+
+			// ConversationLoader clears the container, keep the welcome message
+			const $welcome = $('#wp-ai-chatbot-welcome').detach();
+			const messages = await this.history.loadConversation(conversationId);
+
+			this.$messages.prepend($welcome.toggle(messages.length === 0));
+			this.$container.removeClass('is-loading-thread');
+
+			// Another thread was opened while this one loaded
+			if (String(conversationId) !== String(this.state.conversationId)) {
+				return;
+			}
+
+			this.saveMessages();
+			this.updateMessageActions();
+			this.updatePolling();
+			this.saveState();
+			this.scrollToBottom();
+			this.broadcast('thread', { conversationId: conversationId, messages: this.state.messages.slice(-50) });
+
+			this.events.emit('threadChanged', conversationId, this.state);
+		}
+
+		/**
+		 * Apply a thread change from another tab.
+		 *
+		 * @param {Object} data {conversationId, messages}.
+		 */
+		applySyncedThread(data) {
+			this.resetTranscript(data.conversationId);
+			this.renderTranscript(data.messages || []);
+			$('#wp-ai-chatbot-welcome').toggle(this.state.messages.length === 0);
+			this.attachHistory();
+			this.updatePolling();
+
+			if (!this.$threads.prop('hidden')) {
+				this.renderThreads();
+			}
+		}
+
+		/**
+		 * Get the visitor's session ID, shared with the behavior tracker.
+		 *
+		 * @returns {string} Session ID.
+		 */
+		getSessionId() {
+			return this.storage.getSession('session_id') || this.config.sessionId || '';
+		}
+
+		/**
+		 * Get the session ID the server issued with the visitor's answers.
+		 *
+		 * Requests about a conversation send it so the server can tell a guest
+		 * owns the conversation. Unlike getSessionId() it is not the behavior
+		 * tracker's ID, which the server never sees when conversations start.
+		 *
+		 * @returns {string} Session ID, empty before the first answer.
+		 */
+		getChatSessionId() {
+			return this.state.chatSessionId || '';
+		}
+
+		/**
+		 * Bind transcript menu events.
+		 */
+		bindMenuEvents() {
+			this.$menuToggle.on('click', () => {
+				if (this.$menu.prop('hidden')) {
+					this.openMenu();
+				} else {
+					this.closeMenu();
+				}
+			});
+
+			this.$menu.on('click', '[data-transcript-action]', (e) => {
+				const $item = $(e.currentTarget);
+
+				if ($item.attr('aria-disabled') === 'true') {
+					return;
+				}
+
+				switch ($item.attr('data-transcript-action')) {
+					case 'download':
+						this.downloadTranscript($item.attr('data-format'));
+						break;
+					case 'email':
+						this.showTranscriptEmailForm();
+						break;
+					case 'copy':
+						this.copyTranscript();
+						break;
+					case 'handoff':
+						this.closeMenu();
+						this.requestHandoff();
+						break;
+				}
+			});
+
+			this.$menu.on('keydown', '[role="menuitem"]', (e) => {
+				const $items = this.$menu.find('[role="menuitem"]');
+				const index = $items.index(e.currentTarget);
+
+				if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+					e.preventDefault();
+					const step = e.key === 'ArrowDown' ? 1 : -1;
+					$items.eq((index + step + $items.length) % $items.length).trigger('focus');
+				} else if (e.key === 'Home' || e.key === 'End') {
+					e.preventDefault();
+					$items.eq(e.key === 'Home' ? 0 : $items.length - 1).trigger('focus');
+				}
+			});
+
+			this.$menu.on('keydown', (e) => {
+				if (e.key === 'Escape') {
+					e.stopPropagation();
+					this.closeMenu();
+					this.$menuToggle.trigger('focus');
+				}
+			});
+
+			this.$menu.on('submit', '.wp-ai-chatbot-transcript-email', (e) => {
+				e.preventDefault();
+				this.emailTranscript(this.$menu.find('#wp-ai-chatbot-transcript-email-input').val());
+			});
+
+			this.$menu.on('click', '.wp-ai-chatbot-transcript-email-cancel', () => {
+				this.renderMenu();
+				this.$menu.find('[role="menuitem"]').first().trigger('focus');
+			});
+
+			// Close when clicking elsewhere
+			$(document).on('click.wpAiChatbotWidget', (e) => {
+				if (!this.$menu.prop('hidden') && !$(e.target).closest('.wp-ai-chatbot-menu-wrapper').length) {
+					this.closeMenu();
+				}
+			});
+		}
+
+		/**
+		 * Open the transcript menu.
+		 */
+		openMenu() {
+			this.renderMenu();
+			this.$menu.prop('hidden', false);
+			this.$menuToggle.attr('aria-expanded', 'true');
+			this.$menu.find('[role="menuitem"]').first().trigger('focus');
+
+			if (!this.transcriptFormats) {
+				this.loadTranscriptFormats();
+			}
+		}
+
+		/**
+		 * Close the transcript menu.
+		 */
+		closeMenu() {
+			this.$menu.prop('hidden', true);
+			this.$menuToggle.attr('aria-expanded', 'false');
+		}
+
+		/**
+		 * Load the download formats Conversation_Exporter offers.
+		 */
+		loadTranscriptFormats() {
+			$.ajax({
+				url: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wp_ai_chatbot_get_transcript_formats',
+					nonce: this.config.nonce || wpAiChatbot.nonce,
+				},
+				success: (response) => {
+					if (response.success && response.data) {
+						this.transcriptFormats = response.data.formats || [];
+
+						if (!this.$menu.prop('hidden') && this.$menu.find('.wp-ai-chatbot-transcript-email').prop('hidden')) {
+							this.renderMenu();
+						}
+					}
+				},
+			});
+		}
+
+		/**
+		 * Render the transcript menu items.
+		 *
+		 * Actions need a conversation on the server, so they stay disabled
+		 * until the first reply.
+		 */
+		renderMenu() {
+			const disabled = !this.state.conversationId;
+			const $items = this.$menu.find('.wp-ai-chatbot-menu-items').empty();
+
+			const item = (label, action, format) => $('<button>')
+				.addClass('wp-ai-chatbot-menu-item')
+				.attr({ type: 'button', role: 'menuitem', 'data-transcript-action': action })
+				.attr('data-format', format || null)
+				.attr('aria-disabled', disabled ? 'true' : 'false')
+				.text(label);
+
+			if (this.transcriptFormats === null) {
+				$items.append($('<span>').addClass('wp-ai-chatbot-menu-note').text(__('Loading download formats...')));
+			}
+
+			(this.transcriptFormats || []).forEach((format) => {
+				/* translators: %s: export format, e.g. "PDF". */
+				$items.append(item(sprintf(__('Download %s'), format.label), 'download', format.id));
+			});
+
+			$items.append(
+				item(__('Email transcript'), 'email'),
+				item(__('Copy transcript'), 'copy')
+			);
+
+			if (this.canRequestHandoff()) {
+				$items.append(item(__('Talk to a person'), 'handoff'));
+			}
+
+			if (disabled) {
+				$items.append($('<span>').addClass('wp-ai-chatbot-menu-note').text(__('Send a message first to save this conversation.')));
+			}
+
+			this.$menu.find('.wp-ai-chatbot-transcript-email').prop('hidden', true);
+			$items.prop('hidden', false);
+			this.setMenuStatus('');
+		}
+
+		/**
+		 * Show a result in the transcript menu.
+		 *
+		 * @param {string}  message Status text.
+		 * @param {boolean} isError Whether it is an error.
+		 */
+		setMenuStatus(message, isError = false) {
+			this.$menu.find('.wp-ai-chatbot-menu-status')
+				.text(message)
+				.toggleClass('is-error', isError);
+		}
+
+		/**
+		 * Parameters shared by the transcript requests.
+		 *
+		 * @param {string} action AJAX action.
+		 * @returns {Object} Request data.
+		 */
+		getTranscriptParams(action) {
+			return {
+				action: action,
+				nonce: this.config.nonce || wpAiChatbot.nonce,
+				conversation_id: this.state.conversationId,
+				session_id: this.getChatSessionId(),
+			};
+		}
+
+		/**
+		 * Get the error message of a failed transcript request.
+		 *
+		 * @param {Object} xhr      jQuery XHR.
+		 * @param {string} fallback Message when the server sent none.
+		 * @returns {string} Error message.
+		 */
+		getTranscriptError(xhr, fallback) {
+			const response = xhr && xhr.responseJSON;
+			return (response && response.data && response.data.message) || fallback;
+		}
+
+		/**
+		 * Download the transcript through a single-use export link.
+		 *
+		 * @param {string} format Export format.
+		 */
+		downloadTranscript(format) {
+			this.setMenuStatus(__('Preparing download...'));
+
+			$.ajax({
+				url: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
+				type: 'POST',
+				data: { ...this.getTranscriptParams('wp_ai_chatbot_export_transcript'), format: format },
+				success: (response) => {
+					if (!response.success || !response.data || !response.data.url) {
+						this.setMenuStatus((response.data && response.data.message) || __('The transcript could not be exported.'), true);
+						return;
+					}
+
+					// PDF without a PDF library opens as a printable page
+					$('<a>')
+						.attr({ href: response.data.url, target: format === 'pdf' ? '_blank' : null, rel: 'noopener' })
+						.attr('download', format === 'pdf' ? null : '')
+						.appendTo('body')
+						.each((i, link) => link.click())
+						.remove();
+
+					this.setMenuStatus(__('Download started.'));
+					this.events.emit('transcriptDownloaded', format, this.state);
+				},
+				error: (xhr) => {
+					this.setMenuStatus(this.getTranscriptError(xhr, __('The transcript could not be exported.')), true);
+				},
+			});
+		}
+
+		/**
+		 * Show the email form in place of the menu items.
+		 */
+		showTranscriptEmailForm() {
+			const $form = this.$menu.find('.wp-ai-chatbot-transcript-email');
+
+			this.$menu.find('.wp-ai-chatbot-menu-items').prop('hidden', true);
+			this.setMenuStatus('');
+			$form.prop('hidden', false);
+			$form.find('input').trigger('focus');
+		}
+
+		/**
+		 * Email the transcript with a link to resume the conversation.
+		 *
+		 * @param {string} email Email address.
+		 */
+		emailTranscript(email) {
+			email = String(email || '').trim();
+
+			if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+				this.setMenuStatus(__('Please enter a valid email address.'), true);
+				return;
+			}
+
+			const $send = this.$menu.find('.wp-ai-chatbot-transcript-email-send').prop('disabled', true);
+			this.setMenuStatus(__('Sending...'));
+
+			$.ajax({
+				url: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
+				type: 'POST',
+				data: { ...this.getTranscriptParams('wp_ai_chatbot_email_transcript'), email: email },
+				success: (response) => {
+					if (!response.success) {
+						this.setMenuStatus((response.data && response.data.message) || __('The transcript could not be sent.'), true);
+						return;
+					}
+
+					this.$menu.find('.wp-ai-chatbot-transcript-email').prop('hidden', true);
+					this.$menu.find('.wp-ai-chatbot-menu-items').prop('hidden', false);
+					this.setMenuStatus((response.data && response.data.message) || __('Transcript sent.'));
+					this.events.emit('transcriptEmailed', email, this.state);
+				},
+				error: (xhr) => {
+					this.setMenuStatus(this.getTranscriptError(xhr, __('The transcript could not be sent.')), true);
+				},
+				complete: () => {
+					$send.prop('disabled', false);
+				},
+			});
+		}
+
+		/**
+		 * Copy the transcript text from Conversation_Exporter.
+		 */
+		copyTranscript() {
+			this.setMenuStatus(__('Copying...'));
+
+			$.ajax({
+				url: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
+				type: 'POST',
+				data: this.getTranscriptParams('wp_ai_chatbot_copy_transcript'),
+				success: (response) => {
+					if (!response.success || !response.data) {
+						this.setMenuStatus((response.data && response.data.message) || __('The transcript could not be copied.'), true);
+						return;
+					}
+
+					this.copyText(response.data.text).then((copied) => {
+						this.setMenuStatus(copied ? __('Transcript copied.') : __('The transcript could not be copied.'), !copied);
+
+						if (copied) {
+							this.events.emit('transcriptCopied', this.state);
+						}
+					});
+				},
+				error: (xhr) => {
+					this.setMenuStatus(this.getTranscriptError(xhr, __('The transcript could not be copied.')), true);
+				},
+			});
 		}
 
 		/**
-		 * Hide typing indicator.
+		 * Start syncing with other tabs of this site.
+		 *
+		 * Every tab applies messages and state from the others. Only the leader
+		 * tab polls the server and shares what it finds.
 		 */
-		hideTyping() {
-			clearTimeout(this.typingTimeout);
-			this.setState({ isTyping: false });
-			this.$typingIndicator.hide().attr('aria-hidden', 'true');
-		}
+		initTabSync() {
+			if (window.WPAIChatbotTabSync && this.config.tabSync !== false) {
+				this.sync = new window.WPAIChatbotTabSync({
+					onLeaderChange: () => this.updatePolling(),
+				});
 
-		/**
-		 * Scroll messages to bottom.
-		 */
-		scrollToBottom() {
-			setTimeout(() => {
-				this.$messages.scrollTop(this.$messages[0].scrollHeight);
-			}, 100);
+				this.sync.on('message', (messageData) => this.receiveMessage(messageData));
+				this.sync.on('messageRemoved', (data) => this.applySync(() => this.removeMessage(data.id)));
+				this.sync.on('state', (state) => this.applySync(() => this.applySyncedState(state)));
+				this.sync.on('cleared', () => this.applySync(() => this.clearHistory()));
+				this.sync.on('messages', (messages) => this.applySync(() => this.renderTranscript(messages)));
+				this.sync.on('thread', (data) => this.applySync(() => this.applySyncedThread(data)));
+				this.sync.on('reset', () => this.applySync(() => this.reset()));
+				this.sync.on('handoff', (state) => this.applySync(() => this.applySyncedHandoff(state)));
+			}
+
+			this.updatePolling();
 		}
 
 		/**
-		 * Update character count.
+		 * Send a change to the other tabs, unless it came from one of them.
+		 *
+		 * @param {string} type    Message type.
+		 * @param {*}      payload Payload.
 		 */
-		updateCharCount() {
-			const length = this.$input.val().length;
-			const max = parseInt(this.$input.attr('maxlength') || 2000);
-			this.$charCount.text(length);
-			
-			if (length > max * 0.9) {
-				this.$charCount.parent().addClass('is-warning');
-			} else {
-				this.$charCount.parent().removeClass('is-warning');
+		broadcast(type, payload) {
+			if (this.sync && !this.applyingSync) {
+				this.sync.post(type, payload);
 			}
 		}
 
 		/**
-		 * Auto-resize textarea.
+		 * Apply a change from another tab without echoing it back.
+		 *
+		 * @param {Function} callback Applies the change.
 		 */
-		autoResize() {
-			this.$input.css('height', 'auto');
-			const height = Math.min(this.$input[0].scrollHeight, 150);
-			this.$input.css('height', height + 'px');
+		applySync(callback) {
+			this.applyingSync = true;
+			try {
+				callback();
+			} finally {
+				this.applyingSync = false;
+			}
 		}
 
 		/**
-		 * Toggle send button state.
+		 * Show a message that another tab or the server added.
+		 *
+		 * @param {Object} messageData Stored message.
 		 */
-		toggleSendButton() {
-			const hasText = this.$input.val().trim().length > 0;
-			this.$sendButton.prop('disabled', !hasText || this.isSending);
+		receiveMessage(messageData) {
+			if (!messageData || this.state.messages.some((msg) => msg.id === messageData.id)) {
+				return;
+			}
+
+			this.addMessageToUI(messageData.role, messageData.content, messageData.metadata || {}, true, messageData.id);
+			this.state.messages.push(messageData);
+			this.updateMessageActions();
+
+			this.events.emit('messageAdded', messageData, this.state);
 		}
 
 		/**
-		 * Handle error.
+		 * Remove a message from the transcript.
+		 *
+		 * @param {string} messageId Message ID.
 		 */
-		handleError(error) {
-			this.addMessage('assistant', 'Sorry, I encountered an error. Please try again.', {
-				is_error: true,
+		removeMessage(messageId) {
+			this.removeMessageElement(messageId);
+			this.setState({
+				messages: this.state.messages.filter((msg) => msg.id !== messageId),
 			});
-			console.error('Chat widget error:', error);
+			this.updateMessageActions();
 		}
 
 		/**
-		 * Check if lead capture should be shown.
+		 * Apply widget state saved by another tab.
+		 *
+		 * @param {Object} state Shared state.
 		 */
-		shouldShowLeadCapture() {
-			// Check if user is already captured
-			if (this.state.leadCaptured || this.config.leadCaptured) {
-				return false;
+		applySyncedState(state) {
+			if (state.isOpen && !this.state.isOpen) {
+				this.open();
+			} else if (!state.isOpen && this.state.isOpen) {
+				this.close();
 			}
 
-			// Check message count threshold
-			const messageCount = this.state.messages.filter(m => m.role === 'user').length;
-			const threshold = this.config.leadCaptureAfterMessages || 3;
-			
-			return messageCount >= threshold;
-		}
+			if (state.conversationId && state.conversationId !== this.state.conversationId) {
+				this.setState({ conversationId: state.conversationId });
+				this.updatePolling();
+			}
 
-		/**
-		 * Show lead capture form.
-		 */
-		showLeadCapture() {
-			this.$leadCapture.show().attr('aria-hidden', 'false');
-			$('#wp-ai-chatbot-lead-name').focus();
+			if (state.leadCaptured && !this.state.leadCaptured) {
+				this.setState({ leadCaptured: true });
+				this.config.leadCaptured = true;
+				this.hideLeadCapture();
+			}
+
+			this.setState({
+				isMinimized: !!state.isMinimized,
+				unreadCount: state.unreadCount || 0,
+				hasUnreadMessages: !!state.hasUnreadMessages,
+			});
+			this.$container.toggleClass('is-minimized', this.state.isMinimized);
+			this.updateUnreadBadge();
 		}
 
 		/**
-		 * Hide lead capture form.
+		 * Poll for new messages in the leader tab only.
+		 *
+		 * Polling is off unless `pollInterval` (ms) is configured.
 		 */
-		hideLeadCapture() {
-			this.$leadCapture.hide().attr('aria-hidden', 'true');
+		updatePolling() {
+			const interval = parseInt(this.config.pollInterval, 10) || 0;
+			const isLeader = !this.sync || this.sync.isLeader();
+
+			clearInterval(this.pollTimer);
+			this.pollTimer = null;
+
+			if (interval > 0 && isLeader && this.state.conversationId) {
+				this.pollTimer = setInterval(() => this.pollMessages(), interval);
+			}
 		}
 
 		/**
-		 * Submit lead capture form.
+		 * Fetch messages added to the conversation outside this browser.
+		 *
+		 * Asks `wp_ai_chatbot_get_messages` for messages after the newest
+		 * server-issued ID. Visitor messages are skipped: tabs share those
+		 * directly.
 		 */
-		submitLeadForm() {
-			const formData = {
-				name: $('#wp-ai-chatbot-lead-name').val().trim(),
-				email: $('#wp-ai-chatbot-lead-email').val().trim(),
-				phone: $('#wp-ai-chatbot-lead-phone').val().trim(),
-			};
-
-			if (!formData.name || !formData.email) {
-				alert('Please fill in all required fields.');
+		pollMessages() {
+			if (this.state.isSending || this.isPolling || navigator.onLine === false) {
 				return;
 			}
 
+			const newest = this.state.messages.slice().reverse().find((msg) => msg.metadata && msg.metadata.message_id);
+
+			this.isPolling = true;
+
 			$.ajax({
 				url: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
 				type: 'POST',
 				data: {
-					action: 'wp_ai_chatbot_capture_lead',
+					action: 'wp_ai_chatbot_get_messages',
 					nonce: this.config.nonce || wpAiChatbot.nonce,
-					conversation_id: this.conversationId,
-					...formData,
+					conversation_id: this.state.conversationId,
+					after_id: newest ? newest.metadata.message_id : '',
+					direction: 'newer',
 				},
 				success: (response) => {
-					if (response.success) {
-						this.setState({ leadCaptured: true });
-						this.config.leadCaptured = true;
-						localStorage.setItem(this.storageKeys.leadCaptured, 'true');
-						this.hideLeadCapture();
-						this.addMessage('assistant', 'Thank you! How can I help you?');
-						this.saveState();
-					} else {
-						alert(response.data?.message || 'Failed to save your information.');
+					if (!response.success || !response.data) {
+						return;
 					}
+
+					(response.data.messages || []).forEach((message) => {
+						if (message.role === 'user' || this.state.messages.some((msg) => msg.id === message.id)) {
+							return;
+						}
+
+						const messageData = {
+							id: message.id,
+							role: message.role,
+							content: message.content,
+							metadata: { ...(message.metadata || {}), message_id: message.id },
+							timestamp: message.created_at || new Date().toISOString(),
+						};
+
+						this.receiveMessage(messageData);
+						this.broadcast('message', messageData);
+
+						if (!this.state.isOpen) {
+							this.setState({
+								unreadCount: this.state.unreadCount + 1,
+								hasUnreadMessages: true,
+							});
+							this.updateUnreadBadge();
+						}
+					});
+
+					this.saveMessages();
+					this.saveState();
 				},
-				error: () => {
-					alert('An error occurred. Please try again.');
+				complete: () => {
+					this.isPolling = false;
 				}
 			});
 		}
 
 		/**
-		 * Submit feedback.
+		 * Check if live chat with an agent is available.
+		 *
+		 * @returns {boolean} True if it can be requested now.
 		 */
-		submitFeedback(messageId, feedback) {
-			$.ajax({
-				url: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
-				type: 'POST',
-				data: {
-					action: 'wp_ai_chatbot_submit_feedback',
-					nonce: this.config.nonce || wpAiChatbot.nonce,
-					message_id: messageId,
-					feedback: feedback,
-				},
-				error: () => {
-					console.error('Failed to submit feedback');
-				}
-			});
+		canRequestHandoff() {
+			return this.config.liveHandoff !== false && !!window.WPAIChatbotHandoff && !this.isHandoffLive();
 		}
 
 		/**
-		 * Load conversation history.
+		 * Check if the visitor is waiting for or chatting with an agent.
+		 *
+		 * @returns {boolean} True while handed off.
 		 */
-		loadConversation() {
-			// Load conversation ID from storage
-			const storedId = localStorage.getItem(this.storageKeys.conversationId);
-			if (storedId) {
-				this.setState({ conversationId: storedId });
-			}
-
-			// Load messages from storage
-			const storedMessages = localStorage.getItem(this.storageKeys.messages);
-			if (storedMessages) {
-				try {
-					const messages = JSON.parse(storedMessages);
-					if (Array.isArray(messages) && messages.length > 0) {
-						// Restore messages to UI
-						messages.forEach((msg) => {
-							this.addMessageToUI(msg.role, msg.content, msg.metadata || {}, false);
-						});
-						this.setState({ messages: messages });
-					}
-				} catch (e) {
-					console.error('Failed to load messages:', e);
-				}
-			}
+		isHandoffLive() {
+			return !!this.handoff && this.handoff.isLive();
+		}
 
-			// Load lead capture status
-			const leadCaptured = localStorage.getItem(this.storageKeys.leadCaptured);
-			if (leadCaptured === 'true') {
-				this.setState({ leadCaptured: true });
-				this.config.leadCaptured = true;
-			}
+		/**
+		 * Create the handoff client for the current conversation.
+		 *
+		 * Every tab follows the handoff, only the leader tab polls.
+		 *
+		 * @returns {LiveHandoff} Handoff client.
+		 */
+		createHandoff() {
+			return new window.WPAIChatbotHandoff({
+				ajaxUrl: this.config.ajaxUrl || wpAiChatbot.ajaxUrl,
+				nonce: this.config.nonce || wpAiChatbot.nonce,
+				conversationId: this.state.conversationId,
+				sessionId: this.getChatSessionId(),
+				queueInterval: this.config.handoffQueueInterval || 5000,
+				activeInterval: this.config.handoffInterval || 2000,
+				canPoll: () => !this.sync || this.sync.isLeader(),
+				onUpdate: (state, previous) => this.onHandoffUpdate(state, previous),
+				onMessage: (message) => this.receiveHandoffMessage(message),
+				onEnd: (summary) => this.endHandoff(summary),
+			});
 		}
 
 		/**
-		 * Save conversation ID.
+		 * Ask for a human agent from the menu.
 		 */
-		saveConversationId() {
-			if (this.state.conversationId) {
-				localStorage.setItem(this.storageKeys.conversationId, this.state.conversationId);
+		requestHandoff() {
+			if (!this.canRequestHandoff() || !this.state.conversationId) {
+				return;
 			}
+
+			this.handoff = this.createHandoff();
+
+			this.handoff.request().then((data) => {
+				if (data.message) {
+					this.addMessage('assistant', data.message, { handoff: true });
+				}
+
+				this.events.emit('handoffStarted', this.handoff.state, this.state);
+			}).catch((error) => {
+				this.handoff = null;
+				this.renderHandoff();
+				this.handleError(error.message);
+			});
 		}
 
 		/**
-		 * Save messages to storage.
+		 * Follow a handoff the server opened when it escalated a reply.
+		 *
+		 * @param {Object} state {escalationId, lastMessageId}.
 		 */
-		saveMessages() {
-			try {
-				// Only save last 50 messages to avoid storage limits
-				const messagesToSave = this.state.messages.slice(-50);
-				localStorage.setItem(this.storageKeys.messages, JSON.stringify(messagesToSave));
-			} catch (e) {
-				console.error('Failed to save messages:', e);
-				// If storage is full, try to save fewer messages
-				try {
-					const messagesToSave = this.state.messages.slice(-25);
-					localStorage.setItem(this.storageKeys.messages, JSON.stringify(messagesToSave));
-				} catch (e2) {
-					console.error('Failed to save messages (reduced):', e2);
-				}
+		startHandoff(state) {
+			if (this.config.liveHandoff === false || !window.WPAIChatbotHandoff || this.isHandoffLive()) {
+				return;
 			}
+
+			this.handoff = this.createHandoff();
+			this.handoff.resume(state);
+
+			this.events.emit('handoffStarted', this.handoff.state, this.state);
 		}
 
 		/**
-		 * Save state to storage.
+		 * Pick up a handoff saved for the current conversation, e.g. on a new page.
 		 */
-		saveState() {
-			try {
-				const stateToSave = {
-					isOpen: this.state.isOpen,
-					isMinimized: this.state.isMinimized,
-					conversationId: this.state.conversationId,
-					leadCaptured: this.state.leadCaptured,
-					lastMessageTime: this.state.lastMessageTime,
-					scrollPosition: this.$messages.scrollTop(),
-				};
-				localStorage.setItem(this.storageKeys.state, JSON.stringify(stateToSave));
-			} catch (e) {
-				console.error('Failed to save state:', e);
+		resumeHandoff() {
+			const saved = this.storage.get(this.storageKeys.handoff);
+
+			if (!saved || !this.state.conversationId || saved.conversationId !== this.state.conversationId || this.config.liveHandoff === false || !window.WPAIChatbotHandoff) {
+				return;
 			}
+
+			const { conversationId, ...state } = saved;
+
+			this.handoff = this.createHandoff();
+			this.handoff.resume(state);
 		}
 
 		/**
-		 * Load state from storage.
+		 * Stop following the handoff here, without ending it on the server.
 		 */
-		loadState() {
-			try {
-				const storedState = localStorage.getItem(this.storageKeys.state);
-				if (storedState) {
-					const state = JSON.parse(storedState);
-					if (state) {
-						// Restore state (but don't auto-open)
-						this.setState({
-							conversationId: state.conversationId || null,
-							leadCaptured: state.leadCaptured || false,
-							lastMessageTime: state.lastMessageTime || null,
-							scrollPosition: state.scrollPosition || 0,
-						});
-						
-						if (state.leadCaptured) {
-							this.config.leadCaptured = true;
-						}
-					}
-				}
-			} catch (e) {
-				console.error('Failed to load state:', e);
+		stopHandoff() {
+			if (this.handoff) {
+				this.handoff.stop();
+				this.handoff = null;
 			}
+
+			this.renderHandoff();
 		}
 
 		/**
-		 * Restore scroll position.
+		 * Leave the queue or end the chat with the agent.
 		 */
-		restoreScrollPosition() {
-			if (this.state.scrollPosition > 0) {
-				setTimeout(() => {
-					this.$messages.scrollTop(this.state.scrollPosition);
-				}, 100);
+		leaveHandoff() {
+			if (!this.isHandoffLive()) {
+				return;
 			}
+
+			this.$handoff.find('.wp-ai-chatbot-handoff-end').prop('disabled', true);
+
+			this.handoff.leave().catch((error) => {
+				this.$handoff.find('.wp-ai-chatbot-handoff-end').prop('disabled', false);
+				this.handleError(error.message);
+			});
 		}
 
 		/**
-		 * Save scroll position.
+		 * Send a visitor message to the agent.
+		 *
+		 * @param {Object} messageData Stored user message.
 		 */
-		saveScrollPosition() {
-			this.setState({ scrollPosition: this.$messages.scrollTop() });
+		sendHandoffMessage(messageData) {
+			messageData.metadata = { ...messageData.metadata, handoff: true };
+			this.saveMessages();
+
+			this.handoff.send(messageData.content).then((data) => {
+				messageData.metadata = { ...messageData.metadata, message_id: data.message_id };
+				this.saveMessages();
+			}).catch((error) => {
+				this.findMessage(messageData.id).addClass('is-unsent');
+				this.handleError(error.message);
+			});
 		}
 
 		/**
-		 * Update unread badge.
+		 * Show a message from the agent, or the closing summary.
+		 *
+		 * @param {Object} message {id, role: 'agent'|'system', content, created_at}.
 		 */
-		updateUnreadBadge() {
-			if (this.state.unreadCount > 0) {
-				this.$notificationBadge.text(this.state.unreadCount).show();
-			} else {
-				this.$notificationBadge.hide();
+		receiveHandoffMessage(message) {
+			if (this.state.messages.some((msg) => String(msg.id) === String(message.id))) {
+				return;
+			}
+
+			const agent = this.handoff && this.handoff.state.agent;
+
+			this.addMessage(message.role === 'agent' ? 'agent' : 'system', message.content, {
+				message_id: message.id,
+				agent: agent ? { name: agent.name, avatar: agent.avatar } : null,
+				handoff: true,
+			});
+
+			if (!this.state.isOpen) {
+				this.setState({
+					unreadCount: this.state.unreadCount + 1,
+					hasUnreadMessages: true,
+				});
+				this.updateUnreadBadge();
+				this.saveState();
 			}
 		}
 
 		/**
-		 * Set state (with optional callback).
+		 * Save and show a change of the handoff.
+		 *
+		 * @param {Object} state    Handoff state.
+		 * @param {Object} previous Previous handoff state.
 		 */
-		setState(newState) {
-			const oldState = { ...this.state };
-			this.state = { ...this.state, ...newState };
-			
-			// Trigger state change event
-			$(document).trigger('wpAiChatbot:stateChanged', [this.state, oldState]);
+		onHandoffUpdate(state, previous) {
+			const agent = state.agent;
+			const joined = agent && (!previous.agent || previous.agent.id !== agent.id);
+
+			if (joined && !this.applyingSync) {
+				/* translators: %s: name of the support agent. */
+				this.addMessage('system', sprintf(__('%s joined the chat.'), agent.name), { handoff: true });
+			}
+
+			if (joined) {
+				this.events.emit('agentJoined', agent, this.state);
+			}
+
+			if (this.handoff && this.handoff.isLive()) {
+				this.storage.set(this.storageKeys.handoff, { conversationId: this.state.conversationId, ...state });
+			}
+
+			this.broadcast('handoff', state);
+			this.renderHandoff();
+			this.updateMessageActions();
 		}
 
 		/**
-		 * Get current state.
+		 * Go back to the AI once the handoff is closed.
+		 *
+		 * @param {string} summary Closing summary, empty if the visitor left the queue.
 		 */
-		getState() {
-			return { ...this.state };
+		endHandoff(summary) {
+			this.storage.remove(this.storageKeys.handoff);
+
+			// The summary comes with the agent's messages, unless the visitor ended the chat
+			if (!this.applyingSync) {
+				if (summary && !this.state.messages.some((msg) => msg.role === 'system' && msg.content === summary)) {
+					this.addMessage('system', summary, { handoff: true });
+				}
+
+				this.addMessage('system', __('You are chatting with our AI assistant again.'), { handoff: true });
+			}
+
+			this.handoff = null;
+			this.renderHandoff();
+			this.updateMessageActions();
+
+			this.events.emit('handoffEnded', summary, this.state);
 		}
 
 		/**
-		 * Clear conversation history.
+		 * Follow a handoff change from the leader tab.
+		 *
+		 * @param {Object} state Handoff state.
 		 */
-		clearHistory() {
-			this.setState({ messages: [] });
-			this.$messages.empty();
-			$('#wp-ai-chatbot-welcome').show();
-			localStorage.removeItem(this.storageKeys.messages);
-			this.saveState();
-			
-			$(document).trigger('wpAiChatbot:historyCleared');
+		applySyncedHandoff(state) {
+			if (!state) {
+				return;
+			}
+
+			if (this.handoff) {
+				this.handoff.update(state);
+			} else if (state.status === 'queued' || state.status === 'active') {
+				// Polls too if this tab becomes the leader
+				this.handoff = this.createHandoff();
+				this.handoff.resume(state);
+			}
 		}
 
 		/**
-		 * Add message to UI without saving (for restoring history).
+		 * Show the queue position, or the agent with their presence and typing.
 		 */
-		addMessageToUI(role, content, metadata = {}, save = true) {
-			// Hide welcome message
-			$('#wp-ai-chatbot-welcome').hide();
+		renderHandoff() {
+			const state = this.isHandoffLive() ? this.handoff.state : null;
 
-			const messageId = metadata.message_id || 'msg-' + Date.now();
-			const $message = $('<div>')
-				.addClass('wp-ai-chatbot-message')
-				.addClass('wp-ai-chatbot-message-' + role)
-				.attr('data-message-id', messageId)
-				.attr('role', 'article')
-				.attr('aria-label', role === 'user' ? 'Your message' : 'AI response');
+			this.$container.toggleClass('is-live-agent', !!state);
+			this.$handoff.prop('hidden', !state);
 
-			const $content = $('<div>').addClass('wp-ai-chatbot-message-content');
-			
-			if (role === 'user') {
-				$content.text(content);
+			if (!state) {
+				return;
+			}
+
+			const agent = state.status === 'active' ? state.agent : null;
+			const name = (agent && agent.name) || __('Support agent');
+			const $avatar = this.$handoff.find('.wp-ai-chatbot-handoff-avatar');
+			let title;
+			let detail;
+
+			if (!agent) {
+				title = __('Waiting for a team member');
+				detail = state.position > 1
+					/* translators: %s: place in the queue. */
+					? sprintf(__('You are number %s in line.'), formatNumber(state.position))
+					: __('You are next in line.');
 			} else {
-				$content.html(this.formatAssistantMessage(content, metadata.citations));
-				
-				// Add feedback buttons if message_id exists
-				if (metadata.message_id) {
-					const $feedback = $('<div>')
-						.addClass('wp-ai-chatbot-message-feedback')
-						.attr('role', 'group')
-						.attr('aria-label', 'Rate this response');
-					
-					$feedback.append(
-						$('<button>')
-							.addClass('wp-ai-chatbot-feedback-btn wp-ai-chatbot-feedback-up')
-							.attr('type', 'button')
-							.attr('aria-label', 'Helpful')
-							.attr('data-message-id', metadata.message_id)
-							.html('<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><path d="M8 14V8M8 8V2M8 8H4L6 4H10L8 8Z" stroke="currentColor" stroke-width="2"/></svg>')
-					);
-					
-					$feedback.append(
-						$('<button>')
-							.addClass('wp-ai-chatbot-feedback-btn wp-ai-chatbot-feedback-down')
-							.attr('type', 'button')
-							.attr('aria-label', 'Not helpful')
-							.attr('data-message-id', metadata.message_id)
-							.html('<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><path d="M8 2V8M8 8V14M8 8H12L10 12H6L8 8Z" stroke="currentColor" stroke-width="2"/></svg>')
-					);
-					
-					$content.after($feedback);
-					
-					// Bind feedback handlers
-					$feedback.find('.wp-ai-chatbot-feedback-btn').on('click', (e) => {
-						const $btn = $(e.currentTarget);
-						const msgId = $btn.data('message-id');
-						const feedback = $btn.hasClass('wp-ai-chatbot-feedback-up') ? 'positive' : 'negative';
-						this.submitFeedback(msgId, feedback);
-						$feedback.find('.wp-ai-chatbot-feedback-btn').prop('disabled', true);
-						$btn.addClass('is-active');
-					});
-				}
+				title = name;
+				/* translators: %s: name of the support agent. */
+				detail = state.agentTyping ? sprintf(__('%s is typing...'), name) : (agent.online ? __('Online') : __('Away'));
 			}
 
-			$message.append($content);
-			this.$messages.append($message);
+			$avatar.prop('hidden', !(agent && this.isSafeUrl(agent.avatar)));
 
-			if (save) {
-				// Scroll to bottom only if saving (new message)
-				this.scrollToBottom();
+			if (agent && this.isSafeUrl(agent.avatar) && $avatar.attr('src') !== agent.avatar) {
+				$avatar.attr('src', agent.avatar);
 			}
+
+			this.$handoff
+				.toggleClass('has-agent', !!agent)
+				.toggleClass('is-online', !!(agent && agent.online))
+				.toggleClass('is-typing', !!(agent && state.agentTyping));
+			this.$handoff.find('.wp-ai-chatbot-handoff-title').text(title);
+			this.$handoff.find('.wp-ai-chatbot-handoff-detail').text(detail);
+			this.$handoff.find('.wp-ai-chatbot-handoff-end')
+				.prop('disabled', false)
+				.text(agent ? __('End chat') : __('Leave queue'));
 		}
 
 		/**
@@ -881,7 +5795,7 @@
 				// Check if scrolled to top (for lazy loading)
 				if (this.$messages.scrollTop() === 0 && this.state.messages.length > 0) {
 					// Could load more messages here
-					$(document).trigger('wpAiChatbot:scrollToTop');
+					this.events.emit('scrollToTop');
 				}
 			});
 		}
@@ -891,6 +5805,16 @@
 	$(document).ready(function() {
 		if (typeof wpAiChatbot !== 'undefined') {
 			window.chatWidget = new ChatWidget(wpAiChatbot);
+
+			// Lets the SDK (chatbot-sdk.js) and other scripts connect, once
+			// the stored conversation is back
+			const widget = window.chatWidget;
+
+			widget.restoring.then(() => {
+				if (!widget.destroyed) {
+					widget.events.emit('ready', widget);
+				}
+			});
 		}
 	});
 
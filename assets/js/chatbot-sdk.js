@@ -0,0 +1,335 @@
+/**
+ * Chatbot SDK.
+ *
+ * Public JavaScript API for the chat widget, exposed as `window.WPAIChatbot`:
+ *
+ *     WPAIChatbot.open();
+ *     WPAIChatbot.send('Do you ship to Canada?');
+ *     WPAIChatbot.identify({ id: 42, email: 'sam@example.com', name: 'Sam' });
+ *     WPAIChatbot.setContext({ plan: 'pro' });
+ *     WPAIChatbot.setTheme({ colors: { primary: '#e11d48' } });
+ *     WPAIChatbot.setConsent({ storage: true, tracking: false });
+ *     WPAIChatbot.on('messageReceived', (data, state) => { ... });
+ *     WPAIChatbot.ready.then((chatbot) => { ... });
+ *
+ * Commands called before the widget has loaded are queued and replayed in
+ * order once it is ready. Pages can queue commands before this script
+ * loads too:
+ *
+ *     window.WPAIChatbot = window.WPAIChatbot || [];
+ *     WPAIChatbot.push(['open']);
+ *
+ * Event names are those of the event catalogue in event-bus.js; older
+ * aliases are accepted too. Load after event-bus.js and before
+ * chat-widget.js.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function() {
+	'use strict';
+
+	/**
+	 * Methods that can be queued with push().
+	 */
+	const COMMANDS = ['open', 'close', 'toggle', 'send', 'identify', 'setContext', 'setTheme', 'setConsent', 'on', 'off', 'reset', 'destroy'];
+
+	/**
+	 * Chatbot SDK class.
+	 */
+	class ChatbotSDK {
+		constructor(events) {
+			this.events = events;
+			this.widget = null;
+			this.destroyed = false;
+
+			// Commands waiting for the widget, as [method, args]
+			this.queue = [];
+
+			// Handlers added with on(), as {event, handler}
+			this.listeners = [];
+
+			/**
+			 * Resolves with the SDK once the widget is ready.
+			 *
+			 * @type {Promise}
+			 */
+			this.ready = new Promise((resolve) => {
+				this.resolveReady = resolve;
+			});
+		}
+
+		/**
+		 * Connect the SDK to the widget and replay queued commands.
+		 *
+		 * @param {ChatWidget} widget Chat widget instance.
+		 */
+		attach(widget) {
+			if (!widget || this.widget) {
+				return;
+			}
+
+			// destroy() was called before the widget loaded
+			if (this.destroyed) {
+				widget.destroy();
+				return;
+			}
+
+			this.widget = widget;
+
+			const queue = this.queue;
+			this.queue = [];
+			queue.forEach(([method, args]) => this.run(method, args));
+
+			this.resolveReady(this);
+		}
+
+		/**
+		 * Call a widget method now, or once the widget is ready.
+		 *
+		 * @param {string} method Widget method.
+		 * @param {Array}  args   Arguments.
+		 */
+		run(method, args = []) {
+			if (this.destroyed) {
+				console.warn('WPAIChatbot: The chat widget was destroyed, ignoring ' + method + '()');
+				return;
+			}
+
+			if (!this.widget) {
+				this.queue.push([method, args]);
+				return;
+			}
+
+			try {
+				this.widget[method](...args);
+			} catch (e) {
+				console.error('WPAIChatbot: ' + method + '() failed', e);
+			}
+		}
+
+		/**
+		 * Open the chat window.
+		 *
+		 * @returns {ChatbotSDK} The SDK, for chaining.
+		 */
+		open() {
+			this.run('open');
+			return this;
+		}
+
+		/**
+		 * Close the chat window.
+		 *
+		 * @returns {ChatbotSDK} The SDK, for chaining.
+		 */
+		close() {
+			this.run('close');
+			return this;
+		}
+
+		/**
+		 * Open the chat window if it is closed, close it otherwise.
+		 *
+		 * @returns {ChatbotSDK} The SDK, for chaining.
+		 */
+		toggle() {
+			this.run('toggle');
+			return this;
+		}
+
+		/**
+		 * Send a message as the visitor.
+		 *
+		 * Ignored while a reply is still being generated, like the send button.
+		 *
+		 * @param {string} text Message text.
+		 * @returns {ChatbotSDK} The SDK, for chaining.
+		 */
+		send(text) {
+			if (typeof text !== 'string' || !text.trim()) {
+				console.warn('WPAIChatbot: send() needs a message');
+				return this;
+			}
+
+			this.run('sendMessage', [text]);
+			return this;
+		}
+
+		/**
+		 * Identify the visitor, e.g. a logged-in customer.
+		 *
+		 * @param {Object} user Visitor details such as {id, email, name, phone}.
+		 * @returns {ChatbotSDK} The SDK, for chaining.
+		 */
+		identify(user) {
+			if (!user || typeof user !== 'object') {
+				console.warn('WPAIChatbot: identify() needs an object');
+				return this;
+			}
+
+			this.run('identify', [user]);
+			return this;
+		}
+
+		/**
+		 * Add page context sent with the visitor's messages.
+		 *
+		 * @param {Object|null} context Keys to merge; null values remove a key
+		 *                              and null clears the context.
+		 * @returns {ChatbotSDK} The SDK, for chaining.
+		 */
+		setContext(context) {
+			this.run('setContext', [context]);
+			return this;
+		}
+
+		/**
+		 * Change the widget's colors, radii, fonts or launcher icon.
+		 *
+		 * @param {Object|string|null} theme Theme options, a preset name such
+		 *                                   as 'midnight', or null for the
+		 *                                   configured theme.
+		 * @returns {ChatbotSDK} The SDK, for chaining.
+		 */
+		setTheme(theme) {
+			this.run('setTheme', [theme]);
+			return this;
+		}
+
+		/**
+		 * Grant or withdraw the visitor's consent, e.g. from the site's own
+		 * cookie banner.
+		 *
+		 * Applies straight away, also before the widget has loaded.
+		 *
+		 * @param {Object} consent {storage, tracking}; omitted purposes are
+		 *                         left unchanged.
+		 * @returns {ChatbotSDK} The SDK, for chaining.
+		 */
+		setConsent(consent) {
+			if (window.WPAIChatbotConsent) {
+				window.WPAIChatbotConsent.set(consent);
+			}
+
+			return this;
+		}
+
+		/**
+		 * Get the visitor's consent.
+		 *
+		 * @returns {Object} {storage, tracking}.
+		 */
+		getConsent() {
+			return window.WPAIChatbotConsent
+				? window.WPAIChatbotConsent.get()
+				: { storage: true, tracking: true };
+		}
+
+		/**
+		 * Listen for a chatbot event.
+		 *
+		 * `ready` is called with the SDK once the widget is ready, straight
+		 * away if it already is.
+		 *
+		 * @param {string}   event   Event name, e.g. 'opened' or 'messageAdded'.
+		 * @param {Function} handler Event handler.
+		 * @returns {ChatbotSDK} The SDK, for chaining.
+		 */
+		on(event, handler) {
+			if (typeof handler !== 'function') {
+				return this;
+			}
+
+			if (event === 'ready') {
+				this.ready.then(handler);
+				return this;
+			}
+
+			const name = this.events.resolve(event) || event;
+
+			this.listeners.push({ event: name, handler: handler });
+			this.events.on(name, handler);
+
+			return this;
+		}
+
+		/**
+		 * Stop listening for a chatbot event.
+		 *
+		 * @param {string}   event   Event name.
+		 * @param {Function} handler Handler passed to on(); all handlers of the
+		 *                           event added through the SDK when omitted.
+		 * @returns {ChatbotSDK} The SDK, for chaining.
+		 */
+		off(event, handler) {
+			const name = this.events.resolve(event) || event;
+
+			this.listeners = this.listeners.filter((entry) => {
+				if (entry.event !== name || (handler && entry.handler !== handler)) {
+					return true;
+				}
+
+				this.events.off(name, entry.handler);
+				return false;
+			});
+
+			return this;
+		}
+
+		/**
+		 * Forget the visitor and start an empty conversation.
+		 *
+		 * @returns {ChatbotSDK} The SDK, for chaining.
+		 */
+		reset() {
+			this.run('reset');
+			return this;
+		}
+
+		/**
+		 * Remove the widget from the page and drop all handlers.
+		 *
+		 * Later commands are ignored.
+		 */
+		destroy() {
+			this.run('destroy');
+
+			this.listeners.forEach((entry) => this.events.off(entry.event, entry.handler));
+			this.listeners = [];
+			this.queue = [];
+			this.widget = null;
+			this.destroyed = true;
+		}
+
+		/**
+		 * Run a queued command, e.g. ['send', 'Hello'].
+		 *
+		 * Keeps the array snippet working once the SDK has loaded.
+		 *
+		 * @param {Array} command Method name followed by its arguments.
+		 */
+		push(command) {
+			if (!Array.isArray(command) || COMMANDS.indexOf(command[0]) === -1) {
+				console.warn('WPAIChatbot: Unknown command', command);
+				return;
+			}
+
+			this[command[0]](...command.slice(1));
+		}
+	}
+
+	// Commands queued before this script loaded
+	const pending = Array.isArray(window.WPAIChatbot) ? window.WPAIChatbot : [];
+	const sdk = new ChatbotSDK(window.WPAIChatbotEvents);
+
+	window.WPAIChatbotSDK = ChatbotSDK;
+	window.WPAIChatbot = sdk;
+
+	pending.forEach((command) => sdk.push(command));
+
+	// Called straight away if the widget loaded first
+	sdk.events.on('ready', (widget) => sdk.attach(widget));
+
+})();
@@ -0,0 +1,240 @@
+/**
+ * Consent.
+ *
+ * Decides whether the chat scripts may store data in the browser and
+ * track the visitor, exposed as `window.WPAIChatbotConsent`:
+ *
+ *     const consent = window.WPAIChatbotConsent;
+ *
+ *     consent.has('storage');   // localStorage, IndexedDB, sessionStorage
+ *     consent.has('tracking');  // behavior tracking
+ *     consent.set({ storage: true, tracking: false });
+ *
+ * With the `off` mode both are allowed, as before. With `required` both
+ * are denied until a consent manager grants them: the WP Consent API, a
+ * TCF v2 CMP (`__tcfapi`), Google Consent Mode (`consent` commands on the
+ * dataLayer) or a call to set(), e.g. from WPAIChatbot.setConsent(). The
+ * latest signal wins. Global Privacy Control and Do Not Track deny
+ * tracking in either mode.
+ *
+ * Changes are emitted as `consentChanged` with {storage, tracking}.
+ * Settings come from `wpAiChatbotConsent`. Load after event-bus.js and
+ * before storage.js.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function() {
+	'use strict';
+
+	/**
+	 * What consent is asked for.
+	 */
+	const PURPOSES = ['storage', 'tracking'];
+
+	/**
+	 * Consent class.
+	 */
+	class Consent {
+		/**
+		 * Constructor.
+		 *
+		 * @param {Object} settings Settings printed by PHP.
+		 */
+		constructor(settings = {}) {
+			this.settings = {
+				// 'off' or 'required'
+				mode: 'off',
+
+				// WP Consent API category of each purpose
+				categories: { storage: 'preferences', tracking: 'statistics' },
+
+				// TCF purposes that must all be consented to
+				tcfPurposes: { storage: [1], tracking: [1, 8] },
+
+				// Google Consent Mode type of each purpose
+				googleTypes: { storage: 'functionality_storage', tracking: 'analytics_storage' },
+
+				// Honor Global Privacy Control and Do Not Track
+				respectSignals: true,
+				...settings
+			};
+
+			const granted = this.settings.mode !== 'required';
+
+			this.state = { storage: granted, tracking: granted };
+			this.optedOut = this.settings.respectSignals !== false && this.hasOptOutSignal();
+
+			if (!granted) {
+				this.listenWpConsentApi();
+				this.listenTcf();
+				this.listenGoogleConsentMode();
+			}
+		}
+
+		/**
+		 * Check if a purpose is allowed.
+		 *
+		 * @param {string} purpose 'storage' or 'tracking'.
+		 * @returns {boolean} True if allowed.
+		 */
+		has(purpose) {
+			if (purpose === 'tracking' && this.optedOut) {
+				return false;
+			}
+
+			return !!this.state[purpose];
+		}
+
+		/**
+		 * Get the consent of every purpose.
+		 *
+		 * @returns {Object} {storage, tracking}.
+		 */
+		get() {
+			return { storage: this.has('storage'), tracking: this.has('tracking') };
+		}
+
+		/**
+		 * Grant or deny purposes.
+		 *
+		 * @param {Object} consent Purposes to change, e.g. {storage: true}.
+		 */
+		set(consent) {
+			if (!consent || typeof consent !== 'object') {
+				return;
+			}
+
+			const before = this.get();
+
+			PURPOSES.forEach((purpose) => {
+				if (typeof consent[purpose] === 'boolean') {
+					this.state[purpose] = consent[purpose];
+				}
+			});
+
+			const after = this.get();
+
+			if (before.storage !== after.storage || before.tracking !== after.tracking) {
+				window.WPAIChatbotEvents.emit('consentChanged', after);
+			}
+		}
+
+		/**
+		 * Check if the browser asks not to be tracked.
+		 *
+		 * @returns {boolean} True for Global Privacy Control or Do Not Track.
+		 */
+		hasOptOutSignal() {
+			const navigator = window.navigator || {};
+			const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+
+			return navigator.globalPrivacyControl === true || dnt === '1' || dnt === 'yes';
+		}
+
+		/**
+		 * Follow the WP Consent API, which consent plugins such as Complianz
+		 * and CookieYes report to.
+		 */
+		listenWpConsentApi() {
+			const categories = this.settings.categories;
+
+			if (typeof window.wp_has_consent === 'function') {
+				this.set({
+					storage: window.wp_has_consent(categories.storage),
+					tracking: window.wp_has_consent(categories.tracking),
+				});
+			}
+
+			// Detail is {category: 'allow'|'deny'} for the changed categories
+			document.addEventListener('wp_listen_for_consent_change', (e) => {
+				const changed = e.detail || {};
+				const consent = {};
+
+				PURPOSES.forEach((purpose) => {
+					if (changed[categories[purpose]]) {
+						consent[purpose] = changed[categories[purpose]] === 'allow';
+					}
+				});
+
+				this.set(consent);
+			});
+		}
+
+		/**
+		 * Follow a TCF v2 consent management platform.
+		 */
+		listenTcf() {
+			if (typeof window.__tcfapi !== 'function') {
+				return;
+			}
+
+			window.__tcfapi('addEventListener', 2, (data, success) => {
+				if (!success || !data || (data.eventStatus !== 'tcloaded' && data.eventStatus !== 'useractioncomplete')) {
+					return;
+				}
+
+				// Outside the GDPR no consent is needed
+				if (data.gdprApplies === false) {
+					this.set({ storage: true, tracking: true });
+					return;
+				}
+
+				const consents = (data.purpose && data.purpose.consents) || {};
+				const allowed = (purposes) => purposes.every((id) => consents[id] === true);
+
+				this.set({
+					storage: allowed(this.settings.tcfPurposes.storage),
+					tracking: allowed(this.settings.tcfPurposes.tracking),
+				});
+			});
+		}
+
+		/**
+		 * Follow Google Consent Mode.
+		 *
+		 * Reads `gtag('consent', 'default' | 'update', {...})` commands on the
+		 * dataLayer, both those already pushed and later ones.
+		 */
+		listenGoogleConsentMode() {
+			const dataLayer = window.dataLayer = window.dataLayer || [];
+
+			Array.prototype.forEach.call(dataLayer, (entry) => this.readGoogleConsent(entry));
+
+			const push = dataLayer.push;
+
+			dataLayer.push = (...entries) => {
+				entries.forEach((entry) => this.readGoogleConsent(entry));
+				return push.apply(dataLayer, entries);
+			};
+		}
+
+		/**
+		 * Apply a Google Consent Mode command.
+		 *
+		 * @param {Arguments|Array} entry dataLayer entry.
+		 */
+		readGoogleConsent(entry) {
+			if (!entry || entry[0] !== 'consent' || !entry[2] || typeof entry[2] !== 'object') {
+				return;
+			}
+
+			const types = this.settings.googleTypes;
+			const consent = {};
+
+			PURPOSES.forEach((purpose) => {
+				if (entry[2][types[purpose]]) {
+					consent[purpose] = entry[2][types[purpose]] === 'granted';
+				}
+			});
+
+			this.set(consent);
+		}
+	}
+
+	// Export
+	window.WPAIChatbotConsentManager = Consent;
+	window.WPAIChatbotConsent = new Consent(window.wpAiChatbotConsent || {});
+
+})();
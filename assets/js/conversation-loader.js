@@ -10,6 +10,17 @@
 (function($) {
     'use strict';
 
+    // English strings if i18n.js is not on the page
+    const { __, _n, sprintf, formatDate } = window.WPAIChatbotI18n || {
+        __: (text) => text,
+        _n: (single, plural, number) => (number === 1 ? single : plural),
+        sprintf: (format, ...args) => {
+            let index = 0;
+            return String(format).replace(/%(?:(\d+)\$)?[sd]/g, (match, position) => String(args[position ? position - 1 : index++]));
+        },
+        formatDate: (date) => new Date(date).toLocaleDateString(),
+    };
+
     /**
      * Conversation Loader class.
      */
@@ -43,6 +54,7 @@
                 
                 // Rendering
                 renderMessage: null, // Custom render function
+                virtualList: null, // Windowed rendering (virtual-list.js)
                 
                 ...config
             };
@@ -166,7 +178,7 @@
                     this.triggerCallback('onMessagesLoaded', messages, options);
                     return messages;
                 } else {
-                    throw new Error(response.data?.message || 'Failed to load messages');
+                    throw new Error(response.data?.message || __('Failed to load messages'));
                 }
             } catch (error) {
                 console.error('ConversationLoader: Error loading messages', error);
@@ -209,6 +221,10 @@
                 params.append('direction', options.direction);
             }
 
+            if (options.search) {
+                params.append('search', options.search);
+            }
+
             const response = await fetch(this.config.ajaxUrl, {
                 method: 'POST',
                 headers: {
@@ -220,6 +236,117 @@
             return response.json();
         }
 
+        /**
+         * Attach to a transcript that is already rendered.
+         *
+         * Unlike loadConversation() this keeps the container as is, so older
+         * pages can be loaded above messages rendered by someone else.
+         *
+         * @param {number} conversationId Conversation ID, or null to detach.
+         * @param {Object} options {sessionId, oldestMessageId, newestMessageId}.
+         */
+        attach(conversationId, options = {}) {
+            this.state.conversationId = conversationId;
+            this.state.sessionId = options.sessionId || null;
+            this.state.messages = [];
+            this.state.loadedCount = 0;
+            this.state.oldestMessageId = options.oldestMessageId || null;
+            this.state.newestMessageId = options.newestMessageId || null;
+
+            // Nothing older to load without a server message to page from
+            this.state.hasMore = !!(conversationId && this.state.oldestMessageId);
+
+            this.updateLoadMoreTrigger();
+        }
+
+        /**
+         * Search server history older than the loaded messages.
+         *
+         * Pages through wp_ai_chatbot_get_messages with a `search` parameter.
+         * Servers that ignore it return every message, so results are also
+         * filtered here. Nothing is rendered.
+         *
+         * @param {string} query Search text.
+         * @param {Object} options {before, maxPages, limit}.
+         * @returns {Promise} Resolves to matching messages, oldest first.
+         */
+        async searchMessages(query, options = {}) {
+            const defaults = {
+                before: this.state.oldestMessageId,
+                maxPages: 5,
+                limit: this.config.pageSize
+            };
+            options = { ...defaults, ...options };
+
+            const needle = String(query || '').trim().toLowerCase();
+            let matches = [];
+
+            if (!needle || !this.state.conversationId || !options.before) {
+                return matches;
+            }
+
+            let before = options.before;
+
+            for (let page = 0; page < options.maxPages; page++) {
+                const response = await this.fetchMessages({
+                    direction: 'older',
+                    before: before,
+                    limit: options.limit,
+                    search: query
+                });
+
+                if (!response.success || !response.data) {
+                    throw new Error(response.data?.message || __('Failed to search messages'));
+                }
+
+                const messages = response.data.messages || [];
+                const found = messages.filter(message => String(message.content || '').toLowerCase().includes(needle));
+
+                // Each page is older than the last
+                matches = [...found, ...matches];
+
+                if (messages.length === 0 || response.data.has_more === false) {
+                    break;
+                }
+
+                before = messages[0].id;
+            }
+
+            return matches;
+        }
+
+        /**
+         * Load older pages until a message is rendered.
+         *
+         * @param {number} messageId Message ID.
+         * @param {Object} options {maxPages}.
+         * @returns {Promise} Resolves to true if the message is rendered.
+         */
+        async loadUntil(messageId, options = {}) {
+            const maxPages = options.maxPages || 20;
+            const isRendered = () => this.config.virtualList
+                ? this.config.virtualList.has(messageId)
+                : !!this.container.querySelector(`[data-message-id="${messageId}"]`);
+
+            for (let page = 0; page < maxPages && !isRendered() && this.state.hasMore; page++) {
+                // Wait for a load started by scrolling
+                while (this.state.isLoading) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                }
+
+                if (isRendered() || !this.state.hasMore) {
+                    break;
+                }
+
+                const messages = await this.loadOlderMessages();
+                if (messages.length === 0) {
+                    break;
+                }
+            }
+
+            return isRendered();
+        }
+
         /**
          * Load older messages (scroll up).
          *
@@ -287,6 +414,13 @@
          * @param {Array} messages Messages to prepend.
          */
         prependMessages(messages) {
+            // The list renders them once scrolled into view and keeps the scroll anchor
+            if (this.config.virtualList) {
+                this.config.virtualList.prepend(messages.map(message => this.createListItem(message)));
+                this.updateLoadMoreTrigger();
+                return;
+            }
+
             // Save scroll position
             const scrollHeight = this.container.scrollHeight;
             const scrollTop = this.container.scrollTop;
@@ -326,6 +460,15 @@
         appendMessages(messages) {
             const wasAtBottom = this.isScrolledToBottom();
 
+            if (this.config.virtualList) {
+                this.config.virtualList.append(messages.map(message => this.createListItem(message)));
+
+                if (wasAtBottom) {
+                    this.config.virtualList.scrollToBottom();
+                }
+                return;
+            }
+
             // Create fragment for batch insert
             const fragment = document.createDocumentFragment();
             
@@ -344,6 +487,19 @@
             }
         }
 
+        /**
+         * Create a virtual list item rendering a message on first use.
+         *
+         * @param {Object} message Message data.
+         * @returns {Object} List item.
+         */
+        createListItem(message) {
+            return {
+                id: String(message.id),
+                render: () => this.renderMessage(message)
+            };
+        }
+
         /**
          * Render a single message.
          *
@@ -401,7 +557,9 @@
          * Clear all messages from container.
          */
         clearMessages() {
-            if (this.container) {
+            if (this.config.virtualList) {
+                this.config.virtualList.clear();
+            } else if (this.container) {
                 this.container.innerHTML = '';
             }
             this.state.messages = [];
@@ -684,15 +842,15 @@
             const diffDays = Math.floor(diffMs / 86400000);
 
             if (diffMins < 1) {
-                return 'Just now';
+                return __('Just now');
             } else if (diffMins < 60) {
-                return `${diffMins}m ago`;
+                return sprintf(_n('%d min ago', '%d mins ago', diffMins), diffMins);
             } else if (diffHours < 24) {
-                return `${diffHours}h ago`;
+                return sprintf(_n('%d hour ago', '%d hours ago', diffHours), diffHours);
             } else if (diffDays < 7) {
-                return `${diffDays}d ago`;
+                return sprintf(_n('%d day ago', '%d days ago', diffDays), diffDays);
             } else {
-                return date.toLocaleDateString();
+                return formatDate(date);
             }
         }
 
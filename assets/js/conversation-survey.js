@@ -0,0 +1,522 @@
+/**
+ * Conversation Survey.
+ *
+ * One-question satisfaction survey at the end of a chat: CSAT (1-5) or
+ * NPS (0-10), with an optional follow-up comment. The score is sent to
+ * wp_ai_chatbot_submit_survey as soon as it is picked, and again with the
+ * comment.
+ *
+ *     const survey = new WPAIChatbotSurvey({
+ *         target: $('#wp-ai-chatbot-survey'),
+ *         conversationId: () => widget.state.conversationId,
+ *         sessionId: () => widget.getChatSessionId(),
+ *         onShow: (element) => {},
+ *         onHide: () => {},
+ *     });
+ *
+ *     if (survey.isDue(messageCount)) {
+ *         survey.show();
+ *     }
+ *
+ * Frequency caps keep it from showing on every visit: a visitor is asked
+ * once per conversation, at most `maxPerVisitor` times, and not again for
+ * `cooldownDays` after being asked, answered or not. What was asked is
+ * remembered in the visitor's browser (storage.js).
+ *
+ * Settings come from window.wpAiChatbotSurvey, printed by
+ * Conversation_Survey. The widget (chat-widget.js) decides when to ask:
+ * when the visitor closes the chat, or after `inactivityDelay` seconds
+ * without messages. Load before chat-widget.js.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function($) {
+	'use strict';
+
+	const { __, sprintf } = window.WPAIChatbotI18n;
+
+	const settings = window.wpAiChatbotSurvey || {};
+
+	/**
+	 * Storage key of the surveys a visitor was asked.
+	 */
+	const HISTORY_KEY = 'survey';
+
+	/**
+	 * A day, in ms.
+	 */
+	const DAY = 24 * 60 * 60 * 1000;
+
+	/**
+	 * Score range of each survey type.
+	 */
+	const SCALES = {
+		csat: [1, 5],
+		nps: [0, 10],
+	};
+
+	/**
+	 * Conversation Survey class.
+	 */
+	class ConversationSurvey {
+		/**
+		 * Constructor.
+		 *
+		 * @param {Object} config Configuration options.
+		 */
+		constructor(config = {}) {
+			this.config = {
+				type: settings.type || 'off',
+				question: settings.question || '',
+				askComment: settings.askComment !== false,
+				ajaxUrl: settings.ajaxUrl || '',
+				nonce: settings.nonce || '',
+
+				// When to ask: messages the visitor sent, and seconds
+				// without messages (0 to ask on close only)
+				minMessages: settings.minMessages ?? 2,
+				inactivityDelay: settings.inactivityDelay ?? 120,
+
+				// Frequency caps
+				cooldownDays: settings.cooldownDays ?? 30,
+				maxPerVisitor: settings.maxPerVisitor ?? 3,
+
+				// Element the survey is rendered in
+				target: null,
+
+				// Conversation and session, values or functions
+				conversationId: null,
+				sessionId: '',
+
+				// Callbacks
+				onShow: null,
+				onHide: null,
+				...config
+			};
+
+			this.$element = null;
+			this.conversationId = null;
+			this.score = null;
+			this.hideTimer = null;
+		}
+
+		/**
+		 * Check if a survey is configured.
+		 *
+		 * @returns {boolean} True for the csat and nps types.
+		 */
+		isEnabled() {
+			return Object.prototype.hasOwnProperty.call(SCALES, this.config.type);
+		}
+
+		/**
+		 * Check if the visitor should be asked now.
+		 *
+		 * @param {number} messageCount Messages the visitor sent in the conversation.
+		 * @returns {boolean} True when the exchange was long enough and the caps allow it.
+		 */
+		isDue(messageCount) {
+			const conversationId = this.getValue('conversationId');
+
+			if (!this.isEnabled() || this.isVisible() || !conversationId || messageCount < this.config.minMessages) {
+				return false;
+			}
+
+			const history = this.getHistory();
+			const max = parseInt(this.config.maxPerVisitor, 10) || 0;
+
+			if (history.conversations.includes(String(conversationId))) {
+				return false;
+			}
+
+			if (max && history.count >= max) {
+				return false;
+			}
+
+			return Date.now() - history.last >= this.config.cooldownDays * DAY;
+		}
+
+		/**
+		 * Get the inactivity delay.
+		 *
+		 * @returns {number} Delay in ms, 0 when the survey is only asked on close.
+		 */
+		getInactivityDelay() {
+			return this.isEnabled() ? (parseFloat(this.config.inactivityDelay) || 0) * 1000 : 0;
+		}
+
+		/**
+		 * Check if the survey is shown.
+		 *
+		 * @returns {boolean}
+		 */
+		isVisible() {
+			return !!this.$element;
+		}
+
+		/**
+		 * Show the survey for the current conversation.
+		 *
+		 * Counts towards the frequency caps straight away, so a survey that
+		 * is closed unanswered is not asked again either.
+		 */
+		show() {
+			if (!this.isEnabled() || this.isVisible()) {
+				return;
+			}
+
+			this.conversationId = this.getValue('conversationId');
+			this.score = null;
+			this.remember(this.conversationId);
+
+			this.$element = this.render();
+			$(this.config.target).append(this.$element);
+			this.$element.find('.wp-ai-chatbot-survey-score').first().trigger('focus');
+
+			this.report('onShow', this.$element[0]);
+			window.WPAIChatbotEvents.emit('surveyShown', this.getData());
+		}
+
+		/**
+		 * Close the survey, e.g. when the chat is closed.
+		 */
+		dismiss() {
+			if (!this.isVisible()) {
+				return;
+			}
+
+			if (this.score === null) {
+				window.WPAIChatbotEvents.emit('surveyDismissed', this.getData());
+			}
+
+			this.hide();
+		}
+
+		/**
+		 * Remove the survey.
+		 */
+		hide() {
+			clearTimeout(this.hideTimer);
+
+			if (!this.$element) {
+				return;
+			}
+
+			this.$element.remove();
+			this.$element = null;
+			this.report('onHide');
+		}
+
+		/**
+		 * Get the question for the survey type.
+		 *
+		 * @returns {string} Question.
+		 */
+		getQuestion() {
+			if (this.config.question) {
+				return this.config.question;
+			}
+
+			return this.config.type === 'nps'
+				? __('How likely are you to recommend us to a friend or colleague?')
+				: __('How satisfied are you with this chat?');
+		}
+
+		/**
+		 * Build the survey.
+		 *
+		 * @returns {jQuery} Survey form.
+		 */
+		render() {
+			const [min, max] = SCALES[this.config.type];
+			const id = 'wp-ai-chatbot-survey-' + this.config.type;
+
+			const $form = $('<form>')
+				.addClass('wp-ai-chatbot-survey-form wp-ai-chatbot-survey-' + this.config.type)
+				.attr('aria-labelledby', id + '-question');
+
+			const $question = $('<p>')
+				.addClass('wp-ai-chatbot-survey-question')
+				.attr('id', id + '-question')
+				.text(this.getQuestion());
+
+			const $scores = $('<div>')
+				.addClass('wp-ai-chatbot-survey-scores')
+				.attr({ role: 'group', 'aria-labelledby': id + '-question' });
+
+			for (let score = min; score <= max; score++) {
+				$scores.append(
+					$('<button>')
+						.addClass('wp-ai-chatbot-survey-score')
+						.attr({
+							type: 'button',
+							'aria-pressed': 'false',
+							'aria-label': sprintf(__('%1$d out of %2$d'), score, max),
+							'data-score': score,
+						})
+						.text(score)
+				);
+			}
+
+			const $labels = $('<div>')
+				.addClass('wp-ai-chatbot-survey-labels')
+				.attr('aria-hidden', 'true')
+				.append(
+					$('<span>').text(this.config.type === 'nps' ? __('Not likely') : __('Very dissatisfied')),
+					$('<span>').text(this.config.type === 'nps' ? __('Very likely') : __('Very satisfied'))
+				);
+
+			const $comment = $('<textarea>')
+				.addClass('wp-ai-chatbot-survey-comment')
+				.attr({
+					rows: 2,
+					maxlength: 1000,
+					placeholder: __('Anything you would like to add? (optional)'),
+					'aria-label': __('Comment'),
+				})
+				.hide();
+
+			const $send = $('<button>')
+				.addClass('wp-ai-chatbot-button wp-ai-chatbot-button-primary wp-ai-chatbot-survey-send')
+				.attr('type', 'submit')
+				.text(__('Send'))
+				.hide();
+
+			const $close = $('<button>')
+				.addClass('wp-ai-chatbot-button wp-ai-chatbot-button-secondary wp-ai-chatbot-survey-close')
+				.attr('type', 'button')
+				.text(__('No thanks'));
+
+			const $status = $('<p>').addClass('wp-ai-chatbot-survey-status').attr('role', 'status');
+
+			$form.append(
+				$question,
+				$scores,
+				$labels,
+				$comment,
+				$('<div>').addClass('wp-ai-chatbot-survey-actions').append($send, $close),
+				$status
+			);
+
+			$scores.on('click', '.wp-ai-chatbot-survey-score', (e) => {
+				const $score = $(e.currentTarget);
+
+				$scores.find('.wp-ai-chatbot-survey-score').removeClass('is-active').attr('aria-pressed', 'false');
+				$score.addClass('is-active').attr('aria-pressed', 'true');
+
+				this.selectScore(parseInt($score.data('score'), 10));
+			});
+
+			$close.on('click', () => this.dismiss());
+
+			$form.on('submit', (e) => {
+				e.preventDefault();
+
+				const comment = $comment.val().trim();
+
+				if (!comment) {
+					this.complete();
+					return;
+				}
+
+				$send.prop('disabled', true);
+				$status.text('');
+
+				this.submit({ comment: comment }).then(
+					() => this.complete(),
+					(error) => {
+						$status.text(error.message);
+						$send.prop('disabled', false);
+					}
+				);
+			});
+
+			return $form;
+		}
+
+		/**
+		 * Take the visitor's score.
+		 *
+		 * The score is saved straight away; the comment, when asked, can
+		 * follow.
+		 *
+		 * @param {number} score Score.
+		 */
+		selectScore(score) {
+			if (!this.$element) {
+				return;
+			}
+
+			const $status = this.$element.find('.wp-ai-chatbot-survey-status');
+
+			this.score = score;
+			$status.text('');
+
+			this.submit().then(
+				() => {
+					if (!this.config.askComment) {
+						this.complete();
+						return;
+					}
+
+					const $comment = this.$element ? this.$element.find('.wp-ai-chatbot-survey-comment') : $();
+
+					// Ask for the comment after the first saved score
+					if ($comment.length && $comment.css('display') === 'none') {
+						$comment.show().trigger('focus');
+						this.$element.find('.wp-ai-chatbot-survey-send').show();
+						this.$element.find('.wp-ai-chatbot-survey-close').text(__('Close'));
+					}
+				},
+				(error) => {
+					$status.text(error.message);
+				}
+			);
+		}
+
+		/**
+		 * Send the answer.
+		 *
+		 * @param {Object} data Optional extra data, e.g. {comment}.
+		 * @returns {Promise} Resolves to the response data, rejects with an Error.
+		 */
+		submit(data = {}) {
+			const answer = { ...this.getData(), ...data };
+
+			return new Promise((resolve, reject) => {
+				$.ajax({
+					url: this.config.ajaxUrl,
+					type: 'POST',
+					data: {
+						action: 'wp_ai_chatbot_submit_survey',
+						nonce: this.config.nonce,
+						conversation_id: answer.conversation_id,
+						session_id: this.getValue('sessionId') || '',
+						survey_type: answer.type,
+						score: answer.score,
+						comment: answer.comment || '',
+						page_url: window.location.href,
+					},
+					success: (response) => {
+						if (response && response.success) {
+							window.WPAIChatbotEvents.emit('surveySubmitted', answer);
+							resolve(response.data || {});
+						} else {
+							reject(new Error((response && response.data && response.data.message) || __('Your answer could not be sent. Please try again.')));
+						}
+					},
+					error: (xhr) => {
+						const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+
+						reject(new Error(message || __('Your answer could not be sent. Please try again.')));
+					},
+				});
+			});
+		}
+
+		/**
+		 * Thank the visitor and close the survey.
+		 */
+		complete() {
+			if (!this.$element) {
+				return;
+			}
+
+			this.$element.children().not('.wp-ai-chatbot-survey-status').remove();
+			this.$element.find('.wp-ai-chatbot-survey-status').text(__('Thanks for your feedback!'));
+
+			this.hideTimer = setTimeout(() => this.hide(), 2000);
+		}
+
+		/**
+		 * Get the answer so far.
+		 *
+		 * @returns {Object} {conversation_id, type, score}, score null until picked.
+		 */
+		getData() {
+			return {
+				conversation_id: this.conversationId,
+				type: this.config.type,
+				score: this.score,
+			};
+		}
+
+		/**
+		 * Get the surveys the visitor was asked.
+		 *
+		 * @returns {Object} {count, last, conversations}, last as a timestamp.
+		 */
+		getHistory() {
+			const history = window.WPAIChatbotStorage.get(HISTORY_KEY) || {};
+
+			return {
+				count: parseInt(history.count, 10) || 0,
+				last: parseInt(history.last, 10) || 0,
+				conversations: Array.isArray(history.conversations) ? history.conversations : [],
+			};
+		}
+
+		/**
+		 * Count a survey towards the frequency caps.
+		 *
+		 * @param {number|string} conversationId Conversation asked about.
+		 */
+		remember(conversationId) {
+			const history = this.getHistory();
+
+			history.count++;
+			history.last = Date.now();
+			history.conversations = history.conversations.concat(String(conversationId)).slice(-20);
+
+			// Kept for at least a year, so the visitor cap holds
+			window.WPAIChatbotStorage.set(HISTORY_KEY, history, {
+				ttl: Math.max(365, this.config.cooldownDays) * DAY,
+			});
+		}
+
+		/**
+		 * Get an option that can be a value or a function.
+		 *
+		 * @param {string} name Option name.
+		 * @returns {*} Value.
+		 */
+		getValue(name) {
+			const value = this.config[name];
+
+			return typeof value === 'function' ? value() : value;
+		}
+
+		/**
+		 * Call a callback, if set.
+		 *
+		 * @param {string} name Callback name.
+		 * @param {...*}   args Arguments.
+		 */
+		report(name, ...args) {
+			if (typeof this.config[name] === 'function') {
+				this.config[name](...args);
+			}
+		}
+
+		/**
+		 * Forget the surveys the visitor was asked, e.g. on reset.
+		 */
+		reset() {
+			this.hide();
+			window.WPAIChatbotStorage.remove(HISTORY_KEY);
+		}
+
+		/**
+		 * Remove the survey and stop its timer.
+		 */
+		destroy() {
+			this.hide();
+		}
+	}
+
+	// Export
+	window.WPAIChatbotSurvey = ConversationSurvey;
+
+})(jQuery);
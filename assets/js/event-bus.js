@@ -0,0 +1,315 @@
+/**
+ * Event Bus.
+ *
+ * Single channel for the chat scripts to talk to each other, exposed as
+ * `window.WPAIChatbotEvents`. Every event is declared in the catalogue
+ * below with its arguments; emitting or listening for an undeclared name
+ * logs a warning, so typos and stale names surface instead of silently
+ * never firing.
+ *
+ * For compatibility each event is also fired under its aliases: the
+ * widget's jQuery name (`wpAiChatbot:<event>`) and any older
+ * `wp_ai_chatbot_*` names. Aliases are triggered as jQuery events with the
+ * arguments and as DOM CustomEvents with the first argument as `detail`,
+ * so `$(document).on()` and `document.addEventListener()` listeners both
+ * keep working. Aliases triggered by other scripts are routed into the bus.
+ *
+ * Load before all other chat scripts.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function($) {
+	'use strict';
+
+	/**
+	 * Canonical event catalogue.
+	 *
+	 * `args` names the handler arguments, `aliases` lists older names and
+	 * `sticky` events call late handlers straight away with the last
+	 * arguments.
+	 */
+	const CATALOGUE = {
+		// Widget lifecycle
+		ready: { args: ['widget'], aliases: ['wp_ai_chatbot_ready'], sticky: true },
+		destroyed: { args: [] },
+		opened: { args: ['state'], aliases: ['wp_ai_chatbot_opened'] },
+		closed: { args: ['state'], aliases: ['wp_ai_chatbot_closed'] },
+		minimized: { args: ['state'] },
+		restored: { args: ['state'] },
+		openRequested: { args: [], aliases: ['wp_ai_chatbot_open_request'] },
+		stateChanged: { args: ['state', 'oldState'] },
+		reset: { args: ['state'] },
+		identified: { args: ['visitor', 'state'] },
+		contextChanged: { args: ['context', 'state'] },
+		themeChanged: { args: ['theme'] },
+
+		// Messages
+		messageSent: { args: ['message', 'state'], aliases: ['wp_ai_chatbot_message_sent'] },
+		messageReceived: { args: ['data', 'state'], aliases: ['wp_ai_chatbot_message_received'] },
+		messageAdded: { args: ['message', 'state'], aliases: ['wp_ai_chatbot_message_added'] },
+		messageQueued: { args: ['entry', 'state'] },
+		messageDiscarded: { args: ['entry', 'state'] },
+		messageRevised: { args: ['message', 'type', 'state'] },
+		variantChanged: { args: ['message', 'index', 'state'] },
+		generationStopped: { args: ['message', 'state'] },
+		typingStarted: { args: [], aliases: ['wp_ai_chatbot_typing_start'] },
+		typingStopped: { args: [], aliases: ['wp_ai_chatbot_typing_stop'] },
+		intentDetected: { args: ['intent', 'state'], aliases: ['wp_ai_chatbot_intent_detected'] },
+		blockAction: { args: ['action', 'block', 'messageId'] },
+		citationClicked: { args: ['citation', 'params', 'state'] },
+		feedbackSubmitted: { args: ['feedback'], aliases: ['wp_ai_chatbot_feedback_submitted'] },
+
+		// End-of-conversation survey
+		surveyShown: { args: ['survey'] },
+		surveySubmitted: { args: ['survey'] },
+		surveyDismissed: { args: ['survey'] },
+
+		// History, search, threads and transcripts
+		historyLoaded: { args: ['messages', 'state'] },
+		historyCleared: { args: [] },
+		scrollToTop: { args: [] },
+		searched: { args: ['query', 'count'] },
+		threadChanged: { args: ['conversationId', 'state'] },
+		threadRenamed: { args: ['thread', 'state'] },
+		threadArchived: { args: ['thread', 'archived', 'state'] },
+		transcriptDownloaded: { args: ['format', 'state'] },
+		transcriptEmailed: { args: ['email', 'state'] },
+		transcriptCopied: { args: ['state'] },
+
+		// Proactive triggers
+		triggerFired: { args: ['trigger'], aliases: ['wp_ai_chatbot_trigger'] },
+		proactiveRequested: { args: ['proactive'], aliases: ['wp_ai_chatbot_show_proactive'] },
+		exitIntent: { args: [], aliases: ['wp_ai_chatbot_exit_intent'] },
+		analytics: { args: ['analytics'], aliases: ['wp_ai_chatbot_analytics'] },
+
+		// Leads
+		leadFormShown: { args: ['container'], aliases: ['wp_ai_chatbot_lead_form_shown'] },
+		leadFormHidden: { args: [], aliases: ['wp_ai_chatbot_lead_form_hidden'] },
+		leadFormDismissed: { args: [], aliases: ['wp_ai_chatbot_lead_form_dismissed'] },
+		leadCaptured: { args: ['lead'], aliases: ['wp_ai_chatbot_lead_captured'] },
+		scoreUpdated: { args: ['score'], aliases: ['wp_ai_chatbot_score_updated'] },
+		meetingBooked: { args: ['meeting'], aliases: ['wp_ai_chatbot_meeting_booked'] },
+
+		// Live agent handoff
+		handoffStarted: { args: ['handoff', 'state'] },
+		agentJoined: { args: ['agent', 'state'] },
+		handoffEnded: { args: ['summary', 'state'] },
+
+		// Storage and consent
+		storageFull: { args: ['key'] },
+		consentChanged: { args: ['consent'] },
+	};
+
+	/**
+	 * Event Bus class.
+	 */
+	class EventBus {
+		/**
+		 * Constructor.
+		 *
+		 * @param {Object} catalogue Event definitions keyed by canonical name.
+		 */
+		constructor(catalogue = {}) {
+			this.events = {};
+			this.aliases = {};
+			this.handlers = {};
+			this.last = {};
+
+			// Alias being fired by the bus, so its own bridge ignores it
+			this.firing = null;
+
+			Object.keys(catalogue).forEach((name) => this.define(name, catalogue[name]));
+		}
+
+		/**
+		 * Declare an event, e.g. for an add-on.
+		 *
+		 * @param {string} name       Canonical name.
+		 * @param {Object} definition {args, aliases, sticky}.
+		 */
+		define(name, definition = {}) {
+			const aliases = ['wpAiChatbot:' + name].concat(definition.aliases || []);
+
+			this.events[name] = { args: [], sticky: false, ...definition, aliases: aliases };
+
+			aliases.forEach((alias) => {
+				this.aliases[alias] = name;
+
+				// Route aliases triggered elsewhere into the bus
+				$(document).on(alias, (e, ...args) => {
+					if (this.firing === alias) {
+						return;
+					}
+
+					if (!args.length && e.originalEvent && e.originalEvent.detail !== undefined && e.originalEvent.detail !== null) {
+						args = [e.originalEvent.detail];
+					}
+
+					this.notify(name, args);
+				});
+			});
+		}
+
+		/**
+		 * Get the canonical name of an event or alias.
+		 *
+		 * @param {string} name Event name or alias.
+		 * @returns {string|null} Canonical name, or null if undeclared.
+		 */
+		resolve(name) {
+			if (Object.prototype.hasOwnProperty.call(this.events, name)) {
+				return name;
+			}
+
+			return Object.prototype.hasOwnProperty.call(this.aliases, name) ? this.aliases[name] : null;
+		}
+
+		/**
+		 * Listen for an event.
+		 *
+		 * @param {string}   name    Event name or alias.
+		 * @param {Function} handler Called with the event's arguments.
+		 * @returns {Function} Removes the handler.
+		 */
+		on(name, handler) {
+			const event = this.resolve(name);
+
+			if (!event) {
+				console.warn('WPAIChatbotEvents: Unknown event "' + name + '"');
+				return () => {};
+			}
+
+			(this.handlers[event] = this.handlers[event] || []).push(handler);
+
+			if (this.events[event].sticky && this.last[event]) {
+				this.call(event, handler, this.last[event]);
+			}
+
+			return () => this.off(event, handler);
+		}
+
+		/**
+		 * Listen for the next occurrence of an event only.
+		 *
+		 * @param {string}   name    Event name or alias.
+		 * @param {Function} handler Called with the event's arguments.
+		 * @returns {Function} Removes the handler.
+		 */
+		once(name, handler) {
+			let called = false;
+
+			const wrapper = (...args) => {
+				if (called) {
+					return;
+				}
+
+				called = true;
+				this.off(name, wrapper);
+				handler(...args);
+			};
+
+			this.on(name, wrapper);
+
+			return () => this.off(name, wrapper);
+		}
+
+		/**
+		 * Stop listening for an event.
+		 *
+		 * @param {string}   name    Event name or alias.
+		 * @param {Function} handler Handler to remove; all when omitted.
+		 */
+		off(name, handler) {
+			const event = this.resolve(name);
+
+			if (!event || !this.handlers[event]) {
+				return;
+			}
+
+			this.handlers[event] = handler
+				? this.handlers[event].filter((h) => h !== handler)
+				: [];
+		}
+
+		/**
+		 * Emit an event to bus handlers and alias listeners.
+		 *
+		 * @param {string} name Canonical event name.
+		 * @param {...*}   args Event arguments, as declared in the catalogue.
+		 */
+		emit(name, ...args) {
+			if (!Object.prototype.hasOwnProperty.call(this.events, name)) {
+				console.warn('WPAIChatbotEvents: Unknown event "' + name + '"');
+				return;
+			}
+
+			this.notify(name, args);
+
+			this.events[name].aliases.forEach((alias) => {
+				this.firing = alias;
+
+				try {
+					$(document).trigger(alias, args);
+
+					// Native listeners; jQuery skips the type it is told it is
+					// already triggering, so its handlers don't run twice
+					$.event.triggered = alias;
+					document.dispatchEvent(new CustomEvent(alias, { detail: args[0] }));
+				} finally {
+					$.event.triggered = undefined;
+					this.firing = null;
+				}
+			});
+		}
+
+		/**
+		 * Call the bus handlers of an event.
+		 *
+		 * @param {string} event Canonical event name.
+		 * @param {Array}  args  Event arguments.
+		 */
+		notify(event, args) {
+			if (this.events[event].sticky) {
+				this.last[event] = args;
+			}
+
+			(this.handlers[event] || []).slice().forEach((handler) => this.call(event, handler, args));
+		}
+
+		/**
+		 * Call a handler, keeping other handlers running if it fails.
+		 */
+		call(event, handler, args) {
+			try {
+				handler(...args);
+			} catch (e) {
+				console.error('WPAIChatbotEvents: Handler failed for ' + event, e);
+			}
+		}
+
+		/**
+		 * Forget the arguments of a sticky event, e.g. once the widget is gone.
+		 *
+		 * @param {string} name Canonical event name.
+		 */
+		clear(name) {
+			delete this.last[name];
+		}
+
+		/**
+		 * Get the event catalogue.
+		 *
+		 * @returns {Object} Definitions keyed by canonical name.
+		 */
+		getCatalogue() {
+			return JSON.parse(JSON.stringify(this.events));
+		}
+	}
+
+	// Export
+	window.WPAIChatbotEventBus = EventBus;
+	window.WPAIChatbotEvents = new EventBus(CATALOGUE);
+
+})(jQuery);
@@ -0,0 +1,212 @@
+/**
+ * Translations.
+ *
+ * Translation helpers for the chat and admin scripts, exposed as
+ * `window.WPAIChatbotI18n`:
+ *
+ *     const { __, _n, sprintf } = window.WPAIChatbotI18n;
+ *
+ *     __('Send message');
+ *     sprintf(_n('%d new message', '%d new messages', count), count);
+ *     sprintf(__('Hi %(name)s!'), { name: 'Sam' });
+ *
+ * Strings are translated by wp.i18n, into which WordPress loads the
+ * plugin's JSON translation files for the site locale (see
+ * WP_AI_Chatbot_LeadGen_Pro_i18n::set_script_translations()). Without
+ * wp.i18n the English strings are shown. The locale and text direction
+ * come from `wpAiChatbotI18n`, falling back to the page's lang and dir.
+ *
+ * Load after wp-i18n and before all other plugin scripts.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function() {
+	'use strict';
+
+	/**
+	 * Text domain of the plugin's strings.
+	 */
+	const DOMAIN = 'wp-ai-chatbot-leadgen-pro';
+
+	// Printed by PHP before this script: {locale, rtl}
+	const settings = window.wpAiChatbotI18n || {};
+
+	/**
+	 * Get wp.i18n if WordPress loaded it.
+	 *
+	 * @returns {Object|null} wp.i18n.
+	 */
+	function getWpI18n() {
+		return window.wp && window.wp.i18n ? window.wp.i18n : null;
+	}
+
+	/**
+	 * Translate a string.
+	 *
+	 * @param {string} text English text.
+	 * @returns {string} Translated text.
+	 */
+	function __(text) {
+		const i18n = getWpI18n();
+		return i18n ? i18n.__(text, DOMAIN) : text;
+	}
+
+	/**
+	 * Translate a string with context, for words that translate differently
+	 * depending on where they are used.
+	 *
+	 * @param {string} text    English text.
+	 * @param {string} context Context for translators.
+	 * @returns {string} Translated text.
+	 */
+	function _x(text, context) {
+		const i18n = getWpI18n();
+		return i18n ? i18n._x(text, context, DOMAIN) : text;
+	}
+
+	/**
+	 * Translate a string with singular and plural forms.
+	 *
+	 * The form is picked by the locale's plural rules, so languages with
+	 * more than two forms get the right one. The number is not inserted;
+	 * pass the result to sprintf() for that.
+	 *
+	 * @param {string} single English singular.
+	 * @param {string} plural English plural.
+	 * @param {number} number Count deciding the form.
+	 * @returns {string} Translated text.
+	 */
+	function _n(single, plural, number) {
+		const i18n = getWpI18n();
+		return i18n ? i18n._n(single, plural, number, DOMAIN) : (number === 1 ? single : plural);
+	}
+
+	/**
+	 * Insert values into a translated string.
+	 *
+	 * Supports %s and %d, numbered placeholders such as %1$s for translations
+	 * that reorder them, and named ones such as %(name)s taking an object.
+	 *
+	 * @param {string} format Format string.
+	 * @param {...*}   args   Values, or one object for named placeholders.
+	 * @returns {string} Formatted text.
+	 */
+	function sprintf(format, ...args) {
+		const i18n = getWpI18n();
+
+		if (i18n && i18n.sprintf) {
+			return i18n.sprintf(format, ...args);
+		}
+
+		let index = 0;
+
+		return String(format).replace(/%(?:(\d+)\$|\(([^)]+)\))?([sdf%])/g, (match, position, name, type) => {
+			if (type === '%') {
+				return '%';
+			}
+
+			let value;
+
+			if (name) {
+				value = args[0] && typeof args[0] === 'object' ? args[0][name] : undefined;
+			} else {
+				value = args[position ? position - 1 : index++];
+			}
+
+			if (type === 'd') {
+				return String(parseInt(value, 10) || 0);
+			}
+
+			if (type === 'f') {
+				return String(parseFloat(value) || 0);
+			}
+
+			return value === undefined || value === null ? '' : String(value);
+		});
+	}
+
+	/**
+	 * Get the site locale as a BCP 47 tag, e.g. 'he-IL'.
+	 *
+	 * @returns {string} Locale.
+	 */
+	function getLocale() {
+		const locale = settings.locale || document.documentElement.lang || 'en-US';
+		return locale.replace('_', '-');
+	}
+
+	/**
+	 * Whether the site is written right to left, e.g. Arabic or Hebrew.
+	 *
+	 * @returns {boolean} True for right-to-left locales.
+	 */
+	function isRTL() {
+		if (typeof settings.rtl === 'boolean') {
+			return settings.rtl;
+		}
+
+		return (document.documentElement.dir || '').toLowerCase() === 'rtl';
+	}
+
+	/**
+	 * Format a number for the site locale.
+	 *
+	 * @param {number} number  Number.
+	 * @param {Object} options Intl.NumberFormat options.
+	 * @returns {string} Formatted number.
+	 */
+	function formatNumber(number, options = {}) {
+		try {
+			return new Intl.NumberFormat(getLocale(), options).format(number);
+		} catch (e) {
+			return String(number);
+		}
+	}
+
+	/**
+	 * Format a date for the site locale.
+	 *
+	 * @param {Date|string|number} date    Date.
+	 * @param {Object}             options Intl.DateTimeFormat options.
+	 * @returns {string} Formatted date.
+	 */
+	function formatDate(date, options = {}) {
+		const value = date instanceof Date ? date : new Date(date);
+
+		try {
+			return new Intl.DateTimeFormat(getLocale(), options).format(value);
+		} catch (e) {
+			return value.toLocaleDateString();
+		}
+	}
+
+	/**
+	 * Set an element's language and text direction to the site's.
+	 *
+	 * @param {HTMLElement} element Element, e.g. the widget root.
+	 */
+	function applyDirection(element) {
+		if (!element) {
+			return;
+		}
+
+		element.setAttribute('dir', isRTL() ? 'rtl' : 'ltr');
+		element.setAttribute('lang', getLocale());
+	}
+
+	// Export
+	window.WPAIChatbotI18n = {
+		__: __,
+		_x: _x,
+		_n: _n,
+		sprintf: sprintf,
+		getLocale: getLocale,
+		isRTL: isRTL,
+		formatNumber: formatNumber,
+		formatDate: formatDate,
+		applyDirection: applyDirection,
+	};
+
+})();
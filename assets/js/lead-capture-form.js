@@ -1,7 +1,15 @@
 /**
  * Lead Capture Form JavaScript
  *
- * Handles lead capture form display, submission, and trigger logic.
+ * The lead capture subsystem: decides when to ask for the visitor's
+ * details (one trigger policy), shows the lead form, submits leads to
+ * wp_ai_chatbot_submit_lead and remembers a captured lead with one
+ * storage flag. Every submission, from the form or asked in the chat
+ * (lead-conversation.js), ends in one `leadCaptured` event, which the
+ * behavior tracker and the real-time scorer consume.
+ *
+ * The chat widget creates the instance; settings, nonce and trigger come
+ * from window.wpAiChatbotLeadCapture, printed by Lead_Capture_Handler.
  *
  * @package WP_AI_Chatbot_LeadGen_Pro
  * @since   1.0.0
@@ -10,6 +18,15 @@
 (function($) {
 	'use strict';
 
+	const { __, applyDirection } = window.WPAIChatbotI18n;
+
+	const settings = window.wpAiChatbotLeadCapture || {};
+
+	/**
+	 * Storage key of the captured lead flag.
+	 */
+	const CAPTURED_KEY = 'lead_captured';
+
 	/**
 	 * LeadCaptureForm class
 	 */
@@ -20,9 +37,21 @@
 		 */
 		constructor(options = {}) {
 			this.options = {
-				ajaxUrl: window.wpAIChatbot?.ajaxUrl || '/wp-admin/admin-ajax.php',
-				nonce: window.wpAIChatbot?.nonce || '',
-				triggerSettings: options.triggerSettings || {},
+				ajaxUrl: settings.ajaxUrl || '/wp-admin/admin-ajax.php',
+				nonce: settings.nonce || '',
+				triggerSettings: settings.trigger || {},
+
+				// Where the inline form is rendered
+				target: '.wp-ai-chatbot-messages',
+
+				// Conversation and session IDs, or functions returning them
+				conversationId: 0,
+				sessionId: '',
+
+				// Callbacks
+				onTrigger: null, // a trigger fired on its own, e.g. exit intent; shows the form by default
+				onShow: null,
+				onHide: null,
 				...options
 			};
 
@@ -30,11 +59,7 @@
 				isVisible: false,
 				isSubmitting: false,
 				hasSubmitted: this.loadSubmissionState(),
-				hasDismissed: this.loadDismissalState(),
-				messageCount: 0,
-				currentIntent: '',
-				conversationId: 0,
-				sessionId: ''
+				hasDismissed: this.loadDismissalState()
 			};
 
 			this.container = null;
@@ -50,6 +75,12 @@
 		init() {
 			this.bindTriggerEvents();
 			this.bindFormEvents();
+
+			// Read the stored state again once storage has loaded
+			window.WPAIChatbotStorage.ready.then(() => {
+				this.state.hasSubmitted = this.state.hasSubmitted || this.loadSubmissionState();
+				this.state.hasDismissed = this.state.hasDismissed || this.loadDismissalState();
+			});
 		}
 
 		/**
@@ -76,8 +107,8 @@
 		 */
 		bindExitIntentTrigger() {
 			const handler = (e) => {
-				if (e.clientY <= 10 && !this.state.hasSubmitted && !this.state.hasDismissed) {
-					this.show();
+				if (e.clientY <= 10 && this.shouldShow({ isExitIntent: true })) {
+					this.trigger();
 				}
 			};
 
@@ -89,22 +120,17 @@
 		 * Bind form events
 		 */
 		bindFormEvents() {
-			$(document).on('submit', '.wp-ai-chatbot-lead-form__form', (e) => {
+			$(document).on('submit.wpAiChatbotLeadForm', '.wp-ai-chatbot-lead-form__form', (e) => {
 				e.preventDefault();
 				this.handleSubmit(e.target);
 			});
 
-			$(document).on('click', '.wp-ai-chatbot-lead-form__dismiss', (e) => {
-				e.preventDefault();
-				this.handleDismiss();
-			});
-
 			// Real-time validation
-			$(document).on('blur', '.wp-ai-chatbot-lead-form__input', (e) => {
+			$(document).on('blur.wpAiChatbotLeadForm', '.wp-ai-chatbot-lead-form__input', (e) => {
 				this.validateField(e.target);
 			});
 
-			$(document).on('input', '.wp-ai-chatbot-lead-form__input', (e) => {
+			$(document).on('input.wpAiChatbotLeadForm', '.wp-ai-chatbot-lead-form__input', (e) => {
 				const field = $(e.target).closest('.wp-ai-chatbot-lead-form__field');
 				if (field.hasClass('has-error')) {
 					this.validateField(e.target);
@@ -112,12 +138,12 @@
 			});
 
 			// Close modal on overlay click
-			$(document).on('click', '.wp-ai-chatbot-lead-form-overlay', () => {
+			$(document).on('click.wpAiChatbotLeadForm', '.wp-ai-chatbot-lead-form-overlay', () => {
 				this.handleDismiss();
 			});
 
 			// Close on escape
-			$(document).on('keydown', (e) => {
+			$(document).on('keydown.wpAiChatbotLeadForm', (e) => {
 				if (e.key === 'Escape' && this.state.isVisible) {
 					this.handleDismiss();
 				}
@@ -126,7 +152,12 @@
 
 		/**
 		 * Check if form should be shown based on current context
-		 * @param {Object} context Current context
+		 *
+		 * The only trigger policy: the widget asks it before answering a
+		 * message (messageCount, the visitor's messages so far) and after a
+		 * reply with a detected intent.
+		 *
+		 * @param {Object} context Current context, {messageCount, intent, isExitIntent}
 		 * @returns {boolean}
 		 */
 		shouldShow(context = {}) {
@@ -169,17 +200,35 @@
 		}
 
 		/**
-		 * Update context and check for trigger
-		 * @param {Object} context Updated context
+		 * Ask for the visitor's details because a trigger fired
 		 */
-		updateContext(context) {
-			Object.assign(this.state, context);
-
-			if (this.shouldShow(context)) {
+		trigger() {
+			if (typeof this.options.onTrigger === 'function') {
+				this.options.onTrigger();
+			} else {
 				this.show();
 			}
 		}
 
+		/**
+		 * Get the conversation or session ID
+		 * @param {string} name 'conversationId' or 'sessionId'
+		 * @returns {*}
+		 */
+		getContextValue(name) {
+			const value = this.options[name];
+
+			return typeof value === 'function' ? value() : value;
+		}
+
+		/**
+		 * Check if the visitor's details were submitted
+		 * @returns {boolean}
+		 */
+		isCaptured() {
+			return this.state.hasSubmitted;
+		}
+
 		/**
 		 * Show the lead form
 		 * @param {Object} options Display options
@@ -218,8 +267,8 @@
 		async fetchFormHtml() {
 			const formData = new FormData();
 			formData.append('action', 'wp_ai_chatbot_get_lead_form');
-			formData.append('conversation_id', this.state.conversationId);
-			formData.append('session_id', this.state.sessionId);
+			formData.append('conversation_id', this.getContextValue('conversationId') || 0);
+			formData.append('session_id', this.getContextValue('sessionId') || '');
 
 			const response = await fetch(this.options.ajaxUrl, {
 				method: 'POST',
@@ -237,8 +286,7 @@
 		 */
 		render(html, options = {}) {
 			const style = this.options.triggerSettings?.style || 'inline';
-			const targetSelector = options.target || '.wp-ai-chatbot-messages';
-			const target = $(targetSelector);
+			const target = $(options.target || this.options.target);
 
 			if (style === 'modal') {
 				// Create overlay
@@ -250,6 +298,7 @@
 			this.container = document.createElement('div');
 			this.container.className = 'wp-ai-chatbot-lead-form-container';
 			this.container.innerHTML = html;
+			applyDirection(this.container);
 
 			if (style === 'inline' && target.length) {
 				target.append(this.container);
@@ -261,8 +310,18 @@
 
 			this.form = this.container.querySelector('.wp-ai-chatbot-lead-form__form');
 
+			// Bound on the form, the chat widget keeps clicks from reaching the document
+			$(this.container).on('click', '.wp-ai-chatbot-lead-form__dismiss', (e) => {
+				e.preventDefault();
+				this.handleDismiss();
+			});
+
+			if (typeof this.options.onShow === 'function') {
+				this.options.onShow(this.container);
+			}
+
 			// Trigger shown event
-			$(document).trigger('wp_ai_chatbot_lead_form_shown', [this.container]);
+			window.WPAIChatbotEvents.emit('leadFormShown', this.container);
 		}
 
 		/**
@@ -292,7 +351,7 @@
 			}
 
 			if (!isValid) {
-				this.showError('Please correct the errors above.');
+				this.showError(__('Please correct the errors above.'));
 				return;
 			}
 
@@ -300,64 +359,106 @@
 			this.showLoading(true);
 
 			try {
-				const formData = new FormData(form);
-				formData.append('action', 'wp_ai_chatbot_submit_lead');
-				formData.append('source_url', window.location.href);
-
-				// Add UTM parameters from URL
-				const urlParams = new URLSearchParams(window.location.search);
-				['utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term'].forEach(param => {
-					if (urlParams.has(param)) {
-						formData.append(param, urlParams.get(param));
-					}
-				});
+				const data = await this.submit(Object.fromEntries(new FormData(form)));
+				this.handleSuccess(data);
+			} catch (data) {
+				this.handleError(data);
+			} finally {
+				this.state.isSubmitting = false;
+				this.showLoading(false);
+			}
+		}
+
+		/**
+		 * Submit a lead
+		 *
+		 * Used by the form and by the conversational capture. Adds the
+		 * conversation, the page and its UTM parameters, and completes the
+		 * capture on success.
+		 *
+		 * @param {Object} fields Lead fields, e.g. {name, email, gdpr_consent, capture_mode}
+		 * @returns {Promise<Object>} Response data, {message, lead_id}; rejects with {message, errors}
+		 */
+		async submit(fields = {}) {
+			const data = {
+				nonce: this.options.nonce,
+				...fields,
+				action: 'wp_ai_chatbot_submit_lead',
+				conversation_id: this.getContextValue('conversationId') || fields.conversation_id || 0,
+				session_id: this.getContextValue('sessionId') || fields.session_id || '',
+				source_url: window.location.href
+			};
+
+			// Add UTM parameters from URL
+			const urlParams = new URLSearchParams(window.location.search);
+			['utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term'].forEach(param => {
+				if (urlParams.has(param)) {
+					data[param] = urlParams.get(param);
+				}
+			});
+
+			const formData = new FormData();
+			Object.entries(data).forEach(([name, value]) => {
+				formData.append(name, value);
+			});
 
+			let result = null;
+
+			try {
 				const response = await fetch(this.options.ajaxUrl, {
 					method: 'POST',
 					body: formData,
 					credentials: 'same-origin'
 				});
 
-				const result = await response.json();
-
-				if (result.success) {
-					this.handleSuccess(result.data);
-				} else {
-					this.handleError(result.data);
-				}
-
+				result = await response.json();
 			} catch (error) {
 				console.error('LeadCaptureForm: Submission error', error);
-				this.showError('An error occurred. Please try again.');
-			} finally {
-				this.state.isSubmitting = false;
-				this.showLoading(false);
 			}
+
+			if (!result?.success) {
+				throw result?.data || { message: __('An error occurred. Please try again.') };
+			}
+
+			const lead = { ...fields, ...result.data };
+			delete lead.nonce;
+
+			this.complete(lead);
+
+			return result.data;
 		}
 
 		/**
-		 * Handle successful submission
-		 * @param {Object} data Response data
+		 * Remember the captured lead and announce it
+		 * @param {Object} lead Lead fields and response data, with lead_id
 		 */
-		handleSuccess(data) {
+		complete(lead) {
 			this.state.hasSubmitted = true;
 			this.saveSubmissionState();
 
+			window.WPAIChatbotEvents.emit('leadCaptured', lead);
+		}
+
+		/**
+		 * Handle successful submission
+		 * @param {Object} data Response data
+		 */
+		handleSuccess(data) {
 			// Show success message
 			if (this.container) {
-				const form = this.container.querySelector('.wp-ai-chatbot-lead-form__form');
+				const fields = this.container.querySelectorAll('.wp-ai-chatbot-lead-form__field, .wp-ai-chatbot-lead-form__actions');
 				const success = this.container.querySelector('.wp-ai-chatbot-lead-form__success');
-				
-				if (form) form.style.display = 'none';
+
+				// The status is inside the form, so only the fields are hidden
+				fields.forEach(field => {
+					field.style.display = 'none';
+				});
 				if (success) {
-					success.textContent = data.message || 'Thank you! We\'ll be in touch soon.';
+					success.textContent = data.message || __('Thank you! We\'ll be in touch soon.');
 					success.hidden = false;
 				}
 			}
 
-			// Trigger success event
-			$(document).trigger('wp_ai_chatbot_lead_captured', [data]);
-
 			// Auto-hide after delay
 			setTimeout(() => {
 				this.hide();
@@ -386,7 +487,7 @@
 				});
 			}
 
-			this.showError(data?.message || 'An error occurred. Please try again.');
+			this.showError(data?.message || __('An error occurred. Please try again.'));
 		}
 
 		/**
@@ -400,8 +501,8 @@
 			// Send dismissal to server
 			const formData = new FormData();
 			formData.append('action', 'wp_ai_chatbot_dismiss_lead_form');
-			formData.append('session_id', this.state.sessionId);
-			formData.append('conversation_id', this.state.conversationId);
+			formData.append('session_id', this.getContextValue('sessionId') || '');
+			formData.append('conversation_id', this.getContextValue('conversationId') || 0);
 
 			fetch(this.options.ajaxUrl, {
 				method: 'POST',
@@ -410,42 +511,59 @@
 			}).catch(() => {});
 
 			// Trigger dismissed event
-			$(document).trigger('wp_ai_chatbot_lead_form_dismissed');
+			window.WPAIChatbotEvents.emit('leadFormDismissed');
 		}
 
 		/**
-		 * Validate a field
-		 * @param {HTMLElement} input Input element
-		 * @returns {boolean}
+		 * Validate a value with the form's rules
+		 *
+		 * Shared with the conversational capture (lead-conversation.js), which
+		 * checks chat answers the same way.
+		 *
+		 * @param {string} value Value
+		 * @param {Object} rules {type, required}, type as the input's, e.g. 'email' or 'tel'
+		 * @returns {string} Error message, or an empty string
 		 */
-		validateField(input) {
-			const field = $(input).closest('.wp-ai-chatbot-lead-form__field');
-			const errorEl = field.find('.wp-ai-chatbot-lead-form__error');
-			const value = input.value.trim();
-			const isRequired = input.hasAttribute('required');
-			const type = input.type;
-
-			let error = '';
+		static validateValue(value, rules = {}) {
+			value = String(value || '').trim();
 
 			// Required check
-			if (isRequired && !value) {
-				error = 'This field is required.';
+			if (rules.required && !value) {
+				return __('This field is required.');
 			}
+
 			// Email validation
-			else if (type === 'email' && value) {
+			if (rules.type === 'email' && value) {
 				const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 				if (!emailRegex.test(value)) {
-					error = 'Please enter a valid email address.';
+					return __('Please enter a valid email address.');
 				}
 			}
+
 			// Phone validation
-			else if (type === 'tel' && value) {
+			if (rules.type === 'tel' && value) {
 				const digits = value.replace(/\D/g, '');
 				if (digits.length < 7 || digits.length > 15) {
-					error = 'Please enter a valid phone number.';
+					return __('Please enter a valid phone number.');
 				}
 			}
 
+			return '';
+		}
+
+		/**
+		 * Validate a field
+		 * @param {HTMLElement} input Input element
+		 * @returns {boolean}
+		 */
+		validateField(input) {
+			const field = $(input).closest('.wp-ai-chatbot-lead-form__field');
+			const errorEl = field.find('.wp-ai-chatbot-lead-form__error');
+			const error = LeadCaptureForm.validateValue(input.value, {
+				type: input.type,
+				required: input.hasAttribute('required')
+			});
+
 			if (error) {
 				field.addClass('has-error');
 				errorEl.text(error);
@@ -507,76 +625,42 @@
 
 			this.state.isVisible = false;
 
+			if (typeof this.options.onHide === 'function') {
+				this.options.onHide();
+			}
+
 			// Trigger hidden event
-			$(document).trigger('wp_ai_chatbot_lead_form_hidden');
+			window.WPAIChatbotEvents.emit('leadFormHidden');
 		}
 
 		/**
-		 * Save submission state to localStorage
+		 * Save submission state, the one captured lead flag
 		 */
 		saveSubmissionState() {
-			try {
-				localStorage.setItem('wp_ai_chatbot_lead_submitted', 'true');
-				localStorage.setItem('wp_ai_chatbot_lead_submitted_at', Date.now().toString());
-			} catch (e) {
-				// localStorage not available
-			}
+			window.WPAIChatbotStorage.set(CAPTURED_KEY, true);
 		}
 
 		/**
-		 * Load submission state from localStorage
+		 * Load submission state
 		 * @returns {boolean}
 		 */
 		loadSubmissionState() {
-			try {
-				const submitted = localStorage.getItem('wp_ai_chatbot_lead_submitted');
-				const submittedAt = localStorage.getItem('wp_ai_chatbot_lead_submitted_at');
-
-				if (submitted && submittedAt) {
-					// Check if submission was within last 24 hours
-					const dayInMs = 24 * 60 * 60 * 1000;
-					if (Date.now() - parseInt(submittedAt) < dayInMs) {
-						return true;
-					}
-				}
-			} catch (e) {
-				// localStorage not available
-			}
-			return false;
+			return window.WPAIChatbotStorage.get(CAPTURED_KEY) === true;
 		}
 
 		/**
-		 * Save dismissal state to localStorage
+		 * Save dismissal state, kept for an hour (allow re-show after an hour)
 		 */
 		saveDismissalState() {
-			try {
-				localStorage.setItem('wp_ai_chatbot_lead_dismissed', 'true');
-				localStorage.setItem('wp_ai_chatbot_lead_dismissed_at', Date.now().toString());
-			} catch (e) {
-				// localStorage not available
-			}
+			window.WPAIChatbotStorage.set('lead_dismissed', true, { ttl: 60 * 60 * 1000 });
 		}
 
 		/**
-		 * Load dismissal state from localStorage
+		 * Load dismissal state
 		 * @returns {boolean}
 		 */
 		loadDismissalState() {
-			try {
-				const dismissed = localStorage.getItem('wp_ai_chatbot_lead_dismissed');
-				const dismissedAt = localStorage.getItem('wp_ai_chatbot_lead_dismissed_at');
-
-				if (dismissed && dismissedAt) {
-					// Check if dismissal was within last hour (allow re-show after an hour)
-					const hourInMs = 60 * 60 * 1000;
-					if (Date.now() - parseInt(dismissedAt) < hourInMs) {
-						return true;
-					}
-				}
-			} catch (e) {
-				// localStorage not available
-			}
-			return false;
+			return window.WPAIChatbotStorage.get('lead_dismissed') === true;
 		}
 
 		/**
@@ -585,14 +669,8 @@
 		reset() {
 			this.state.hasSubmitted = false;
 			this.state.hasDismissed = false;
-			try {
-				localStorage.removeItem('wp_ai_chatbot_lead_submitted');
-				localStorage.removeItem('wp_ai_chatbot_lead_submitted_at');
-				localStorage.removeItem('wp_ai_chatbot_lead_dismissed');
-				localStorage.removeItem('wp_ai_chatbot_lead_dismissed_at');
-			} catch (e) {
-				// localStorage not available
-			}
+			window.WPAIChatbotStorage.remove(CAPTURED_KEY);
+			window.WPAIChatbotStorage.remove('lead_dismissed');
 		}
 
 		/**
@@ -604,6 +682,8 @@
 				target.removeEventListener(type, handler);
 			});
 
+			$(document).off('.wpAiChatbotLeadForm');
+
 			this.hide();
 		}
 	}
@@ -611,39 +691,4 @@
 	// Expose to window
 	window.WPAIChatbotLeadForm = LeadCaptureForm;
 
-	// Auto-initialize when chat widget is ready
-	$(document).on('wp_ai_chatbot_ready', function(e, chatWidget) {
-		if (!window.wpAIChatbot?.leadFormSettings?.enabled) {
-			return;
-		}
-
-		const leadForm = new LeadCaptureForm({
-			triggerSettings: window.wpAIChatbot.leadFormSettings
-		});
-
-		// Connect to chat widget
-		if (chatWidget) {
-			// Update context when messages are sent
-			$(document).on('wp_ai_chatbot_message_sent wp_ai_chatbot_message_received', function() {
-				leadForm.updateContext({
-					messageCount: chatWidget.getMessageCount?.() || 0,
-					conversationId: chatWidget.conversationId,
-					sessionId: chatWidget.sessionId
-				});
-			});
-
-			// Update on intent detection
-			$(document).on('wp_ai_chatbot_intent_detected', function(e, intent) {
-				leadForm.updateContext({
-					intent: intent,
-					conversationId: chatWidget.conversationId,
-					sessionId: chatWidget.sessionId
-				});
-			});
-		}
-
-		window.wpAIChatbotLeadForm = leadForm;
-	});
-
 })(jQuery);
-
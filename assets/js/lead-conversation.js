@@ -0,0 +1,320 @@
+/**
+ * Lead Conversation.
+ *
+ * Collects a lead as chat turns instead of a form: the bot asks for one
+ * field at a time, checks each answer with the lead form's validation
+ * rules (LeadCaptureForm.validateValue), lets the visitor skip optional
+ * fields, and submits the profile through the lead form
+ * (LeadCaptureForm.submit), like a form submission.
+ *
+ *     const capture = new WPAIChatbotLeadConversation({
+ *         leadForm: new WPAIChatbotLeadForm(),
+ *         onAsk: (field, question) => {},   // show the question
+ *         onInvalid: (field, error) => {},  // show the error, the field is asked again
+ *         onSubmit: (profile) => {},
+ *         onComplete: (profile, data) => {},
+ *         onError: (message) => {},         // submission failed, retry() tries again
+ *     });
+ *
+ *     capture.start({ email: 'known@example.com' });  // known fields are not asked
+ *     capture.answer('Sam');
+ *     capture.skip();
+ *
+ * Fields come from window.wpAiChatbotLeadCapture, printed by
+ * Lead_Capture_Handler. The widget (chat-widget.js) renders the turns.
+ * Load before chat-widget.js.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function($) {
+	'use strict';
+
+	const { __, sprintf } = window.WPAIChatbotI18n;
+
+	const settings = window.wpAiChatbotLeadCapture || {};
+
+	/**
+	 * Lead Conversation class.
+	 */
+	class LeadConversation {
+		/**
+		 * Constructor.
+		 *
+		 * @param {Object} config Configuration options.
+		 */
+		constructor(config = {}) {
+			this.config = {
+				fields: settings.fields || LeadConversation.getDefaultFields(),
+
+				// LeadCaptureForm that submits the profile
+				leadForm: null,
+
+				// Callbacks
+				onAsk: null,
+				onInvalid: null,
+				onSubmit: null,
+				onComplete: null,
+				onError: null,
+				...config
+			};
+
+			this.fields = this.config.fields.filter((field) => field && field.name);
+			this.index = -1;
+			this.profile = {};
+			this.active = false;
+			this.isSubmitting = false;
+		}
+
+		/**
+		 * Get the fields asked when none are configured, those of the chat
+		 * widget's lead form.
+		 *
+		 * @returns {Array} Fields.
+		 */
+		static getDefaultFields() {
+			return [
+				{ name: 'name', type: 'text', label: __('Name'), required: true },
+				{ name: 'email', type: 'email', label: __('Email'), required: true },
+				{ name: 'phone', type: 'tel', label: __('Phone'), required: false },
+			];
+		}
+
+		/**
+		 * Get the question that asks for a field.
+		 *
+		 * @param {Object} field   Field.
+		 * @param {Object} profile Answers so far.
+		 * @returns {string} Question.
+		 */
+		static getQuestion(field, profile = {}) {
+			if (field.question) {
+				return field.question;
+			}
+
+			switch (field.name) {
+				case 'name':
+					return __('Before we go on, may I have your name?');
+
+				case 'email':
+					return profile.name
+						? sprintf(__('Thanks, %s! What is the best email address to reach you?'), profile.name.split(' ')[0])
+						: __('What is the best email address to reach you?');
+
+				case 'phone':
+					return __('And your phone number, in case it is easier to call?');
+
+				case 'company':
+					return __('Which company are you with?');
+
+				case 'message':
+					return __('Anything you would like our team to know?');
+
+				default:
+					return sprintf(__('What is your %s?'), field.label || field.name);
+			}
+		}
+
+		/**
+		 * Check if the visitor is being asked for their details.
+		 *
+		 * @returns {boolean} True until the lead is submitted or the capture is cancelled.
+		 */
+		isActive() {
+			return this.active;
+		}
+
+		/**
+		 * Get the field being asked for.
+		 *
+		 * @returns {Object|null} Field, or null.
+		 */
+		getCurrentField() {
+			return this.active ? this.fields[this.index] || null : null;
+		}
+
+		/**
+		 * Start asking.
+		 *
+		 * @param {Object} known Details already known, e.g. from identify().
+		 *                       Valid ones are kept and not asked for.
+		 */
+		start(known = {}) {
+			this.active = true;
+			this.index = -1;
+			this.profile = {};
+
+			this.fields.forEach((field) => {
+				const value = typeof known[field.name] === 'string' ? known[field.name].trim() : '';
+
+				if (value && !this.validate(value, field)) {
+					this.profile[field.name] = value;
+				}
+			});
+
+			this.next();
+		}
+
+		/**
+		 * Take the visitor's answer to the current question.
+		 *
+		 * @param {string} value Answer.
+		 */
+		answer(value) {
+			const field = this.getCurrentField();
+
+			if (!field || this.isSubmitting) {
+				return;
+			}
+
+			value = String(value || '').trim();
+
+			const error = this.validate(value, field);
+
+			if (error) {
+				this.report('onInvalid', field, error);
+				return;
+			}
+
+			this.profile[field.name] = value;
+			this.next();
+		}
+
+		/**
+		 * Skip the current question, if the field is optional.
+		 */
+		skip() {
+			const field = this.getCurrentField();
+
+			if (!field || this.isSubmitting) {
+				return;
+			}
+
+			if (field.required) {
+				this.report('onInvalid', field, __('This field is required.'));
+				return;
+			}
+
+			// Empty, so it isn't asked again after the server rejects another field
+			this.profile[field.name] = '';
+			this.next();
+		}
+
+		/**
+		 * Stop asking without submitting.
+		 */
+		cancel() {
+			this.active = false;
+			this.index = -1;
+		}
+
+		/**
+		 * Submit again after a failed submission.
+		 */
+		retry() {
+			if (this.active && this.index >= this.fields.length) {
+				this.submit();
+			}
+		}
+
+		/**
+		 * Ask the next field that has no answer, or submit once all are done.
+		 */
+		next() {
+			do {
+				this.index++;
+			} while (this.index < this.fields.length && this.profile[this.fields[this.index].name] !== undefined);
+
+			if (this.index >= this.fields.length) {
+				this.submit();
+				return;
+			}
+
+			const field = this.fields[this.index];
+
+			this.report('onAsk', field, LeadConversation.getQuestion(field, this.profile));
+		}
+
+		/**
+		 * Validate an answer with the lead form's rules.
+		 *
+		 * @param {string} value Answer.
+		 * @param {Object} field Field.
+		 * @returns {string} Error message, or an empty string.
+		 */
+		validate(value, field) {
+			const rules = { type: field.type, required: !!field.required };
+
+			if (window.WPAIChatbotLeadForm && typeof window.WPAIChatbotLeadForm.validateValue === 'function') {
+				return window.WPAIChatbotLeadForm.validateValue(value, rules);
+			}
+
+			return rules.required && !value ? __('This field is required.') : '';
+		}
+
+		/**
+		 * Submit the profile.
+		 */
+		submit() {
+			if (this.isSubmitting) {
+				return;
+			}
+
+			this.isSubmitting = true;
+			this.report('onSubmit', { ...this.profile });
+
+			this.config.leadForm.submit({ capture_mode: 'conversational', ...this.profile }).then(
+				(data) => {
+					this.isSubmitting = false;
+					this.active = false;
+					this.report('onComplete', { ...this.profile }, data || {});
+				},
+				(data) => {
+					this.isSubmitting = false;
+					this.handleError(data);
+				}
+			);
+		}
+
+		/**
+		 * Handle a failed submission.
+		 *
+		 * A field the server rejected is asked again; otherwise the visitor
+		 * can retry.
+		 *
+		 * @param {Object} data Error data, {message, errors: {field: message}}.
+		 */
+		handleError(data) {
+			const errors = (data && data.errors) || {};
+			const index = this.fields.findIndex((field) => errors[field.name]);
+
+			if (index !== -1) {
+				const field = this.fields[index];
+
+				delete this.profile[field.name];
+				this.index = index;
+				this.report('onInvalid', field, errors[field.name]);
+				return;
+			}
+
+			this.report('onError', (data && data.message) || __('An error occurred. Please try again.'));
+		}
+
+		/**
+		 * Call a callback, if set.
+		 *
+		 * @param {string} name Callback name.
+		 * @param {...*}   args Arguments.
+		 */
+		report(name, ...args) {
+			if (typeof this.config[name] === 'function') {
+				this.config[name](...args);
+			}
+		}
+	}
+
+	// Export
+	window.WPAIChatbotLeadConversation = LeadConversation;
+
+})(jQuery);
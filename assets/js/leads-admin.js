@@ -10,6 +10,8 @@
 (function($) {
 	'use strict';
 
+	const { __ } = window.WPAIChatbotI18n;
+
 	/**
 	 * Leads Admin Controller
 	 */
@@ -68,8 +70,8 @@
 			$filters.slideToggle(200, function() {
 				const isVisible = $filters.is(':visible');
 				$button.text(isVisible 
-					? wpAiChatbotLeadsAdmin?.strings?.hideAdvanced || 'Hide Advanced'
-					: wpAiChatbotLeadsAdmin?.strings?.showAdvanced || 'Advanced'
+					? wpAiChatbotLeadsAdmin?.strings?.hideAdvanced || __('Hide Advanced')
+					: wpAiChatbotLeadsAdmin?.strings?.showAdvanced || __('Advanced')
 				);
 			});
 		},
@@ -87,7 +89,7 @@
 			if (hasAdvanced) {
 				$('.advanced-filters').show();
 				$('#toggle-advanced-filters').text(
-					wpAiChatbotLeadsAdmin?.strings?.hideAdvanced || 'Hide Advanced'
+					wpAiChatbotLeadsAdmin?.strings?.hideAdvanced || __('Hide Advanced')
 				);
 			}
 		},
@@ -138,7 +140,7 @@
 			const checkedCount = $('input[name="lead[]"]:checked').length;
 
 			if (action === 'delete' && checkedCount > 0) {
-				if (!confirm(this.config.strings.confirmBulkDelete || 'Are you sure you want to delete the selected leads?')) {
+				if (!confirm(this.config.strings.confirmBulkDelete || __('Are you sure you want to delete the selected leads?'))) {
 					e.preventDefault();
 					return false;
 				}
@@ -151,7 +153,7 @@
 		 * Confirm single delete
 		 */
 		confirmDelete: function(e) {
-			if (!confirm(this.config.strings.confirmDelete || 'Are you sure you want to delete this lead?')) {
+			if (!confirm(this.config.strings.confirmDelete || __('Are you sure you want to delete this lead?'))) {
 				e.preventDefault();
 				return false;
 			}
@@ -189,13 +191,13 @@
 				},
 				success: function(response) {
 					if (response.success) {
-						LeadsAdmin.showNotice('success', response.data.message || 'Lead added to enrichment queue');
+						LeadsAdmin.showNotice('success', response.data.message || __('Lead added to enrichment queue'));
 					} else {
-						LeadsAdmin.showNotice('error', response.data?.message || 'Failed to enqueue enrichment');
+						LeadsAdmin.showNotice('error', response.data?.message || __('Failed to enqueue enrichment'));
 					}
 				},
 				error: function() {
-					LeadsAdmin.showNotice('error', LeadsAdmin.config.strings.error || 'An error occurred');
+					LeadsAdmin.showNotice('error', LeadsAdmin.config.strings.error || __('An error occurred'));
 				},
 				complete: function() {
 					$button.prop('disabled', false).removeClass('updating-message');
@@ -226,17 +228,17 @@
 				},
 				success: function(response) {
 					if (response.success) {
-						LeadsAdmin.showNotice('success', 'Lead score recalculated');
+						LeadsAdmin.showNotice('success', __('Lead score recalculated'));
 						// Reload to show new score
 						setTimeout(function() {
 							window.location.reload();
 						}, 1000);
 					} else {
-						LeadsAdmin.showNotice('error', response.data?.message || 'Failed to rescore lead');
+						LeadsAdmin.showNotice('error', response.data?.message || __('Failed to rescore lead'));
 					}
 				},
 				error: function() {
-					LeadsAdmin.showNotice('error', LeadsAdmin.config.strings.error || 'An error occurred');
+					LeadsAdmin.showNotice('error', LeadsAdmin.config.strings.error || __('An error occurred'));
 				},
 				complete: function() {
 					$button.prop('disabled', false).removeClass('updating-message');
@@ -273,7 +275,8 @@
 		 * Make notice dismissible
 		 */
 		makeDismissible: function($notice) {
-			const $button = $('<button type="button" class="notice-dismiss"><span class="screen-reader-text">Dismiss this notice.</span></button>');
+			const $button = $('<button type="button" class="notice-dismiss"><span class="screen-reader-text"></span></button>');
+			$button.find('.screen-reader-text').text(__('Dismiss this notice.'));
 			
 			$notice.append($button);
 			
@@ -0,0 +1,317 @@
+/**
+ * Live Handoff.
+ *
+ * Hands a conversation over to a human agent and back, through the
+ * handoff actions of Conversation_Handoff. While live it polls for the
+ * visitor's place in the queue, the agent who picked the chat up, their
+ * typing and presence, and their messages, until the agent closes the
+ * session with a summary.
+ *
+ *     const handoff = new WPAIChatbotHandoff({
+ *         conversationId: 12,
+ *         onUpdate: (state, previous) => {},
+ *         onMessage: (message) => {},   // {id, role: 'agent'|'system', content, created_at}
+ *         onEnd: (summary) => {},
+ *     });
+ *
+ *     handoff.request();                // join the queue
+ *     handoff.send('Hello');
+ *
+ * The widget (chat-widget.js) creates one when a conversation is escalated
+ * and renders the state. Load before chat-widget.js.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function($) {
+	'use strict';
+
+	// English strings if i18n.js is not on the page
+	const { __ } = window.WPAIChatbotI18n || {
+		__: (text) => text,
+	};
+
+	/**
+	 * Live Handoff class.
+	 */
+	class LiveHandoff {
+		/**
+		 * Constructor.
+		 *
+		 * @param {Object} config Configuration options.
+		 */
+		constructor(config = {}) {
+			this.config = {
+				ajaxUrl: '',
+				nonce: '',
+				conversationId: null,
+				sessionId: '',
+
+				// Poll intervals (ms) in the queue and with an agent, and the
+				// longest wait after failed polls
+				queueInterval: 5000,
+				activeInterval: 2000,
+				maxInterval: 30000,
+
+				// How long (ms) a keystroke counts as typing
+				typingTimeout: 4000,
+
+				// Whether this tab polls, e.g. the leader tab only
+				canPoll: null,
+
+				// Callbacks
+				onUpdate: null,
+				onMessage: null,
+				onEnd: null,
+				...config
+			};
+
+			this.state = {
+				status: 'idle', // idle, queued, active or closed
+				escalationId: null,
+				position: 0,
+				agent: null,
+				agentTyping: false,
+				lastMessageId: 0,
+				summary: '',
+			};
+
+			this.timer = null;
+			this.xhr = null;
+			this.failures = 0;
+			this.typingUntil = 0;
+			this.stopped = false;
+		}
+
+		/**
+		 * Check if the visitor is waiting for or chatting with an agent.
+		 *
+		 * @returns {boolean} True while queued or active.
+		 */
+		isLive() {
+			return this.state.status === 'queued' || this.state.status === 'active';
+		}
+
+		/**
+		 * Ask for an agent.
+		 *
+		 * @param {string} reason Optional escalation reason. Default 'user_request'.
+		 * @returns {Promise} Resolves to {message}, the notice for the visitor.
+		 */
+		request(reason = 'user_request') {
+			return this.post('wp_ai_chatbot_request_handoff', { reason: reason }).then((data) => {
+				this.apply({ ...data, last_message_id: data.last_message_id || this.state.lastMessageId });
+				this.schedule(0);
+
+				return { message: data.message || '' };
+			});
+		}
+
+		/**
+		 * Follow a handoff that was started elsewhere.
+		 *
+		 * E.g. one the server opened when it escalated a reply, or one saved
+		 * on an earlier page.
+		 *
+		 * @param {Object} state Saved state, at least {escalationId}.
+		 */
+		resume(state) {
+			this.update({ status: 'queued', ...state });
+
+			if (this.isLive()) {
+				this.schedule(0);
+			}
+		}
+
+		/**
+		 * Send a visitor message to the agent.
+		 *
+		 * @param {string} message Message text.
+		 * @returns {Promise} Resolves to {message_id}.
+		 */
+		send(message) {
+			this.typingUntil = 0;
+
+			return this.post('wp_ai_chatbot_send_handoff_message', { message: message });
+		}
+
+		/**
+		 * Note a keystroke, shown to the agent with the next poll.
+		 */
+		setTyping() {
+			this.typingUntil = Date.now() + this.config.typingTimeout;
+		}
+
+		/**
+		 * Leave the queue or end the chat with the agent.
+		 *
+		 * @returns {Promise} Resolves once the server has closed the handoff.
+		 */
+		leave() {
+			return this.post('wp_ai_chatbot_end_handoff').then((data) => {
+				this.apply(data);
+			});
+		}
+
+		/**
+		 * Stop polling, e.g. when the widget is destroyed.
+		 */
+		stop() {
+			this.stopped = true;
+			clearTimeout(this.timer);
+
+			if (this.xhr) {
+				this.xhr.abort();
+				this.xhr = null;
+			}
+		}
+
+		/**
+		 * Poll again after a delay.
+		 *
+		 * @param {number} delay Delay in ms. Defaults to the interval of the status.
+		 */
+		schedule(delay) {
+			clearTimeout(this.timer);
+
+			if (this.stopped || !this.isLive()) {
+				return;
+			}
+
+			if (delay === undefined) {
+				const interval = this.state.status === 'active' ? this.config.activeInterval : this.config.queueInterval;
+
+				delay = Math.min(interval * Math.pow(2, this.failures), this.config.maxInterval);
+			}
+
+			this.timer = setTimeout(() => this.poll(), delay);
+		}
+
+		/**
+		 * Fetch the handoff status and new agent messages.
+		 */
+		poll() {
+			if (this.xhr || (this.config.canPoll && !this.config.canPoll()) || navigator.onLine === false) {
+				this.schedule();
+				return;
+			}
+
+			this.post('wp_ai_chatbot_poll_handoff', {
+				after_id: this.state.lastMessageId || 0,
+				typing: this.typingUntil > Date.now() ? 1 : 0,
+			}).then((data) => {
+				this.failures = 0;
+				this.apply(data);
+			}).catch(() => {
+				this.failures++;
+			}).then(() => {
+				this.schedule();
+			});
+		}
+
+		/**
+		 * Apply a server response.
+		 *
+		 * @param {Object} data Handoff status, with new messages when polled.
+		 */
+		apply(data) {
+			if (!data || this.stopped) {
+				return;
+			}
+
+			const messages = Array.isArray(data.messages) ? data.messages : [];
+			let lastMessageId = Math.max(this.state.lastMessageId || 0, parseInt(data.last_message_id, 10) || 0);
+
+			messages.forEach((message) => {
+				lastMessageId = Math.max(lastMessageId, parseInt(message.id, 10) || 0);
+
+				if (typeof this.config.onMessage === 'function') {
+					this.config.onMessage(message);
+				}
+			});
+
+			this.update({
+				status: data.status || this.state.status,
+				escalationId: data.escalation_id || this.state.escalationId,
+				position: data.position || 0,
+				agent: data.agent || null,
+				agentTyping: !!data.agent_typing,
+				lastMessageId: lastMessageId,
+				summary: data.summary || '',
+			});
+		}
+
+		/**
+		 * Change the state and report it.
+		 *
+		 * @param {Object} changes State changes.
+		 */
+		update(changes) {
+			const previous = this.state;
+
+			this.state = { ...this.state, ...changes };
+
+			if (typeof this.config.onUpdate === 'function') {
+				this.config.onUpdate(this.state, previous);
+			}
+
+			if (previous.status !== 'closed' && this.state.status === 'closed') {
+				clearTimeout(this.timer);
+
+				if (typeof this.config.onEnd === 'function') {
+					this.config.onEnd(this.state.summary);
+				}
+			}
+		}
+
+		/**
+		 * Post a handoff action.
+		 *
+		 * @param {string} action AJAX action.
+		 * @param {Object} data   Request data.
+		 * @returns {Promise} Resolves to the response data, rejects with an Error.
+		 */
+		post(action, data = {}) {
+			return new Promise((resolve, reject) => {
+				const xhr = $.ajax({
+					url: this.config.ajaxUrl,
+					type: 'POST',
+					data: {
+						action: action,
+						nonce: this.config.nonce,
+						conversation_id: this.config.conversationId,
+						session_id: this.config.sessionId,
+						escalation_id: this.state.escalationId || '',
+						...data,
+					},
+					success: (response) => {
+						if (response && response.success) {
+							resolve(response.data || {});
+						} else {
+							reject(new Error((response && response.data && response.data.message) || __('Something went wrong. Please try again.')));
+						}
+					},
+					error: (xhr, status, error) => {
+						const message = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message;
+
+						reject(new Error(message || error || status));
+					},
+					complete: () => {
+						if (this.xhr === xhr) {
+							this.xhr = null;
+						}
+					},
+				});
+
+				if (action === 'wp_ai_chatbot_poll_handoff') {
+					this.xhr = xhr;
+				}
+			});
+		}
+	}
+
+	// Export
+	window.WPAIChatbotHandoff = LiveHandoff;
+
+})(jQuery);
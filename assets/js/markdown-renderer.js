@@ -0,0 +1,567 @@
+/**
+ * Markdown Renderer.
+ *
+ * Renders a safe subset of Markdown for assistant messages. Input is escaped
+ * before any markup is generated, so raw HTML from the model is never passed
+ * through, and the generated markup is run through an allow-list sanitizer.
+ *
+ * Load before chat-widget.js.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function() {
+	'use strict';
+
+	// English strings if i18n.js is not on the page
+	const { __ } = window.WPAIChatbotI18n || {
+		__: (text) => text,
+	};
+
+	/**
+	 * Tags and attributes allowed in rendered output.
+	 */
+	const ALLOWED_TAGS = {
+		a: ['href', 'title', 'target', 'rel', 'class', 'aria-label', 'data-citation-index'],
+		blockquote: [],
+		br: [],
+		button: ['type', 'class', 'aria-label'],
+		code: ['class'],
+		del: [],
+		div: ['class'],
+		em: [],
+		h3: [],
+		h4: [],
+		h5: [],
+		h6: [],
+		hr: [],
+		li: [],
+		ol: ['start'],
+		p: [],
+		pre: [],
+		strong: [],
+		table: [],
+		tbody: [],
+		td: ['class'],
+		th: ['class'],
+		thead: [],
+		tr: [],
+		ul: [],
+	};
+
+	/**
+	 * Link protocols considered safe.
+	 */
+	const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+	/**
+	 * Markdown Renderer class.
+	 */
+	class MarkdownRenderer {
+		/**
+		 * Constructor.
+		 *
+		 * @param {Object} config Configuration options.
+		 */
+		constructor(config = {}) {
+			this.config = {
+				codeBlockClass: 'wp-ai-chatbot-code-block',
+				copyButtonClass: 'wp-ai-chatbot-code-copy',
+				copyLabel: __('Copy'),
+				copyAriaLabel: __('Copy code'),
+				linkTarget: '_blank',
+				...config
+			};
+		}
+
+		/**
+		 * Render Markdown to sanitized HTML.
+		 *
+		 * @param {string} text Markdown text.
+		 * @param {Object} options Render options.
+		 * @param {Array} options.citations Citations to link `[n]` markers to.
+		 * @param {Function} options.citationLink Returns the link HTML for a citation.
+		 * @returns {string} Sanitized HTML.
+		 */
+		render(text, options = {}) {
+			const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+			const html = this.renderBlocks(lines, options);
+
+			return this.sanitize(html);
+		}
+
+		/**
+		 * Render block-level elements.
+		 *
+		 * @param {Array} lines Source lines.
+		 * @param {Object} options Render options.
+		 * @returns {string} HTML.
+		 */
+		renderBlocks(lines, options) {
+			const out = [];
+			let i = 0;
+
+			while (i < lines.length) {
+				const line = lines[i];
+
+				// Blank line
+				if (!line.trim()) {
+					i++;
+					continue;
+				}
+
+				// Fenced code block (an unclosed fence runs to the end, e.g. while streaming)
+				const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/);
+				if (fence) {
+					const code = [];
+					i++;
+					while (i < lines.length && lines[i].trim().indexOf(fence[1]) !== 0) {
+						code.push(lines[i]);
+						i++;
+					}
+					i++;
+					out.push(this.renderCodeBlock(code.join('\n'), fence[2]));
+					continue;
+				}
+
+				// Heading (levels are shifted down to fit inside a chat bubble)
+				const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+				if (heading) {
+					const level = Math.min(heading[1].length + 2, 6);
+					out.push(`<h${level}>${this.renderInline(heading[2], options)}</h${level}>`);
+					i++;
+					continue;
+				}
+
+				// Horizontal rule
+				if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+					out.push('<hr>');
+					i++;
+					continue;
+				}
+
+				// Blockquote
+				if (/^\s*>/.test(line)) {
+					const quote = [];
+					while (i < lines.length && /^\s*>/.test(lines[i])) {
+						quote.push(lines[i].replace(/^\s*>\s?/, ''));
+						i++;
+					}
+					out.push(`<blockquote>${this.renderBlocks(quote, options)}</blockquote>`);
+					continue;
+				}
+
+				// Table
+				if (line.indexOf('|') !== -1 && i + 1 < lines.length && this.isTableSeparator(lines[i + 1])) {
+					const rows = [line];
+					const separator = lines[i + 1];
+					i += 2;
+					while (i < lines.length && lines[i].trim() && lines[i].indexOf('|') !== -1) {
+						rows.push(lines[i]);
+						i++;
+					}
+					out.push(this.renderTable(rows, separator, options));
+					continue;
+				}
+
+				// List
+				if (this.matchListItem(line)) {
+					const end = this.findListEnd(lines, i);
+					out.push(this.renderList(lines.slice(i, end), options));
+					i = end;
+					continue;
+				}
+
+				// Paragraph
+				const paragraph = [];
+				while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+					paragraph.push(this.renderInline(lines[i].trim(), options));
+					i++;
+				}
+				if (paragraph.length === 0) {
+					// Line looked like a block start but was not one, keep it as text
+					paragraph.push(this.renderInline(lines[i].trim(), options));
+					i++;
+				}
+				out.push(`<p>${paragraph.join('<br>')}</p>`);
+			}
+
+			return out.join('');
+		}
+
+		/**
+		 * Check if a line starts a block other than a paragraph.
+		 *
+		 * @param {Array} lines Source lines.
+		 * @param {number} index Line index.
+		 * @returns {boolean} True if a block starts here.
+		 */
+		startsBlock(lines, index) {
+			const line = lines[index];
+
+			return /^\s*(`{3,}|~{3,})/.test(line) ||
+				/^\s*#{1,6}\s/.test(line) ||
+				/^\s*>/.test(line) ||
+				/^\s*([-*_])(\s*\1){2,}\s*$/.test(line) ||
+				!!this.matchListItem(line) ||
+				(line.indexOf('|') !== -1 && index + 1 < lines.length && this.isTableSeparator(lines[index + 1]));
+		}
+
+		/**
+		 * Match a list item line.
+		 *
+		 * @param {string} line Source line.
+		 * @returns {Array|null} Match with indent, marker and text.
+		 */
+		matchListItem(line) {
+			return line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+		}
+
+		/**
+		 * Find where a list starting at index ends.
+		 *
+		 * @param {Array} lines Source lines.
+		 * @param {number} start Start index.
+		 * @returns {number} Index after the last list line.
+		 */
+		findListEnd(lines, start) {
+			const first = this.matchListItem(lines[start]);
+			const baseIndent = first[1].length;
+			const ordered = /\d/.test(first[2]);
+			let i = start + 1;
+
+			while (i < lines.length) {
+				const line = lines[i];
+
+				if (!line.trim()) {
+					// A blank line only continues the list if an indented or list line follows
+					const next = lines[i + 1];
+					if (next !== undefined && next.trim() && (this.indentOf(next) > baseIndent || this.matchListItem(next))) {
+						i++;
+						continue;
+					}
+					break;
+				}
+
+				const item = this.matchListItem(line);
+
+				// A sibling item of the other list type starts a new list
+				if (item && item[1].length <= baseIndent && /\d/.test(item[2]) !== ordered) {
+					break;
+				}
+
+				if (this.indentOf(line) > baseIndent || item) {
+					i++;
+					continue;
+				}
+
+				break;
+			}
+
+			return i;
+		}
+
+		/**
+		 * Render a list and its nested content.
+		 *
+		 * @param {Array} lines List lines.
+		 * @param {Object} options Render options.
+		 * @returns {string} HTML.
+		 */
+		renderList(lines, options) {
+			const first = this.matchListItem(lines[0]);
+			const baseIndent = first[1].length;
+			const ordered = /\d/.test(first[2]);
+			const items = [];
+
+			lines.forEach((line) => {
+				const match = this.matchListItem(line);
+
+				if (match && match[1].length <= baseIndent) {
+					items.push([match[3]]);
+				} else if (items.length) {
+					items[items.length - 1].push(line.slice(Math.min(this.indentOf(line), baseIndent + 2)));
+				}
+			});
+
+			const rendered = items.map((item) => {
+				const text = this.renderInline(item[0], options);
+				const rest = item.slice(1);
+
+				return `<li>${text}${rest.some((l) => l.trim()) ? this.renderBlocks(rest, options) : ''}</li>`;
+			});
+
+			if (ordered) {
+				const start = parseInt(first[2], 10);
+				return `<ol${start > 1 ? ` start="${start}"` : ''}>${rendered.join('')}</ol>`;
+			}
+
+			return `<ul>${rendered.join('')}</ul>`;
+		}
+
+		/**
+		 * Get the indentation width of a line.
+		 *
+		 * @param {string} line Source line.
+		 * @returns {number} Number of leading spaces (tabs count as four).
+		 */
+		indentOf(line) {
+			const indent = line.match(/^\s*/)[0];
+			return indent.replace(/\t/g, '    ').length;
+		}
+
+		/**
+		 * Check if a line is a table header separator.
+		 *
+		 * @param {string} line Source line.
+		 * @returns {boolean} True if separator.
+		 */
+		isTableSeparator(line) {
+			return line.indexOf('|') !== -1 && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line);
+		}
+
+		/**
+		 * Split a table row into cells.
+		 *
+		 * @param {string} row Source row.
+		 * @returns {Array} Cell strings.
+		 */
+		splitTableRow(row) {
+			return row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((cell) => cell.trim());
+		}
+
+		/**
+		 * Render a table.
+		 *
+		 * @param {Array} rows Header and body rows.
+		 * @param {string} separator Separator row.
+		 * @param {Object} options Render options.
+		 * @returns {string} HTML.
+		 */
+		renderTable(rows, separator, options) {
+			const alignments = this.splitTableRow(separator).map((cell) => {
+				if (/^:-+:$/.test(cell)) return 'center';
+				if (/^-+:$/.test(cell)) return 'right';
+				return '';
+			});
+
+			const renderRow = (row, tag) => {
+				const cells = this.splitTableRow(row).map((cell, index) => {
+					const align = alignments[index] ? ` class="is-align-${alignments[index]}"` : '';
+					return `<${tag}${align}>${this.renderInline(cell, options)}</${tag}>`;
+				});
+				return `<tr>${cells.join('')}</tr>`;
+			};
+
+			const head = renderRow(rows[0], 'th');
+			const body = rows.slice(1).map((row) => renderRow(row, 'td')).join('');
+
+			return `<table><thead>${head}</thead>${body ? `<tbody>${body}</tbody>` : ''}</table>`;
+		}
+
+		/**
+		 * Render a fenced code block with a copy button.
+		 *
+		 * @param {string} code Code text.
+		 * @param {string} language Language hint.
+		 * @returns {string} HTML.
+		 */
+		renderCodeBlock(code, language) {
+			const languageClass = language ? ` class="language-${this.escapeHtml(language.toLowerCase())}"` : '';
+
+			return `<div class="${this.config.codeBlockClass}">` +
+				`<button type="button" class="${this.config.copyButtonClass}" aria-label="${this.escapeHtml(this.config.copyAriaLabel)}">${this.escapeHtml(this.config.copyLabel)}</button>` +
+				`<pre><code${languageClass}>${this.escapeHtml(code)}</code></pre>` +
+				'</div>';
+		}
+
+		/**
+		 * Render inline elements.
+		 *
+		 * @param {string} text Source text.
+		 * @param {Object} options Render options.
+		 * @returns {string} HTML.
+		 */
+		renderInline(text, options = {}) {
+			const tokens = [];
+			const protect = (html) => {
+				tokens.push(html);
+				return `\u0000${tokens.length - 1}\u0000`;
+			};
+
+			let html = this.escapeHtml(text);
+
+			// Inline code
+			html = html.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+				return protect(`<code>${code.trim()}</code>`);
+			});
+
+			// Citation markers
+			const citations = Array.isArray(options.citations) ? options.citations : [];
+			if (citations.length && typeof options.citationLink === 'function') {
+				html = html.replace(/\[(\d+)\](?!\()/g, (match, number) => {
+					const index = parseInt(number, 10) - 1;
+					return citations[index] ? protect(options.citationLink(index, citations[index])) : match;
+				});
+			}
+
+			// Links
+			html = html.replace(/\[([^\]]+)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;([^&]*)&quot;)?\s*\)/g, (match, label, url, title) => {
+				const href = this.safeUrl(url);
+				if (!href) {
+					return label;
+				}
+				const titleAttr = title ? ` title="${title}"` : '';
+				return protect(`<a href="${this.escapeHtml(href)}"${titleAttr} target="${this.config.linkTarget}" rel="noopener noreferrer">${label}</a>`);
+			});
+
+			// Bare URLs (stop at escaped quotes and brackets, leave trailing punctuation out)
+			html = html.replace(/\bhttps?:\/\/(?:(?!&quot;|&#039;|&lt;|&gt;)[^\s\u0000])+/g, (match) => {
+				const url = match.replace(/[.,;:!?)\]]+$/, '');
+				const trailing = match.slice(url.length);
+				const href = this.safeUrl(url);
+
+				if (!href) {
+					return match;
+				}
+
+				return protect(`<a href="${this.escapeHtml(href)}" target="${this.config.linkTarget}" rel="noopener noreferrer">${url}</a>`) + trailing;
+			});
+
+			// Emphasis
+			html = html
+				.replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+				.replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\*)/g, '$1<em>$2</em>')
+				.replace(/(^|[^\w_])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+				.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+			// Restore protected fragments (they may nest, e.g. code inside link labels)
+			while (/\u0000\d+\u0000/.test(html)) {
+				html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+			}
+
+			return html;
+		}
+
+		/**
+		 * Return a URL if its protocol is safe.
+		 *
+		 * @param {string} url Escaped URL from the source text.
+		 * @returns {string} Unescaped safe URL, or empty string.
+		 */
+		safeUrl(url) {
+			const decoded = this.decodeEntities(url).trim();
+
+			// Relative URLs and fragments
+			if (/^(\/(?!\/)|#|\?)/.test(decoded)) {
+				return decoded;
+			}
+
+			try {
+				const parsed = new URL(decoded, window.location.href);
+				return SAFE_PROTOCOLS.indexOf(parsed.protocol) !== -1 && /^[a-z]+:/i.test(decoded) ? decoded : '';
+			} catch (e) {
+				return '';
+			}
+		}
+
+		/**
+		 * Strip anything outside the allow-list from an HTML string.
+		 *
+		 * @param {string} html HTML to sanitize.
+		 * @returns {string} Sanitized HTML.
+		 */
+		sanitize(html) {
+			const template = document.createElement('template');
+			template.innerHTML = html;
+
+			const clean = (node) => {
+				Array.from(node.childNodes).forEach((child) => {
+					if (child.nodeType === Node.TEXT_NODE) {
+						return;
+					}
+
+					if (child.nodeType !== Node.ELEMENT_NODE) {
+						child.remove();
+						return;
+					}
+
+					const tag = child.tagName.toLowerCase();
+					const allowedAttrs = ALLOWED_TAGS[tag];
+
+					if (!allowedAttrs) {
+						child.replaceWith(document.createTextNode(child.textContent));
+						return;
+					}
+
+					Array.from(child.attributes).forEach((attr) => {
+						if (allowedAttrs.indexOf(attr.name) === -1) {
+							child.removeAttribute(attr.name);
+						}
+					});
+
+					if (tag === 'a') {
+						const href = this.safeUrl(child.getAttribute('href') || '');
+						if (href) {
+							child.setAttribute('href', href);
+							child.setAttribute('rel', 'noopener noreferrer');
+						} else {
+							child.removeAttribute('href');
+						}
+					}
+
+					if (tag === 'code' && child.hasAttribute('class') && !/^language-[\w+#.-]+$/.test(child.getAttribute('class'))) {
+						child.removeAttribute('class');
+					}
+
+					if (tag === 'button') {
+						child.setAttribute('type', 'button');
+					}
+
+					clean(child);
+				});
+			};
+
+			clean(template.content);
+
+			return template.innerHTML;
+		}
+
+		/**
+		 * Decode the entities produced by escapeHtml().
+		 *
+		 * @param {string} text Escaped text.
+		 * @returns {string} Decoded text.
+		 */
+		decodeEntities(text) {
+			return String(text)
+				.replace(/&lt;/g, '<')
+				.replace(/&gt;/g, '>')
+				.replace(/&quot;/g, '"')
+				.replace(/&#039;/g, "'")
+				.replace(/&amp;/g, '&');
+		}
+
+		/**
+		 * Escape HTML.
+		 *
+		 * @param {string} text Text to escape.
+		 * @returns {string} Escaped text.
+		 */
+		escapeHtml(text) {
+			const map = {
+				'&': '&amp;',
+				'<': '&lt;',
+				'>': '&gt;',
+				'"': '&quot;',
+				"'": '&#039;'
+			};
+			return String(text).replace(/[&<>"']/g, m => map[m]);
+		}
+	}
+
+	// Export
+	window.WPAIChatbotMarkdown = MarkdownRenderer;
+
+})();
@@ -0,0 +1,351 @@
+/**
+ * Message Renderers.
+ *
+ * Registry of renderers for structured assistant messages. The server sends
+ * them as `blocks`, a list of objects with a `type`; each type has a render
+ * function and a plain-text fallback used for stored history, unknown types
+ * and screen readers.
+ *
+ * Built-in types:
+ * - card: {image, image_alt, title, subtitle, description, url, buttons}
+ * - carousel: {items: [card, ...]}
+ * - buttons: {text, buttons: [{label, value, url}]}
+ * - quick_replies: {replies: [{label, value}]}
+ *
+ * A button with a `url` opens it; otherwise its `value` is posted back as
+ * the visitor's reply. Load before chat-widget.js.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function($) {
+	'use strict';
+
+	// English strings if i18n.js is not on the page
+	const { __, sprintf } = window.WPAIChatbotI18n || {
+		__: (text) => text,
+		sprintf: (format, ...args) => {
+			let index = 0;
+			return String(format).replace(/%(?:(\d+)\$)?[sd]/g, (match, position) => String(args[position ? position - 1 : index++]));
+		},
+	};
+
+	/**
+	 * Renderer Registry class.
+	 */
+	class RendererRegistry {
+		constructor() {
+			this.renderers = {};
+		}
+
+		/**
+		 * Register a renderer for a block type.
+		 *
+		 * @param {string} type     Block type.
+		 * @param {Object} renderer {render(block, context): jQuery, fallback(block): string}.
+		 */
+		register(type, renderer) {
+			if (!renderer || typeof renderer.render !== 'function') {
+				throw new Error('Renderer for "' + type + '" needs a render function');
+			}
+
+			this.renderers[type] = renderer;
+		}
+
+		/**
+		 * Check if a block type has a renderer.
+		 */
+		has(type) {
+			return Object.prototype.hasOwnProperty.call(this.renderers, type);
+		}
+
+		/**
+		 * Render a list of blocks.
+		 *
+		 * Blocks without a renderer, or whose renderer fails, are shown as
+		 * their plain-text fallback.
+		 *
+		 * @param {Array}  blocks  Structured blocks.
+		 * @param {Object} context {onAction(action, block, $element)}.
+		 * @returns {jQuery} Rendered blocks.
+		 */
+		render(blocks, context = {}) {
+			const $container = $('<div>').addClass('wp-ai-chatbot-blocks');
+
+			(blocks || []).forEach((block) => {
+				if (!block || !block.type) {
+					return;
+				}
+
+				let $block = null;
+
+				if (this.has(block.type)) {
+					try {
+						$block = this.renderers[block.type].render(block, context, this);
+					} catch (e) {
+						console.error('Failed to render "' + block.type + '" block:', e);
+					}
+				}
+
+				if (!$block) {
+					$block = $('<p>').addClass('wp-ai-chatbot-block-fallback').text(this.toText([block]));
+				}
+
+				$block
+					.addClass('wp-ai-chatbot-block')
+					.attr('data-block-type', block.type);
+
+				$container.append($block);
+			});
+
+			return $container;
+		}
+
+		/**
+		 * Get the plain-text version of a list of blocks.
+		 *
+		 * @param {Array} blocks Structured blocks.
+		 * @returns {string} Plain text.
+		 */
+		toText(blocks) {
+			return (blocks || [])
+				.map((block) => {
+					const renderer = block && this.renderers[block.type];
+
+					if (renderer && typeof renderer.fallback === 'function') {
+						return renderer.fallback(block, this);
+					}
+
+					return block ? (block.text || block.title || '') : '';
+				})
+				.filter(Boolean)
+				.join('\n\n');
+		}
+
+		/**
+		 * Check that a URL is http(s) or site-relative.
+		 */
+		isSafeUrl(url) {
+			return typeof url === 'string' && (/^https?:\/\//i.test(url) || /^\/(?!\/)/.test(url));
+		}
+
+		/**
+		 * Normalize a button or reply given as a string or object.
+		 *
+		 * @returns {Object} {label, value, url}.
+		 */
+		normalizeAction(action) {
+			if (typeof action === 'string') {
+				return { label: action, value: action, url: '' };
+			}
+
+			action = action || {};
+
+			return {
+				label: String(action.label || action.title || action.value || ''),
+				value: String(action.value !== undefined ? action.value : (action.label || '')),
+				url: this.isSafeUrl(action.url) ? action.url : '',
+			};
+		}
+
+		/**
+		 * Create a link or postback button.
+		 *
+		 * @param {Object|string} action    Button definition.
+		 * @param {string}        className Element class.
+		 * @param {Object}        context   Render context.
+		 * @param {Object}        block     Block the button belongs to.
+		 * @returns {jQuery} Button or link.
+		 */
+		createAction(action, className, context, block) {
+			action = this.normalizeAction(action);
+
+			if (action.url) {
+				return $('<a>')
+					.addClass(className)
+					.attr({ href: action.url, target: '_blank', rel: 'noopener noreferrer' })
+					.text(action.label);
+			}
+
+			return $('<button>')
+				.addClass(className)
+				.attr('type', 'button')
+				.text(action.label)
+				.on('click', (e) => {
+					if (typeof context.onAction === 'function') {
+						context.onAction(action, block, $(e.currentTarget));
+					}
+				});
+		}
+
+		/**
+		 * Plain-text version of a list of actions.
+		 */
+		actionsToText(actions) {
+			return (actions || [])
+				.map((action) => {
+					action = this.normalizeAction(action);
+					return action.url ? action.label + ' (' + action.url + ')' : action.label;
+				})
+				.filter(Boolean)
+				.join(', ');
+		}
+	}
+
+	const registry = new RendererRegistry();
+
+	registry.register('card', {
+		render(block, context, renderers) {
+			const $card = $('<article>').addClass('wp-ai-chatbot-card');
+			const url = renderers.isSafeUrl(block.url) ? block.url : '';
+
+			if (renderers.isSafeUrl(block.image)) {
+				$card.append(
+					$('<img>')
+						.addClass('wp-ai-chatbot-card-image')
+						.attr('src', block.image)
+						.attr('alt', block.image_alt || '')
+						.attr('loading', 'lazy')
+				);
+			}
+
+			const $body = $('<div>').addClass('wp-ai-chatbot-card-body');
+
+			if (block.title) {
+				const $title = $('<h4>').addClass('wp-ai-chatbot-card-title');
+				$title.append(
+					url
+						? $('<a>').attr({ href: url, target: '_blank', rel: 'noopener noreferrer' }).text(block.title)
+						: document.createTextNode(block.title)
+				);
+				$body.append($title);
+			}
+
+			if (block.subtitle) {
+				$body.append($('<p>').addClass('wp-ai-chatbot-card-subtitle').text(block.subtitle));
+			}
+
+			if (block.description) {
+				$body.append($('<p>').addClass('wp-ai-chatbot-card-description').text(block.description));
+			}
+
+			if (Array.isArray(block.buttons) && block.buttons.length) {
+				const $actions = $('<div>').addClass('wp-ai-chatbot-card-actions');
+				block.buttons.forEach((button) => {
+					$actions.append(renderers.createAction(button, 'wp-ai-chatbot-card-action', context, block));
+				});
+				$body.append($actions);
+			}
+
+			return $card.append($body);
+		},
+
+		fallback(block, renderers) {
+			return [
+				block.title,
+				block.subtitle,
+				block.description,
+				renderers.isSafeUrl(block.url) ? block.url : '',
+				renderers.actionsToText(block.buttons),
+			].filter(Boolean).join('\n');
+		},
+	});
+
+	registry.register('carousel', {
+		render(block, context, renderers) {
+			const items = Array.isArray(block.items) ? block.items : [];
+			const $track = $('<div>').addClass('wp-ai-chatbot-carousel-track');
+
+			items.forEach((item, index) => {
+				$track.append(
+					renderers.renderers.card.render(item, context, renderers)
+						.addClass('wp-ai-chatbot-carousel-item')
+						/* translators: 1: card number, 2: number of cards. */
+						.attr('aria-label', sprintf(__('%1$d of %2$d'), index + 1, items.length))
+				);
+			});
+
+			// Next scrolls left when the page reads right to left
+			const scroll = (direction) => {
+				const track = $track[0];
+				const rtl = window.getComputedStyle(track).direction === 'rtl';
+				track.scrollBy({ left: (rtl ? -direction : direction) * track.clientWidth * 0.8, behavior: 'smooth' });
+			};
+
+			return $('<div>')
+				.addClass('wp-ai-chatbot-carousel')
+				.attr('role', 'region')
+				.attr('aria-roledescription', 'carousel')
+				.attr('aria-label', block.title || __('Suggestions'))
+				.append(
+					$('<button>')
+						.addClass('wp-ai-chatbot-carousel-prev')
+						.attr('type', 'button')
+						.attr('aria-label', __('Previous'))
+						.html('&lsaquo;')
+						.on('click', () => scroll(-1)),
+					$track,
+					$('<button>')
+						.addClass('wp-ai-chatbot-carousel-next')
+						.attr('type', 'button')
+						.attr('aria-label', __('Next'))
+						.html('&rsaquo;')
+						.on('click', () => scroll(1))
+				);
+		},
+
+		fallback(block, renderers) {
+			return (block.items || [])
+				.map((item, index) => (index + 1) + '. ' + renderers.renderers.card.fallback(item, renderers))
+				.join('\n');
+		},
+	});
+
+	registry.register('buttons', {
+		render(block, context, renderers) {
+			const $group = $('<div>')
+				.addClass('wp-ai-chatbot-button-group')
+				.attr('role', 'group');
+
+			if (block.text) {
+				$group.attr('aria-label', block.text).append($('<p>').addClass('wp-ai-chatbot-button-group-text').text(block.text));
+			}
+
+			(block.buttons || []).forEach((button) => {
+				$group.append(renderers.createAction(button, 'wp-ai-chatbot-button', context, block));
+			});
+
+			return $group;
+		},
+
+		fallback(block, renderers) {
+			return [block.text, renderers.actionsToText(block.buttons)].filter(Boolean).join('\n');
+		},
+	});
+
+	registry.register('quick_replies', {
+		render(block, context, renderers) {
+			const $replies = $('<div>')
+				.addClass('wp-ai-chatbot-quick-replies')
+				.attr('role', 'group')
+				.attr('aria-label', __('Suggested replies'));
+
+			(block.replies || []).forEach((reply) => {
+				$replies.append(renderers.createAction(reply, 'wp-ai-chatbot-quick-reply', context, block));
+			});
+
+			return $replies;
+		},
+
+		fallback(block, renderers) {
+			const replies = renderers.actionsToText(block.replies);
+			return replies ? sprintf(__('Suggested replies: %s'), replies) : '';
+		},
+	});
+
+	// Export
+	window.WPAIChatbotRendererRegistry = RendererRegistry;
+	window.WPAIChatbotRenderers = registry;
+
+})(jQuery);
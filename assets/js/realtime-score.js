@@ -10,6 +10,11 @@
 (function($) {
 	'use strict';
 
+	// English strings if i18n.js is not on the page
+	const { __ } = window.WPAIChatbotI18n || {
+		__: (text) => text,
+	};
+
 	/**
 	 * RealtimeScore class
 	 */
@@ -66,7 +71,7 @@
 		 * @returns {string}
 		 */
 		getSessionId() {
-			return sessionStorage.getItem('wp_ai_chatbot_session_id') || '';
+			return window.WPAIChatbotStorage.getSession('session_id') || '';
 		}
 
 		/**
@@ -74,7 +79,7 @@
 		 */
 		bindEvents() {
 			// Listen for lead capture
-			$(document).on('wp_ai_chatbot_lead_captured', (e, data) => {
+			window.WPAIChatbotEvents.on('leadCaptured', (data) => {
 				if (data?.lead_id) {
 					this.state.leadId = data.lead_id;
 					this.fetchScore(true); // Force refresh
@@ -82,11 +87,11 @@
 			});
 
 			// Listen for high-value events
-			$(document).on('wp_ai_chatbot_message_sent', () => {
+			window.WPAIChatbotEvents.on('messageSent', () => {
 				this.scheduleScoreUpdate(5000); // Update 5 seconds after message
 			});
 
-			$(document).on('wp_ai_chatbot_meeting_booked', () => {
+			window.WPAIChatbotEvents.on('meetingBooked', () => {
 				this.fetchScore(true); // Immediate update
 			});
 
@@ -185,11 +190,11 @@
 			}
 
 			// Emit event
-			$(document).trigger('wp_ai_chatbot_score_updated', [{
+			window.WPAIChatbotEvents.emit('scoreUpdated', {
 				score: this.state.currentScore,
 				grade: this.state.currentGrade,
 				changed: scoreChanged || gradeChanged
-			}]);
+			});
 		}
 
 		/**
@@ -421,26 +426,26 @@
 						</div>
 						<div class="grade-info">
 							<span class="grade-badge" style="background: ${grade.color || '#6b7280'}">${grade.letter || 'F'}</span>
-							<span class="grade-label">${grade.label || 'Unknown'}</span>
+							<span class="grade-label">${grade.label || __('Unknown')}</span>
 						</div>
 					</div>
 					<div class="score-breakdown">
 						<div class="score-component">
-							<span class="component-label">Behavioral</span>
+							<span class="component-label">${__('Behavioral')}</span>
 							<div class="component-bar">
 								<div class="component-fill" style="width: ${scores.behavioral?.score || 0}%"></div>
 							</div>
 							<span class="component-value">${scores.behavioral?.score || 0}</span>
 						</div>
 						<div class="score-component">
-							<span class="component-label">Intent</span>
+							<span class="component-label">${__('Intent')}</span>
 							<div class="component-bar">
 								<div class="component-fill" style="width: ${scores.intent?.score || 0}%"></div>
 							</div>
 							<span class="component-value">${scores.intent?.score || 0}</span>
 						</div>
 						<div class="score-component">
-							<span class="component-label">Qualification</span>
+							<span class="component-label">${__('Qualification')}</span>
 							<div class="component-bar">
 								<div class="component-fill" style="width: ${scores.qualification?.score || 0}%"></div>
 							</div>
@@ -464,7 +469,7 @@
 				return '';
 			}
 
-			let html = '<div class="score-signals"><h4>Signals</h4><div class="signals-list">';
+			let html = '<div class="score-signals"><h4>' + __('Signals') + '</h4><div class="signals-list">';
 
 			highValue.forEach(s => {
 				html += `<span class="signal signal-high">${s.label}</span>`;
@@ -485,7 +490,7 @@
 		renderRecommendations(recommendations) {
 			if (!recommendations || recommendations.length === 0) return '';
 
-			let html = '<div class="score-recommendations"><h4>Recommendations</h4><ul>';
+			let html = '<div class="score-recommendations"><h4>' + __('Recommendations') + '</h4><ul>';
 
 			recommendations.forEach(rec => {
 				html += `<li class="rec-${rec.priority}">${rec.message}</li>`;
@@ -521,7 +526,7 @@
 	window.WPAIChatbotAdminScoreDisplay = AdminScoreDisplay;
 
 	// Auto-initialize for frontend
-	$(document).on('wp_ai_chatbot_ready', function() {
+	window.WPAIChatbotEvents.once('ready', function() {
 		if (window.wpAIChatbot?.enableRealtimeScoring !== false) {
 			window.wpAIChatbotScore = new RealtimeScore({
 				showScoreIndicator: window.wpAIChatbot?.showScoreIndicator || false
@@ -0,0 +1,880 @@
+/**
+ * Storage.
+ *
+ * Shared persistence for the chat scripts, exposed as
+ * `window.WPAIChatbotStorage`:
+ *
+ *     const storage = window.WPAIChatbotStorage;
+ *
+ *     storage.ready.then(() => {
+ *         const messages = storage.get('messages', []);
+ *     });
+ *     storage.set('lead_dismissed', true, { ttl: 60 * 60 * 1000 });
+ *     storage.setSession('session_id', sessionId);
+ *
+ * Values are kept in IndexedDB, in localStorage where IndexedDB is not
+ * available, or in memory for the page as a last resort. Reads and writes
+ * are synchronous against an in-memory copy that is loaded before `ready`
+ * resolves, so read stored values after it; writes reach the database in
+ * the background and other tabs see them through a BroadcastChannel or
+ * storage events.
+ *
+ * Keys are namespaced per site, so the sites of a multisite network on
+ * one domain keep their own conversations. Every value expires, after its
+ * `ttl` or the site's default, and expired values are dropped when read or
+ * loaded. Keys of earlier versions (wp_ai_chatbot_*) are moved into the
+ * namespace on first run.
+ *
+ * When storage is full, expired values are dropped and the write retried,
+ * then the value is made smaller with the `shrink` option, e.g. fewer
+ * messages. A value that still does not fit is kept for the page only and
+ * `storageFull` is emitted.
+ *
+ * Nothing is read from or written to the browser's storage until the
+ * visitor consents to storage (consent.js); values are kept in memory
+ * until then and written once consent is given. Withdrawing consent
+ * deletes the stored values.
+ *
+ * Settings come from `wpAiChatbotStorage`: {namespace, ttl}, ttl in
+ * seconds. Load after event-bus.js and consent.js and before all other
+ * chat scripts.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function() {
+	'use strict';
+
+	const HOUR = 60 * 60 * 1000;
+	const DAY = 24 * HOUR;
+
+	/**
+	 * IndexedDB database and object store.
+	 */
+	const DB_NAME = 'wp-ai-chatbot';
+	const DB_VERSION = 1;
+	const STORE = 'records';
+
+	/**
+	 * Version of the key layout, raised when keys move.
+	 */
+	const SCHEMA = 1;
+
+	/**
+	 * Keys of earlier versions, stored unprefixed in localStorage, and
+	 * their names in the namespace.
+	 */
+	const LEGACY_KEYS = {
+		wp_ai_chatbot_conversation_id: 'conversation_id',
+		wp_ai_chatbot_messages: 'messages',
+		wp_ai_chatbot_state: 'state',
+		wp_ai_chatbot_lead_captured: 'lead_captured',
+		wp_ai_chatbot_outbox: 'outbox',
+		wp_ai_chatbot_threads: 'threads',
+		wp_ai_chatbot_visitor: 'visitor',
+		wp_ai_chatbot_visitor_id: 'visitor_id',
+		wp_ai_chatbot_triggers: 'triggers',
+	};
+
+	/**
+	 * Lead form flags of earlier versions, stored with the time they were
+	 * set (`<key>_at`), and how long they lasted. A submitted lead form
+	 * counts as a captured lead.
+	 */
+	const LEGACY_FLAGS = {
+		wp_ai_chatbot_lead_submitted: { key: 'lead_captured', ttl: DAY },
+		wp_ai_chatbot_lead_dismissed: { key: 'lead_dismissed', ttl: HOUR },
+	};
+
+	/**
+	 * Copy a value through JSON, so stored values can't be changed in place.
+	 *
+	 * @param {*} value Value.
+	 * @returns {*} Copy.
+	 */
+	function clone(value) {
+		return value === undefined ? null : JSON.parse(JSON.stringify(value));
+	}
+
+	/**
+	 * Check if an error means storage is full.
+	 *
+	 * @param {Error} error Error.
+	 * @returns {boolean} True for quota errors.
+	 */
+	function isQuotaError(error) {
+		return !!error && (
+			error.name === 'QuotaExceededError'
+			|| error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+			|| error.code === 22
+			|| error.code === 1014
+		);
+	}
+
+	/**
+	 * Storage Adapter class.
+	 */
+	class StorageAdapter {
+		/**
+		 * Constructor.
+		 *
+		 * @param {Object} settings {namespace, ttl}, ttl in seconds.
+		 */
+		constructor(settings = {}) {
+			this.namespace = settings.namespace || 'wp_ai_chatbot';
+			this.prefix = this.namespace + ':';
+			this.ttl = (settings.ttl || 30 * 24 * 60 * 60) * 1000;
+
+			// Stored records by key, as {value, expires, updated}
+			this.cache = new Map();
+
+			// Keys written before the stored records were loaded
+			this.touched = new Set();
+
+			// Session values, kept here until storage is allowed
+			this.session = new Map();
+
+			// 'indexeddb', 'localstorage' or 'memory'
+			this.driver = 'memory';
+			this.db = null;
+			this.channel = null;
+			this.isOpen = false;
+			this.listening = false;
+			this.enabling = null;
+
+			this.consent = window.WPAIChatbotConsent || null;
+
+			if (window.WPAIChatbotEvents) {
+				window.WPAIChatbotEvents.on('consentChanged', (consent) => (consent.storage ? this.enable() : this.disable()));
+			}
+
+			this.opened = this.open();
+
+			/**
+			 * Resolves once stored values can be read; never rejects.
+			 *
+			 * @type {Promise}
+			 */
+			this.ready = this.opened.then(() => this.migrate()).catch((e) => {
+				console.warn('WPAIChatbotStorage: Failed to move stored values of an earlier version', e);
+			});
+		}
+
+		/**
+		 * Pick a driver and load the stored records.
+		 *
+		 * @returns {Promise} Resolves when loaded; never rejects.
+		 */
+		async open() {
+			// Values stay in memory until the visitor consents
+			if (!this.isAllowed()) {
+				this.isOpen = true;
+				return;
+			}
+
+			if (this.hasIndexedDB()) {
+				try {
+					this.db = await this.openDatabase();
+					this.driver = 'indexeddb';
+					await this.loadDatabase();
+				} catch (e) {
+					console.warn('WPAIChatbotStorage: IndexedDB is not available, using localStorage', e);
+					this.db = null;
+					this.driver = 'memory';
+				}
+			}
+
+			if (!this.db && this.hasLocalStorage()) {
+				this.driver = 'localstorage';
+				this.loadLocalStorage();
+			}
+
+			this.listen();
+			this.isOpen = true;
+		}
+
+		/**
+		 * Check if the visitor allows storing data in the browser.
+		 *
+		 * @returns {boolean} True if allowed.
+		 */
+		isAllowed() {
+			return !this.consent || this.consent.has('storage');
+		}
+
+		/**
+		 * Start storing once the visitor consents, loading stored values and
+		 * writing what was kept in memory until then.
+		 *
+		 * @returns {Promise} Resolves once stored values can be read.
+		 */
+		enable() {
+			if (this.driver !== 'memory' || !this.isAllowed()) {
+				return Promise.resolve();
+			}
+
+			if (!this.enabling) {
+				this.enabling = this.opened.then(() => this.open()).then(() => {
+					this.touched.forEach((name) => this.persist(name, this.cache.get(name) || null));
+
+					this.session.forEach((value, name) => this.setSession(name, value));
+					this.session.clear();
+
+					this.migrate();
+				}).catch((e) => {
+					console.warn('WPAIChatbotStorage: Failed to start storing', e);
+				}).then(() => {
+					this.enabling = null;
+				});
+			}
+
+			return this.enabling;
+		}
+
+		/**
+		 * Stop storing and delete the stored values when consent is
+		 * withdrawn. Values are kept in memory for the page.
+		 */
+		disable() {
+			const driver = this.driver;
+
+			this.driver = 'memory';
+
+			if (this.channel) {
+				this.channel.close();
+				this.channel = null;
+			}
+
+			if (driver === 'indexeddb') {
+				this.transaction('readwrite', (store) => store.delete(this.getRange())).catch((e) => {
+					console.warn('WPAIChatbotStorage: Failed to delete stored values', e);
+				});
+			}
+
+			if (driver === 'localstorage') {
+				this.getLocalKeys().forEach((key) => window.localStorage.removeItem(key));
+			}
+
+			try {
+				for (let i = window.sessionStorage.length - 1; i >= 0; i--) {
+					const key = window.sessionStorage.key(i);
+
+					if (key && key.indexOf(this.prefix) === 0) {
+						this.session.set(key.slice(this.prefix.length), JSON.parse(window.sessionStorage.getItem(key)));
+						window.sessionStorage.removeItem(key);
+					}
+				}
+			} catch (e) {
+				// Session storage not available
+			}
+		}
+
+		/**
+		 * Check if IndexedDB can be used.
+		 *
+		 * @returns {boolean} True if it can.
+		 */
+		hasIndexedDB() {
+			try {
+				return typeof window.indexedDB === 'object' && !!window.indexedDB;
+			} catch (e) {
+				// Blocked, e.g. in sandboxed frames
+				return false;
+			}
+		}
+
+		/**
+		 * Check if localStorage can be used.
+		 *
+		 * @returns {boolean} True if it can.
+		 */
+		hasLocalStorage() {
+			try {
+				const key = this.prefix + '_test';
+				window.localStorage.setItem(key, '1');
+				window.localStorage.removeItem(key);
+				return true;
+			} catch (e) {
+				return false;
+			}
+		}
+
+		/**
+		 * Open the IndexedDB database.
+		 *
+		 * @returns {Promise} Resolves with the database.
+		 */
+		openDatabase() {
+			return new Promise((resolve, reject) => {
+				const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+				request.onupgradeneeded = () => {
+					request.result.createObjectStore(STORE, { keyPath: 'key' });
+				};
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => reject(request.error);
+				request.onblocked = () => reject(new Error('Database upgrade blocked'));
+			});
+		}
+
+		/**
+		 * Run an IndexedDB transaction.
+		 *
+		 * @param {string}   mode     'readonly' or 'readwrite'.
+		 * @param {Function} callback Called with the object store.
+		 * @returns {Promise} Resolves with the callback's result once complete.
+		 */
+		transaction(mode, callback) {
+			return new Promise((resolve, reject) => {
+				const transaction = this.db.transaction(STORE, mode);
+				const result = callback(transaction.objectStore(STORE));
+
+				transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+				transaction.onabort = () => reject(transaction.error);
+				transaction.onerror = () => reject(transaction.error);
+			});
+		}
+
+		/**
+		 * Key range of this namespace.
+		 *
+		 * @returns {IDBKeyRange} Range.
+		 */
+		getRange() {
+			return window.IDBKeyRange.bound(this.prefix, this.prefix + '\uffff');
+		}
+
+		/**
+		 * Load the namespace's records from IndexedDB.
+		 *
+		 * @returns {Promise} Resolves when loaded.
+		 */
+		async loadDatabase() {
+			const records = await this.transaction('readonly', (store) => store.getAll(this.getRange()));
+
+			(records || []).forEach((record) => {
+				this.hydrate(record.key.slice(this.prefix.length), record);
+			});
+		}
+
+		/**
+		 * Load the namespace's records from localStorage.
+		 */
+		loadLocalStorage() {
+			this.getLocalKeys().forEach((key) => {
+				try {
+					this.hydrate(key.slice(this.prefix.length), JSON.parse(window.localStorage.getItem(key)));
+				} catch (e) {
+					window.localStorage.removeItem(key);
+				}
+			});
+		}
+
+		/**
+		 * Get the localStorage keys of this namespace.
+		 *
+		 * @returns {Array} Keys.
+		 */
+		getLocalKeys() {
+			const keys = [];
+
+			for (let i = 0; i < window.localStorage.length; i++) {
+				const key = window.localStorage.key(i);
+
+				if (key && key.indexOf(this.prefix) === 0) {
+					keys.push(key);
+				}
+			}
+
+			return keys;
+		}
+
+		/**
+		 * Add a loaded record to the cache, unless it expired or was
+		 * written since.
+		 *
+		 * @param {string} name   Key.
+		 * @param {Object} record Stored record.
+		 */
+		hydrate(name, record) {
+			if (!record || this.touched.has(name)) {
+				return;
+			}
+
+			if (this.isExpired(record)) {
+				this.persist(name, null);
+				return;
+			}
+
+			this.cache.set(name, { value: record.value, expires: record.expires, updated: record.updated });
+		}
+
+		/**
+		 * Check if a record expired.
+		 *
+		 * @param {Object} record Record.
+		 * @returns {boolean} True if expired.
+		 */
+		isExpired(record) {
+			return !!record.expires && record.expires <= Date.now();
+		}
+
+		/**
+		 * Get a stored value.
+		 *
+		 * @param {string} name     Key.
+		 * @param {*}      fallback Returned for missing or expired values.
+		 * @returns {*} Value.
+		 */
+		get(name, fallback = null) {
+			const record = this.cache.get(name);
+
+			if (!record) {
+				return fallback;
+			}
+
+			if (this.isExpired(record)) {
+				this.remove(name);
+				return fallback;
+			}
+
+			return clone(record.value);
+		}
+
+		/**
+		 * Store a value.
+		 *
+		 * @param {string} name    Key.
+		 * @param {*}      value   JSON value; null removes the key.
+		 * @param {Object} options {ttl} in ms, and {shrink}, called with the
+		 *                         value when storage is full and returning a
+		 *                         smaller one, or null to give up.
+		 * @returns {boolean} False if the value is kept for the page only.
+		 *                    IndexedDB writes finish later and return true.
+		 */
+		set(name, value, options = {}) {
+			if (value === null || value === undefined) {
+				this.remove(name);
+				return true;
+			}
+
+			const now = Date.now();
+			const record = {
+				value: clone(value),
+				expires: now + (options.ttl || this.ttl),
+				updated: now,
+			};
+
+			this.cache.set(name, record);
+			this.touched.add(name);
+			this.broadcast(name, record);
+
+			return this.persist(name, record, options.shrink);
+		}
+
+		/**
+		 * Remove a value.
+		 *
+		 * @param {string} name Key.
+		 */
+		remove(name) {
+			this.cache.delete(name);
+			this.touched.add(name);
+			this.broadcast(name, null);
+			this.persist(name, null);
+		}
+
+		/**
+		 * Remove every value of this namespace.
+		 */
+		clear() {
+			Array.from(this.cache.keys()).forEach((name) => this.remove(name));
+		}
+
+		/**
+		 * Get the full key of a name, e.g. for localStorage events of
+		 * other scripts.
+		 *
+		 * @param {string} name Key.
+		 * @returns {string} Namespaced key.
+		 */
+		key(name) {
+			return this.prefix + name;
+		}
+
+		/**
+		 * Write a record, or delete it when null, with the current driver.
+		 *
+		 * @param {string}      name   Key.
+		 * @param {Object|null} record Record.
+		 * @param {Function}    shrink Optional shrink callback.
+		 * @returns {boolean} False if the record could not be written.
+		 */
+		persist(name, record, shrink = null) {
+			if (!this.isOpen) {
+				this.opened.then(() => {
+					// Only the latest write of a key made while opening counts
+					if (this.cache.get(name) === record || (!record && !this.cache.has(name))) {
+						this.persist(name, record, shrink);
+					}
+				});
+				return true;
+			}
+
+			if (this.driver === 'indexeddb') {
+				this.writeDatabase(name, record, shrink);
+				return true;
+			}
+
+			if (this.driver === 'localstorage') {
+				return this.writeLocalStorage(name, record, shrink);
+			}
+
+			return true;
+		}
+
+		/**
+		 * Write a record to IndexedDB, making room when storage is full.
+		 *
+		 * @param {string}      name   Key.
+		 * @param {Object|null} record Record.
+		 * @param {Function}    shrink Optional shrink callback.
+		 */
+		async writeDatabase(name, record, shrink) {
+			const key = this.prefix + name;
+			let value = record ? record.value : null;
+			let pruned = false;
+
+			for (;;) {
+				try {
+					await this.transaction('readwrite', (store) => (record
+						? store.put({ key: key, value: value, expires: record.expires, updated: record.updated })
+						: store.delete(key)));
+					return;
+				} catch (e) {
+					// A newer write replaced this one
+					if (record && this.cache.get(name) !== record) {
+						return;
+					}
+
+					value = await this.makeRoom(e, name, value, shrink, pruned);
+					pruned = true;
+
+					if (value === null) {
+						return;
+					}
+				}
+			}
+		}
+
+		/**
+		 * Write a record to localStorage, making room when storage is full.
+		 *
+		 * @param {string}      name   Key.
+		 * @param {Object|null} record Record.
+		 * @param {Function}    shrink Optional shrink callback.
+		 * @returns {boolean} False if the record could not be written.
+		 */
+		writeLocalStorage(name, record, shrink) {
+			const key = this.prefix + name;
+			let value = record ? record.value : null;
+			let pruned = false;
+
+			for (;;) {
+				try {
+					if (record) {
+						window.localStorage.setItem(key, JSON.stringify({ value: value, expires: record.expires, updated: record.updated }));
+					} else {
+						window.localStorage.removeItem(key);
+					}
+					return true;
+				} catch (e) {
+					if (!isQuotaError(e)) {
+						console.error('WPAIChatbotStorage: Failed to save "' + name + '"', e);
+						return false;
+					}
+
+					if (!pruned) {
+						this.pruneLocalStorage();
+						pruned = true;
+						continue;
+					}
+
+					value = this.shrink(name, value, shrink);
+
+					if (value === null) {
+						return false;
+					}
+				}
+			}
+		}
+
+		/**
+		 * Free space after a failed IndexedDB write.
+		 *
+		 * Drops expired records the first time, then shrinks the value.
+		 *
+		 * @returns {Promise} Resolves with the value to retry, or null to give up.
+		 */
+		async makeRoom(error, name, value, shrink, pruned) {
+			if (!isQuotaError(error)) {
+				console.error('WPAIChatbotStorage: Failed to save "' + name + '"', error);
+				return null;
+			}
+
+			if (!pruned) {
+				await this.pruneDatabase();
+				return value;
+			}
+
+			return this.shrink(name, value, shrink);
+		}
+
+		/**
+		 * Make a value smaller so it fits, or give up.
+		 *
+		 * @param {string}   name   Key.
+		 * @param {*}        value  Value that did not fit.
+		 * @param {Function} shrink Shrink callback.
+		 * @returns {*} Smaller value, or null when it can't be stored.
+		 */
+		shrink(name, value, shrink) {
+			const smaller = typeof shrink === 'function' ? shrink(clone(value)) : null;
+
+			if (smaller === null || smaller === undefined) {
+				console.warn('WPAIChatbotStorage: Storage is full, "' + name + '" is kept for this page only');
+
+				if (window.WPAIChatbotEvents) {
+					window.WPAIChatbotEvents.emit('storageFull', name);
+				}
+
+				return null;
+			}
+
+			return smaller;
+		}
+
+		/**
+		 * Delete expired records from IndexedDB.
+		 *
+		 * @returns {Promise} Resolves when done.
+		 */
+		async pruneDatabase() {
+			try {
+				await this.transaction('readwrite', (store) => {
+					const request = store.openCursor(this.getRange());
+
+					request.onsuccess = () => {
+						const cursor = request.result;
+
+						if (cursor) {
+							if (this.isExpired(cursor.value)) {
+								cursor.delete();
+							}
+							cursor.continue();
+						}
+					};
+				});
+			} catch (e) {
+				console.warn('WPAIChatbotStorage: Failed to remove expired values', e);
+			}
+		}
+
+		/**
+		 * Delete expired records from localStorage.
+		 */
+		pruneLocalStorage() {
+			this.getLocalKeys().forEach((key) => {
+				try {
+					if (this.isExpired(JSON.parse(window.localStorage.getItem(key)) || {})) {
+						window.localStorage.removeItem(key);
+					}
+				} catch (e) {
+					window.localStorage.removeItem(key);
+				}
+			});
+		}
+
+		/**
+		 * Tell other tabs about a write, as they keep their own copy.
+		 *
+		 * localStorage fires storage events by itself.
+		 *
+		 * @param {string}      name   Key.
+		 * @param {Object|null} record Record, or null when removed.
+		 */
+		broadcast(name, record) {
+			if (this.channel) {
+				this.channel.postMessage({ name: name, record: record });
+			}
+		}
+
+		/**
+		 * Keep the copy in sync with writes from other tabs.
+		 */
+		listen() {
+			if (this.driver === 'indexeddb' && !this.channel && typeof window.BroadcastChannel === 'function') {
+				this.channel = new BroadcastChannel(this.prefix + 'storage');
+				this.channel.addEventListener('message', (e) => {
+					const data = e.data || {};
+
+					if (data.record) {
+						this.cache.set(data.name, data.record);
+					} else {
+						this.cache.delete(data.name);
+					}
+				});
+			}
+
+			if (this.driver === 'localstorage' && !this.listening) {
+				this.listening = true;
+
+				window.addEventListener('storage', (e) => {
+					if (this.driver !== 'localstorage' || !e.key || e.key.indexOf(this.prefix) !== 0) {
+						return;
+					}
+
+					const name = e.key.slice(this.prefix.length);
+
+					try {
+						if (e.newValue) {
+							this.cache.set(name, JSON.parse(e.newValue));
+						} else {
+							this.cache.delete(name);
+						}
+					} catch (error) {
+						this.cache.delete(name);
+					}
+				});
+			}
+		}
+
+		/**
+		 * Move keys of earlier versions into the namespace.
+		 */
+		migrate() {
+			if (this.driver === 'memory' || this.get('schema', 0) >= SCHEMA) {
+				return;
+			}
+
+			if (this.hasLocalStorage()) {
+				const storage = window.localStorage;
+
+				Object.keys(LEGACY_KEYS).forEach((key) => {
+					const raw = storage.getItem(key);
+
+					if (raw === null) {
+						return;
+					}
+
+					if (this.get(LEGACY_KEYS[key]) === null) {
+						this.set(LEGACY_KEYS[key], this.parseLegacy(raw));
+					}
+
+					storage.removeItem(key);
+				});
+
+				Object.keys(LEGACY_FLAGS).forEach((key) => {
+					const flag = LEGACY_FLAGS[key];
+					const left = (parseInt(storage.getItem(key + '_at'), 10) || 0) + flag.ttl - Date.now();
+
+					if (storage.getItem(key) === 'true' && left > 0 && this.get(flag.key) === null) {
+						this.set(flag.key, true, { ttl: left });
+					}
+
+					storage.removeItem(key);
+					storage.removeItem(key + '_at');
+				});
+			}
+
+			this.set('schema', SCHEMA, { ttl: 3650 * DAY });
+		}
+
+		/**
+		 * Parse a value of an earlier version.
+		 *
+		 * JSON objects, arrays and booleans were stored as JSON, everything
+		 * else, such as IDs, as plain strings.
+		 *
+		 * @param {string} raw Stored string.
+		 * @returns {*} Value.
+		 */
+		parseLegacy(raw) {
+			if (/^\s*[[{]/.test(raw) || raw === 'true' || raw === 'false') {
+				try {
+					return JSON.parse(raw);
+				} catch (e) {
+					return raw;
+				}
+			}
+
+			return raw;
+		}
+
+		/**
+		 * Get a value kept for the browser session only.
+		 *
+		 * @param {string} name     Key.
+		 * @param {*}      fallback Returned for missing values.
+		 * @returns {*} Value.
+		 */
+		getSession(name, fallback = null) {
+			if (!this.isAllowed()) {
+				return this.session.has(name) ? clone(this.session.get(name)) : fallback;
+			}
+
+			try {
+				const raw = window.sessionStorage.getItem(this.prefix + name);
+				return raw === null ? fallback : JSON.parse(raw);
+			} catch (e) {
+				return fallback;
+			}
+		}
+
+		/**
+		 * Store a value for the browser session only.
+		 *
+		 * @param {string} name  Key.
+		 * @param {*}      value JSON value.
+		 * @returns {boolean} False if it could not be stored.
+		 */
+		setSession(name, value) {
+			if (!this.isAllowed()) {
+				this.session.set(name, clone(value));
+				return true;
+			}
+
+			try {
+				window.sessionStorage.setItem(this.prefix + name, JSON.stringify(value));
+				return true;
+			} catch (e) {
+				return false;
+			}
+		}
+
+		/**
+		 * Remove a session value.
+		 *
+		 * @param {string} name Key.
+		 */
+		removeSession(name) {
+			this.session.delete(name);
+
+			if (!this.isAllowed()) {
+				return;
+			}
+
+			try {
+				window.sessionStorage.removeItem(this.prefix + name);
+			} catch (e) {
+				// Session storage not available
+			}
+		}
+	}
+
+	// Export
+	window.WPAIChatbotStorageAdapter = StorageAdapter;
+	window.WPAIChatbotStorage = new StorageAdapter(window.wpAiChatbotStorage || {});
+
+})();
@@ -0,0 +1,271 @@
+/**
+ * Tab Sync.
+ *
+ * Relays chat widget changes between browser tabs of the same site and
+ * elects one leader tab for background work such as polling. Uses
+ * BroadcastChannel where available and falls back to `storage` events.
+ *
+ * Load before chat-widget.js.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function() {
+	'use strict';
+
+	/**
+	 * Tab Sync class.
+	 */
+	class TabSync {
+		/**
+		 * Constructor.
+		 *
+		 * @param {Object} config Configuration options.
+		 */
+		constructor(config = {}) {
+			// Per site, like stored values (storage.js)
+			const namespace = window.WPAIChatbotStorage ? window.WPAIChatbotStorage.namespace : 'wp_ai_chatbot';
+
+			this.config = {
+				channelName: namespace + '_sync',
+				messageKey: namespace + '_sync_message',
+				leaderKey: namespace + '_leader',
+				heartbeatInterval: 2000,
+				leaderTimeout: 5000,
+				onLeaderChange: null,
+				...config
+			};
+
+			this.tabId = 'tab-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+			this.handlers = {};
+			this.channel = null;
+			this.leader = false;
+			this.heartbeat = null;
+
+			this.onMessage = this.onMessage.bind(this);
+			this.onStorage = this.onStorage.bind(this);
+			this.onUnload = this.onUnload.bind(this);
+
+			this.init();
+		}
+
+		/**
+		 * Open the transport and start leader election.
+		 */
+		init() {
+			if (typeof window.BroadcastChannel === 'function') {
+				this.channel = new BroadcastChannel(this.config.channelName);
+				this.channel.addEventListener('message', this.onMessage);
+			}
+
+			window.addEventListener('storage', this.onStorage);
+			window.addEventListener('pagehide', this.onUnload);
+
+			this.electLeader();
+			this.heartbeat = setInterval(() => this.electLeader(), this.config.heartbeatInterval);
+		}
+
+		/**
+		 * Register a handler for a message type.
+		 *
+		 * @param {string}   type    Message type.
+		 * @param {Function} handler Called with the payload.
+		 */
+		on(type, handler) {
+			(this.handlers[type] = this.handlers[type] || []).push(handler);
+		}
+
+		/**
+		 * Send a message to the other tabs.
+		 *
+		 * @param {string} type    Message type.
+		 * @param {*}      payload JSON-serializable payload.
+		 */
+		post(type, payload) {
+			const message = { tabId: this.tabId, type: type, payload: payload };
+
+			if (this.channel) {
+				this.channel.postMessage(message);
+				return;
+			}
+
+			// The fallback writes to localStorage, which needs consent
+			if (!this.canStore()) {
+				return;
+			}
+
+			try {
+				// Writing then removing fires a storage event in every other tab
+				message.sentAt = Date.now() + Math.random();
+				localStorage.setItem(this.config.messageKey, JSON.stringify(message));
+				localStorage.removeItem(this.config.messageKey);
+			} catch (e) {
+				console.error('TabSync: Failed to post message', e);
+			}
+		}
+
+		/**
+		 * Dispatch a message from another tab.
+		 *
+		 * @param {Object} message Message envelope.
+		 */
+		dispatch(message) {
+			if (!message || message.tabId === this.tabId) {
+				return;
+			}
+
+			if (message.type === 'leader-resigned') {
+				this.electLeader();
+				return;
+			}
+
+			(this.handlers[message.type] || []).forEach((handler) => {
+				try {
+					handler(message.payload);
+				} catch (e) {
+					console.error('TabSync: Handler failed for ' + message.type, e);
+				}
+			});
+		}
+
+		/**
+		 * BroadcastChannel message handler.
+		 */
+		onMessage(event) {
+			this.dispatch(event.data);
+		}
+
+		/**
+		 * Storage event handler (fallback transport and leader changes).
+		 */
+		onStorage(event) {
+			if (event.key === this.config.leaderKey) {
+				this.electLeader();
+				return;
+			}
+
+			if (event.key !== this.config.messageKey || !event.newValue) {
+				return;
+			}
+
+			try {
+				this.dispatch(JSON.parse(event.newValue));
+			} catch (e) {
+				console.error('TabSync: Invalid message', e);
+			}
+		}
+
+		/**
+		 * Claim or renew leadership through a lease in localStorage.
+		 *
+		 * A tab becomes leader when there is no lease or it has expired. The
+		 * leader renews its lease on every heartbeat.
+		 */
+		electLeader() {
+			let isLeader;
+
+			// Without consent to storage every tab works on its own
+			if (!this.canStore()) {
+				this.setLeader(true);
+				return;
+			}
+
+			try {
+				const lease = JSON.parse(localStorage.getItem(this.config.leaderKey) || 'null');
+				const now = Date.now();
+
+				if (!lease || lease.tabId === this.tabId || lease.expires < now) {
+					localStorage.setItem(this.config.leaderKey, JSON.stringify({
+						tabId: this.tabId,
+						expires: now + this.config.leaderTimeout,
+					}));
+				}
+
+				// Read back in case another tab claimed the lease at the same time
+				const current = JSON.parse(localStorage.getItem(this.config.leaderKey) || 'null');
+				isLeader = !!current && current.tabId === this.tabId;
+			} catch (e) {
+				// Without storage every tab works on its own
+				isLeader = true;
+			}
+
+			this.setLeader(isLeader);
+		}
+
+		/**
+		 * Check if the visitor allows storing data in the browser (consent.js).
+		 *
+		 * @returns {boolean} True if allowed.
+		 */
+		canStore() {
+			return !window.WPAIChatbotConsent || window.WPAIChatbotConsent.has('storage');
+		}
+
+		/**
+		 * Update leadership and notify on change.
+		 *
+		 * @param {boolean} isLeader Whether this tab leads.
+		 */
+		setLeader(isLeader) {
+			if (isLeader === this.leader) {
+				return;
+			}
+
+			this.leader = isLeader;
+
+			if (typeof this.config.onLeaderChange === 'function') {
+				this.config.onLeaderChange(isLeader);
+			}
+		}
+
+		/**
+		 * Check if this tab is the leader.
+		 *
+		 * @returns {boolean} Whether this tab leads.
+		 */
+		isLeader() {
+			return this.leader;
+		}
+
+		/**
+		 * Hand over leadership when the tab goes away.
+		 */
+		onUnload() {
+			if (!this.leader) {
+				return;
+			}
+
+			try {
+				localStorage.removeItem(this.config.leaderKey);
+			} catch (e) {
+				// Lease expires on its own
+			}
+
+			this.leader = false;
+			this.post('leader-resigned', null);
+		}
+
+		/**
+		 * Stop syncing and give up leadership.
+		 */
+		destroy() {
+			clearInterval(this.heartbeat);
+			this.onUnload();
+
+			window.removeEventListener('storage', this.onStorage);
+			window.removeEventListener('pagehide', this.onUnload);
+
+			if (this.channel) {
+				this.channel.close();
+				this.channel = null;
+			}
+
+			this.handlers = {};
+		}
+	}
+
+	// Export
+	window.WPAIChatbotTabSync = TabSync;
+
+})();
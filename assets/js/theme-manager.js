@@ -0,0 +1,530 @@
+/**
+ * Theme Manager.
+ *
+ * Applies widget themes at runtime through the CSS custom properties in
+ * chat-widget.css, so a site can be branded without shipping CSS
+ * overrides:
+ *
+ *     WPAIChatbot.setTheme('forest');
+ *     WPAIChatbot.setTheme({
+ *         mode: 'auto',
+ *         colors: { primary: '#e11d48' },
+ *         radius: 8,
+ *         bubbleStyle: 'square',
+ *         launcherIcon: 'headset',
+ *     });
+ *
+ * A theme starts from a preset and overrides its colors, radii, fonts,
+ * bubble style and launcher icon. `mode` picks light, dark or auto, which
+ * follows the visitor's system setting; `darkColors` replaces colors in
+ * dark mode only and a null color drops an override. Values are validated
+ * before they reach the stylesheet.
+ *
+ * Load after event-bus.js and before chat-widget.js.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function() {
+	'use strict';
+
+	/**
+	 * Built-in presets.
+	 */
+	const PRESETS = {
+		default: {
+			mode: 'auto',
+			colors: { primary: '#4f46e5' },
+			radius: 16,
+			bubbleRadius: 18,
+			bubbleStyle: 'tail',
+			launcherIcon: 'chat',
+		},
+		ocean: {
+			mode: 'auto',
+			colors: { primary: '#0284c7', botBubble: '#e0f2fe', botBubbleText: '#0c4a6e' },
+			darkColors: { botBubble: '#0c4a6e', botBubbleText: '#e0f2fe' },
+			radius: 20,
+			bubbleRadius: 20,
+			bubbleStyle: 'rounded',
+			launcherIcon: 'help',
+		},
+		forest: {
+			mode: 'auto',
+			colors: { primary: '#15803d', botBubble: '#ecfdf5', botBubbleText: '#14532d' },
+			darkColors: { botBubble: '#14532d', botBubbleText: '#ecfdf5' },
+			radius: 12,
+			bubbleRadius: 14,
+			bubbleStyle: 'tail',
+			launcherIcon: 'chat',
+		},
+		sunset: {
+			mode: 'light',
+			colors: { primary: '#ea580c', botBubble: '#fff7ed', botBubbleText: '#7c2d12' },
+			radius: 24,
+			bubbleRadius: 22,
+			bubbleStyle: 'rounded',
+			launcherIcon: 'sparkle',
+		},
+		midnight: {
+			mode: 'dark',
+			colors: { primary: '#8b5cf6' },
+			darkColors: { background: '#0f172a', botBubble: '#1e293b', botBubbleText: '#f1f5f9' },
+			radius: 16,
+			bubbleRadius: 18,
+			bubbleStyle: 'tail',
+			launcherIcon: 'sparkle',
+		},
+		minimal: {
+			mode: 'light',
+			colors: { primary: '#111827', botBubble: '#ffffff', botBubbleText: '#111827' },
+			radius: 4,
+			bubbleRadius: 4,
+			bubbleStyle: 'square',
+			launcherIcon: 'chat',
+		},
+	};
+
+	/**
+	 * Theme colors and the custom properties they set.
+	 */
+	const COLORS = {
+		primary: 'primary',
+		secondary: 'secondary',
+		background: 'bg',
+		text: 'text',
+		border: 'border',
+		userBubble: 'user-bubble-bg',
+		userBubbleText: 'user-bubble-text',
+		botBubble: 'bot-bubble-bg',
+		botBubbleText: 'bot-bubble-text',
+		launcher: 'launcher-bg',
+		launcherText: 'launcher-text',
+	};
+
+	const MODES = ['light', 'dark', 'auto'];
+	const BUBBLE_STYLES = ['rounded', 'tail', 'square'];
+
+	/**
+	 * Built-in launcher icons.
+	 */
+	const ICONS = {
+		chat: '<path d="M20 2H4C2.9 2 2 2.9 2 4V22L6 18H20C21.1 18 22 17.1 22 16V4C22 2.9 21.1 2 20 2Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>',
+		help: '<circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="2"/><path d="M9.1 9A3 3 0 0 1 14.9 10C14.9 12 12 12.5 12 14.5" stroke="currentColor" stroke-width="2" stroke-linecap="round"/><circle cx="12" cy="18" r="1" fill="currentColor"/>',
+		sparkle: '<path d="M12 3L13.9 9.1L20 11L13.9 12.9L12 19L10.1 12.9L4 11L10.1 9.1L12 3Z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/><path d="M19 3V7M17 5H21" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>',
+		headset: '<path d="M4 14V12A8 8 0 0 1 20 12V14" stroke="currentColor" stroke-width="2" stroke-linecap="round"/><rect x="3" y="14" width="4" height="6" rx="1.5" stroke="currentColor" stroke-width="2"/><rect x="17" y="14" width="4" height="6" rx="1.5" stroke="currentColor" stroke-width="2"/><path d="M19 20C19 21 18 22 16 22H13" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>',
+	};
+
+	// Hex, rgb(), hsl() and named colors
+	const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(\s*[\d.%\s,/]+\)|[a-z]{3,20})$/i;
+	const LENGTH_PATTERN = /^\d+(\.\d+)?(px|rem|em|%)$/;
+
+	/**
+	 * Theme Manager class.
+	 */
+	class ThemeManager {
+		/**
+		 * Constructor.
+		 *
+		 * @param {HTMLElement} element Widget root element.
+		 * @param {Object}      theme   Initial theme, see setTheme().
+		 * @param {EventBus}    events  Event bus for themeChanged.
+		 */
+		constructor(element, theme, events) {
+			this.element = element;
+			this.events = events || null;
+			this.theme = null;
+
+			// Theme restored by setTheme(null)
+			this.initial = theme || {};
+
+			// Generated stylesheet, added on first apply
+			this.style = null;
+
+			// Follow the system setting in auto mode
+			this.media = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+			this.onSchemeChange = () => {
+				if (this.theme && this.theme.mode === 'auto') {
+					this.emit();
+				}
+			};
+
+			if (this.media) {
+				if (this.media.addEventListener) {
+					this.media.addEventListener('change', this.onSchemeChange);
+				} else if (this.media.addListener) {
+					this.media.addListener(this.onSchemeChange);
+				}
+			}
+
+			this.setTheme(this.initial, { silent: true });
+		}
+
+		/**
+		 * Apply a theme.
+		 *
+		 * Options are merged over the current theme; naming a `preset` starts
+		 * from that preset instead. A string is a preset name and null
+		 * restores the initial theme.
+		 *
+		 * @param {Object|string|null} theme   {preset, mode, colors, darkColors,
+		 *                                     radius, bubbleRadius, bubbleStyle,
+		 *                                     fontFamily, fontSize, launcherIcon}.
+		 * @param {Object}             options {silent} to skip themeChanged.
+		 * @returns {Object} The applied theme.
+		 */
+		setTheme(theme, options = {}) {
+			if (theme === null) {
+				this.theme = null;
+				theme = this.initial;
+			}
+
+			if (typeof theme === 'string') {
+				theme = { preset: theme };
+			}
+
+			const changes = this.sanitize(theme && typeof theme === 'object' ? theme : {});
+			let base = this.theme;
+
+			if (!base || changes.preset) {
+				const preset = changes.preset || 'default';
+				base = { ...this.sanitize(this.clone(PRESETS[preset])), preset: preset };
+			}
+
+			const merged = {
+				...base,
+				...changes,
+				preset: base.preset,
+				colors: { ...base.colors, ...changes.colors },
+				darkColors: { ...base.darkColors, ...changes.darkColors },
+			};
+
+			// Null colors drop an override
+			['colors', 'darkColors'].forEach((group) => {
+				Object.keys(merged[group]).forEach((key) => {
+					if (merged[group][key] === null) {
+						delete merged[group][key];
+					}
+				});
+			});
+
+			this.theme = merged;
+			this.apply();
+
+			if (!options.silent) {
+				this.emit();
+			}
+
+			return this.getTheme();
+		}
+
+		/**
+		 * Get the applied theme.
+		 *
+		 * @returns {Object} Theme, with `dark` set when dark colors show.
+		 */
+		getTheme() {
+			return { ...this.clone(this.theme), dark: this.isDark() };
+		}
+
+		/**
+		 * Get the names of the built-in presets.
+		 *
+		 * @returns {Array} Preset names.
+		 */
+		getPresets() {
+			return Object.keys(PRESETS);
+		}
+
+		/**
+		 * Whether dark colors currently show.
+		 *
+		 * @returns {boolean} True in dark mode, or in auto mode on a dark system.
+		 */
+		isDark() {
+			if (!this.theme || this.theme.mode === 'auto') {
+				return !!(this.media && this.media.matches);
+			}
+
+			return this.theme.mode === 'dark';
+		}
+
+		/**
+		 * Keep the valid options of a theme, warning about the others.
+		 *
+		 * @param {Object} theme Theme options.
+		 * @returns {Object} Options safe to write into the stylesheet.
+		 */
+		sanitize(theme) {
+			const clean = {
+				colors: this.sanitizeColors(theme.colors),
+				darkColors: this.sanitizeColors(theme.darkColors),
+			};
+
+			const has = (object, key) => typeof key === 'string' && Object.prototype.hasOwnProperty.call(object, key);
+
+			// Each returns the value to use, or null if invalid
+			const checks = {
+				preset: (value) => (has(PRESETS, value) ? value : null),
+				mode: (value) => (MODES.indexOf(value) !== -1 ? value : null),
+				bubbleStyle: (value) => (BUBBLE_STYLES.indexOf(value) !== -1 ? value : null),
+				radius: (value) => this.sanitizeLength(value),
+				bubbleRadius: (value) => this.sanitizeLength(value),
+				fontSize: (value) => this.sanitizeLength(value),
+
+				// Font stacks may not close the declaration
+				fontFamily: (value) => (typeof value === 'string' && !/[;{}<>\\]/.test(value) ? value.trim() : null),
+				launcherIcon: (value) => (has(ICONS, value) || this.isImageUrl(value) ? value : null),
+			};
+
+			Object.keys(checks).forEach((key) => {
+				if (theme[key] === undefined || theme[key] === null || theme[key] === '') {
+					return;
+				}
+
+				const value = checks[key](theme[key]);
+
+				if (value) {
+					clean[key] = value;
+				} else {
+					console.warn('WPAIChatbotTheme: Invalid ' + key, theme[key]);
+				}
+			});
+
+			return clean;
+		}
+
+		/**
+		 * Keep known colors with valid values; null is kept to drop an override.
+		 *
+		 * @param {Object} colors Colors keyed as in COLORS.
+		 * @returns {Object} Valid colors.
+		 */
+		sanitizeColors(colors) {
+			const clean = {};
+
+			Object.keys(colors || {}).forEach((key) => {
+				const value = colors[key];
+
+				if (value === undefined) {
+					return;
+				}
+
+				if (!COLORS[key] || (value !== null && (typeof value !== 'string' || !COLOR_PATTERN.test(value.trim())))) {
+					console.warn('WPAIChatbotTheme: Invalid color ' + key, value);
+					return;
+				}
+
+				clean[key] = value === null ? null : value.trim();
+			});
+
+			return clean;
+		}
+
+		/**
+		 * Normalize a length; numbers are pixels.
+		 *
+		 * @param {number|string} value Length.
+		 * @returns {string|null} CSS length, or null if invalid.
+		 */
+		sanitizeLength(value) {
+			if (typeof value === 'number' && isFinite(value) && value >= 0) {
+				return value + 'px';
+			}
+
+			if (typeof value === 'string' && LENGTH_PATTERN.test(value.trim())) {
+				return value.trim();
+			}
+
+			return null;
+		}
+
+		/**
+		 * Whether a launcher icon is an image URL.
+		 *
+		 * @param {string} value Icon.
+		 * @returns {boolean} True for http(s) and data:image URLs.
+		 */
+		isImageUrl(value) {
+			return typeof value === 'string' && /^(https?:\/\/|\/(?!\/)|data:image\/(png|gif|jpeg|webp);)/i.test(value);
+		}
+
+		/**
+		 * Write the theme to the widget.
+		 */
+		apply() {
+			if (!this.element) {
+				return;
+			}
+
+			const theme = this.theme;
+			const selector = '#' + (this.element.id || 'wp-ai-chatbot-widget');
+			const light = this.getProperties(theme.colors);
+			const dark = this.getProperties(theme.darkColors);
+
+			if (theme.radius) {
+				light.push('--wp-ai-chatbot-border-radius: ' + theme.radius);
+			}
+
+			if (theme.bubbleRadius) {
+				light.push('--wp-ai-chatbot-message-radius: ' + theme.bubbleRadius);
+			}
+
+			if (theme.fontFamily) {
+				light.push('--wp-ai-chatbot-font-family: ' + theme.fontFamily);
+			}
+
+			if (theme.fontSize) {
+				light.push('--wp-ai-chatbot-font-size-md: ' + theme.fontSize);
+			}
+
+			const block = (properties) => ' {\n' + properties.map((property) => '\t' + property + ';\n').join('') + '}\n';
+			let css = selector + block(light);
+
+			if (dark.length) {
+				const rule = block(dark);
+
+				css += selector + '[data-theme="dark"]' + rule;
+				css += '@media (prefers-color-scheme: dark) {\n' + selector + '[data-theme="auto"]' + rule + '}\n';
+			}
+
+			if (!this.style) {
+				this.style = document.createElement('style');
+				this.style.id = 'wp-ai-chatbot-theme';
+				document.head.appendChild(this.style);
+			}
+
+			this.style.textContent = css;
+
+			this.element.setAttribute('data-theme', theme.mode);
+			this.element.setAttribute('data-bubble-style', theme.bubbleStyle);
+			this.element.setAttribute('data-preset', theme.preset);
+
+			this.applyLauncherIcon(theme.launcherIcon);
+		}
+
+		/**
+		 * Get custom property declarations for colors.
+		 *
+		 * The primary color also sets its hover, light and RGB variants.
+		 *
+		 * @param {Object} colors Valid colors.
+		 * @returns {Array} Declarations.
+		 */
+		getProperties(colors) {
+			const properties = Object.keys(colors).map((key) => '--wp-ai-chatbot-' + COLORS[key] + ': ' + colors[key]);
+			const rgb = colors.primary ? this.toRgb(colors.primary) : null;
+
+			if (rgb) {
+				properties.push('--wp-ai-chatbot-primary-rgb: ' + rgb.join(', '));
+				properties.push('--wp-ai-chatbot-primary-hover: ' + this.mix(rgb, [0, 0, 0], 0.15));
+				properties.push('--wp-ai-chatbot-primary-light: ' + this.mix(rgb, [255, 255, 255], 0.9));
+			}
+
+			return properties;
+		}
+
+		/**
+		 * Show a built-in icon or an image in the launcher button.
+		 *
+		 * @param {string} icon Icon name or image URL.
+		 */
+		applyLauncherIcon(icon) {
+			const target = this.element.querySelector('.wp-ai-chatbot-toggle-icon');
+
+			if (!target || target.getAttribute('data-icon') === icon) {
+				return;
+			}
+
+			target.setAttribute('data-icon', icon);
+
+			if (ICONS[icon]) {
+				target.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">' + ICONS[icon] + '</svg>';
+				return;
+			}
+
+			const img = document.createElement('img');
+			img.src = icon;
+			img.alt = '';
+			img.className = 'wp-ai-chatbot-toggle-image';
+
+			target.textContent = '';
+			target.appendChild(img);
+		}
+
+		/**
+		 * Parse a hex color.
+		 *
+		 * @param {string} color Color.
+		 * @returns {Array|null} [r, g, b], or null if not a hex color.
+		 */
+		toRgb(color) {
+			let hex = color.replace('#', '');
+
+			if (!/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex)) {
+				return null;
+			}
+
+			if (hex.length === 3) {
+				hex = hex.split('').map((c) => c + c).join('');
+			}
+
+			return [0, 2, 4].map((i) => parseInt(hex.substr(i, 2), 16));
+		}
+
+		/**
+		 * Mix two colors.
+		 *
+		 * @param {Array}  rgb    Base color.
+		 * @param {Array}  target Color mixed in.
+		 * @param {number} amount Share of `target`, 0 to 1.
+		 * @returns {string} Hex color.
+		 */
+		mix(rgb, target, amount) {
+			return '#' + rgb.map((value, i) => {
+				const mixed = Math.round(value + (target[i] - value) * amount);
+				return ('0' + mixed.toString(16)).slice(-2);
+			}).join('');
+		}
+
+		/**
+		 * Announce the theme on the event bus.
+		 */
+		emit() {
+			if (this.events) {
+				this.events.emit('themeChanged', this.getTheme());
+			}
+		}
+
+		/**
+		 * Deep copy a plain theme object.
+		 */
+		clone(value) {
+			return JSON.parse(JSON.stringify(value || {}));
+		}
+
+		/**
+		 * Remove the generated stylesheet and stop following the system setting.
+		 */
+		destroy() {
+			if (this.media) {
+				if (this.media.removeEventListener) {
+					this.media.removeEventListener('change', this.onSchemeChange);
+				} else if (this.media.removeListener) {
+					this.media.removeListener(this.onSchemeChange);
+				}
+			}
+
+			if (this.style && this.style.parentNode) {
+				this.style.parentNode.removeChild(this.style);
+			}
+
+			this.style = null;
+		}
+	}
+
+	// Export
+	window.WPAIChatbotTheme = ThemeManager;
+
+})();
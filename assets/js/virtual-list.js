@@ -0,0 +1,699 @@
+/**
+ * Virtual List.
+ *
+ * Windowed rendering for long transcripts, exposed as
+ * `window.WPAIChatbotVirtualList`. Only the messages in view plus a buffer
+ * above and below are mounted; the rest are stood in for by two spacers
+ * sized from cached heights:
+ *
+ *     const list = new WPAIChatbotVirtualList(container, {
+ *         render: (item) => createElement(item),
+ *     });
+ *
+ *     list.append({ id: '42', render: () => createElement(message) });
+ *     list.prepend(olderItems);
+ *     list.scrollTo('17');
+ *
+ * Items are {id, render} and rendered on first use, or {id, element} when
+ * the element already exists. Rendered elements are kept while unmounted,
+ * so changes made to them (feedback, edits, highlights) survive scrolling.
+ * Heights are measured while mounted and cached; unmeasured items use the
+ * average measured height. Items are mounted and the spacers sized in
+ * update(), once per animation frame, keeping the first visible message
+ * in place, so prepending older messages or correcting an estimate does
+ * not move the view. While scrolled to the bottom the list stays there.
+ *
+ * Load before chat-widget.js.
+ *
+ * @package WP_AI_Chatbot_LeadGen_Pro
+ * @since 1.0.0
+ */
+
+(function() {
+	'use strict';
+
+	/**
+	 * Distance from the bottom, in px, that still counts as at the bottom.
+	 */
+	const BOTTOM_THRESHOLD = 4;
+
+	/**
+	 * Virtual List class.
+	 */
+	class VirtualList {
+		/**
+		 * Constructor.
+		 *
+		 * @param {HTMLElement} container Scrolling element holding the items.
+		 * @param {Object}      options   {render, onRender, buffer, estimatedHeight, keepMounted}.
+		 */
+		constructor(container, options = {}) {
+			this.container = container;
+			this.options = {
+				// Creates the element of an item without one
+				render: null,
+
+				// Called with each newly rendered element and its item
+				onRender: null,
+
+				// Extra px mounted above and below the view
+				buffer: 800,
+
+				// Height used before any item has been measured
+				estimatedHeight: 80,
+
+				// Selector of elements that must stay mounted, e.g. while edited
+				keepMounted: null,
+
+				...options,
+			};
+
+			// Items in order, as {id, element, render, height, animate}
+			this.items = [];
+			this.byId = new Map();
+
+			// Elements currently in the container, items[start..end)
+			this.mounted = [];
+			this.start = 0;
+			this.end = 0;
+
+			// Stay at the bottom as items are added
+			this.pinned = true;
+
+			this.gap = 0;
+			this.frame = null;
+
+			this.before = this.createSpacer('before');
+			this.after = this.createSpacer('after');
+			this.container.appendChild(this.before);
+			this.container.appendChild(this.after);
+			this.container.classList.add('is-virtualized');
+
+			this.onScroll = () => {
+				this.pinned = this.isAtBottom();
+				this.schedule();
+			};
+			this.container.addEventListener('scroll', this.onScroll, { passive: true });
+
+			// Remeasure once the container is shown or resized
+			this.resizeObserver = typeof ResizeObserver === 'function'
+				? new ResizeObserver(() => this.schedule())
+				: null;
+
+			if (this.resizeObserver) {
+				this.resizeObserver.observe(this.container);
+			}
+		}
+
+		/**
+		 * Create a spacer standing in for unmounted items.
+		 *
+		 * @param {string} position 'before' or 'after'.
+		 * @returns {HTMLElement} Spacer.
+		 */
+		createSpacer(position) {
+			const spacer = document.createElement('div');
+
+			spacer.className = 'wp-ai-chatbot-virtual-spacer wp-ai-chatbot-virtual-spacer-' + position;
+			spacer.setAttribute('aria-hidden', 'true');
+			spacer.style.flexShrink = '0';
+			spacer.style.height = '0px';
+
+			return spacer;
+		}
+
+		/**
+		 * Add items after the existing ones.
+		 *
+		 * @param {Object|Array} items Item or items, as {id, render} or {id, element}.
+		 */
+		append(items) {
+			this.add([].concat(items), false);
+		}
+
+		/**
+		 * Add items before the existing ones, e.g. older history.
+		 *
+		 * @param {Object|Array} items Item or items, oldest first.
+		 */
+		prepend(items) {
+			this.add([].concat(items), true);
+		}
+
+		/**
+		 * Add items, skipping IDs the list already has.
+		 *
+		 * @param {Array}   items   Items.
+		 * @param {boolean} prepend Add before the existing items.
+		 */
+		add(items, prepend) {
+			const added = [];
+
+			items.forEach((data) => {
+				const id = String(data.id);
+
+				if (this.byId.has(id)) {
+					return;
+				}
+
+				const item = {
+					id: id,
+					element: data.element || null,
+					render: data.render || null,
+					height: null,
+
+					// Only new messages at the bottom play the entry animation
+					animate: !prepend && this.pinned,
+				};
+
+				this.byId.set(id, item);
+				added.push(item);
+			});
+
+			this.items = prepend ? added.concat(this.items) : this.items.concat(added);
+			this.schedule();
+		}
+
+		/**
+		 * Remove an item.
+		 *
+		 * @param {string|HTMLElement} target Item ID or element.
+		 */
+		remove(target) {
+			const item = this.find(target);
+
+			if (!item) {
+				return;
+			}
+
+			this.items.splice(this.items.indexOf(item), 1);
+			this.byId.delete(item.id);
+
+			// Removed straight away; update() then fixes the spacers
+			if (item.element && item.element.parentNode === this.container) {
+				this.container.removeChild(item.element);
+				this.mounted = this.mounted.filter((element) => element !== item.element);
+			}
+
+			this.schedule();
+		}
+
+		/**
+		 * Remove all items.
+		 */
+		clear() {
+			this.mounted.forEach((element) => {
+				if (element.parentNode === this.container) {
+					this.container.removeChild(element);
+				}
+			});
+
+			this.items = [];
+			this.byId.clear();
+			this.mounted = [];
+			this.start = 0;
+			this.end = 0;
+			this.pinned = true;
+			this.updateSpacers();
+		}
+
+		/**
+		 * Change the ID of an item, e.g. once a streamed reply has its own.
+		 *
+		 * @param {string|HTMLElement} target Current ID or element.
+		 * @param {string}             id     New ID.
+		 */
+		setId(target, id) {
+			const item = this.find(target);
+
+			if (!item) {
+				return;
+			}
+
+			this.byId.delete(item.id);
+			item.id = String(id);
+			this.byId.set(item.id, item);
+		}
+
+		/**
+		 * Find an item by ID or element.
+		 *
+		 * @param {string|HTMLElement} target Item ID or element.
+		 * @returns {Object|null} Item.
+		 */
+		find(target) {
+			if (target && target.nodeType === 1) {
+				return this.items.find((item) => item.element === target) || null;
+			}
+
+			return this.byId.get(String(target)) || null;
+		}
+
+		/**
+		 * Whether the list has an item.
+		 *
+		 * @param {string} id Item ID.
+		 * @returns {boolean} True if it has.
+		 */
+		has(id) {
+			return this.byId.has(String(id));
+		}
+
+		/**
+		 * Get the element of an item, rendering it if needed.
+		 *
+		 * The element may not be mounted.
+		 *
+		 * @param {string} id Item ID.
+		 * @returns {HTMLElement|null} Element.
+		 */
+		get(id) {
+			const item = this.byId.get(String(id));
+
+			return item ? this.getElement(item) : null;
+		}
+
+		/**
+		 * Get the elements rendered so far, mounted or not, in order.
+		 *
+		 * @returns {Array} Elements.
+		 */
+		getElements() {
+			return this.items.filter((item) => item.element).map((item) => item.element);
+		}
+
+		/**
+		 * Get or render the element of an item.
+		 *
+		 * @param {Object} item Item.
+		 * @returns {HTMLElement|null} Element.
+		 */
+		getElement(item) {
+			if (!item.element) {
+				const render = item.render || this.options.render;
+
+				item.element = render ? render(item) || null : null;
+				item.render = null;
+
+				if (item.element && typeof this.options.onRender === 'function') {
+					this.options.onRender(item.element, item);
+				}
+			}
+
+			return item.element;
+		}
+
+		/**
+		 * Update on the next animation frame.
+		 */
+		schedule() {
+			if (this.frame) {
+				return;
+			}
+
+			this.frame = requestAnimationFrame(() => {
+				this.frame = null;
+				this.update();
+			});
+		}
+
+		/**
+		 * Mount the items in view, unmount the rest and size the spacers.
+		 */
+		update() {
+			if (this.frame) {
+				cancelAnimationFrame(this.frame);
+				this.frame = null;
+			}
+
+			// Hidden, nothing can be measured
+			if (!this.container.clientHeight) {
+				return;
+			}
+
+			this.gap = parseFloat(window.getComputedStyle(this.container).rowGap) || 0;
+			this.measure();
+
+			// Measured heights can change the range, repeat until it settles
+			for (let pass = 0; pass < 3; pass++) {
+				const anchor = this.pinned ? null : this.getAnchor();
+				const range = this.getRange();
+
+				if (pass > 0 && range.start === this.start && range.end === this.end) {
+					break;
+				}
+
+				this.mount(range.start, range.end);
+				this.measure();
+				this.updateSpacers();
+				this.restoreAnchor(anchor);
+			}
+		}
+
+		/**
+		 * Scroll so an element is back where it was, or to the bottom if pinned.
+		 *
+		 * @param {Object|null} anchor {element, offset} from getAnchor().
+		 */
+		restoreAnchor(anchor) {
+			if (this.pinned) {
+				this.setScrollTop(this.container.scrollHeight);
+				return;
+			}
+
+			if (!anchor || anchor.element.parentNode !== this.container) {
+				return;
+			}
+
+			const offset = anchor.element.getBoundingClientRect().top - this.container.getBoundingClientRect().top;
+
+			if (offset !== anchor.offset) {
+				this.setScrollTop(this.container.scrollTop + offset - anchor.offset);
+			}
+		}
+
+		/**
+		 * Cache the heights of the mounted items.
+		 */
+		measure() {
+			this.items.forEach((item) => {
+				if (item.element && item.element.parentNode === this.container) {
+					const style = window.getComputedStyle(item.element);
+
+					item.height = item.element.offsetHeight
+						+ (parseFloat(style.marginTop) || 0)
+						+ (parseFloat(style.marginBottom) || 0);
+				}
+			});
+		}
+
+		/**
+		 * Get the first mounted element in view and its offset from the top.
+		 *
+		 * @returns {Object|null} {element, offset}.
+		 */
+		getAnchor() {
+			const top = this.container.getBoundingClientRect().top;
+
+			for (let i = 0; i < this.mounted.length; i++) {
+				const rect = this.mounted[i].getBoundingClientRect();
+
+				if (rect.bottom > top) {
+					return { element: this.mounted[i], offset: rect.top - top };
+				}
+			}
+
+			return null;
+		}
+
+		/**
+		 * Height of an item including the gap after it.
+		 *
+		 * @param {Object} item     Item.
+		 * @param {number} estimate Height of unmeasured items.
+		 * @returns {number} Height in px.
+		 */
+		getHeight(item, estimate) {
+			return (item.height === null ? estimate : item.height) + this.gap;
+		}
+
+		/**
+		 * Average measured height, for items not measured yet.
+		 *
+		 * @returns {number} Height in px.
+		 */
+		getEstimate() {
+			let total = 0;
+			let count = 0;
+
+			this.items.forEach((item) => {
+				if (item.height !== null) {
+					total += item.height;
+					count++;
+				}
+			});
+
+			return count ? total / count : this.options.estimatedHeight;
+		}
+
+		/**
+		 * Get the range of items to mount.
+		 *
+		 * @returns {Object} {start, end}, end exclusive.
+		 */
+		getRange() {
+			const count = this.items.length;
+			const estimate = this.getEstimate();
+			const buffer = this.options.buffer;
+			const view = this.container.clientHeight;
+			let start = 0;
+			let end = count;
+
+			if (this.pinned) {
+				// Fill the view upwards from the last item
+				let height = 0;
+
+				start = count;
+				while (start > 0 && height < view + buffer) {
+					start--;
+					height += this.getHeight(this.items[start], estimate);
+				}
+			} else {
+				const scrolled = this.container.scrollTop - this.getListTop();
+				const top = scrolled - buffer;
+				const bottom = scrolled + view + buffer;
+				let offset = 0;
+
+				start = count;
+				end = count;
+
+				for (let i = 0; i < count; i++) {
+					const height = this.getHeight(this.items[i], estimate);
+
+					if (start === count && offset + height > top) {
+						start = i;
+					}
+
+					if (offset >= bottom) {
+						end = i;
+						break;
+					}
+
+					offset += height;
+				}
+
+				start = Math.min(start, end);
+			}
+
+			// Widen the range to keep focused or pinned elements mounted
+			this.items.forEach((item, i) => {
+				if (this.mustStayMounted(item)) {
+					start = Math.min(start, i);
+					end = Math.max(end, i + 1);
+				}
+			});
+
+			return { start: start, end: end };
+		}
+
+		/**
+		 * Whether unmounting an item would lose focus or an edit in progress.
+		 *
+		 * @param {Object} item Item.
+		 * @returns {boolean} True to keep it mounted.
+		 */
+		mustStayMounted(item) {
+			const element = item.element;
+
+			if (!element || element.parentNode !== this.container) {
+				return false;
+			}
+
+			if (element.contains(document.activeElement)) {
+				return true;
+			}
+
+			return !!this.options.keepMounted && element.matches(this.options.keepMounted);
+		}
+
+		/**
+		 * Offset of the first item from the top of the scrolled content.
+		 *
+		 * @returns {number} Offset in px.
+		 */
+		getListTop() {
+			return this.before.getBoundingClientRect().top
+				- this.container.getBoundingClientRect().top
+				+ this.container.scrollTop;
+		}
+
+		/**
+		 * Mount items[start..end) between the spacers and unmount the others.
+		 *
+		 * @param {number} start First item.
+		 * @param {number} end   Item after the last.
+		 */
+		mount(start, end) {
+			const wanted = [];
+
+			for (let i = start; i < end; i++) {
+				const item = this.items[i];
+				const element = this.getElement(item);
+
+				if (!element) {
+					continue;
+				}
+
+				if (element.parentNode !== this.container) {
+					element.classList.toggle('is-restored', !item.animate);
+				}
+
+				item.animate = false;
+				wanted.push(element);
+			}
+
+			this.mounted.forEach((element) => {
+				if (wanted.indexOf(element) === -1 && element.parentNode === this.container) {
+					this.container.removeChild(element);
+				}
+			});
+
+			// Elements left mounted are in order, insert the others around them
+			let node = this.before.nextSibling;
+
+			wanted.forEach((element) => {
+				if (node === element) {
+					node = node.nextSibling;
+				} else {
+					this.container.insertBefore(element, node);
+				}
+			});
+
+			this.mounted = wanted;
+			this.start = start;
+			this.end = end;
+		}
+
+		/**
+		 * Size the spacers to the unmounted items.
+		 *
+		 * Each spacer takes the height of its items and their gaps; a
+		 * negative margin cancels the spacer's own gap.
+		 */
+		updateSpacers() {
+			const estimate = this.getEstimate();
+			let before = 0;
+			let after = 0;
+
+			this.items.forEach((item, i) => {
+				if (i < this.start) {
+					before += this.getHeight(item, estimate);
+				} else if (i >= this.end) {
+					after += this.getHeight(item, estimate);
+				}
+			});
+
+			this.before.style.height = before + 'px';
+			this.before.style.marginBottom = -this.gap + 'px';
+			this.after.style.height = after + 'px';
+			this.after.style.marginTop = -this.gap + 'px';
+		}
+
+		/**
+		 * Whether the view is at the bottom.
+		 *
+		 * @returns {boolean} True if it is.
+		 */
+		isAtBottom() {
+			const container = this.container;
+
+			return container.scrollHeight - container.scrollTop - container.clientHeight <= BOTTOM_THRESHOLD;
+		}
+
+		/**
+		 * Set the scroll position without smooth scrolling.
+		 *
+		 * @param {number} value Scroll position.
+		 */
+		setScrollTop(value) {
+			const style = this.container.style;
+			const behavior = style.scrollBehavior;
+
+			style.scrollBehavior = 'auto';
+			this.container.scrollTop = value;
+			style.scrollBehavior = behavior;
+		}
+
+		/**
+		 * Scroll to the newest item and stay there.
+		 */
+		scrollToBottom() {
+			this.pinned = true;
+			this.update();
+		}
+
+		/**
+		 * Scroll an item into view.
+		 *
+		 * @param {string} id    Item ID.
+		 * @param {string} block 'start', 'center' or 'end'.
+		 * @returns {boolean} True if the list has the item.
+		 */
+		scrollTo(id, block = 'center') {
+			const item = this.byId.get(String(id));
+
+			if (!item) {
+				return false;
+			}
+
+			const estimate = this.getEstimate();
+			const index = this.items.indexOf(item);
+			let offset = this.getListTop();
+
+			for (let i = 0; i < index; i++) {
+				offset += this.getHeight(this.items[i], estimate);
+			}
+
+			// Jump close by from the cached heights, then align once measured
+			const height = this.getHeight(item, estimate) - this.gap;
+			const space = this.container.clientHeight - height;
+			const align = { start: 0, center: space / 2, end: space };
+
+			this.pinned = false;
+			this.setScrollTop(offset - (align[block] || 0));
+			this.update();
+
+			const element = this.getElement(item);
+
+			if (element && element.parentNode === this.container && element.scrollIntoView) {
+				element.scrollIntoView({ block: block, behavior: 'auto' });
+			}
+
+			return true;
+		}
+
+		/**
+		 * Stop windowing, e.g. when the widget is removed.
+		 *
+		 * Unmounted items are not restored.
+		 */
+		destroy() {
+			cancelAnimationFrame(this.frame);
+			this.frame = null;
+
+			this.container.removeEventListener('scroll', this.onScroll);
+
+			if (this.resizeObserver) {
+				this.resizeObserver.disconnect();
+			}
+
+			this.before.remove();
+			this.after.remove();
+			this.container.classList.remove('is-virtualized');
+		}
+	}
+
+	// Export
+	window.WPAIChatbotVirtualList = VirtualList;
+
+})();
@@ -0,0 +1,681 @@
+<?php
+/**
+ * Agent Console Admin.
+ *
+ * Live chat console in wp-admin for conversations escalated to the team.
+ * Agents see the queue with priority and waiting time, claim a
+ * conversation, read the AI transcript with the visitor's lead score and
+ * reply in real time through Conversation_Handoff. Internal notes stay on
+ * the escalation and are never shown to the visitor. The page is a shell
+ * filled by assets/js/admin-agent-console.js, which polls the AJAX actions below.
+ *
+ * @package    WP_AI_Chatbot_LeadGen_Pro
+ * @subpackage WP_AI_Chatbot_LeadGen_Pro/includes/admin
+ * @since      1.0.0
+ */
+class WP_AI_Chatbot_LeadGen_Pro_Agent_Console_Admin {
+
+	/**
+	 * Page slug, which escalation notification emails link to.
+	 *
+	 * @since 1.0.0
+	 * @var string
+	 */
+	const PAGE = 'wp-ai-chatbot-escalations';
+
+	/**
+	 * Escalations shown per status in the queue.
+	 *
+	 * @since 1.0.0
+	 * @var int
+	 */
+	const QUEUE_LIMIT = 50;
+
+	/**
+	 * Escalation manager instance.
+	 *
+	 * @since 1.0.0
+	 * @var WP_AI_Chatbot_LeadGen_Pro_Escalation_Manager
+	 */
+	private $escalations;
+
+	/**
+	 * Handoff instance.
+	 *
+	 * @since 1.0.0
+	 * @var WP_AI_Chatbot_LeadGen_Pro_Conversation_Handoff
+	 */
+	private $handoff;
+
+	/**
+	 * Register admin hooks.
+	 *
+	 * @since 1.0.0
+	 */
+	public function register_hooks() {
+		add_action( 'admin_menu', array( $this, 'add_admin_menu' ) );
+		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_admin_scripts' ) );
+		add_action( 'wp_ajax_wp_ai_chatbot_agent_queue', array( $this, 'ajax_queue' ) );
+		add_action( 'wp_ajax_wp_ai_chatbot_agent_conversation', array( $this, 'ajax_conversation' ) );
+		add_action( 'wp_ajax_wp_ai_chatbot_agent_claim', array( $this, 'ajax_claim' ) );
+		add_action( 'wp_ajax_wp_ai_chatbot_agent_send', array( $this, 'ajax_send' ) );
+		add_action( 'wp_ajax_wp_ai_chatbot_agent_note', array( $this, 'ajax_note' ) );
+		add_action( 'wp_ajax_wp_ai_chatbot_agent_close', array( $this, 'ajax_close' ) );
+	}
+
+	/**
+	 * Get the capability needed to answer chats.
+	 *
+	 * @since 1.0.0
+	 * @return string Capability.
+	 */
+	public function get_capability() {
+		/**
+		 * Filters the capability agents need for the live chat console.
+		 *
+		 * @since 1.0.0
+		 * @param string $capability Capability. Default 'manage_options'.
+		 */
+		return apply_filters( 'wp_ai_chatbot_agent_capability', 'manage_options' );
+	}
+
+	/**
+	 * Add admin menu items.
+	 *
+	 * @since 1.0.0
+	 */
+	public function add_admin_menu() {
+		add_submenu_page(
+			'wp-ai-chatbot-leadgen-pro',
+			__( 'Live Chat', 'wp-ai-chatbot-leadgen-pro' ),
+			__( 'Live Chat', 'wp-ai-chatbot-leadgen-pro' ),
+			$this->get_capability(),
+			self::PAGE,
+			array( $this, 'render_page' )
+		);
+	}
+
+	/**
+	 * Enqueue admin scripts and styles.
+	 *
+	 * @since 1.0.0
+	 * @param string $hook Current admin page hook.
+	 */
+	public function enqueue_admin_scripts( $hook ) {
+		if ( strpos( $hook, self::PAGE ) === false ) {
+			return;
+		}
+
+		wp_enqueue_style(
+			'wp-ai-chatbot-agent-console',
+			WP_AI_CHATBOT_LEADGEN_PRO_URL . 'assets/css/admin-agent-console.css',
+			array(),
+			WP_AI_CHATBOT_LEADGEN_PRO_VERSION
+		);
+
+		wp_enqueue_script(
+			'wp-ai-chatbot-agent-console',
+			WP_AI_CHATBOT_LEADGEN_PRO_URL . 'assets/js/admin-agent-console.js',
+			array( 'jquery', 'wp-ai-chatbot-i18n' ),
+			WP_AI_CHATBOT_LEADGEN_PRO_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			'wp-ai-chatbot-agent-console',
+			'wpAiChatbotAgentConsole',
+			array(
+				'ajaxUrl'         => admin_url( 'admin-ajax.php' ),
+				'nonce'           => wp_create_nonce( 'wp_ai_chatbot_agent_console' ),
+				'userId'          => get_current_user_id(),
+				'escalationId'    => isset( $_GET['id'] ) ? absint( $_GET['id'] ) : 0,
+				'cannedResponses' => $this->get_canned_responses(),
+			)
+		);
+	}
+
+	/**
+	 * Get the canned responses offered in the composer.
+	 *
+	 * Stored in the wp_ai_chatbot_canned_responses option as a list of
+	 * {title, text}.
+	 *
+	 * @since 1.0.0
+	 * @return array Canned responses.
+	 */
+	public function get_canned_responses() {
+		$responses = get_option( 'wp_ai_chatbot_canned_responses', array(
+			array(
+				'title' => __( 'Greeting', 'wp-ai-chatbot-leadgen-pro' ),
+				'text'  => __( 'Hi, thanks for waiting! I\'ve read your conversation so far. How can I help?', 'wp-ai-chatbot-leadgen-pro' ),
+			),
+			array(
+				'title' => __( 'Checking', 'wp-ai-chatbot-leadgen-pro' ),
+				'text'  => __( 'Let me check that for you, it will only take a minute.', 'wp-ai-chatbot-leadgen-pro' ),
+			),
+			array(
+				'title' => __( 'Follow up by email', 'wp-ai-chatbot-leadgen-pro' ),
+				'text'  => __( 'I\'ll look into this and follow up by email. Is the address you gave us the best one to reach you?', 'wp-ai-chatbot-leadgen-pro' ),
+			),
+			array(
+				'title' => __( 'Anything else', 'wp-ai-chatbot-leadgen-pro' ),
+				'text'  => __( 'Is there anything else I can help you with today?', 'wp-ai-chatbot-leadgen-pro' ),
+			),
+		) );
+
+		/**
+		 * Filters the canned responses in the live chat console.
+		 *
+		 * @since 1.0.0
+		 * @param array $responses List of {title, text}.
+		 */
+		$responses = apply_filters( 'wp_ai_chatbot_canned_responses', $responses );
+
+		return array_values( array_filter( (array) $responses, function( $response ) {
+			return ! empty( $response['title'] ) && ! empty( $response['text'] );
+		} ) );
+	}
+
+	/**
+	 * Render the console page.
+	 *
+	 * @since 1.0.0
+	 */
+	public function render_page() {
+		if ( ! current_user_can( $this->get_capability() ) ) {
+			wp_die( __( 'You do not have permission to access this page.', 'wp-ai-chatbot-leadgen-pro' ) );
+		}
+		?>
+		<div class="wrap wp-ai-chatbot-agent-console-admin">
+			<h1><?php esc_html_e( 'Live Chat', 'wp-ai-chatbot-leadgen-pro' ); ?></h1>
+
+			<div id="wp-ai-chatbot-agent-console" class="agent-console">
+				<aside class="agent-console-queue" aria-label="<?php esc_attr_e( 'Escalation queue', 'wp-ai-chatbot-leadgen-pro' ); ?>">
+					<h2><?php esc_html_e( 'Waiting', 'wp-ai-chatbot-leadgen-pro' ); ?> <span class="count agent-console-waiting-count"></span></h2>
+					<ul class="agent-console-list agent-console-waiting"></ul>
+					<h2><?php esc_html_e( 'In progress', 'wp-ai-chatbot-leadgen-pro' ); ?> <span class="count agent-console-active-count"></span></h2>
+					<ul class="agent-console-list agent-console-active"></ul>
+				</aside>
+
+				<section class="agent-console-chat" aria-label="<?php esc_attr_e( 'Conversation', 'wp-ai-chatbot-leadgen-pro' ); ?>">
+					<p class="agent-console-empty"><?php esc_html_e( 'Select a conversation from the queue.', 'wp-ai-chatbot-leadgen-pro' ); ?></p>
+
+					<div class="agent-console-conversation" hidden>
+						<header class="agent-console-chat-header">
+							<div>
+								<h2 class="agent-console-visitor"></h2>
+								<p class="agent-console-meta"></p>
+							</div>
+							<div class="agent-console-actions">
+								<button type="button" class="button button-primary agent-console-claim"><?php esc_html_e( 'Claim', 'wp-ai-chatbot-leadgen-pro' ); ?></button>
+								<button type="button" class="button agent-console-return"><?php esc_html_e( 'Return to bot', 'wp-ai-chatbot-leadgen-pro' ); ?></button>
+								<button type="button" class="button agent-console-resolve"><?php esc_html_e( 'Resolve', 'wp-ai-chatbot-leadgen-pro' ); ?></button>
+							</div>
+						</header>
+
+						<div class="agent-console-transcript" role="log" aria-live="polite"></div>
+						<p class="agent-console-typing" aria-live="polite"></p>
+
+						<form class="agent-console-close-form" hidden>
+							<label for="agent-console-summary"><?php esc_html_e( 'Summary for the visitor', 'wp-ai-chatbot-leadgen-pro' ); ?></label>
+							<textarea id="agent-console-summary" rows="3" placeholder="<?php esc_attr_e( 'Leave empty to use the last reply.', 'wp-ai-chatbot-leadgen-pro' ); ?>"></textarea>
+							<p>
+								<button type="submit" class="button button-primary agent-console-close-confirm"></button>
+								<button type="button" class="button agent-console-close-cancel"><?php esc_html_e( 'Cancel', 'wp-ai-chatbot-leadgen-pro' ); ?></button>
+							</p>
+						</form>
+
+						<form class="agent-console-composer">
+							<label for="agent-console-canned" class="screen-reader-text"><?php esc_html_e( 'Canned responses', 'wp-ai-chatbot-leadgen-pro' ); ?></label>
+							<select id="agent-console-canned" class="agent-console-canned">
+								<option value=""><?php esc_html_e( 'Canned responses', 'wp-ai-chatbot-leadgen-pro' ); ?></option>
+							</select>
+							<label for="agent-console-message" class="screen-reader-text"><?php esc_html_e( 'Reply', 'wp-ai-chatbot-leadgen-pro' ); ?></label>
+							<textarea id="agent-console-message" class="agent-console-message" rows="3" placeholder="<?php esc_attr_e( 'Reply to the visitor. Enter sends, Shift+Enter adds a line.', 'wp-ai-chatbot-leadgen-pro' ); ?>"></textarea>
+							<button type="submit" class="button button-primary"><?php esc_html_e( 'Send', 'wp-ai-chatbot-leadgen-pro' ); ?></button>
+						</form>
+					</div>
+				</section>
+
+				<aside class="agent-console-details" aria-label="<?php esc_attr_e( 'Visitor details', 'wp-ai-chatbot-leadgen-pro' ); ?>" hidden>
+					<h2><?php esc_html_e( 'Lead', 'wp-ai-chatbot-leadgen-pro' ); ?></h2>
+					<div class="agent-console-lead"></div>
+
+					<h2><?php esc_html_e( 'Internal notes', 'wp-ai-chatbot-leadgen-pro' ); ?></h2>
+					<p class="description"><?php esc_html_e( 'Only your team sees these.', 'wp-ai-chatbot-leadgen-pro' ); ?></p>
+					<pre class="agent-console-notes"></pre>
+					<form class="agent-console-note-form">
+						<label for="agent-console-note" class="screen-reader-text"><?php esc_html_e( 'Add a note', 'wp-ai-chatbot-leadgen-pro' ); ?></label>
+						<textarea id="agent-console-note" rows="3"></textarea>
+						<button type="submit" class="button"><?php esc_html_e( 'Add note', 'wp-ai-chatbot-leadgen-pro' ); ?></button>
+					</form>
+				</aside>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Get the open escalations, and mark the agent online.
+	 *
+	 * @since 1.0.0
+	 */
+	public function ajax_queue() {
+		$this->verify_request();
+
+		$this->get_handoff()->touch_presence( get_current_user_id() );
+
+		$waiting = $this->get_escalations()->get_escalations( array(
+			'status'  => 'pending',
+			'limit'   => self::QUEUE_LIMIT,
+			'orderby' => 'created_at',
+			'order'   => 'ASC',
+		) );
+
+		$active = $this->get_escalations()->get_escalations( array(
+			'status'  => array( 'assigned', 'in_progress' ),
+			'limit'   => self::QUEUE_LIMIT,
+			'orderby' => 'updated_at',
+			'order'   => 'DESC',
+		) );
+
+		// Same order as the visitor's place in line
+		usort( $waiting, function( $a, $b ) {
+			$priorities = WP_AI_Chatbot_LeadGen_Pro_Escalation_Manager::PRIORITIES;
+			$rank       = ( $priorities[ $b['priority'] ] ?? 0 ) - ( $priorities[ $a['priority'] ] ?? 0 );
+
+			return $rank ? $rank : strcmp( $a['created_at'], $b['created_at'] );
+		} );
+
+		wp_send_json_success( array(
+			'waiting' => array_map( array( $this, 'format_escalation' ), $waiting ),
+			'active'  => array_map( array( $this, 'format_escalation' ), $active ),
+		) );
+	}
+
+	/**
+	 * Get an escalation with its transcript, lead and notes.
+	 *
+	 * Only messages after `after_id` are returned, so the console can
+	 * poll. A `typing` flag tells the visitor the agent is typing.
+	 *
+	 * @since 1.0.0
+	 */
+	public function ajax_conversation() {
+		$this->verify_request();
+
+		$escalation = $this->get_requested_escalation();
+		$after_id   = intval( $_POST['after_id'] ?? 0 );
+		$live       = $this->get_handoff()->is_live( $escalation );
+
+		if ( ! empty( $_POST['typing'] ) && $live ) {
+			$this->get_handoff()->set_typing( $escalation['conversation_id'], 'agent' );
+		}
+
+		$this->get_handoff()->touch_presence( get_current_user_id() );
+
+		$status = $this->get_handoff()->get_status( $escalation );
+
+		wp_send_json_success( array(
+			'escalation'     => $this->format_escalation( $escalation ),
+			'messages'       => $this->get_transcript( $escalation['conversation_id'], $after_id ),
+			'lead'           => $this->get_lead( $escalation['conversation_id'] ),
+			'notes'          => trim( (string) $escalation['notes'] ),
+			'visitor_typing' => $status['visitor_typing'],
+			'live'           => $live,
+		) );
+	}
+
+	/**
+	 * Claim an escalation for the current agent.
+	 *
+	 * A chat another agent claimed is only taken over with `takeover`, and
+	 * the takeover is recorded as an internal note.
+	 *
+	 * @since 1.0.0
+	 */
+	public function ajax_claim() {
+		$this->verify_request();
+
+		$escalation = $this->get_requested_escalation();
+
+		if ( ! $this->get_handoff()->is_live( $escalation ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'This conversation is already closed.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 409 );
+		}
+
+		$current_agent = ! empty( $escalation['assigned_to'] ) ? intval( $escalation['assigned_to'] ) : 0;
+		$takeover      = $current_agent && get_current_user_id() !== $current_agent;
+
+		if ( $takeover && empty( $_POST['takeover'] ) ) {
+			$agent = get_user_by( 'id', $current_agent );
+
+			wp_send_json_error( array(
+				'message'    => sprintf(
+					/* translators: %s: agent name */
+					__( '%s has already claimed this conversation.', 'wp-ai-chatbot-leadgen-pro' ),
+					$agent ? $agent->display_name : __( 'Another agent', 'wp-ai-chatbot-leadgen-pro' )
+				),
+				'escalation' => $this->format_escalation( $escalation ),
+			), 409 );
+		}
+
+		$result = $this->get_escalations()->assign_escalation( $escalation['id'], get_current_user_id() );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array(
+				'message' => $result->get_error_message(),
+			), 500 );
+		}
+
+		if ( $takeover ) {
+			$agent = get_user_by( 'id', $current_agent );
+
+			$this->get_escalations()->add_note(
+				$escalation['id'],
+				sprintf(
+					/* translators: %s: agent name */
+					__( 'Took the conversation over from %s.', 'wp-ai-chatbot-leadgen-pro' ),
+					$agent ? $agent->display_name : __( 'another agent', 'wp-ai-chatbot-leadgen-pro' )
+				)
+			);
+		}
+
+		$this->get_handoff()->touch_presence( get_current_user_id() );
+
+		$escalation = $this->get_escalations()->get_escalation( $escalation['id'] );
+
+		wp_send_json_success( array(
+			'escalation' => $this->format_escalation( $escalation ),
+			'notes'      => trim( (string) $escalation['notes'] ),
+		) );
+	}
+
+	/**
+	 * Send the agent's reply to the visitor.
+	 *
+	 * @since 1.0.0
+	 */
+	public function ajax_send() {
+		$this->verify_request();
+
+		$escalation = $this->get_requested_escalation();
+		$this->verify_owner( $escalation );
+
+		$message_id = $this->get_handoff()->add_agent_message(
+			$escalation['id'],
+			get_current_user_id(),
+			wp_unslash( $_POST['message'] ?? '' )
+		);
+
+		if ( is_wp_error( $message_id ) ) {
+			wp_send_json_error( array(
+				'message' => $message_id->get_error_message(),
+			), 400 );
+		}
+
+		wp_send_json_success( array(
+			'message_id' => $message_id,
+		) );
+	}
+
+	/**
+	 * Add an internal note.
+	 *
+	 * @since 1.0.0
+	 */
+	public function ajax_note() {
+		$this->verify_request();
+
+		$escalation = $this->get_requested_escalation();
+		$note       = sanitize_textarea_field( wp_unslash( $_POST['note'] ?? '' ) );
+
+		if ( '' === trim( $note ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'Please enter a note.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 400 );
+		}
+
+		$result = $this->get_escalations()->add_note( $escalation['id'], $note );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array(
+				'message' => $result->get_error_message(),
+			), 500 );
+		}
+
+		$escalation = $this->get_escalations()->get_escalation( $escalation['id'] );
+
+		wp_send_json_success( array(
+			'notes' => trim( (string) $escalation['notes'] ),
+		) );
+	}
+
+	/**
+	 * Resolve the escalation, or return the visitor to the AI unresolved.
+	 *
+	 * @since 1.0.0
+	 */
+	public function ajax_close() {
+		$this->verify_request();
+
+		$escalation = $this->get_requested_escalation();
+		$this->verify_owner( $escalation );
+
+		$status  = 'resolve' === sanitize_key( $_POST['mode'] ?? '' ) ? 'resolved' : 'closed';
+		$summary = wp_unslash( $_POST['summary'] ?? '' );
+
+		$result = $this->get_handoff()->close_session( $escalation['id'], $summary, $status );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array(
+				'message' => $result->get_error_message(),
+			), 400 );
+		}
+
+		wp_send_json_success( array(
+			'escalation' => $this->format_escalation( $this->get_escalations()->get_escalation( $escalation['id'] ) ),
+		) );
+	}
+
+	/**
+	 * Get what the console shows about an escalation.
+	 *
+	 * @since 1.0.0
+	 * @param array $escalation Escalation data.
+	 * @return array Escalation for the console.
+	 */
+	public function format_escalation( $escalation ) {
+		$agent = ! empty( $escalation['assigned_to'] ) ? get_user_by( 'id', $escalation['assigned_to'] ) : null;
+		$lead  = $this->get_lead( $escalation['conversation_id'] );
+
+		return array(
+			'id'              => (int) $escalation['id'],
+			'conversation_id' => (int) $escalation['conversation_id'],
+			'status'          => $escalation['status'],
+			'priority'        => $escalation['priority'],
+			'reason'          => WP_AI_Chatbot_LeadGen_Pro_Escalation_Manager::REASONS[ $escalation['reason'] ] ?? $escalation['reason'],
+			'waiting'         => max( 0, current_time( 'timestamp' ) - strtotime( $escalation['created_at'] ) ),
+			'agent'           => $agent ? array(
+				'id'   => (int) $agent->ID,
+				'name' => $agent->display_name,
+			) : null,
+			'visitor'         => $lead ? $lead['name'] : '',
+			'preview'         => $this->get_preview( $escalation['conversation_id'] ),
+		);
+	}
+
+	/**
+	 * Get the messages of a conversation, including the AI's.
+	 *
+	 * @since 1.0.0
+	 * @param int $conversation_id Conversation ID.
+	 * @param int $after_id        Newest message ID the console has.
+	 * @return array Messages, oldest first.
+	 */
+	private function get_transcript( $conversation_id, $after_id ) {
+		global $wpdb;
+		$table = WP_AI_Chatbot_LeadGen_Pro_Database::get_messages_table();
+
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT id, role, content, created_at FROM {$table}
+				 WHERE conversation_id = %d AND id > %d
+				 ORDER BY id ASC LIMIT 500",
+				$conversation_id,
+				$after_id
+			),
+			ARRAY_A
+		);
+
+		return array_map( function( $row ) {
+			return array(
+				'id'         => (int) $row['id'],
+				'role'       => $row['role'],
+				'content'    => $row['content'],
+				'created_at' => mysql_to_rfc3339( $row['created_at'] ),
+			);
+		}, $rows );
+	}
+
+	/**
+	 * Get the visitor's last message.
+	 *
+	 * @since 1.0.0
+	 * @param int $conversation_id Conversation ID.
+	 * @return string Message, shortened.
+	 */
+	private function get_preview( $conversation_id ) {
+		global $wpdb;
+		$table = WP_AI_Chatbot_LeadGen_Pro_Database::get_messages_table();
+
+		$content = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT content FROM {$table} WHERE conversation_id = %d AND role = 'user' ORDER BY id DESC LIMIT 1",
+				$conversation_id
+			)
+		);
+
+		return $content ? wp_trim_words( $content, 15, '...' ) : '';
+	}
+
+	/**
+	 * Get the lead captured in a conversation.
+	 *
+	 * @since 1.0.0
+	 * @param int $conversation_id Conversation ID.
+	 * @return array|null {id, name, email, company, score, grade, status}, or null.
+	 */
+	private function get_lead( $conversation_id ) {
+		global $wpdb;
+		$table = WP_AI_Chatbot_LeadGen_Pro_Database::get_conversations_table();
+
+		$storage = new WP_AI_Chatbot_LeadGen_Pro_Lead_Storage();
+		$lead_id = (int) $wpdb->get_var(
+			$wpdb->prepare( "SELECT lead_id FROM {$table} WHERE id = %d", $conversation_id )
+		);
+
+		$lead = $lead_id ? $storage->get( $lead_id ) : null;
+
+		if ( ! $lead ) {
+			$leads = $storage->get_by_conversation( $conversation_id );
+			$lead  = $leads ? $leads[0] : null;
+		}
+
+		if ( ! $lead ) {
+			return null;
+		}
+
+		$name = trim( ( $lead['first_name'] ?? '' ) . ' ' . ( $lead['last_name'] ?? '' ) );
+
+		return array(
+			'id'      => (int) $lead['id'],
+			'name'    => $name ? $name : $lead['email'],
+			'email'   => $lead['email'],
+			'company' => $lead['company'] ?? '',
+			'score'   => (int) ( $lead['lead_score'] ?? 0 ),
+			'grade'   => $lead['lead_grade'] ?? '',
+			'status'  => $lead['status'] ?? '',
+		);
+	}
+
+	/**
+	 * Get the escalation from the request, or end it if there is none.
+	 *
+	 * @since 1.0.0
+	 * @return array Escalation data.
+	 */
+	private function get_requested_escalation() {
+		$escalation = $this->get_escalations()->get_escalation( intval( $_POST['escalation_id'] ?? 0 ) );
+
+		if ( ! $escalation ) {
+			wp_send_json_error( array(
+				'message' => __( 'Escalation not found.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 404 );
+		}
+
+		return $escalation;
+	}
+
+	/**
+	 * End the request unless the current agent has claimed the escalation.
+	 *
+	 * @since 1.0.0
+	 * @param array $escalation Escalation data.
+	 */
+	private function verify_owner( $escalation ) {
+		if ( intval( $escalation['assigned_to'] ) !== get_current_user_id() ) {
+			wp_send_json_error( array(
+				'message' => __( 'Claim this conversation first.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 403 );
+		}
+	}
+
+	/**
+	 * End the request if the nonce or the agent's capability is missing.
+	 *
+	 * @since 1.0.0
+	 */
+	private function verify_request() {
+		if ( ! check_ajax_referer( 'wp_ai_chatbot_agent_console', 'nonce', false ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'Security check failed. Please refresh and try again.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 403 );
+		}
+
+		if ( ! current_user_can( $this->get_capability() ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'You do not have permission to answer chats.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 403 );
+		}
+	}
+
+	/**
+	 * Get the escalation manager, created on first use.
+	 *
+	 * @since 1.0.0
+	 * @return WP_AI_Chatbot_LeadGen_Pro_Escalation_Manager Escalation manager.
+	 */
+	private function get_escalations() {
+		if ( ! $this->escalations ) {
+			$this->escalations = new WP_AI_Chatbot_LeadGen_Pro_Escalation_Manager();
+		}
+
+		return $this->escalations;
+	}
+
+	/**
+	 * Get the handoff, created on first use.
+	 *
+	 * @since 1.0.0
+	 * @return WP_AI_Chatbot_LeadGen_Pro_Conversation_Handoff Handoff without its widget hooks.
+	 */
+	private function get_handoff() {
+		if ( ! $this->handoff ) {
+			$this->handoff = new WP_AI_Chatbot_LeadGen_Pro_Conversation_Handoff( false );
+		}
+
+		return $this->handoff;
+	}
+}
@@ -146,7 +146,7 @@ class WP_AI_Chatbot_LeadGen_Pro_Content_Ingestion_Admin {
 		wp_enqueue_script(
 			'wp-ai-chatbot-content-ingestion-admin',
 			WP_AI_CHATBOT_LEADGEN_PRO_URL . 'assets/js/admin-content-ingestion.js',
-			array( 'jquery' ),
+			array( 'jquery', 'wp-ai-chatbot-i18n' ),
 			WP_AI_CHATBOT_LEADGEN_PRO_VERSION,
 			true
 		);
@@ -122,7 +122,7 @@ class WP_AI_Chatbot_LeadGen_Pro_Content_Manager_Admin {
 		wp_enqueue_script(
 			'wp-ai-chatbot-content-manager-admin',
 			WP_AI_CHATBOT_LEADGEN_PRO_URL . 'assets/js/admin-content-manager.js',
-			array( 'jquery' ),
+			array( 'jquery', 'wp-ai-chatbot-i18n' ),
 			WP_AI_CHATBOT_LEADGEN_PRO_VERSION,
 			true
 		);
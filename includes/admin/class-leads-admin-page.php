@@ -123,7 +123,7 @@ class WP_AI_Chatbot_LeadGen_Pro_Leads_Admin_Page {
 		wp_enqueue_script(
 			'wp-ai-chatbot-leads-admin',
 			plugin_dir_url( dirname( dirname( __FILE__ ) ) ) . 'assets/js/leads-admin.js',
-			array( 'jquery', 'wp-util' ),
+			array( 'jquery', 'wp-util', 'wp-ai-chatbot-i18n' ),
 			WP_AI_CHATBOT_LEADGEN_PRO_VERSION,
 			true
 		);
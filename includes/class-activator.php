@@ -248,6 +248,50 @@ class WP_AI_Chatbot_LeadGen_Pro_Activator {
 			KEY status (status)
 		) $charset_collate;";
 
+		// Table for answer feedback
+		$table_feedback = $wpdb->prefix . 'wp_ai_chatbot_feedback';
+		$sql_feedback = "CREATE TABLE IF NOT EXISTS $table_feedback (
+			id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+			conversation_id bigint(20) UNSIGNED NOT NULL,
+			message_id bigint(20) UNSIGNED NOT NULL,
+			session_id varchar(64) NOT NULL,
+			user_id bigint(20) UNSIGNED DEFAULT NULL,
+			feedback_type varchar(20) NOT NULL,
+			feedback_value tinyint NOT NULL,
+			reason varchar(50) DEFAULT NULL,
+			comment text DEFAULT NULL,
+			query_text text DEFAULT NULL,
+			response_text text DEFAULT NULL,
+			context_data longtext DEFAULT NULL,
+			created_at datetime NOT NULL,
+			PRIMARY KEY (id),
+			KEY conversation_id (conversation_id),
+			KEY message_id (message_id),
+			KEY session_id (session_id),
+			KEY feedback_type (feedback_type),
+			KEY feedback_value (feedback_value),
+			KEY created_at (created_at),
+			UNIQUE KEY unique_feedback (message_id, session_id)
+		) $charset_collate;";
+
+		// Table for end-of-conversation CSAT/NPS answers
+		$table_surveys = $wpdb->prefix . 'wp_ai_chatbot_surveys';
+		$sql_surveys = "CREATE TABLE IF NOT EXISTS $table_surveys (
+			id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+			conversation_id bigint(20) UNSIGNED NOT NULL,
+			session_id varchar(64) NOT NULL,
+			user_id bigint(20) UNSIGNED DEFAULT NULL,
+			survey_type varchar(10) NOT NULL,
+			score tinyint NOT NULL,
+			comment text DEFAULT NULL,
+			page_url varchar(2048) DEFAULT NULL,
+			created_at datetime NOT NULL,
+			PRIMARY KEY (id),
+			KEY survey_type (survey_type),
+			KEY created_at (created_at),
+			UNIQUE KEY unique_response (conversation_id, survey_type)
+		) $charset_collate;";
+
 		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
 		dbDelta( $sql_conversations );
 		dbDelta( $sql_messages );
@@ -260,6 +304,8 @@ class WP_AI_Chatbot_LeadGen_Pro_Activator {
 		dbDelta( $sql_analytics );
 		dbDelta( $sql_ab_tests );
 		dbDelta( $sql_webhooks );
+		dbDelta( $sql_feedback );
+		dbDelta( $sql_surveys );
 
 		// Set default options
 		self::set_default_options();
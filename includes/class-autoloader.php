@@ -180,6 +180,8 @@ class WP_AI_Chatbot_LeadGen_Pro_Autoloader {
 		$this->class_map['WP_AI_Chatbot_LeadGen_Pro_Database'] = $this->base_dir . 'class-database.php';
 		$this->class_map['WP_AI_Chatbot_LeadGen_Pro_Config'] = $this->base_dir . 'class-config.php';
 		$this->class_map['WP_AI_Chatbot_LeadGen_Pro_Multisite'] = $this->base_dir . 'class-multisite.php';
+		$this->class_map['WP_AI_Chatbot_LeadGen_Pro_Escalation_Manager'] = $this->base_dir . 'conversation/class-escalation-manager.php';
+		$this->class_map['WP_AI_Chatbot_LeadGen_Pro_Agent_Console_Admin'] = $this->base_dir . 'admin/class-agent-console-admin.php';
 	}
 }
 
@@ -69,6 +69,9 @@ class WP_AI_Chatbot_LeadGen_Pro_Config {
 			'widget_color_primary'           => '#0073aa',
 			'widget_color_secondary'         => '#ffffff',
 
+			// Chat Attachments
+			'attachment_max_chars'           => 8000,
+
 			// Lead Capture Settings
 			'lead_capture_enabled'           => true,
 			'lead_capture_trigger'           => 'after_engagement',
@@ -76,6 +79,15 @@ class WP_AI_Chatbot_LeadGen_Pro_Config {
 			'require_email'                  => true,
 			'require_phone'                  => false,
 
+			// Conversation Survey Settings
+			'survey_type'                    => 'off',
+			'survey_question'                => '',
+			'survey_ask_comment'             => true,
+			'survey_min_messages'            => 2,
+			'survey_inactivity_seconds'      => 120,
+			'survey_cooldown_days'           => 30,
+			'survey_max_per_visitor'         => 3,
+
 			// Content Ingestion Settings
 			'auto_index_enabled'             => true,
 			'index_sitemap'                  => true,
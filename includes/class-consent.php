@@ -0,0 +1,118 @@
+<?php
+/**
+ * Visitor consent for browser storage and tracking.
+ *
+ * Prints the consent settings read by assets/js/consent.js and tells
+ * consent plugins through the WP Consent API what the chat scripts store.
+ *
+ * @package    WP_AI_Chatbot_LeadGen_Pro
+ * @subpackage WP_AI_Chatbot_LeadGen_Pro/includes
+ * @since      1.0.0
+ */
+class WP_AI_Chatbot_LeadGen_Pro_Consent {
+
+	/**
+	 * Register the consent script with the site's consent settings.
+	 *
+	 * With the 'required' mode (the wp_ai_chatbot_consent_mode option) the
+	 * chat scripts keep everything in memory and track nothing until the
+	 * visitor consents through a consent manager or WPAIChatbot.setConsent().
+	 *
+	 * @since 1.0.0
+	 */
+	public function register_script() {
+		wp_register_script(
+			'wp-ai-chatbot-consent',
+			WP_AI_CHATBOT_LEADGEN_PRO_URL . 'assets/js/consent.js',
+			array(),
+			WP_AI_CHATBOT_LEADGEN_PRO_VERSION,
+			true
+		);
+
+		/**
+		 * Filter the consent settings of the chat scripts.
+		 *
+		 * @since 1.0.0
+		 * @param array $settings {
+		 *     @type string $mode           'off' or 'required'.
+		 *     @type array  $categories     WP Consent API category of 'storage' and 'tracking'.
+		 *     @type array  $tcfPurposes    TCF purpose IDs of 'storage' and 'tracking'.
+		 *     @type array  $googleTypes    Google Consent Mode type of 'storage' and 'tracking'.
+		 *     @type bool   $respectSignals Whether Global Privacy Control and Do Not Track turn tracking off.
+		 * }
+		 */
+		$settings = apply_filters(
+			'wp_ai_chatbot_consent_settings',
+			array(
+				'mode'           => 'required' === get_option( 'wp_ai_chatbot_consent_mode', 'off' ) ? 'required' : 'off',
+				'categories'     => array(
+					'storage'  => 'preferences',
+					'tracking' => 'statistics',
+				),
+				'tcfPurposes'    => array(
+					'storage'  => array( 1 ),
+					'tracking' => array( 1, 8 ),
+				),
+				'googleTypes'    => array(
+					'storage'  => 'functionality_storage',
+					'tracking' => 'analytics_storage',
+				),
+				'respectSignals' => true,
+			)
+		);
+
+		wp_add_inline_script(
+			'wp-ai-chatbot-consent',
+			'window.wpAiChatbotConsent = ' . wp_json_encode( $settings ) . ';',
+			'before'
+		);
+	}
+
+	/**
+	 * Declare that the plugin follows the WP Consent API.
+	 *
+	 * Hooked to wp_consent_api_registered_{plugin}, so consent plugins
+	 * don't list it as unregistered.
+	 *
+	 * @since 1.0.0
+	 * @return bool Always true.
+	 */
+	public function register_with_consent_api() {
+		return true;
+	}
+
+	/**
+	 * Describe the stored values for consent plugins' cookie policies.
+	 *
+	 * @since 1.0.0
+	 */
+	public function add_cookie_info() {
+		if ( ! function_exists( 'wp_add_cookie_info' ) ) {
+			return;
+		}
+
+		wp_add_cookie_info(
+			'wp_ai_chatbot*',
+			__( 'AI Chatbot', 'wp-ai-chatbot-leadgen-pro' ),
+			'preferences',
+			__( '30 days', 'wp-ai-chatbot-leadgen-pro' ),
+			__( 'Keeps the chat conversation, widget state and lead form state between pages and visits.', 'wp-ai-chatbot-leadgen-pro' ),
+			__( 'Messages and contact details entered in the chat', 'wp-ai-chatbot-leadgen-pro' ),
+			false,
+			false,
+			'localstorage'
+		);
+
+		wp_add_cookie_info(
+			'wp_ai_chatbot*:visitor_id',
+			__( 'AI Chatbot', 'wp-ai-chatbot-leadgen-pro' ),
+			'statistics',
+			__( '1 year', 'wp-ai-chatbot-leadgen-pro' ),
+			__( 'Recognizes returning visitors to score leads by their page views, scrolling and clicks.', 'wp-ai-chatbot-leadgen-pro' ),
+			__( 'Visitor ID', 'wp-ai-chatbot-leadgen-pro' ),
+			false,
+			false,
+			'localstorage'
+		);
+	}
+}
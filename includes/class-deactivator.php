@@ -76,6 +76,12 @@ class WP_AI_Chatbot_LeadGen_Pro_Deactivator {
 		if ( $timestamp ) {
 			wp_unschedule_event( $timestamp, 'wp_ai_chatbot_cleanup_old_data' );
 		}
+
+		// Clear daily cleanup schedule (enrichment cache, chat attachments)
+		$timestamp = wp_next_scheduled( 'wp_ai_chatbot_daily_cleanup' );
+		if ( $timestamp ) {
+			wp_unschedule_event( $timestamp, 'wp_ai_chatbot_daily_cleanup' );
+		}
 	}
 
 	/**
@@ -140,6 +146,8 @@ class WP_AI_Chatbot_LeadGen_Pro_Deactivator {
 			$wpdb->prefix . 'ai_chatbot_analytics',
 			$wpdb->prefix . 'ai_chatbot_ab_tests',
 			$wpdb->prefix . 'ai_chatbot_webhooks',
+			$wpdb->prefix . 'wp_ai_chatbot_feedback',
+			$wpdb->prefix . 'wp_ai_chatbot_surveys',
 		);
 
 		// Drop tables (CASCADE will handle foreign key constraints)
@@ -23,5 +23,53 @@ class WP_AI_Chatbot_LeadGen_Pro_i18n {
 			dirname( dirname( plugin_basename( __FILE__ ) ) ) . '/languages/'
 		);
 	}
+
+	/**
+	 * Register the script translation helpers (assets/js/i18n.js).
+	 *
+	 * Other plugin scripts list 'wp-ai-chatbot-i18n' as a dependency. The
+	 * site locale and text direction are printed before it so the widget
+	 * can mirror its layout for right-to-left languages.
+	 *
+	 * @since    1.0.0
+	 */
+	public function register_scripts() {
+		wp_register_script(
+			'wp-ai-chatbot-i18n',
+			WP_AI_CHATBOT_LEADGEN_PRO_URL . 'assets/js/i18n.js',
+			array( 'wp-i18n' ),
+			WP_AI_CHATBOT_LEADGEN_PRO_VERSION,
+			true
+		);
+
+		wp_add_inline_script(
+			'wp-ai-chatbot-i18n',
+			'window.wpAiChatbotI18n = ' . wp_json_encode(
+				array(
+					'locale' => determine_locale(),
+					'rtl'    => is_rtl(),
+				)
+			) . ';',
+			'before'
+		);
+	}
+
+	/**
+	 * Load the JSON translations of every registered plugin script.
+	 *
+	 * Runs after the scripts are enqueued, so each one gets the strings
+	 * from languages/wp-ai-chatbot-leadgen-pro-{locale}-{hash}.json.
+	 *
+	 * @since    1.0.0
+	 */
+	public function set_script_translations() {
+		$path = WP_AI_CHATBOT_LEADGEN_PRO_PATH . 'languages';
+
+		foreach ( array_keys( wp_scripts()->registered ) as $handle ) {
+			if ( 0 === strpos( $handle, 'wp-ai-chatbot-' ) ) {
+				wp_set_script_translations( $handle, 'wp-ai-chatbot-leadgen-pro', $path );
+			}
+		}
+	}
 }
 
@@ -101,8 +101,8 @@ class WP_AI_Chatbot_LeadGen_Pro_Migrations {
 	private function get_migrations() {
 		return array(
 			'1.0.0' => 'migration_1_0_0', // Initial schema (already done in activator)
+			'1.1.0' => 'migration_1_1_0', // Answer feedback and survey tables
 			// Future migrations will be added here:
-			// '1.1.0' => 'migration_1_1_0',
 			// '1.2.0' => 'migration_1_2_0',
 		);
 	}
@@ -119,6 +119,69 @@ class WP_AI_Chatbot_LeadGen_Pro_Migrations {
 		// This method exists for consistency and future reference
 	}
 
+	/**
+	 * Migration 1.1.0 - Answer feedback and CSAT/NPS survey tables.
+	 *
+	 * Sites activated before 1.1.0 don't have the tables, and activation
+	 * does not run again when the plugin is updated.
+	 *
+	 * @since 1.1.0
+	 */
+	private function migration_1_1_0() {
+		global $wpdb;
+
+		$charset_collate = $wpdb->get_charset_collate();
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+		$table_feedback = $wpdb->prefix . 'wp_ai_chatbot_feedback';
+
+		if ( ! $this->table_exists( $table_feedback ) ) {
+			dbDelta( "CREATE TABLE IF NOT EXISTS {$table_feedback} (
+				id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+				conversation_id bigint(20) UNSIGNED NOT NULL,
+				message_id bigint(20) UNSIGNED NOT NULL,
+				session_id varchar(64) NOT NULL,
+				user_id bigint(20) UNSIGNED DEFAULT NULL,
+				feedback_type varchar(20) NOT NULL,
+				feedback_value tinyint NOT NULL,
+				reason varchar(50) DEFAULT NULL,
+				comment text DEFAULT NULL,
+				query_text text DEFAULT NULL,
+				response_text text DEFAULT NULL,
+				context_data longtext DEFAULT NULL,
+				created_at datetime NOT NULL,
+				PRIMARY KEY (id),
+				KEY conversation_id (conversation_id),
+				KEY message_id (message_id),
+				KEY session_id (session_id),
+				KEY feedback_type (feedback_type),
+				KEY feedback_value (feedback_value),
+				KEY created_at (created_at),
+				UNIQUE KEY unique_feedback (message_id, session_id)
+			) $charset_collate;" );
+		}
+
+		$table_surveys = $wpdb->prefix . 'wp_ai_chatbot_surveys';
+
+		if ( ! $this->table_exists( $table_surveys ) ) {
+			dbDelta( "CREATE TABLE IF NOT EXISTS {$table_surveys} (
+				id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+				conversation_id bigint(20) UNSIGNED NOT NULL,
+				session_id varchar(64) NOT NULL,
+				user_id bigint(20) UNSIGNED DEFAULT NULL,
+				survey_type varchar(10) NOT NULL,
+				score tinyint NOT NULL,
+				comment text DEFAULT NULL,
+				page_url varchar(2048) DEFAULT NULL,
+				created_at datetime NOT NULL,
+				PRIMARY KEY (id),
+				KEY survey_type (survey_type),
+				KEY created_at (created_at),
+				UNIQUE KEY unique_response (conversation_id, survey_type)
+			) $charset_collate;" );
+		}
+	}
+
 	/**
 	 * Example migration method template.
 	 *
@@ -127,7 +190,7 @@ class WP_AI_Chatbot_LeadGen_Pro_Migrations {
 	 * @since 1.0.0
 	 */
 	/*
-	private function migration_1_1_0() {
+	private function migration_1_2_0() {
 		global $wpdb;
 
 		$table = WP_AI_Chatbot_LeadGen_Pro_Database::get_conversations_table();
@@ -471,5 +471,45 @@ class WP_AI_Chatbot_LeadGen_Pro_Multisite {
 
 		return $active_sites;
 	}
-}
 
+	/**
+	 * Register the browser storage script with this site's settings.
+	 *
+	 * Values the chat scripts store in the browser are namespaced per site,
+	 * so sites of a network on one domain keep their own conversations.
+	 *
+	 * @since 1.0.0
+	 */
+	public function register_storage_script() {
+		wp_register_script(
+			'wp-ai-chatbot-storage',
+			WP_AI_CHATBOT_LEADGEN_PRO_URL . 'assets/js/storage.js',
+			array( 'wp-ai-chatbot-consent' ),
+			WP_AI_CHATBOT_LEADGEN_PRO_VERSION,
+			true
+		);
+
+		/**
+		 * Filter the browser storage settings.
+		 *
+		 * @since 1.0.0
+		 * @param array $settings {
+		 *     @type string $namespace Prefix of the stored keys.
+		 *     @type int    $ttl       Default lifetime of stored values, in seconds.
+		 * }
+		 */
+		$settings = apply_filters(
+			'wp_ai_chatbot_storage_settings',
+			array(
+				'namespace' => $this->is_multisite ? 'wp_ai_chatbot_' . get_current_blog_id() : 'wp_ai_chatbot',
+				'ttl'       => (int) get_option( 'wp_ai_chatbot_storage_ttl', 30 * DAY_IN_SECONDS ),
+			)
+		);
+
+		wp_add_inline_script(
+			'wp-ai-chatbot-storage',
+			'window.wpAiChatbotStorage = ' . wp_json_encode( $settings ) . ';',
+			'before'
+		);
+	}
+}
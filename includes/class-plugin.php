@@ -91,6 +91,12 @@ class WP_AI_Chatbot_LeadGen_Pro_Plugin {
 	private function set_locale() {
 		$plugin_i18n = new WP_AI_Chatbot_LeadGen_Pro_i18n();
 		$this->loader->add_action( 'plugins_loaded', $plugin_i18n, 'load_plugin_textdomain' );
+
+		// Script translations, for the front end and admin screens
+		foreach ( array( 'wp_enqueue_scripts', 'admin_enqueue_scripts' ) as $hook ) {
+			$this->loader->add_action( $hook, $plugin_i18n, 'register_scripts', 5 );
+			$this->loader->add_action( $hook, $plugin_i18n, 'set_script_translations', 100 );
+		}
 	}
 
 	/**
@@ -107,6 +113,10 @@ class WP_AI_Chatbot_LeadGen_Pro_Plugin {
 		$content_manager_admin = new WP_AI_Chatbot_LeadGen_Pro_Content_Manager_Admin();
 		$content_manager_admin->register_hooks();
 
+		// Agent Console Admin
+		$agent_console_admin = new WP_AI_Chatbot_LeadGen_Pro_Agent_Console_Admin();
+		$agent_console_admin->register_hooks();
+
 		// Scheduled Re-indexer
 		$scheduled_reindexer = new WP_AI_Chatbot_LeadGen_Pro_Scheduled_Reindexer();
 		$scheduled_reindexer->register_hooks();
@@ -141,6 +151,15 @@ class WP_AI_Chatbot_LeadGen_Pro_Plugin {
 			$this->loader->add_action( 'wp_delete_site', $multisite, 'cleanup_site', 10, 1 );
 		}
 
+		// Visitor consent for browser storage and tracking
+		$consent = new WP_AI_Chatbot_LeadGen_Pro_Consent();
+		$this->loader->add_action( 'wp_enqueue_scripts', $consent, 'register_script', 5 );
+		$this->loader->add_action( 'init', $consent, 'add_cookie_info' );
+		$this->loader->add_filter( 'wp_consent_api_registered_' . WP_AI_CHATBOT_LEADGEN_PRO_BASENAME, $consent, 'register_with_consent_api' );
+
+		// Per-site browser storage for the chat scripts
+		$this->loader->add_action( 'wp_enqueue_scripts', $multisite, 'register_storage_script', 5 );
+
 		// Register REST API routes
 		$this->loader->add_action( 'rest_api_init', $this, 'register_rest_routes' );
 
@@ -148,6 +167,35 @@ class WP_AI_Chatbot_LeadGen_Pro_Plugin {
 		$this->loader->add_action( 'wp_ajax_wp_ai_chatbot', $this, 'handle_ajax_request' );
 		$this->loader->add_action( 'wp_ajax_nopriv_wp_ai_chatbot', $this, 'handle_ajax_request' );
 
+		// Citation click tracking from the chat widget
+		$citation_tracker = new WP_AI_Chatbot_LeadGen_Pro_Citation_Tracker();
+		$citation_tracker->register_hooks();
+
+		// Chat messages from the widget, answered as JSON or streamed
+		$message_handler = new WP_AI_Chatbot_LeadGen_Pro_Message_Handler();
+		$message_handler->register_hooks();
+
+		// Files attached in the chat composer
+		$attachment_handler = new WP_AI_Chatbot_LeadGen_Pro_Message_Attachment_Handler();
+		$attachment_handler->register_hooks();
+
+		// Thumbs up/down, reasons and comments on answers in the chat widget
+		$feedback_handler = new WP_AI_Chatbot_LeadGen_Pro_Feedback_Handler();
+		$feedback_handler->register_hooks();
+
+		// CSAT/NPS survey at the end of a chat
+		$conversation_survey = new WP_AI_Chatbot_LeadGen_Pro_Conversation_Survey();
+		$conversation_survey->register_hooks();
+
+		// Transcript download, email and copy from the chat widget
+		new WP_AI_Chatbot_LeadGen_Pro_Conversation_Transcript_Handler();
+
+		// Live chat with a human agent once a conversation is escalated
+		new WP_AI_Chatbot_LeadGen_Pro_Conversation_Handoff();
+
+		// Lead submissions, from the lead form or asked in the chat
+		new WP_AI_Chatbot_LeadGen_Pro_Lead_Capture_Handler();
+
 		// Register activation/deactivation hooks for multisite
 		if ( is_multisite() ) {
 			register_activation_hook( WP_AI_CHATBOT_LEADGEN_PRO_BASENAME, array( $this, 'activate_multisite' ) );
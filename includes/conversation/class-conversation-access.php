@@ -0,0 +1,97 @@
+<?php
+/**
+ * Conversation Access.
+ *
+ * Decides whether the visitor behind a chat widget request may read or act
+ * on a conversation, for the transcript, feedback, survey and handoff
+ * handlers.
+ *
+ * Guests are matched by the session ID the server stored with the
+ * conversation (WP_AI_Chatbot_LeadGen_Pro_Conversation_Manager::get_session_id()).
+ * The widget gets it back with every answer and sends it as `session_id`.
+ *
+ * @package    WP_AI_Chatbot_LeadGen_Pro
+ * @subpackage WP_AI_Chatbot_LeadGen_Pro/includes/conversation
+ * @since      1.0.0
+ */
+class WP_AI_Chatbot_LeadGen_Pro_Conversation_Access {
+
+	/**
+	 * End the request if the chat widget nonce is invalid.
+	 *
+	 * @since 1.0.0
+	 */
+	public static function verify_nonce() {
+		if ( ! check_ajax_referer( 'wp_ai_chatbot_ajax', 'nonce', false ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'Security check failed. Please refresh and try again.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 403 );
+		}
+	}
+
+	/**
+	 * Get the visitor's session ID for the current request.
+	 *
+	 * The `session_id` the widget sent, or else the one in the visitor's
+	 * PHP session, if there is one.
+	 *
+	 * @since 1.0.0
+	 * @return string Session ID.
+	 */
+	public static function get_session_id() {
+		$session_id = sanitize_text_field( wp_unslash( $_POST['session_id'] ?? '' ) );
+
+		if ( ! $session_id && ( session_id() || isset( $_COOKIE[ session_name() ] ) ) ) {
+			$manager    = new WP_AI_Chatbot_LeadGen_Pro_Conversation_Manager();
+			$session_id = $manager->get_session_id();
+		}
+
+		return $session_id;
+	}
+
+	/**
+	 * Check if the current visitor may read a conversation.
+	 *
+	 * Site managers can read any conversation, logged-in visitors their
+	 * own, and guests the conversation of their session.
+	 *
+	 * @since 1.0.0
+	 * @param int         $conversation_id Conversation ID.
+	 * @param string|null $session_id      Visitor session ID, from the request if null.
+	 * @return bool Whether access is allowed.
+	 */
+	public static function can_access_conversation( $conversation_id, $session_id = null ) {
+		global $wpdb;
+		$table = WP_AI_Chatbot_LeadGen_Pro_Database::get_conversations_table();
+
+		if ( null === $session_id ) {
+			$session_id = self::get_session_id();
+		}
+
+		$conversation = $wpdb->get_row(
+			$wpdb->prepare( "SELECT user_id, session_id FROM {$table} WHERE id = %d", $conversation_id )
+		);
+
+		$allowed = false;
+
+		if ( $conversation ) {
+			if ( current_user_can( 'manage_options' ) ) {
+				$allowed = true;
+			} elseif ( ! empty( $conversation->user_id ) ) {
+				$allowed = intval( $conversation->user_id ) === get_current_user_id();
+			} elseif ( $session_id && $conversation->session_id ) {
+				$allowed = hash_equals( (string) $conversation->session_id, (string) $session_id );
+			}
+		}
+
+		/**
+		 * Filters whether the current visitor may read a conversation.
+		 *
+		 * @since 1.0.0
+		 * @param bool   $allowed         Whether access is allowed.
+		 * @param int    $conversation_id Conversation ID.
+		 * @param string $session_id      Visitor session ID.
+		 */
+		return (bool) apply_filters( 'wp_ai_chatbot_can_access_conversation', $allowed, $conversation_id, $session_id );
+	}
+}
@@ -0,0 +1,702 @@
+<?php
+/**
+ * Conversation Handoff.
+ *
+ * Live chat between a visitor and a human agent once a conversation is
+ * escalated through Escalation_Manager. The widget (assets/js/live-handoff.js)
+ * polls for its place in the queue, the agent who picked it up, their
+ * typing and presence, and their messages, until the agent closes the
+ * session with a summary and the visitor is back with the AI.
+ *
+ * Agent messages are stored with the role 'agent' and the closing summary
+ * as a 'system' message, so it is part of the conversation the AI reads.
+ *
+ * @package    WP_AI_Chatbot_LeadGen_Pro
+ * @subpackage WP_AI_Chatbot_LeadGen_Pro/includes/conversation
+ * @since      1.0.0
+ */
+class WP_AI_Chatbot_LeadGen_Pro_Conversation_Handoff {
+
+	/**
+	 * Seconds a typing signal lasts without a new one.
+	 *
+	 * @since 1.0.0
+	 * @var int
+	 */
+	const TYPING_TIMEOUT = 6;
+
+	/**
+	 * Seconds since an agent was last seen for them to count as online.
+	 *
+	 * @since 1.0.0
+	 * @var int
+	 */
+	const PRESENCE_TIMEOUT = 60;
+
+	/**
+	 * User meta with the time an agent was last seen.
+	 *
+	 * @since 1.0.0
+	 * @var string
+	 */
+	const PRESENCE_META = 'wp_ai_chatbot_agent_seen';
+
+	/**
+	 * Messages returned per poll.
+	 *
+	 * @since 1.0.0
+	 * @var int
+	 */
+	const POLL_LIMIT = 50;
+
+	/**
+	 * Logger instance.
+	 *
+	 * @since 1.0.0
+	 * @var WP_AI_Chatbot_LeadGen_Pro_Logger
+	 */
+	private $logger;
+
+	/**
+	 * Escalation manager instance.
+	 *
+	 * @since 1.0.0
+	 * @var WP_AI_Chatbot_LeadGen_Pro_Escalation_Manager
+	 */
+	private $escalations;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.0.0
+	 * @param bool $register_hooks Optional. Register the widget's AJAX actions. Default true.
+	 */
+	public function __construct( $register_hooks = true ) {
+		$this->logger = WP_AI_Chatbot_LeadGen_Pro_Logger::get_instance();
+
+		if ( $register_hooks ) {
+			$this->init_hooks();
+		}
+	}
+
+	/**
+	 * Initialize hooks.
+	 *
+	 * @since 1.0.0
+	 */
+	private function init_hooks() {
+		add_action( 'wp_ajax_wp_ai_chatbot_request_handoff', array( $this, 'handle_request' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_request_handoff', array( $this, 'handle_request' ) );
+
+		add_action( 'wp_ajax_wp_ai_chatbot_poll_handoff', array( $this, 'handle_poll' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_poll_handoff', array( $this, 'handle_poll' ) );
+
+		add_action( 'wp_ajax_wp_ai_chatbot_send_handoff_message', array( $this, 'handle_message' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_send_handoff_message', array( $this, 'handle_message' ) );
+
+		add_action( 'wp_ajax_wp_ai_chatbot_end_handoff', array( $this, 'handle_end' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_end_handoff', array( $this, 'handle_end' ) );
+	}
+
+	/**
+	 * Ask for a human agent.
+	 *
+	 * Joins the queue, or returns the handoff already open for the
+	 * conversation.
+	 *
+	 * @since 1.0.0
+	 */
+	public function handle_request() {
+		WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::verify_nonce();
+
+		$conversation_id = $this->get_requested_conversation();
+		$reason          = sanitize_key( $_POST['reason'] ?? 'user_request' );
+
+		if ( ! isset( WP_AI_Chatbot_LeadGen_Pro_Escalation_Manager::REASONS[ $reason ] ) ) {
+			$reason = 'user_request';
+		}
+
+		$escalation_id = $this->get_escalations()->create_escalation( $conversation_id, $reason );
+
+		if ( is_wp_error( $escalation_id ) ) {
+			$data = $escalation_id->get_error_data();
+
+			if ( 'escalation_exists' !== $escalation_id->get_error_code() || empty( $data['escalation_id'] ) ) {
+				wp_send_json_error( array(
+					'message' => $escalation_id->get_error_message(),
+				), 500 );
+			}
+
+			$escalation_id = $data['escalation_id'];
+		}
+
+		$escalation = $this->get_escalations()->get_escalation( $escalation_id );
+
+		wp_send_json_success( array_merge(
+			$this->get_status( $escalation ),
+			array(
+				'message'         => $this->get_escalations()->get_escalation_message( $escalation['reason'], $escalation['priority'] ),
+				'last_message_id' => $this->get_last_message_id( $conversation_id ),
+			)
+		) );
+	}
+
+	/**
+	 * Get the handoff status and the agent's messages since the last poll.
+	 *
+	 * A `typing` flag in the request tells the agent the visitor is typing.
+	 *
+	 * @since 1.0.0
+	 */
+	public function handle_poll() {
+		WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::verify_nonce();
+
+		$conversation_id = $this->get_requested_conversation();
+		$escalation      = $this->get_requested_escalation( $conversation_id );
+
+		if ( ! empty( $_POST['typing'] ) && $this->is_live( $escalation ) ) {
+			$this->set_typing( $conversation_id, 'visitor' );
+		}
+
+		$data = $this->get_status( $escalation );
+
+		$data['messages'] = $this->get_messages_since( $conversation_id, intval( $_POST['after_id'] ?? 0 ) );
+
+		wp_send_json_success( $data );
+	}
+
+	/**
+	 * Send a visitor message to the agent.
+	 *
+	 * @since 1.0.0
+	 */
+	public function handle_message() {
+		WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::verify_nonce();
+
+		$conversation_id = $this->get_requested_conversation();
+		$escalation      = $this->get_requested_escalation( $conversation_id );
+		$message         = sanitize_textarea_field( wp_unslash( $_POST['message'] ?? '' ) );
+
+		if ( '' === trim( $message ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'Please enter a message.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 400 );
+		}
+
+		if ( ! $this->is_live( $escalation ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'This chat with our team has ended.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 409 );
+		}
+
+		$message_id = $this->add_message( $conversation_id, 'user', $message );
+
+		if ( ! $message_id ) {
+			wp_send_json_error( array(
+				'message' => __( 'Failed to send message.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 500 );
+		}
+
+		delete_transient( $this->get_typing_key( $conversation_id, 'visitor' ) );
+
+		wp_send_json_success( array(
+			'message_id' => $message_id,
+		) );
+	}
+
+	/**
+	 * Leave the queue or end the chat with the agent.
+	 *
+	 * @since 1.0.0
+	 */
+	public function handle_end() {
+		WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::verify_nonce();
+
+		$conversation_id = $this->get_requested_conversation();
+		$escalation      = $this->get_requested_escalation( $conversation_id );
+
+		if ( $this->is_live( $escalation ) ) {
+			if ( 'pending' === $escalation['status'] ) {
+				$this->get_escalations()->update_status( $escalation['id'], 'closed', __( 'The visitor left the queue.', 'wp-ai-chatbot-leadgen-pro' ) );
+				$this->fire_closed( $escalation['id'], $conversation_id, '' );
+			} else {
+				$this->close_session( $escalation['id'], '', 'closed' );
+			}
+		}
+
+		$escalation = $this->get_escalations()->get_escalation( $escalation['id'] );
+
+		wp_send_json_success( $this->get_status( $escalation ) );
+	}
+
+	/**
+	 * Post an agent's message to the visitor.
+	 *
+	 * The first message of an assigned handoff marks it in progress.
+	 *
+	 * @since 1.0.0
+	 * @param int    $escalation_id Escalation ID.
+	 * @param int    $user_id       Agent user ID.
+	 * @param string $content       Message text.
+	 * @return int|WP_Error Message ID or error.
+	 */
+	public function add_agent_message( $escalation_id, $user_id, $content ) {
+		$escalation = $this->get_escalations()->get_escalation( $escalation_id );
+
+		if ( ! $escalation || ! $this->is_live( $escalation ) ) {
+			return new WP_Error(
+				'handoff_closed',
+				__( 'This chat is no longer open.', 'wp-ai-chatbot-leadgen-pro' )
+			);
+		}
+
+		$content = sanitize_textarea_field( $content );
+
+		if ( '' === trim( $content ) ) {
+			return new WP_Error(
+				'empty_message',
+				__( 'Please enter a message.', 'wp-ai-chatbot-leadgen-pro' )
+			);
+		}
+
+		$message_id = $this->add_message( $escalation['conversation_id'], 'agent', $content );
+
+		if ( ! $message_id ) {
+			return new WP_Error(
+				'message_failed',
+				__( 'Failed to send message.', 'wp-ai-chatbot-leadgen-pro' )
+			);
+		}
+
+		if ( 'assigned' === $escalation['status'] ) {
+			$this->get_escalations()->update_status( $escalation_id, 'in_progress' );
+		}
+
+		delete_transient( $this->get_typing_key( $escalation['conversation_id'], 'agent' ) );
+		$this->touch_presence( $user_id );
+
+		return $message_id;
+	}
+
+	/**
+	 * Close a handoff and send the visitor back to the AI.
+	 *
+	 * The summary is shown to the visitor and stored as a system message,
+	 * so the AI picks up where the agent left off.
+	 *
+	 * @since 1.0.0
+	 * @param int    $escalation_id Escalation ID.
+	 * @param string $summary       Optional. Summary for the visitor. Built from the chat when empty.
+	 * @param string $status        Optional. 'resolved' or 'closed'. Default 'resolved'.
+	 * @return bool|WP_Error True on success, error on failure.
+	 */
+	public function close_session( $escalation_id, $summary = '', $status = 'resolved' ) {
+		$escalation = $this->get_escalations()->get_escalation( $escalation_id );
+
+		if ( ! $escalation || ! $this->is_live( $escalation ) ) {
+			return new WP_Error(
+				'handoff_closed',
+				__( 'This chat is no longer open.', 'wp-ai-chatbot-leadgen-pro' )
+			);
+		}
+
+		$summary = sanitize_textarea_field( $summary );
+
+		if ( '' === trim( $summary ) ) {
+			$summary = $this->build_summary( $escalation );
+		}
+
+		/**
+		 * Filters the summary shown to the visitor when a handoff closes.
+		 *
+		 * @since 1.0.0
+		 * @param string $summary    Summary text.
+		 * @param array  $escalation Escalation data.
+		 */
+		$summary = apply_filters( 'wp_ai_chatbot_handoff_summary', $summary, $escalation );
+
+		$result = $this->get_escalations()->update_status( $escalation_id, $status, $summary );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$this->add_message( $escalation['conversation_id'], 'system', $summary );
+
+		delete_transient( $this->get_typing_key( $escalation['conversation_id'], 'agent' ) );
+		delete_transient( $this->get_typing_key( $escalation['conversation_id'], 'visitor' ) );
+
+		$this->fire_closed( $escalation_id, $escalation['conversation_id'], $summary );
+
+		return true;
+	}
+
+	/**
+	 * Get what the widget shows about a handoff.
+	 *
+	 * @since 1.0.0
+	 * @param array $escalation Escalation data.
+	 * @return array {
+	 *     @type int        $escalation_id Escalation ID.
+	 *     @type string     $status        'queued', 'active' or 'closed'.
+	 *     @type int        $position      Place in the queue, 1 for next, while queued.
+	 *     @type array|null $agent         {id, name, avatar, online} once an agent has picked it up.
+	 *     @type bool       $agent_typing  Whether the agent is typing.
+	 *     @type bool       $visitor_typing Whether the visitor is typing.
+	 *     @type string     $summary       Closing summary, once closed.
+	 * }
+	 */
+	public function get_status( $escalation ) {
+		$status = 'closed';
+
+		if ( 'pending' === $escalation['status'] ) {
+			$status = 'queued';
+		} elseif ( $this->is_live( $escalation ) ) {
+			$status = 'active';
+		}
+
+		$agent = null;
+
+		if ( ! empty( $escalation['assigned_to'] ) ) {
+			$user = get_user_by( 'id', $escalation['assigned_to'] );
+
+			if ( $user ) {
+				$agent = array(
+					'id'     => (int) $user->ID,
+					'name'   => $user->display_name,
+					'avatar' => get_avatar_url( $user->ID, array( 'size' => 64 ) ),
+					'online' => $this->is_online( $user->ID ),
+				);
+			}
+		}
+
+		return array(
+			'escalation_id'  => (int) $escalation['id'],
+			'status'         => $status,
+			'position'       => 'queued' === $status ? $this->get_queue_position( $escalation ) : 0,
+			'agent'          => $agent,
+			'agent_typing'   => 'active' === $status && (bool) get_transient( $this->get_typing_key( $escalation['conversation_id'], 'agent' ) ),
+			'visitor_typing' => 'active' === $status && (bool) get_transient( $this->get_typing_key( $escalation['conversation_id'], 'visitor' ) ),
+			'summary'        => 'closed' === $status ? $this->get_summary( $escalation ) : '',
+		);
+	}
+
+	/**
+	 * Get the place of a pending handoff in the queue.
+	 *
+	 * Higher priorities go first, then the oldest.
+	 *
+	 * @since 1.0.0
+	 * @param array $escalation Escalation data.
+	 * @return int Position, 1 for next.
+	 */
+	public function get_queue_position( $escalation ) {
+		global $wpdb;
+		$table = $this->get_escalations()->get_escalations_table();
+
+		$rank = "FIELD(priority, 'low', 'medium', 'high', 'critical')";
+
+		$ahead = (int) $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT COUNT(*) FROM {$table}
+				 WHERE status = 'pending' AND id <> %d
+				 AND ( {$rank} > FIELD(%s, 'low', 'medium', 'high', 'critical')
+				 OR ( priority = %s AND ( created_at < %s OR ( created_at = %s AND id < %d ) ) ) )",
+				$escalation['id'],
+				$escalation['priority'],
+				$escalation['priority'],
+				$escalation['created_at'],
+				$escalation['created_at'],
+				$escalation['id']
+			)
+		);
+
+		return $ahead + 1;
+	}
+
+	/**
+	 * Record that a party is typing.
+	 *
+	 * @since 1.0.0
+	 * @param int    $conversation_id Conversation ID.
+	 * @param string $party           'agent' or 'visitor'.
+	 */
+	public function set_typing( $conversation_id, $party ) {
+		set_transient( $this->get_typing_key( $conversation_id, $party ), 1, self::TYPING_TIMEOUT );
+	}
+
+	/**
+	 * Record that an agent is online.
+	 *
+	 * @since 1.0.0
+	 * @param int $user_id Agent user ID.
+	 */
+	public function touch_presence( $user_id ) {
+		update_user_meta( $user_id, self::PRESENCE_META, time() );
+	}
+
+	/**
+	 * Check if an agent was seen recently.
+	 *
+	 * @since 1.0.0
+	 * @param int $user_id Agent user ID.
+	 * @return bool Whether the agent is online.
+	 */
+	public function is_online( $user_id ) {
+		$seen = (int) get_user_meta( $user_id, self::PRESENCE_META, true );
+
+		return $seen && ( time() - $seen ) <= self::PRESENCE_TIMEOUT;
+	}
+
+	/**
+	 * Check if a handoff is waiting for or chatting with an agent.
+	 *
+	 * @since 1.0.0
+	 * @param array $escalation Escalation data.
+	 * @return bool Whether it is open.
+	 */
+	public function is_live( $escalation ) {
+		return in_array( $escalation['status'], array( 'pending', 'assigned', 'in_progress' ), true );
+	}
+
+	/**
+	 * Get agent and system messages newer than a message.
+	 *
+	 * @since 1.0.0
+	 * @param int $conversation_id Conversation ID.
+	 * @param int $after_id        Newest message ID the widget has.
+	 * @return array Messages, oldest first.
+	 */
+	public function get_messages_since( $conversation_id, $after_id ) {
+		global $wpdb;
+		$table = WP_AI_Chatbot_LeadGen_Pro_Database::get_messages_table();
+
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT id, role, content, created_at FROM {$table}
+				 WHERE conversation_id = %d AND id > %d AND role IN ('agent', 'system')
+				 ORDER BY id ASC LIMIT %d",
+				$conversation_id,
+				$after_id,
+				self::POLL_LIMIT
+			),
+			ARRAY_A
+		);
+
+		return array_map( function( $row ) {
+			return array(
+				'id'         => (int) $row['id'],
+				'role'       => $row['role'],
+				'content'    => $row['content'],
+				'created_at' => mysql_to_rfc3339( $row['created_at'] ),
+			);
+		}, $rows );
+	}
+
+	/**
+	 * Store a handoff message.
+	 *
+	 * @since 1.0.0
+	 * @param int    $conversation_id Conversation ID.
+	 * @param string $role            'user', 'agent' or 'system'.
+	 * @param string $content         Message text.
+	 * @return int|false Message ID, or false on failure.
+	 */
+	private function add_message( $conversation_id, $role, $content ) {
+		$message_id = WP_AI_Chatbot_LeadGen_Pro_Database::insert_message( array(
+			'conversation_id' => $conversation_id,
+			'role'            => $role,
+			'content'         => $content,
+		) );
+
+		if ( ! $message_id ) {
+			$this->logger->error(
+				'Failed to store handoff message',
+				array(
+					'conversation_id' => $conversation_id,
+					'role'            => $role,
+				)
+			);
+			return false;
+		}
+
+		/**
+		 * Fires after a message between a visitor and an agent is stored.
+		 *
+		 * @since 1.0.0
+		 * @param int    $message_id      Message ID.
+		 * @param int    $conversation_id Conversation ID.
+		 * @param string $role            'user', 'agent' or 'system'.
+		 */
+		do_action( 'wp_ai_chatbot_handoff_message', $message_id, $conversation_id, $role );
+
+		return $message_id;
+	}
+
+	/**
+	 * Build a closing summary from the agent's last message.
+	 *
+	 * @since 1.0.0
+	 * @param array $escalation Escalation data.
+	 * @return string Summary.
+	 */
+	private function build_summary( $escalation ) {
+		global $wpdb;
+		$table = WP_AI_Chatbot_LeadGen_Pro_Database::get_messages_table();
+
+		$user = ! empty( $escalation['assigned_to'] ) ? get_user_by( 'id', $escalation['assigned_to'] ) : null;
+		$name = $user ? $user->display_name : __( 'Our team', 'wp-ai-chatbot-leadgen-pro' );
+
+		$last_reply = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT content FROM {$table}
+				 WHERE conversation_id = %d AND role = 'agent' AND created_at >= %s
+				 ORDER BY id DESC LIMIT 1",
+				$escalation['conversation_id'],
+				$escalation['created_at']
+			)
+		);
+
+		if ( ! $last_reply ) {
+			/* translators: %s: agent name. */
+			return sprintf( __( 'Your chat with %s has ended.', 'wp-ai-chatbot-leadgen-pro' ), $name );
+		}
+
+		return sprintf(
+			/* translators: 1: agent name, 2: the agent's last message. */
+			__( 'Your chat with %1$s has ended. Their last reply: "%2$s"', 'wp-ai-chatbot-leadgen-pro' ),
+			$name,
+			wp_trim_words( $last_reply, 40, '...' )
+		);
+	}
+
+	/**
+	 * Get the summary a closed handoff ended with.
+	 *
+	 * @since 1.0.0
+	 * @param array $escalation Escalation data.
+	 * @return string Summary, or an empty string.
+	 */
+	private function get_summary( $escalation ) {
+		global $wpdb;
+		$table = WP_AI_Chatbot_LeadGen_Pro_Database::get_messages_table();
+
+		return (string) $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT content FROM {$table}
+				 WHERE conversation_id = %d AND role = 'system' AND created_at >= %s
+				 ORDER BY id DESC LIMIT 1",
+				$escalation['conversation_id'],
+				$escalation['created_at']
+			)
+		);
+	}
+
+	/**
+	 * Get the newest message ID of a conversation.
+	 *
+	 * @since 1.0.0
+	 * @param int $conversation_id Conversation ID.
+	 * @return int Message ID, or 0.
+	 */
+	private function get_last_message_id( $conversation_id ) {
+		global $wpdb;
+		$table = WP_AI_Chatbot_LeadGen_Pro_Database::get_messages_table();
+
+		return (int) $wpdb->get_var(
+			$wpdb->prepare( "SELECT MAX(id) FROM {$table} WHERE conversation_id = %d", $conversation_id )
+		);
+	}
+
+	/**
+	 * Fire the action for a closed handoff.
+	 *
+	 * @since 1.0.0
+	 * @param int    $escalation_id   Escalation ID.
+	 * @param int    $conversation_id Conversation ID.
+	 * @param string $summary         Closing summary, empty if the visitor left the queue.
+	 */
+	private function fire_closed( $escalation_id, $conversation_id, $summary ) {
+		/**
+		 * Fires after a live handoff closes and the visitor is back with the AI.
+		 *
+		 * @since 1.0.0
+		 * @param int    $escalation_id   Escalation ID.
+		 * @param int    $conversation_id Conversation ID.
+		 * @param string $summary         Closing summary, empty if the visitor left the queue.
+		 */
+		do_action( 'wp_ai_chatbot_handoff_closed', $escalation_id, $conversation_id, $summary );
+	}
+
+	/**
+	 * Get the typing transient of a party.
+	 *
+	 * @since 1.0.0
+	 * @param int    $conversation_id Conversation ID.
+	 * @param string $party           'agent' or 'visitor'.
+	 * @return string Transient name.
+	 */
+	private function get_typing_key( $conversation_id, $party ) {
+		return 'wp_ai_chatbot_typing_' . intval( $conversation_id ) . '_' . ( 'agent' === $party ? 'agent' : 'visitor' );
+	}
+
+	/**
+	 * Get the escalation from the request, or end it if it isn't the conversation's.
+	 *
+	 * @since 1.0.0
+	 * @param int $conversation_id Conversation ID.
+	 * @return array Escalation data.
+	 */
+	private function get_requested_escalation( $conversation_id ) {
+		$escalation_id = intval( $_POST['escalation_id'] ?? 0 );
+		$escalation    = $escalation_id
+			? $this->get_escalations()->get_escalation( $escalation_id )
+			: $this->get_escalations()->get_active_escalation( $conversation_id );
+
+		if ( ! $escalation || intval( $escalation['conversation_id'] ) !== $conversation_id ) {
+			wp_send_json_error( array(
+				'message' => __( 'This conversation was not handed to our team.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 404 );
+		}
+
+		return $escalation;
+	}
+
+	/**
+	 * Get the conversation from the request, or end it if not allowed.
+	 *
+	 * @since 1.0.0
+	 * @return int Conversation ID.
+	 */
+	private function get_requested_conversation() {
+		$conversation_id = intval( $_POST['conversation_id'] ?? 0 );
+
+		if ( ! $conversation_id ) {
+			wp_send_json_error( array(
+				'message' => __( 'Send a message first to start a conversation.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 400 );
+		}
+
+		if ( ! WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::can_access_conversation( $conversation_id ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'You do not have access to this conversation.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 403 );
+		}
+
+		return $conversation_id;
+	}
+
+	/**
+	 * Get the escalation manager, created on first use.
+	 *
+	 * @since 1.0.0
+	 * @return WP_AI_Chatbot_LeadGen_Pro_Escalation_Manager Escalation manager.
+	 */
+	private function get_escalations() {
+		if ( ! $this->escalations ) {
+			$this->escalations = new WP_AI_Chatbot_LeadGen_Pro_Escalation_Manager();
+		}
+
+		return $this->escalations;
+	}
+}
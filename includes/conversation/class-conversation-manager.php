@@ -550,10 +550,14 @@ class WP_AI_Chatbot_LeadGen_Pro_Conversation_Manager {
 	/**
 	 * Get session ID.
 	 *
+	 * Issued by the server and stored with the visitor's conversations. The
+	 * widget gets it back with each answer and sends it with later requests
+	 * (see WP_AI_Chatbot_LeadGen_Pro_Conversation_Access).
+	 *
 	 * @since 1.0.0
 	 * @return string Session ID.
 	 */
-	private function get_session_id() {
+	public function get_session_id() {
 		if ( ! session_id() ) {
 			session_start();
 		}
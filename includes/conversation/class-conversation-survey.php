@@ -0,0 +1,394 @@
+<?php
+/**
+ * Conversation Survey.
+ *
+ * End-of-conversation satisfaction survey: one CSAT (1-5) or NPS (0-10)
+ * question with an optional comment, asked by the chat widget
+ * (assets/js/conversation-survey.js) when the visitor closes the chat or
+ * goes quiet. Answers are stored per conversation and reported with the
+ * feedback statistics.
+ *
+ * @package    WP_AI_Chatbot_LeadGen_Pro
+ * @subpackage WP_AI_Chatbot_LeadGen_Pro/includes/conversation
+ * @since      1.0.0
+ */
+class WP_AI_Chatbot_LeadGen_Pro_Conversation_Survey {
+
+	/**
+	 * Logger instance.
+	 *
+	 * @since 1.0.0
+	 * @var WP_AI_Chatbot_LeadGen_Pro_Logger
+	 */
+	private $logger;
+
+	/**
+	 * Config instance.
+	 *
+	 * @since 1.0.0
+	 * @var WP_AI_Chatbot_LeadGen_Pro_Config
+	 */
+	private $config;
+
+	/**
+	 * Score range of each survey type.
+	 *
+	 * @since 1.0.0
+	 * @var array
+	 */
+	const SCALES = array(
+		'csat' => array( 1, 5 ),
+		'nps'  => array( 0, 10 ),
+	);
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.0.0
+	 */
+	public function __construct() {
+		$this->logger = WP_AI_Chatbot_LeadGen_Pro_Logger::get_instance();
+		$this->config = WP_AI_Chatbot_LeadGen_Pro_Config::get_site_config();
+	}
+
+	/**
+	 * Register hooks.
+	 *
+	 * @since 1.0.0
+	 */
+	public function register_hooks() {
+		add_action( 'wp_ajax_wp_ai_chatbot_submit_survey', array( $this, 'ajax_submit_survey' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_submit_survey', array( $this, 'ajax_submit_survey' ) );
+
+		add_action( 'wp_enqueue_scripts', array( $this, 'register_script' ), 5 );
+	}
+
+	/**
+	 * Register the survey script with the survey settings.
+	 *
+	 * @since 1.0.0
+	 */
+	public function register_script() {
+		wp_register_script(
+			'wp-ai-chatbot-survey',
+			WP_AI_CHATBOT_LEADGEN_PRO_URL . 'assets/js/conversation-survey.js',
+			array( 'jquery', 'wp-ai-chatbot-i18n', 'wp-ai-chatbot-storage' ),
+			WP_AI_CHATBOT_LEADGEN_PRO_VERSION,
+			true
+		);
+
+		wp_add_inline_script(
+			'wp-ai-chatbot-survey',
+			'window.wpAiChatbotSurvey = ' . wp_json_encode( $this->get_settings() ) . ';',
+			'before'
+		);
+	}
+
+	/**
+	 * Get the survey settings printed for the widget.
+	 *
+	 * @since 1.0.0
+	 * @return array Settings.
+	 */
+	public function get_settings() {
+		$type = $this->config->get( 'survey_type', 'off' );
+
+		/**
+		 * Filter the settings of the conversation survey.
+		 *
+		 * @since 1.0.0
+		 * @param array $settings {
+		 *     @type string $type             'csat', 'nps' or 'off'.
+		 *     @type string $question         Question, empty for the default of the type.
+		 *     @type bool   $askComment       Whether a comment is asked after the score.
+		 *     @type int    $minMessages      Messages the visitor must have sent before being asked.
+		 *     @type int    $inactivityDelay  Seconds without messages before asking, 0 to ask on close only.
+		 *     @type int    $cooldownDays     Days before the same visitor is asked again.
+		 *     @type int    $maxPerVisitor    Most times a visitor is asked, 0 for no limit.
+		 *     @type string $ajaxUrl          admin-ajax.php URL.
+		 *     @type string $nonce            Nonce of wp_ai_chatbot_submit_survey.
+		 * }
+		 */
+		return apply_filters(
+			'wp_ai_chatbot_survey_settings',
+			array(
+				'type'            => isset( self::SCALES[ $type ] ) ? $type : 'off',
+				'question'        => (string) $this->config->get( 'survey_question', '' ),
+				'askComment'      => (bool) $this->config->get( 'survey_ask_comment', true ),
+				'minMessages'     => absint( $this->config->get( 'survey_min_messages', 2 ) ),
+				'inactivityDelay' => absint( $this->config->get( 'survey_inactivity_seconds', 120 ) ),
+				'cooldownDays'    => absint( $this->config->get( 'survey_cooldown_days', 30 ) ),
+				'maxPerVisitor'   => absint( $this->config->get( 'survey_max_per_visitor', 3 ) ),
+				'ajaxUrl'         => admin_url( 'admin-ajax.php' ),
+				'nonce'           => wp_create_nonce( 'wp_ai_chatbot_ajax' ),
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for survey answers from the chat widget.
+	 *
+	 * The score is sent as soon as it is picked; the comment, if any, is
+	 * sent again with the score and replaces the first answer.
+	 *
+	 * @since 1.0.0
+	 */
+	public function ajax_submit_survey() {
+		WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::verify_nonce();
+
+		$conversation_id = absint( $_POST['conversation_id'] ?? 0 );
+		$session_id      = WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::get_session_id();
+
+		if ( ! $conversation_id || ! WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::can_access_conversation( $conversation_id, $session_id ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'Conversation not found.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 404 );
+		}
+
+		$comment = sanitize_textarea_field( wp_unslash( $_POST['comment'] ?? '' ) );
+
+		$survey_id = $this->submit_response(
+			$conversation_id,
+			sanitize_key( $_POST['survey_type'] ?? '' ),
+			isset( $_POST['score'] ) && is_numeric( $_POST['score'] ) ? intval( $_POST['score'] ) : -1,
+			array(
+				'session_id' => $session_id,
+				'comment'    => $comment ? mb_substr( $comment, 0, 1000 ) : null,
+				'page_url'   => esc_url_raw( wp_unslash( $_POST['page_url'] ?? '' ) ),
+			)
+		);
+
+		if ( is_wp_error( $survey_id ) ) {
+			wp_send_json_error( array(
+				'message' => $survey_id->get_error_message(),
+			), 400 );
+		}
+
+		wp_send_json_success( array(
+			'survey_id' => $survey_id,
+		) );
+	}
+
+	/**
+	 * Get survey table name.
+	 *
+	 * @since 1.0.0
+	 * @return string Table name.
+	 */
+	public function get_survey_table() {
+		global $wpdb;
+		return $wpdb->prefix . 'wp_ai_chatbot_surveys';
+	}
+
+	/**
+	 * Save the answer to a conversation's survey.
+	 *
+	 * A conversation has one answer per survey type; answering again
+	 * replaces it.
+	 *
+	 * @since 1.0.0
+	 * @param int    $conversation_id Conversation ID.
+	 * @param string $survey_type     Survey type (csat, nps).
+	 * @param int    $score           Score within the type's scale.
+	 * @param array  $data            Optional. session_id, comment and page_url.
+	 * @return int|WP_Error Survey response ID or error.
+	 */
+	public function submit_response( $conversation_id, $survey_type, $score, $data = array() ) {
+		global $wpdb;
+
+		if ( ! isset( self::SCALES[ $survey_type ] ) ) {
+			return new WP_Error(
+				'invalid_survey_type',
+				__( 'Invalid survey type.', 'wp-ai-chatbot-leadgen-pro' )
+			);
+		}
+
+		list( $min, $max ) = self::SCALES[ $survey_type ];
+
+		if ( $score < $min || $score > $max ) {
+			return new WP_Error(
+				'invalid_score',
+				/* translators: 1: lowest score, 2: highest score */
+				sprintf( __( 'The score must be between %1$d and %2$d.', 'wp-ai-chatbot-leadgen-pro' ), $min, $max )
+			);
+		}
+
+		$response_data = array(
+			'conversation_id' => $conversation_id,
+			'session_id'      => $data['session_id'] ?? '',
+			'user_id'         => get_current_user_id() ?: null,
+			'survey_type'     => $survey_type,
+			'score'           => $score,
+			'comment'         => $data['comment'] ?? null,
+			'page_url'        => $data['page_url'] ?? null,
+			'created_at'      => current_time( 'mysql' ),
+		);
+
+		$existing = $this->get_conversation_response( $conversation_id, $survey_type );
+
+		if ( $existing ) {
+			$result = $wpdb->update(
+				$this->get_survey_table(),
+				$response_data,
+				array( 'id' => $existing['id'] ),
+				array( '%d', '%s', '%d', '%s', '%d', '%s', '%s', '%s' ),
+				array( '%d' )
+			);
+
+			$survey_id = $existing['id'];
+		} else {
+			$result = $wpdb->insert(
+				$this->get_survey_table(),
+				$response_data,
+				array( '%d', '%s', '%d', '%s', '%d', '%s', '%s', '%s' )
+			);
+
+			$survey_id = $wpdb->insert_id;
+		}
+
+		if ( false === $result ) {
+			return new WP_Error(
+				'save_failed',
+				__( 'Failed to save your answer.', 'wp-ai-chatbot-leadgen-pro' )
+			);
+		}
+
+		$this->logger->info(
+			'Survey answered',
+			array(
+				'survey_id'       => $survey_id,
+				'conversation_id' => $conversation_id,
+				'survey_type'     => $survey_type,
+				'score'           => $score,
+			)
+		);
+
+		/**
+		 * Fires after a conversation survey is answered.
+		 *
+		 * @since 1.0.0
+		 * @param int   $survey_id       Survey response ID.
+		 * @param int   $conversation_id Conversation ID.
+		 * @param array $response_data   Answer: survey_type, score, comment...
+		 */
+		do_action( 'wp_ai_chatbot_survey_submitted', $survey_id, $conversation_id, $response_data );
+
+		return $survey_id;
+	}
+
+	/**
+	 * Get a conversation's survey answer.
+	 *
+	 * @since 1.0.0
+	 * @param int    $conversation_id Conversation ID.
+	 * @param string $survey_type     Optional. Survey type, any type by default.
+	 * @return array|null Answer, the latest if several.
+	 */
+	public function get_conversation_response( $conversation_id, $survey_type = '' ) {
+		global $wpdb;
+
+		if ( $survey_type ) {
+			return $wpdb->get_row(
+				$wpdb->prepare(
+					"SELECT * FROM {$this->get_survey_table()} WHERE conversation_id = %d AND survey_type = %s",
+					$conversation_id,
+					$survey_type
+				),
+				ARRAY_A
+			);
+		}
+
+		return $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT * FROM {$this->get_survey_table()} WHERE conversation_id = %d ORDER BY created_at DESC LIMIT 1",
+				$conversation_id
+			),
+			ARRAY_A
+		);
+	}
+
+	/**
+	 * Get survey statistics.
+	 *
+	 * CSAT is the share of 4 and 5 scores; NPS is the share of promoters
+	 * (9-10) minus the share of detractors (0-6).
+	 *
+	 * @since 1.0.0
+	 * @param array $args Query arguments.
+	 * @return array Statistics of each survey type.
+	 */
+	public function get_statistics( $args = array() ) {
+		global $wpdb;
+
+		$defaults = array(
+			'days' => 30,
+		);
+		$args = wp_parse_args( $args, $defaults );
+
+		$since = gmdate( 'Y-m-d H:i:s', strtotime( "-{$args['days']} days" ) );
+		$table = $this->get_survey_table();
+
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT survey_type, score, COUNT(*) as count, SUM(CASE WHEN comment IS NOT NULL THEN 1 ELSE 0 END) as comments
+				 FROM {$table}
+				 WHERE created_at >= %s
+				 GROUP BY survey_type, score",
+				$since
+			),
+			ARRAY_A
+		);
+
+		$stats = array();
+
+		foreach ( self::SCALES as $type => $scale ) {
+			$stats[ $type ] = array(
+				'responses'    => 0,
+				'comments'     => 0,
+				'average'      => 0,
+				'distribution' => array_fill_keys( range( $scale[0], $scale[1] ), 0 ),
+			);
+		}
+
+		foreach ( $rows as $row ) {
+			if ( ! isset( $stats[ $row['survey_type'] ]['distribution'][ $row['score'] ] ) ) {
+				continue;
+			}
+
+			$type = $row['survey_type'];
+
+			$stats[ $type ]['distribution'][ $row['score'] ] = intval( $row['count'] );
+			$stats[ $type ]['responses'] += intval( $row['count'] );
+			$stats[ $type ]['comments'] += intval( $row['comments'] );
+		}
+
+		foreach ( $stats as $type => $type_stats ) {
+			$total = $type_stats['responses'];
+			$sum = 0;
+
+			foreach ( $type_stats['distribution'] as $score => $count ) {
+				$sum += $score * $count;
+			}
+
+			$stats[ $type ]['average'] = $total > 0 ? round( $sum / $total, 2 ) : 0;
+		}
+
+		$csat = $stats['csat']['distribution'];
+		$stats['csat']['satisfaction_rate'] = $stats['csat']['responses'] > 0
+			? round( ( $csat[4] + $csat[5] ) / $stats['csat']['responses'] * 100, 1 )
+			: 0;
+
+		$nps = $stats['nps']['distribution'];
+		$promoters = $nps[9] + $nps[10];
+		$detractors = array_sum( array_slice( $nps, 0, 7, true ) );
+
+		$stats['nps']['promoters'] = $promoters;
+		$stats['nps']['passives'] = $nps[7] + $nps[8];
+		$stats['nps']['detractors'] = $detractors;
+		$stats['nps']['score'] = $stats['nps']['responses'] > 0
+			? round( ( $promoters - $detractors ) / $stats['nps']['responses'] * 100 )
+			: 0;
+
+		return $stats;
+	}
+}
@@ -0,0 +1,320 @@
+<?php
+/**
+ * Conversation Transcript Handler.
+ *
+ * Lets visitors download, email or copy the transcript of their own
+ * conversation from the chat widget, through Conversation_Exporter and
+ * Channel_Continuity.
+ *
+ * @package    WP_AI_Chatbot_LeadGen_Pro
+ * @subpackage WP_AI_Chatbot_LeadGen_Pro/includes/conversation
+ * @since      1.0.0
+ */
+class WP_AI_Chatbot_LeadGen_Pro_Conversation_Transcript_Handler {
+
+	/**
+	 * Transcript emails allowed per visitor IP in the rate limit window.
+	 *
+	 * @since 1.0.0
+	 * @var int
+	 */
+	const EMAIL_RATE_LIMIT = 5;
+
+	/**
+	 * Logger instance.
+	 *
+	 * @since 1.0.0
+	 * @var WP_AI_Chatbot_LeadGen_Pro_Logger
+	 */
+	private $logger;
+
+	/**
+	 * Conversation exporter instance.
+	 *
+	 * @since 1.0.0
+	 * @var WP_AI_Chatbot_LeadGen_Pro_Conversation_Exporter
+	 */
+	private $exporter;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.0.0
+	 */
+	public function __construct() {
+		$this->logger = WP_AI_Chatbot_LeadGen_Pro_Logger::get_instance();
+
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 *
+	 * @since 1.0.0
+	 */
+	private function init_hooks() {
+		add_action( 'wp_ajax_wp_ai_chatbot_get_transcript_formats', array( $this, 'get_formats' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_get_transcript_formats', array( $this, 'get_formats' ) );
+
+		add_action( 'wp_ajax_wp_ai_chatbot_export_transcript', array( $this, 'handle_export' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_export_transcript', array( $this, 'handle_export' ) );
+
+		add_action( 'wp_ajax_wp_ai_chatbot_download_export', array( $this, 'handle_download' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_download_export', array( $this, 'handle_download' ) );
+
+		add_action( 'wp_ajax_wp_ai_chatbot_email_transcript', array( $this, 'handle_email' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_email_transcript', array( $this, 'handle_email' ) );
+
+		add_action( 'wp_ajax_wp_ai_chatbot_copy_transcript', array( $this, 'handle_copy' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_copy_transcript', array( $this, 'handle_copy' ) );
+	}
+
+	/**
+	 * Get the download formats offered in the widget.
+	 *
+	 * @since 1.0.0
+	 */
+	public function get_formats() {
+		WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::verify_nonce();
+
+		$formats = array();
+
+		foreach ( $this->get_exporter()->get_available_formats() as $id => $label ) {
+			// Email has its own action in the widget
+			if ( 'email' === $id ) {
+				continue;
+			}
+
+			$formats[] = array(
+				'id'    => $id,
+				'label' => $label,
+			);
+		}
+
+		wp_send_json_success( array(
+			'formats' => $formats,
+		) );
+	}
+
+	/**
+	 * Create a download link for the visitor's transcript.
+	 *
+	 * @since 1.0.0
+	 */
+	public function handle_export() {
+		WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::verify_nonce();
+
+		$conversation_id = $this->get_requested_conversation();
+		$format          = sanitize_key( $_POST['format'] ?? 'text' );
+		$formats         = $this->get_exporter()->get_available_formats();
+
+		if ( 'email' === $format || ! isset( $formats[ $format ] ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'Invalid export format.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 400 );
+		}
+
+		$url = $this->get_exporter()->generate_download_url( $conversation_id, $format, array(
+			'session_id' => WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::get_session_id(),
+		) );
+
+		wp_send_json_success( array(
+			'url' => $url,
+		) );
+	}
+
+	/**
+	 * Send an export created by handle_export().
+	 *
+	 * The link's token is single use and expires after an hour.
+	 *
+	 * @since 1.0.0
+	 */
+	public function handle_download() {
+		$token = sanitize_text_field( wp_unslash( $_GET['token'] ?? '' ) );
+		$nonce = sanitize_text_field( wp_unslash( $_GET['wp_ai_chatbot_nonce'] ?? '' ) );
+
+		if ( ! $token || ! wp_verify_nonce( $nonce, 'export_download_' . $token ) ) {
+			wp_die( esc_html__( 'Invalid or expired download link.', 'wp-ai-chatbot-leadgen-pro' ), '', array( 'response' => 403 ) );
+		}
+
+		$export = $this->get_exporter()->process_download( $token );
+
+		if ( is_wp_error( $export ) ) {
+			wp_die( esc_html( $export->get_error_message() ), '', array( 'response' => 404 ) );
+		}
+
+		// Without a PDF library the HTML opens in the browser to print
+		$disposition = empty( $export['print_notice'] ) ? 'attachment' : 'inline';
+		$charset     = 'application/pdf' === $export['mime'] ? '' : '; charset=UTF-8';
+
+		nocache_headers();
+		header( 'Content-Type: ' . $export['mime'] . $charset );
+		header( 'Content-Disposition: ' . $disposition . '; filename="' . sanitize_file_name( $export['filename'] ) . '"' );
+		header( 'X-Content-Type-Options: nosniff' );
+
+		// The file itself, not markup: escaping would corrupt the PDF, JSON and
+		// text downloads. The HTML transcript escapes each message when it is
+		// built, and the other formats are only shown as their own MIME type
+		// (nosniff keeps browsers from treating them as HTML).
+		echo $export['content'];
+		exit;
+	}
+
+	/**
+	 * Email the transcript to the visitor.
+	 *
+	 * @since 1.0.0
+	 */
+	public function handle_email() {
+		WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::verify_nonce();
+
+		$conversation_id = $this->get_requested_conversation();
+		$email           = sanitize_email( wp_unslash( $_POST['email'] ?? '' ) );
+
+		if ( ! is_email( $email ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'Please enter a valid email address.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 400 );
+		}
+
+		if ( $this->is_rate_limited() ) {
+			wp_send_json_error( array(
+				'message' => __( 'Too many emails sent. Please try again later.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 429 );
+		}
+
+		$continuity = new WP_AI_Chatbot_LeadGen_Pro_Channel_Continuity();
+		$result     = $continuity->send_via_email( $conversation_id, $email, array(
+			'session_id' => WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::get_session_id(),
+		) );
+
+		if ( is_wp_error( $result ) ) {
+			$this->logger->warning( 'Transcript email failed', array(
+				'conversation_id' => $conversation_id,
+				'error'           => $result->get_error_message(),
+			) );
+
+			wp_send_json_error( array(
+				'message' => $result->get_error_message(),
+			), 500 );
+		}
+
+		$this->record_email();
+
+		/**
+		 * Fires when a visitor emails themselves a transcript.
+		 *
+		 * @since 1.0.0
+		 * @param int    $conversation_id Conversation ID.
+		 * @param string $email           Email address.
+		 */
+		do_action( 'wp_ai_chatbot_transcript_emailed', $conversation_id, $email );
+
+		wp_send_json_success( array(
+			'message' => __( 'Transcript sent. Check your inbox.', 'wp-ai-chatbot-leadgen-pro' ),
+		) );
+	}
+
+	/**
+	 * Get the transcript as plain text for the clipboard.
+	 *
+	 * @since 1.0.0
+	 */
+	public function handle_copy() {
+		WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::verify_nonce();
+
+		$text = $this->get_exporter()->get_copyable_text( $this->get_requested_conversation() );
+
+		if ( is_wp_error( $text ) ) {
+			wp_send_json_error( array(
+				'message' => $text->get_error_message(),
+			), 404 );
+		}
+
+		wp_send_json_success( array(
+			'text' => $text,
+		) );
+	}
+
+	/**
+	 * Get the conversation from the request, or end it if not allowed.
+	 *
+	 * @since 1.0.0
+	 * @return int Conversation ID.
+	 */
+	private function get_requested_conversation() {
+		$conversation_id = intval( $_POST['conversation_id'] ?? 0 );
+
+		if ( ! $conversation_id ) {
+			wp_send_json_error( array(
+				'message' => __( 'There is no conversation to export yet.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 400 );
+		}
+
+		if ( ! WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::can_access_conversation( $conversation_id ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'You do not have access to this conversation.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 403 );
+		}
+
+		return $conversation_id;
+	}
+
+	/**
+	 * Get the exporter, created on first use.
+	 *
+	 * @since 1.0.0
+	 * @return WP_AI_Chatbot_LeadGen_Pro_Conversation_Exporter Exporter.
+	 */
+	private function get_exporter() {
+		if ( ! $this->exporter ) {
+			$this->exporter = new WP_AI_Chatbot_LeadGen_Pro_Conversation_Exporter();
+		}
+
+		return $this->exporter;
+	}
+
+	/**
+	 * Check if the visitor has sent too many transcript emails recently.
+	 *
+	 * @since 1.0.0
+	 * @return bool True if rate limited.
+	 */
+	private function is_rate_limited() {
+		$sent = get_transient( $this->get_rate_limit_key() ) ?: array();
+
+		// Keep the last hour
+		$cutoff = time() - HOUR_IN_SECONDS;
+		$sent = array_filter( $sent, function( $timestamp ) use ( $cutoff ) {
+			return $timestamp > $cutoff;
+		} );
+
+		return count( $sent ) >= self::EMAIL_RATE_LIMIT;
+	}
+
+	/**
+	 * Record a transcript email for rate limiting.
+	 *
+	 * @since 1.0.0
+	 */
+	private function record_email() {
+		$key = $this->get_rate_limit_key();
+		$sent = get_transient( $key ) ?: array();
+
+		$sent[] = time();
+		set_transient( $key, $sent, HOUR_IN_SECONDS );
+	}
+
+	/**
+	 * Get the rate limit transient key for the current visitor.
+	 *
+	 * @since 1.0.0
+	 * @return string Transient key.
+	 */
+	private function get_rate_limit_key() {
+		$ip = sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ?? '' ) );
+
+		return 'wp_ai_chatbot_transcript_rate_' . md5( $ip );
+	}
+}
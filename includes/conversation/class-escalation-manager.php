@@ -685,6 +685,62 @@ class WP_AI_Chatbot_LeadGen_Pro_Escalation_Manager {
 		return true;
 	}
 
+	/**
+	 * Add an internal note to an escalation.
+	 *
+	 * Notes are for the team only and never shown to the visitor.
+	 *
+	 * @since 1.0.0
+	 * @param int    $escalation_id Escalation ID.
+	 * @param string $note          Note text.
+	 * @param int    $user_id       Optional. Author user ID. Default current user.
+	 * @return bool|WP_Error True on success, error on failure.
+	 */
+	public function add_note( $escalation_id, $note, $user_id = 0 ) {
+		global $wpdb;
+
+		$escalation = $this->get_escalation( $escalation_id );
+		if ( ! $escalation ) {
+			return new WP_Error(
+				'invalid_escalation',
+				__( 'Escalation not found.', 'wp-ai-chatbot-leadgen-pro' )
+			);
+		}
+
+		$user = get_user_by( 'id', $user_id ? $user_id : get_current_user_id() );
+		$author = $user ? $user->display_name : __( 'System', 'wp-ai-chatbot-leadgen-pro' );
+
+		$result = $wpdb->update(
+			$this->get_escalations_table(),
+			array(
+				'notes'      => $escalation['notes'] . "\n\n[" . current_time( 'mysql' ) . '] ' . $author . ': ' . $note,
+				'updated_at' => current_time( 'mysql' ),
+			),
+			array( 'id' => $escalation_id ),
+			array( '%s', '%s' ),
+			array( '%d' )
+		);
+
+		if ( false === $result ) {
+			return new WP_Error(
+				'note_failed',
+				__( 'Failed to add the note.', 'wp-ai-chatbot-leadgen-pro' )
+			);
+		}
+
+		/**
+		 * Fires after an internal note is added to an escalation.
+		 *
+		 * @since 1.0.0
+		 * @param int    $escalation_id Escalation ID.
+		 * @param string $note          Note text.
+		 * @param int    $user_id       Author user ID.
+		 */
+		do_action( 'wp_ai_chatbot_escalation_note_added', $escalation_id, $note, $user ? $user->ID : 0 );
+
+		return true;
+	}
+
 	/**
 	 * Get escalation by ID.
 	 *
@@ -762,7 +818,10 @@ class WP_AI_Chatbot_LeadGen_Pro_Escalation_Manager {
 		$where = array( '1=1' );
 		$values = array();
 
-		if ( ! empty( $args['status'] ) ) {
+		if ( is_array( $args['status'] ) && ! empty( $args['status'] ) ) {
+			$where[] = 'status IN (' . implode( ', ', array_fill( 0, count( $args['status'] ), '%s' ) ) . ')';
+			$values = array_merge( $values, array_values( $args['status'] ) );
+		} elseif ( ! empty( $args['status'] ) ) {
 			$where[] = 'status = %s';
 			$values[] = $args['status'];
 		}
@@ -46,6 +46,8 @@ class WP_AI_Chatbot_LeadGen_Pro_Feedback_Handler {
 	 */
 	const NEGATIVE_REASONS = array(
 		'inaccurate'    => 'Information was inaccurate',
+		'outdated'      => 'Information was outdated',
+		'not_answered'  => 'Did not answer the question',
 		'irrelevant'    => 'Response was not relevant',
 		'incomplete'    => 'Response was incomplete',
 		'confusing'     => 'Response was confusing',
@@ -79,49 +81,87 @@ class WP_AI_Chatbot_LeadGen_Pro_Feedback_Handler {
 	public function __construct() {
 		$this->logger = WP_AI_Chatbot_LeadGen_Pro_Logger::get_instance();
 		$this->config = WP_AI_Chatbot_LeadGen_Pro_Config::get_site_config();
+	}
 
-		$this->maybe_create_feedback_table();
+	/**
+	 * Register hooks.
+	 *
+	 * @since 1.0.0
+	 */
+	public function register_hooks() {
+		add_action( 'wp_ajax_wp_ai_chatbot_submit_feedback', array( $this, 'ajax_submit_feedback' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_submit_feedback', array( $this, 'ajax_submit_feedback' ) );
 	}
 
 	/**
-	 * Create feedback table if it doesn't exist.
+	 * AJAX handler for feedback from the chat widget.
+	 *
+	 * `feedback` is the vote: thumbs_up or thumbs_down (positive and
+	 * negative are accepted too), or none to take it back. A vote can be
+	 * changed, and a thumbs down can come with a reason and a comment.
 	 *
 	 * @since 1.0.0
 	 */
-	private function maybe_create_feedback_table() {
-		global $wpdb;
+	public function ajax_submit_feedback() {
+		WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::verify_nonce();
+
+		$message_id = absint( $_POST['message_id'] ?? 0 );
+		$session_id = WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::get_session_id();
+		$feedback   = sanitize_key( $_POST['feedback'] ?? '' );
+		$aliases    = array(
+			'positive' => 'thumbs_up',
+			'negative' => 'thumbs_down',
+		);
+		$feedback_type = $aliases[ $feedback ] ?? $feedback;
+
+		$message = $message_id ? $this->get_message( $message_id ) : null;
+
+		if ( ! $message || ! WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::can_access_conversation( $message['conversation_id'], $session_id ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'Message not found.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 404 );
+		}
+
+		if ( 'none' === $feedback_type ) {
+			$this->remove_feedback( $message_id, $session_id );
+
+			wp_send_json_success( array(
+				'feedback' => null,
+			) );
+		}
+
+		$reason = sanitize_key( $_POST['reason'] ?? '' );
+
+		if ( $reason && ! isset( $this->get_feedback_reasons( $feedback_type )[ $reason ] ) ) {
+			$reason = 'other';
+		}
+
+		$comment = sanitize_textarea_field( wp_unslash( $_POST['comment'] ?? '' ) );
+
+		$data = array(
+			'reason'  => $reason ?: null,
+			'comment' => $comment ? mb_substr( $comment, 0, 1000 ) : null,
+		);
 
-		$table_name = $this->get_feedback_table();
-		$charset_collate = $wpdb->get_charset_collate();
-
-		if ( $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $table_name ) ) !== $table_name ) {
-			$sql = "CREATE TABLE {$table_name} (
-				id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
-				conversation_id bigint(20) unsigned NOT NULL,
-				message_id bigint(20) unsigned NOT NULL,
-				session_id varchar(64) NOT NULL,
-				user_id bigint(20) unsigned DEFAULT NULL,
-				feedback_type varchar(20) NOT NULL,
-				feedback_value tinyint NOT NULL,
-				reason varchar(50) DEFAULT NULL,
-				comment text DEFAULT NULL,
-				query_text text DEFAULT NULL,
-				response_text text DEFAULT NULL,
-				context_data longtext DEFAULT NULL,
-				created_at datetime NOT NULL,
-				PRIMARY KEY (id),
-				KEY conversation_id (conversation_id),
-				KEY message_id (message_id),
-				KEY session_id (session_id),
-				KEY feedback_type (feedback_type),
-				KEY feedback_value (feedback_value),
-				KEY created_at (created_at),
-				UNIQUE KEY unique_feedback (message_id, session_id)
-			) {$charset_collate};";
-
-			require_once ABSPATH . 'wp-admin/includes/upgrade.php';
-			dbDelta( $sql );
+		if ( $session_id ) {
+			$data['session_id'] = $session_id;
 		}
+
+		$feedback_id = $this->submit_feedback( $message_id, $feedback_type, $data );
+
+		if ( is_wp_error( $feedback_id ) ) {
+			wp_send_json_error( array(
+				'message' => $feedback_id->get_error_message(),
+			), 400 );
+		}
+
+		wp_send_json_success( array(
+			'feedback' => array(
+				'type'    => $feedback_type,
+				'reason'  => $data['reason'],
+				'comment' => $data['comment'],
+			),
+		) );
 	}
 
 	/**
@@ -297,6 +337,50 @@ class WP_AI_Chatbot_LeadGen_Pro_Feedback_Handler {
 		);
 	}
 
+	/**
+	 * Take back the feedback given on a message.
+	 *
+	 * @since 1.0.0
+	 * @param int    $message_id Message ID.
+	 * @param string $session_id Optional. Session ID.
+	 * @return bool True if feedback was removed.
+	 */
+	public function remove_feedback( $message_id, $session_id = '' ) {
+		global $wpdb;
+
+		$existing = $this->get_feedback_by_message( $message_id, $session_id );
+
+		if ( ! $existing || ! $this->delete_feedback( $existing['id'] ) ) {
+			return false;
+		}
+
+		// Clear feedback from metadata
+		$messages_table = WP_AI_Chatbot_LeadGen_Pro_Database::get_messages_table();
+		$message = $this->get_message( $message_id );
+		$metadata = maybe_unserialize( $message['metadata'] ?? '' ) ?: array();
+
+		unset( $metadata['feedback'] );
+
+		$wpdb->update(
+			$messages_table,
+			array( 'metadata' => maybe_serialize( $metadata ) ),
+			array( 'id' => $message_id ),
+			array( '%s' ),
+			array( '%d' )
+		);
+
+		/**
+		 * Fires after feedback is taken back.
+		 *
+		 * @since 1.0.0
+		 * @param int   $message_id Message ID.
+		 * @param array $feedback   Removed feedback.
+		 */
+		do_action( 'wp_ai_chatbot_feedback_removed', $message_id, $existing );
+
+		return true;
+	}
+
 	/**
 	 * Update message metadata with feedback.
 	 *
@@ -392,6 +476,9 @@ class WP_AI_Chatbot_LeadGen_Pro_Feedback_Handler {
 	/**
 	 * Get feedback statistics.
 	 *
+	 * Includes the end-of-conversation survey results under `survey`
+	 * (Conversation_Survey::get_statistics()).
+	 *
 	 * @since 1.0.0
 	 * @param array $args Query arguments.
 	 * @return array Statistics.
@@ -470,6 +557,7 @@ class WP_AI_Chatbot_LeadGen_Pro_Feedback_Handler {
 			'satisfaction_rate' => round( $satisfaction_rate, 1 ),
 			'by_reason'         => $by_reason,
 			'daily_trend'       => $daily_trend,
+			'survey'            => ( new WP_AI_Chatbot_LeadGen_Pro_Conversation_Survey() )->get_statistics( $args ),
 		);
 	}
 
@@ -642,10 +730,19 @@ class WP_AI_Chatbot_LeadGen_Pro_Feedback_Handler {
 	 * @return array Available reasons.
 	 */
 	public function get_feedback_reasons( $type = 'thumbs_down' ) {
-		if ( $type === 'thumbs_up' ) {
-			return self::POSITIVE_REASONS;
-		}
-		return self::NEGATIVE_REASONS;
+		$reasons = $type === 'thumbs_up' ? self::POSITIVE_REASONS : self::NEGATIVE_REASONS;
+
+		/**
+		 * Filter the reasons feedback can be given for.
+		 *
+		 * Add a reason here to accept it from the widget's
+		 * `feedbackReasons` setting.
+		 *
+		 * @since 1.0.0
+		 * @param array  $reasons Reason labels by key.
+		 * @param string $type    Feedback type (thumbs_up, thumbs_down).
+		 */
+		return apply_filters( 'wp_ai_chatbot_feedback_reasons', $reasons, $type );
 	}
 
 	/**
@@ -0,0 +1,475 @@
+<?php
+/**
+ * Message Attachment Handler.
+ *
+ * Handles files visitors attach to chat messages. Uploads are stored in the
+ * media library so existing processors (e.g. PDF_Processor) can read them,
+ * and each upload gets a token the message payload must echo back. They are
+ * left out of the Media Library (grid and list views) and deleted after a
+ * retention period, as visitors can upload without an account. The text
+ * read from them for the prompt is capped by the `attachment_max_chars`
+ * setting.
+ *
+ * @package    WP_AI_Chatbot_LeadGen_Pro
+ * @subpackage WP_AI_Chatbot_LeadGen_Pro/includes/conversation
+ * @since      1.0.0
+ */
+class WP_AI_Chatbot_LeadGen_Pro_Message_Attachment_Handler {
+
+	/**
+	 * Allowed MIME types keyed by extension pattern.
+	 *
+	 * @since 1.0.0
+	 * @var array
+	 */
+	const ALLOWED_TYPES = array(
+		'jpg|jpeg|jpe' => 'image/jpeg',
+		'png'          => 'image/png',
+		'gif'          => 'image/gif',
+		'webp'         => 'image/webp',
+		'pdf'          => 'application/pdf',
+		'txt'          => 'text/plain',
+	);
+
+	/**
+	 * Default maximum file size in bytes (10MB).
+	 *
+	 * @since 1.0.0
+	 * @var int
+	 */
+	const MAX_FILE_SIZE = 10485760;
+
+	/**
+	 * Uploads allowed per visitor IP in the rate limit window.
+	 *
+	 * @since 1.0.0
+	 * @var int
+	 */
+	const RATE_LIMIT = 20;
+
+	/**
+	 * Default days uploads are kept.
+	 *
+	 * @since 1.0.0
+	 * @var int
+	 */
+	const RETENTION_DAYS = 30;
+
+	/**
+	 * Default characters of attachment text put in a prompt, for all
+	 * files of a message together.
+	 *
+	 * @since 1.0.0
+	 * @var int
+	 */
+	const MAX_CONTEXT_CHARS = 8000;
+
+	/**
+	 * Logger instance.
+	 *
+	 * @since 1.0.0
+	 * @var WP_AI_Chatbot_LeadGen_Pro_Logger
+	 */
+	private $logger;
+
+	/**
+	 * Config instance.
+	 *
+	 * @since 1.0.0
+	 * @var WP_AI_Chatbot_LeadGen_Pro_Config
+	 */
+	private $config;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.0.0
+	 */
+	public function __construct() {
+		$this->logger = WP_AI_Chatbot_LeadGen_Pro_Logger::get_instance();
+		$this->config = WP_AI_Chatbot_LeadGen_Pro_Config::get_site_config();
+	}
+
+	/**
+	 * Register hooks.
+	 *
+	 * @since 1.0.0
+	 */
+	public function register_hooks() {
+		add_action( 'wp_ajax_wp_ai_chatbot_upload_attachment', array( $this, 'handle_upload' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_upload_attachment', array( $this, 'handle_upload' ) );
+
+		add_filter( 'ajax_query_attachments_args', array( $this, 'hide_from_media_library' ) );
+		add_action( 'pre_get_posts', array( $this, 'hide_from_media_list' ) );
+
+		// Delete old uploads daily
+		add_action( 'wp_ai_chatbot_daily_cleanup', array( $this, 'cleanup_expired' ) );
+
+		if ( ! wp_next_scheduled( 'wp_ai_chatbot_daily_cleanup' ) ) {
+			wp_schedule_event( time(), 'daily', 'wp_ai_chatbot_daily_cleanup' );
+		}
+	}
+
+	/**
+	 * Handle an attachment upload from the chat composer.
+	 *
+	 * @since 1.0.0
+	 */
+	public function handle_upload() {
+		if ( ! check_ajax_referer( 'wp_ai_chatbot_ajax', 'nonce', false ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'Security check failed. Please refresh and try again.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 403 );
+		}
+
+		if ( $this->is_rate_limited() ) {
+			wp_send_json_error( array(
+				'message' => __( 'Too many uploads. Please wait a moment.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 429 );
+		}
+
+		if ( empty( $_FILES['file'] ) || ! empty( $_FILES['file']['error'] ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'No file was uploaded.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 400 );
+		}
+
+		$file = $_FILES['file'];
+
+		if ( $file['size'] > $this->get_max_file_size() ) {
+			wp_send_json_error( array(
+				'message' => sprintf(
+					/* translators: %s: maximum file size */
+					__( 'Files can be up to %s.', 'wp-ai-chatbot-leadgen-pro' ),
+					size_format( $this->get_max_file_size() )
+				),
+			), 400 );
+		}
+
+		// Check the real file type, not just the name the browser sent
+		$check = wp_check_filetype_and_ext( $file['tmp_name'], $file['name'], $this->get_allowed_types() );
+
+		if ( empty( $check['type'] ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'This file type is not supported.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 400 );
+		}
+
+		require_once ABSPATH . 'wp-admin/includes/file.php';
+		require_once ABSPATH . 'wp-admin/includes/media.php';
+		require_once ABSPATH . 'wp-admin/includes/image.php';
+
+		$attachment_id = media_handle_upload(
+			'file',
+			0,
+			array(),
+			array(
+				'test_form' => false,
+				'mimes'     => $this->get_allowed_types(),
+			)
+		);
+
+		if ( is_wp_error( $attachment_id ) ) {
+			$this->logger->error( 'Chat attachment upload failed', array(
+				'error' => $attachment_id->get_error_message(),
+			) );
+
+			wp_send_json_error( array(
+				'message' => __( 'The file could not be uploaded.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 500 );
+		}
+
+		$token = wp_generate_password( 32, false );
+
+		update_post_meta( $attachment_id, '_wp_ai_chatbot_attachment_token', wp_hash( $token ) );
+		update_post_meta( $attachment_id, '_wp_ai_chatbot_conversation_id', sanitize_text_field( wp_unslash( $_POST['conversation_id'] ?? '' ) ) );
+
+		$this->record_upload();
+
+		wp_send_json_success( array_merge(
+			$this->format_attachment( $attachment_id ),
+			array( 'token' => $token )
+		) );
+	}
+
+	/**
+	 * Resolve attachment references sent with a chat message.
+	 *
+	 * References without a matching upload token are dropped, so a visitor
+	 * can only reference files they uploaded.
+	 *
+	 * @since 1.0.0
+	 * @param array|string $references List of {id, token}, or its JSON encoding.
+	 * @return array Attachment data for valid references.
+	 */
+	public function get_attachments( $references ) {
+		if ( is_string( $references ) ) {
+			$references = json_decode( wp_unslash( $references ), true );
+		}
+
+		if ( ! is_array( $references ) ) {
+			return array();
+		}
+
+		$attachments = array();
+
+		foreach ( $references as $reference ) {
+			$attachment_id = intval( $reference['id'] ?? 0 );
+			$token         = (string) ( $reference['token'] ?? '' );
+			$stored        = get_post_meta( $attachment_id, '_wp_ai_chatbot_attachment_token', true );
+
+			if ( ! $attachment_id || ! $token || ! $stored || ! hash_equals( $stored, wp_hash( $token ) ) ) {
+				continue;
+			}
+
+			$attachments[] = $this->format_attachment( $attachment_id );
+		}
+
+		return $attachments;
+	}
+
+	/**
+	 * Build prompt context from message attachments.
+	 *
+	 * PDFs are run through PDF_Processor; other files are listed by name and
+	 * URL for providers that can fetch them. The files of a message share
+	 * get_max_context_chars() characters of text; `truncated` marks a file
+	 * whose text was cut, or left out once the limit was reached.
+	 *
+	 * @since 1.0.0
+	 * @param array|string $references Attachment references from the message payload.
+	 * @return array List of {attachment, text, truncated} entries.
+	 */
+	public function get_attachment_context( $references ) {
+		$context   = array();
+		$remaining = $this->get_max_context_chars();
+
+		foreach ( $this->get_attachments( $references ) as $attachment ) {
+			$text = '';
+
+			if ( 'application/pdf' === $attachment['type'] ) {
+				$processor = new WP_AI_Chatbot_LeadGen_Pro_PDF_Processor();
+				$result    = $processor->process_attachment( $attachment['id'] );
+
+				if ( is_wp_error( $result ) ) {
+					$this->logger->warning( 'Could not read chat attachment', array(
+						'attachment_id' => $attachment['id'],
+						'error'         => $result->get_error_message(),
+					) );
+				} else {
+					$text = $result['text'] ?? '';
+				}
+			} elseif ( 'text/plain' === $attachment['type'] ) {
+				// Enough bytes for the remaining characters, even in 4-byte UTF-8
+				$text = (string) file_get_contents( get_attached_file( $attachment['id'] ), false, null, 0, ( $remaining + 1 ) * 4 );
+			}
+
+			$truncated = mb_strlen( $text ) > $remaining;
+
+			if ( $truncated ) {
+				$text = mb_substr( $text, 0, $remaining );
+			}
+
+			$remaining -= mb_strlen( $text );
+
+			$context[] = array(
+				'attachment' => $attachment,
+				'text'       => $text,
+				'truncated'  => $truncated,
+			);
+		}
+
+		return $context;
+	}
+
+	/**
+	 * Get the characters of attachment text a message may put in a prompt.
+	 *
+	 * @since 1.0.0
+	 * @return int Maximum characters, for all files of a message together.
+	 */
+	public function get_max_context_chars() {
+		return absint( $this->config->get( 'attachment_max_chars', self::MAX_CONTEXT_CHARS ) );
+	}
+
+	/**
+	 * Leave chat uploads out of the Media Library grid.
+	 *
+	 * @since 1.0.0
+	 * @param array $query Attachment query arguments.
+	 * @return array Query arguments.
+	 */
+	public function hide_from_media_library( $query ) {
+		$query['meta_query'] = $this->exclude_chat_uploads( $query['meta_query'] ?? array() );
+
+		return $query;
+	}
+
+	/**
+	 * Leave chat uploads out of the Media Library list (upload.php).
+	 *
+	 * @since 1.0.0
+	 * @param WP_Query $query Query being run.
+	 */
+	public function hide_from_media_list( $query ) {
+		global $pagenow;
+
+		if ( ! is_admin() || 'upload.php' !== $pagenow || ! $query->is_main_query() ) {
+			return;
+		}
+
+		$query->set( 'meta_query', $this->exclude_chat_uploads( $query->get( 'meta_query' ) ) );
+	}
+
+	/**
+	 * Add the clause that excludes chat uploads to a meta query.
+	 *
+	 * @since 1.0.0
+	 * @param array|string $meta_query Meta query, or empty.
+	 * @return array Meta query.
+	 */
+	private function exclude_chat_uploads( $meta_query ) {
+		$meta_query = is_array( $meta_query ) ? $meta_query : array();
+
+		$meta_query[] = array(
+			'key'     => '_wp_ai_chatbot_attachment_token',
+			'compare' => 'NOT EXISTS',
+		);
+
+		return $meta_query;
+	}
+
+	/**
+	 * Delete chat uploads older than the retention period.
+	 *
+	 * @since 1.0.0
+	 * @return int Number of deleted uploads.
+	 */
+	public function cleanup_expired() {
+		/**
+		 * Filter the days files attached in the chat are kept.
+		 *
+		 * @since 1.0.0
+		 * @param int $days Days, 0 to keep them.
+		 */
+		$days = absint( apply_filters( 'wp_ai_chatbot_attachment_retention_days', self::RETENTION_DAYS ) );
+
+		if ( ! $days ) {
+			return 0;
+		}
+
+		$attachment_ids = get_posts( array(
+			'post_type'      => 'attachment',
+			'post_status'    => 'any',
+			'posts_per_page' => 100,
+			'fields'         => 'ids',
+			'meta_key'       => '_wp_ai_chatbot_attachment_token',
+			'date_query'     => array(
+				array(
+					'before' => gmdate( 'Y-m-d H:i:s', time() - $days * DAY_IN_SECONDS ),
+					'column' => 'post_date_gmt',
+				),
+			),
+		) );
+
+		$deleted = 0;
+
+		foreach ( $attachment_ids as $attachment_id ) {
+			if ( wp_delete_attachment( $attachment_id, true ) ) {
+				$deleted++;
+			}
+		}
+
+		if ( $deleted ) {
+			$this->logger->info( 'Deleted expired chat attachments', array(
+				'count' => $deleted,
+			) );
+		}
+
+		return $deleted;
+	}
+
+	/**
+	 * Get allowed MIME types.
+	 *
+	 * @since 1.0.0
+	 * @return array Extension pattern => MIME type.
+	 */
+	public function get_allowed_types() {
+		return apply_filters( 'wp_ai_chatbot_attachment_types', self::ALLOWED_TYPES );
+	}
+
+	/**
+	 * Get maximum file size.
+	 *
+	 * @since 1.0.0
+	 * @return int Maximum file size in bytes.
+	 */
+	public function get_max_file_size() {
+		return (int) apply_filters( 'wp_ai_chatbot_attachment_max_size', self::MAX_FILE_SIZE );
+	}
+
+	/**
+	 * Format an attachment for the widget.
+	 *
+	 * @since 1.0.0
+	 * @param int $attachment_id Attachment ID.
+	 * @return array Attachment data.
+	 */
+	private function format_attachment( $attachment_id ) {
+		$file = get_attached_file( $attachment_id );
+		$type = get_post_mime_type( $attachment_id );
+
+		return array(
+			'id'            => $attachment_id,
+			'name'          => basename( $file ),
+			'type'          => $type,
+			'size'          => $file && file_exists( $file ) ? filesize( $file ) : 0,
+			'url'           => wp_get_attachment_url( $attachment_id ),
+			'thumbnail_url' => 0 === strpos( $type, 'image/' ) ? wp_get_attachment_image_url( $attachment_id, 'medium' ) : '',
+		);
+	}
+
+	/**
+	 * Check if the visitor has uploaded too many files recently.
+	 *
+	 * @since 1.0.0
+	 * @return bool True if rate limited.
+	 */
+	private function is_rate_limited() {
+		$uploads = get_transient( $this->get_rate_limit_key() ) ?: array();
+
+		// Keep the last 10 minutes
+		$cutoff = time() - 600;
+		$uploads = array_filter( $uploads, function( $timestamp ) use ( $cutoff ) {
+			return $timestamp > $cutoff;
+		} );
+
+		return count( $uploads ) >= self::RATE_LIMIT;
+	}
+
+	/**
+	 * Record an upload for rate limiting.
+	 *
+	 * @since 1.0.0
+	 */
+	private function record_upload() {
+		$key = $this->get_rate_limit_key();
+		$uploads = get_transient( $key ) ?: array();
+
+		$uploads[] = time();
+		set_transient( $key, $uploads, 600 );
+	}
+
+	/**
+	 * Get the rate limit transient key for the current visitor.
+	 *
+	 * @since 1.0.0
+	 * @return string Transient key.
+	 */
+	private function get_rate_limit_key() {
+		$ip = sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ?? '' ) );
+
+		return 'wp_ai_chatbot_upload_rate_' . md5( $ip );
+	}
+}
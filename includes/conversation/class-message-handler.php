@@ -0,0 +1,268 @@
+<?php
+/**
+ * Message Handler.
+ *
+ * Answers the chat widget's messages, either as one JSON response
+ * (`wp_ai_chatbot_send_message`) or as Server-Sent Events
+ * (`wp_ai_chatbot_stream_message`), and cancels them when the visitor
+ * stops the answer (`wp_ai_chatbot_cancel_message`).
+ *
+ * The AI providers only return complete answers, so the stream sends the
+ * answer as a single `token` event once it has been generated. The events
+ * are the ones the widget reads: `start`, `token`, `citations`, `done`
+ * (same payload as the JSON response) and `error`.
+ *
+ * @package    WP_AI_Chatbot_LeadGen_Pro
+ * @subpackage WP_AI_Chatbot_LeadGen_Pro/includes/conversation
+ * @since      1.0.0
+ */
+class WP_AI_Chatbot_LeadGen_Pro_Message_Handler {
+
+	/**
+	 * Logger instance.
+	 *
+	 * @since 1.0.0
+	 * @var WP_AI_Chatbot_LeadGen_Pro_Logger
+	 */
+	private $logger;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.0.0
+	 */
+	public function __construct() {
+		$this->logger = WP_AI_Chatbot_LeadGen_Pro_Logger::get_instance();
+	}
+
+	/**
+	 * Register hooks.
+	 *
+	 * @since 1.0.0
+	 */
+	public function register_hooks() {
+		add_action( 'wp_ajax_wp_ai_chatbot_send_message', array( $this, 'ajax_send_message' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_send_message', array( $this, 'ajax_send_message' ) );
+		add_action( 'wp_ajax_wp_ai_chatbot_stream_message', array( $this, 'ajax_stream_message' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_stream_message', array( $this, 'ajax_stream_message' ) );
+		add_action( 'wp_ajax_wp_ai_chatbot_cancel_message', array( $this, 'ajax_cancel_message' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_cancel_message', array( $this, 'ajax_cancel_message' ) );
+	}
+
+	/**
+	 * AJAX handler for a message, answered as JSON.
+	 *
+	 * @since 1.0.0
+	 */
+	public function ajax_send_message() {
+		$args   = $this->get_message_args();
+		$result = $this->process_message( $args );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array(
+				'message' => $result->get_error_message(),
+			), 500 );
+		}
+
+		wp_send_json_success( $this->get_response_payload( $result ) );
+	}
+
+	/**
+	 * AJAX handler for a message, answered as Server-Sent Events.
+	 *
+	 * Problems found before the stream starts (nonce, access, empty message)
+	 * are sent as JSON, which the widget handles like the JSON response.
+	 *
+	 * @since 1.0.0
+	 */
+	public function ajax_stream_message() {
+		$args = $this->get_message_args();
+
+		$this->start_stream();
+
+		$result = $this->process_message( $args );
+
+		if ( is_wp_error( $result ) ) {
+			$this->send_event( 'error', array(
+				'message' => $result->get_error_message(),
+			) );
+			exit;
+		}
+
+		$payload = $this->get_response_payload( $result );
+
+		$this->send_event( 'start', array(
+			'conversation_id' => $payload['conversation_id'],
+			'session_id'      => $payload['session_id'],
+			'message_id'      => $payload['message_id'],
+			'user_message_id' => $payload['user_message_id'],
+		) );
+		$this->send_event( 'token', array( 'text' => $payload['message'] ) );
+
+		if ( ! empty( $payload['citations'] ) ) {
+			$this->send_event( 'citations', array( 'citations' => $payload['citations'] ) );
+		}
+
+		$this->send_event( 'done', $payload );
+		exit;
+	}
+
+	/**
+	 * AJAX handler for the stop button in the chat widget.
+	 *
+	 * The answer to the message sent with `request_id` is dropped instead of
+	 * stored (see Message_Processor::cancel_request()).
+	 *
+	 * @since 1.0.0
+	 */
+	public function ajax_cancel_message() {
+		WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::verify_nonce();
+
+		$request_id = sanitize_text_field( wp_unslash( $_POST['request_id'] ?? '' ) );
+		$session_id = WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::get_session_id();
+
+		if ( ! $request_id || ! $session_id ) {
+			wp_send_json_error( array(
+				'message' => __( 'There is no message to cancel.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 400 );
+		}
+
+		WP_AI_Chatbot_LeadGen_Pro_Message_Processor::cancel_request( $request_id, $session_id );
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * Read and check a message request from the chat widget.
+	 *
+	 * Ends the request if the nonce is invalid, the conversation isn't the
+	 * visitor's or the message is empty.
+	 *
+	 * @since 1.0.0
+	 * @return array {message, conversation_id, args} for process_message().
+	 */
+	private function get_message_args() {
+		WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::verify_nonce();
+
+		$message         = sanitize_textarea_field( wp_unslash( $_POST['message'] ?? '' ) );
+		$conversation_id = absint( $_POST['conversation_id'] ?? 0 );
+		$attachments     = json_decode( wp_unslash( $_POST['attachments'] ?? '' ), true );
+		$request_id      = sanitize_text_field( wp_unslash( $_POST['request_id'] ?? '' ) );
+		$session_id      = WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::get_session_id();
+
+		if ( $conversation_id && ! WP_AI_Chatbot_LeadGen_Pro_Conversation_Access::can_access_conversation( $conversation_id, $session_id ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'You do not have access to this conversation.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 403 );
+		}
+
+		if ( '' === trim( $message ) && empty( $attachments ) ) {
+			wp_send_json_error( array(
+				'message' => __( 'Message cannot be empty.', 'wp-ai-chatbot-leadgen-pro' ),
+			), 400 );
+		}
+
+		// A new visitor gets a session now, before any output and while the session can still be written
+		if ( ! $session_id ) {
+			$manager    = new WP_AI_Chatbot_LeadGen_Pro_Conversation_Manager();
+			$session_id = $manager->get_session_id();
+		}
+
+		// Don't hold the session lock while the answer is generated
+		if ( session_id() ) {
+			session_write_close();
+		}
+
+		return array(
+			'message'         => $message,
+			'conversation_id' => $conversation_id ?: null,
+			'args'            => array(
+				'session_id'  => $session_id,
+				'request_id'  => $request_id,
+				'attachments' => is_array( $attachments ) ? $attachments : array(),
+			),
+		);
+	}
+
+	/**
+	 * Run a checked message request through the message processor.
+	 *
+	 * @since 1.0.0
+	 * @param array $request Request from get_message_args().
+	 * @return array|WP_Error Message_Processor::process_message() result.
+	 */
+	private function process_message( $request ) {
+		$processor = new WP_AI_Chatbot_LeadGen_Pro_Message_Processor();
+		$result    = $processor->process_message( $request['message'], $request['conversation_id'], $request['args'] );
+
+		if ( is_wp_error( $result ) && 'message_cancelled' !== $result->get_error_code() ) {
+			$this->logger->warning(
+				'Failed to answer chat message',
+				array(
+					'conversation_id' => $request['conversation_id'],
+					'error'           => $result->get_error_message(),
+				)
+			);
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Build the response the chat widget reads from a processed message.
+	 *
+	 * `message` is the answer's Markdown, which the widget renders itself.
+	 *
+	 * @since 1.0.0
+	 * @param array $result Message_Processor::process_message() result.
+	 * @return array Response data.
+	 */
+	private function get_response_payload( $result ) {
+		return array(
+			'conversation_id'   => intval( $result['conversation_id'] ),
+			'session_id'        => $result['session_id'],
+			'user_message_id'   => intval( $result['user_message_id'] ),
+			'message_id'        => is_wp_error( $result['message_id'] ) ? 0 : intval( $result['message_id'] ),
+			'message'           => $result['raw_response'],
+			'citations'         => $result['citations'],
+			'show_lead_capture' => $result['show_lead_capture'],
+		);
+	}
+
+	/**
+	 * Send the event stream headers and turn off output buffering.
+	 *
+	 * @since 1.0.0
+	 */
+	private function start_stream() {
+		ignore_user_abort( true );
+
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
+		}
+
+		nocache_headers();
+		header( 'Content-Type: text/event-stream; charset=UTF-8' );
+		header( 'Cache-Control: no-cache' );
+		// Stops nginx from buffering the stream
+		header( 'X-Accel-Buffering: no' );
+
+		// A comment line, so the browser sees the stream start while the answer is generated
+		echo ": start\n\n";
+		flush();
+	}
+
+	/**
+	 * Send one Server-Sent Event.
+	 *
+	 * @since 1.0.0
+	 * @param string $event Event name.
+	 * @param array  $data  Event data, sent as JSON.
+	 */
+	private function send_event( $event, $data ) {
+		// Not markup: the widget parses the JSON and escapes what it shows
+		echo 'event: ' . $event . "\n";
+		echo 'data: ' . wp_json_encode( $data ) . "\n\n";
+		flush();
+	}
+}
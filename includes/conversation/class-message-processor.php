@@ -105,13 +105,23 @@ class WP_AI_Chatbot_LeadGen_Pro_Message_Processor {
 	 * @since 1.0.0
 	 * @param string $message_text     User message text.
 	 * @param int    $conversation_id  Optional. Conversation ID. If not provided, will get or create.
-	 * @param array  $args             Optional. Additional arguments.
+	 * @param array  $args             Optional. Additional arguments, e.g. `attachments`,
+	 *                                 the {id, token} list sent by the chat widget, and
+	 *                                 `request_id`, which cancel_request() can drop.
 	 * @return array|WP_Error Response data or WP_Error on failure.
 	 */
 	public function process_message( $message_text, $conversation_id = null, $args = array() ) {
 		// Validate and sanitize input
 		$message_text = $this->sanitize_message( $message_text );
-		if ( empty( $message_text ) ) {
+
+		// Files attached in the chat composer, only those uploaded by this visitor
+		$args['attachment_context'] = array();
+		if ( ! empty( $args['attachments'] ) ) {
+			$attachment_handler = new WP_AI_Chatbot_LeadGen_Pro_Message_Attachment_Handler();
+			$args['attachment_context'] = $attachment_handler->get_attachment_context( $args['attachments'] );
+		}
+
+		if ( empty( $message_text ) && empty( $args['attachment_context'] ) ) {
 			return new WP_Error(
 				'empty_message',
 				__( 'Message cannot be empty.', 'wp-ai-chatbot-leadgen-pro' )
@@ -130,7 +140,8 @@ class WP_AI_Chatbot_LeadGen_Pro_Message_Processor {
 		$user_message_id = $this->conversation_manager->add_message(
 			$conversation_id,
 			'user',
-			$message_text
+			$message_text,
+			$args['attachment_context'] ? array( 'attachments' => wp_list_pluck( $args['attachment_context'], 'attachment' ) ) : array()
 		);
 
 		if ( is_wp_error( $user_message_id ) ) {
@@ -143,6 +154,14 @@ class WP_AI_Chatbot_LeadGen_Pro_Message_Processor {
 		// Process message and generate response
 		$response_data = $this->generate_response( $message_text, $conversation_history, $args );
 
+		// Stopped in the chat widget while the answer was generated
+		if ( $this->is_cancelled( $args ) ) {
+			return new WP_Error(
+				'message_cancelled',
+				__( 'The message was cancelled.', 'wp-ai-chatbot-leadgen-pro' )
+			);
+		}
+
 		if ( is_wp_error( $response_data ) ) {
 			// Store error message
 			$this->conversation_manager->add_message(
@@ -189,8 +208,12 @@ class WP_AI_Chatbot_LeadGen_Pro_Message_Processor {
 			array( 'format' => 'html' )
 		);
 
+		$conversation = $this->conversation_manager->get_conversation( $conversation_id );
+
 		return array(
 			'conversation_id' => $conversation_id,
+			'session_id'      => $conversation ? $conversation->session_id : '',
+			'user_message_id' => $user_message_id,
 			'message_id'      => $assistant_message_id,
 			'response'        => $formatted_response,
 			'raw_response'    => $response_data['response'],
@@ -201,6 +224,60 @@ class WP_AI_Chatbot_LeadGen_Pro_Message_Processor {
 		);
 	}
 
+	/**
+	 * Cancel the answer to a message that is being processed.
+	 *
+	 * A provider call can't be interrupted, so process_message() drops the
+	 * answer once it arrives instead of storing and returning it.
+	 *
+	 * @since 1.0.0
+	 * @param string $request_id Request ID sent with the message.
+	 * @param string $session_id Session ID of the visitor who sent it.
+	 */
+	public static function cancel_request( $request_id, $session_id ) {
+		set_transient( self::get_cancel_key( $request_id, $session_id ), 1, 10 * MINUTE_IN_SECONDS );
+	}
+
+	/**
+	 * Check if the message being processed was cancelled.
+	 *
+	 * Checked once per message: get_transient() remembers a missing option
+	 * for the rest of the request.
+	 *
+	 * @since 1.0.0
+	 * @param array $args process_message() arguments.
+	 * @return bool Whether cancel_request() was called for it.
+	 */
+	private function is_cancelled( $args ) {
+		if ( empty( $args['request_id'] ) ) {
+			return false;
+		}
+
+		$key = self::get_cancel_key( $args['request_id'], $args['session_id'] ?? '' );
+
+		if ( ! get_transient( $key ) ) {
+			return false;
+		}
+
+		delete_transient( $key );
+
+		return true;
+	}
+
+	/**
+	 * Get the transient that marks a request as cancelled.
+	 *
+	 * Keyed by session as well, so a visitor can only cancel their own messages.
+	 *
+	 * @since 1.0.0
+	 * @param string $request_id Request ID.
+	 * @param string $session_id Session ID.
+	 * @return string Transient name.
+	 */
+	private static function get_cancel_key( $request_id, $session_id ) {
+		return 'wp_ai_chatbot_cancel_' . md5( $session_id . '|' . $request_id );
+	}
+
 	/**
 	 * Generate AI response using RAG system.
 	 *
@@ -275,7 +352,11 @@ class WP_AI_Chatbot_LeadGen_Pro_Message_Processor {
 		$system_prompt = $this->build_system_prompt( $context_data['context_text'] ?? '' );
 
 		// Build messages array for chat completion
-		$messages = $this->build_messages_array( $system_prompt, $conversation_context, $message_text );
+		$messages = $this->build_messages_array(
+			$system_prompt,
+			$conversation_context,
+			$this->add_attachment_context( $message_text, $args['attachment_context'] ?? array() )
+		);
 
 		// Get model
 		$model = $this->config->get( 'default_model', 'gpt-4-turbo-preview' );
@@ -421,6 +502,32 @@ class WP_AI_Chatbot_LeadGen_Pro_Message_Processor {
 		return $messages;
 	}
 
+	/**
+	 * Add the contents of attached files to the user message.
+	 *
+	 * @since 1.0.0
+	 * @param string $message_text       User message.
+	 * @param array  $attachment_context Message_Attachment_Handler::get_attachment_context() entries.
+	 * @return string Message with the files' contents.
+	 */
+	private function add_attachment_context( $message_text, $attachment_context ) {
+		foreach ( $attachment_context as $entry ) {
+			$attachment = $entry['attachment'];
+
+			if ( '' !== $entry['text'] && ! empty( $entry['truncated'] ) ) {
+				$message_text .= "\n\n[Attached file: {$attachment['name']}, cut to its first " . mb_strlen( $entry['text'] ) . " characters]\n" . $entry['text'];
+			} elseif ( '' !== $entry['text'] ) {
+				$message_text .= "\n\n[Attached file: {$attachment['name']}]\n" . $entry['text'];
+			} elseif ( ! empty( $entry['truncated'] ) ) {
+				$message_text .= "\n\n[Attached file: {$attachment['name']}, text left out as the attachment limit was reached]";
+			} else {
+				$message_text .= "\n\n[Attached file: {$attachment['name']} ({$attachment['type']}) {$attachment['url']}]";
+			}
+		}
+
+		return trim( $message_text );
+	}
+
 	/**
 	 * Extract response text from provider response.
 	 *
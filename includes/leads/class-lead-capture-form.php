@@ -141,6 +141,7 @@ class WP_AI_Chatbot_LeadGen_Pro_Lead_Capture_Form {
 			'hide_on_pages'      => array(),
 			'fields'             => $this->default_fields,
 			'style'              => 'inline', // inline, modal, slide-up
+			'capture_mode'       => 'form', // form, or conversational to ask in the chat
 			'position'           => 'after_messages', // after_messages, above_input
 			'gdpr_enabled'       => false,
 			'gdpr_text'          => __( 'I agree to the privacy policy', 'wp-ai-chatbot-leadgen-pro' ),
@@ -173,6 +174,30 @@ class WP_AI_Chatbot_LeadGen_Pro_Lead_Capture_Form {
 		return $enabled;
 	}
 
+	/**
+	 * Get the enabled fields as the chat widget asks them.
+	 *
+	 * A field may set a 'question' to ask instead of the default one.
+	 *
+	 * @since 1.0.0
+	 * @return array List of {name, type, label, required, question}.
+	 */
+	public function get_conversation_fields() {
+		$fields = array();
+
+		foreach ( $this->get_enabled_fields() as $name => $field ) {
+			$fields[] = array(
+				'name'     => $name,
+				'type'     => $field['type'] ?? 'text',
+				'label'    => $field['label'] ?? $name,
+				'required' => ! empty( $field['required'] ),
+				'question' => $field['question'] ?? '',
+			);
+		}
+
+		return $fields;
+	}
+
 	/**
 	 * Render form HTML.
 	 *
@@ -64,6 +64,66 @@ class WP_AI_Chatbot_LeadGen_Pro_Lead_Capture_Handler {
 
 		add_action( 'wp_ajax_wp_ai_chatbot_get_lead_form', array( $this, 'get_form_html' ) );
 		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_get_lead_form', array( $this, 'get_form_html' ) );
+
+		add_action( 'wp_enqueue_scripts', array( $this, 'register_scripts' ), 5 );
+	}
+
+	/**
+	 * Register the lead capture scripts with the form's settings.
+	 *
+	 * lead-capture-form.js decides when to ask, shows the form and submits
+	 * leads. With the 'conversational' capture mode the chat widget asks for
+	 * the fields one chat turn at a time instead (lead-conversation.js).
+	 *
+	 * @since 1.0.0
+	 */
+	public function register_scripts() {
+		wp_register_script(
+			'wp-ai-chatbot-lead-capture',
+			WP_AI_CHATBOT_LEADGEN_PRO_URL . 'assets/js/lead-capture-form.js',
+			array( 'jquery', 'wp-ai-chatbot-i18n', 'wp-ai-chatbot-storage' ),
+			WP_AI_CHATBOT_LEADGEN_PRO_VERSION,
+			true
+		);
+
+		wp_register_script(
+			'wp-ai-chatbot-lead-conversation',
+			WP_AI_CHATBOT_LEADGEN_PRO_URL . 'assets/js/lead-conversation.js',
+			array( 'jquery', 'wp-ai-chatbot-i18n', 'wp-ai-chatbot-lead-capture' ),
+			WP_AI_CHATBOT_LEADGEN_PRO_VERSION,
+			true
+		);
+
+		$config = $this->form->get_form_config();
+
+		/**
+		 * Filter the settings of lead capture.
+		 *
+		 * @since 1.0.0
+		 * @param array $settings {
+		 *     @type string $mode    'form' or 'conversational'.
+		 *     @type string $ajaxUrl admin-ajax.php URL.
+		 *     @type string $nonce   Nonce of wp_ai_chatbot_submit_lead.
+		 *     @type array  $trigger When to ask, see Lead_Capture_Form::get_trigger_settings().
+		 *     @type array  $fields  Fields to ask in the chat, in order: {name, type, label, required, question}.
+		 * }
+		 */
+		$settings = apply_filters(
+			'wp_ai_chatbot_lead_capture_settings',
+			array(
+				'mode'    => 'conversational' === $config['capture_mode'] ? 'conversational' : 'form',
+				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+				'nonce'   => wp_create_nonce( 'wp_ai_chatbot_lead_capture' ),
+				'trigger' => $this->form->get_trigger_settings(),
+				'fields'  => $this->form->get_conversation_fields(),
+			)
+		);
+
+		wp_add_inline_script(
+			'wp-ai-chatbot-lead-capture',
+			'window.wpAiChatbotLeadCapture = ' . wp_json_encode( $settings ) . ';',
+			'before'
+		);
 	}
 
 	/**
@@ -132,6 +192,7 @@ class WP_AI_Chatbot_LeadGen_Pro_Lead_Capture_Handler {
 		$validated['session_id']      = sanitize_text_field( $form_data['session_id'] ?? '' );
 		$validated['source_url']      = esc_url_raw( $form_data['source_url'] ?? wp_get_referer() );
 		$validated['gdpr_consent']    = ! empty( $form_data['gdpr_consent'] );
+		$validated['source']          = 'conversational' === ( $form_data['capture_mode'] ?? '' ) ? 'chatbot_conversation' : 'chatbot';
 
 		// Add UTM parameters if available
 		$validated['utm'] = $this->extract_utm_params( $form_data );
@@ -36,6 +36,137 @@ class WP_AI_Chatbot_LeadGen_Pro_Citation_Tracker {
 		$this->logger = WP_AI_Chatbot_LeadGen_Pro_Logger::get_instance();
 	}
 
+	/**
+	 * Register hooks.
+	 *
+	 * @since 1.0.0
+	 */
+	public function register_hooks() {
+		add_action( 'wp_ajax_wp_ai_chatbot_track_citation_click', array( $this, 'ajax_track_click' ) );
+		add_action( 'wp_ajax_nopriv_wp_ai_chatbot_track_citation_click', array( $this, 'ajax_track_click' ) );
+	}
+
+	/**
+	 * AJAX handler for citation clicks reported by the chat widget.
+	 *
+	 * @since 1.0.0
+	 */
+	public function ajax_track_click() {
+		if ( ! check_ajax_referer( 'wp_ai_chatbot_ajax', 'nonce', false ) ) {
+			wp_send_json_error( array( 'message' => 'Invalid nonce' ), 403 );
+		}
+
+		$message_id = intval( $_POST['message_id'] ?? 0 );
+		$chunk_id   = intval( $_POST['chunk_id'] ?? 0 );
+		$source_url = esc_url_raw( wp_unslash( $_POST['source_url'] ?? '' ) );
+
+		if ( empty( $message_id ) || ( empty( $chunk_id ) && empty( $source_url ) ) ) {
+			wp_send_json_error( array( 'message' => 'Missing required fields' ), 400 );
+		}
+
+		$result = $this->record_click( $message_id, $chunk_id, $source_url, array(
+			'position' => intval( $_POST['position'] ?? 0 ),
+			'location' => sanitize_key( $_POST['location'] ?? '' ),
+		) );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ), 400 );
+		}
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * Record that a visitor opened a cited source.
+	 *
+	 * Click counts are kept on the citation entry of the message, next to
+	 * the data recorded by record_citations().
+	 *
+	 * @since 1.0.0
+	 * @param int    $message_id Message ID.
+	 * @param int    $chunk_id   Cited chunk ID.
+	 * @param string $source_url Source URL, used when the chunk ID is unknown.
+	 * @param array  $context    Optional. Click context (position, location).
+	 * @return bool|WP_Error True on success, WP_Error on failure.
+	 */
+	public function record_click( $message_id, $chunk_id, $source_url = '', $context = array() ) {
+		global $wpdb;
+		$table = WP_AI_Chatbot_LeadGen_Pro_Database::get_messages_table();
+
+		$row = $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT citations FROM {$table} WHERE id = %d",
+				intval( $message_id )
+			)
+		);
+
+		$citations = $row && ! empty( $row->citations ) ? json_decode( $row->citations, true ) : null;
+
+		if ( empty( $citations['chunks'] ) ) {
+			return new WP_Error(
+				'citation_not_found',
+				__( 'Citation not found.', 'wp-ai-chatbot-leadgen-pro' )
+			);
+		}
+
+		$found = null;
+
+		foreach ( $citations['chunks'] as $index => $citation ) {
+			$matches_chunk = $chunk_id && isset( $citation['chunk_id'] ) && intval( $citation['chunk_id'] ) === intval( $chunk_id );
+			$matches_url   = ! $chunk_id && $source_url && isset( $citation['source_url'] ) && $citation['source_url'] === $source_url;
+
+			if ( $matches_chunk || $matches_url ) {
+				$found = $index;
+				break;
+			}
+		}
+
+		if ( null === $found ) {
+			return new WP_Error(
+				'citation_not_found',
+				__( 'Citation not found.', 'wp-ai-chatbot-leadgen-pro' )
+			);
+		}
+
+		$citations['chunks'][ $found ]['clicks']          = intval( $citations['chunks'][ $found ]['clicks'] ?? 0 ) + 1;
+		$citations['chunks'][ $found ]['last_clicked_at'] = current_time( 'mysql' );
+		$citations['clicks']                              = intval( $citations['clicks'] ?? 0 ) + 1;
+
+		$result = $wpdb->update(
+			$table,
+			array( 'citations' => wp_json_encode( $citations ) ),
+			array( 'id' => intval( $message_id ) ),
+			array( '%s' ),
+			array( '%d' )
+		);
+
+		if ( false === $result ) {
+			$this->logger->error(
+				'Failed to record citation click',
+				array(
+					'message_id' => $message_id,
+					'error'      => $wpdb->last_error,
+				)
+			);
+			return new WP_Error(
+				'db_error',
+				__( 'Failed to record citation click.', 'wp-ai-chatbot-leadgen-pro' )
+			);
+		}
+
+		/**
+		 * Fires when a visitor opens a cited source.
+		 *
+		 * @since 1.0.0
+		 * @param int   $message_id Message ID.
+		 * @param array $citation   Citation data, including the updated click count.
+		 * @param array $context    Click context (position, location).
+		 */
+		do_action( 'wp_ai_chatbot_citation_clicked', $message_id, $citations['chunks'][ $found ], $context );
+
+		return true;
+	}
+
 	/**
 	 * Record citations for a message.
 	 *
@@ -243,6 +374,8 @@ class WP_AI_Chatbot_LeadGen_Pro_Citation_Tracker {
 				'source_url' => isset( $citation['source_url'] ) ? $citation['source_url'] : '',
 				'title'      => isset( $citation['title'] ) ? $citation['title'] : '',
 				'source_type' => isset( $citation['source_type'] ) ? $citation['source_type'] : '',
+				'excerpt'    => isset( $citation['excerpt'] ) ? $citation['excerpt'] : '',
+				'thumbnail'  => isset( $citation['thumbnail'] ) ? $citation['thumbnail'] : '',
 			);
 
 			if ( $args['show_scores'] ) {
@@ -282,7 +415,7 @@ class WP_AI_Chatbot_LeadGen_Pro_Citation_Tracker {
 			// Get additional chunk details from database
 			$chunk_data = $wpdb->get_row(
 				$wpdb->prepare(
-					"SELECT source_type, source_url, source_id, chunk_index FROM {$chunks_table} WHERE id = %d",
+					"SELECT source_type, source_url, source_id, chunk_index, content FROM {$chunks_table} WHERE id = %d",
 					$chunk_id
 				)
 			);
@@ -310,6 +443,16 @@ class WP_AI_Chatbot_LeadGen_Pro_Citation_Tracker {
 				$citation['source_id'] = isset( $chunk_data->source_id ) ? intval( $chunk_data->source_id ) : 0;
 			}
 
+			// Short excerpt of the retrieved chunk for citation previews
+			$content = ! empty( $chunk['content'] ) ? $chunk['content'] : ( $chunk_data->content ?? '' );
+			$citation['excerpt'] = $content ? wp_trim_words( wp_strip_all_tags( $content ), 30 ) : '';
+
+			// Featured image of post-based sources
+			$citation['thumbnail'] = '';
+			if ( ! empty( $citation['source_id'] ) && post_type_exists( $citation['source_type'] ) ) {
+				$citation['thumbnail'] = (string) get_the_post_thumbnail_url( $citation['source_id'], 'thumbnail' );
+			}
+
 			// Try to get title from source if not available
 			if ( empty( $citation['title'] ) && ! empty( $citation['source_id'] ) && ! empty( $citation['source_type'] ) ) {
 				$citation['title'] = $this->get_source_title( $citation['source_type'], $citation['source_id'] );
@@ -518,5 +661,66 @@ class WP_AI_Chatbot_LeadGen_Pro_Citation_Tracker {
 
 		return array_slice( $source_counts, 0, intval( $limit ) );
 	}
-}
 
+	/**
+	 * Get the cited sources visitors open most often.
+	 *
+	 * @since 1.0.0
+	 * @param int $limit Optional. Number of sources to return. Default 10.
+	 * @return array Array of sources with click and citation counts.
+	 */
+	public function get_most_clicked_sources( $limit = 10 ) {
+		global $wpdb;
+		$table = WP_AI_Chatbot_LeadGen_Pro_Database::get_messages_table();
+
+		$messages = $wpdb->get_results(
+			"SELECT citations FROM {$table} WHERE role = 'assistant' AND citations IS NOT NULL AND citations != ''"
+		);
+
+		$sources = array();
+
+		foreach ( $messages as $message ) {
+			$citations = json_decode( $message->citations, true );
+
+			if ( json_last_error() !== JSON_ERROR_NONE || ! isset( $citations['chunks'] ) ) {
+				continue;
+			}
+
+			foreach ( $citations['chunks'] as $citation ) {
+				$source_url = isset( $citation['source_url'] ) ? $citation['source_url'] : '';
+
+				if ( empty( $source_url ) ) {
+					continue;
+				}
+
+				if ( ! isset( $sources[ $source_url ] ) ) {
+					$sources[ $source_url ] = array(
+						'url'    => $source_url,
+						'title'  => isset( $citation['title'] ) ? $citation['title'] : '',
+						'count'  => 0,
+						'clicks' => 0,
+					);
+				}
+
+				$sources[ $source_url ]['count']++;
+				$sources[ $source_url ]['clicks'] += intval( $citation['clicks'] ?? 0 );
+			}
+		}
+
+		foreach ( $sources as &$source ) {
+			$source['click_rate'] = $source['count'] > 0 ? round( $source['clicks'] / $source['count'], 4 ) : 0;
+		}
+		unset( $source );
+
+		$sources = array_filter( $sources, function( $source ) {
+			return $source['clicks'] > 0;
+		} );
+
+		// Sort by clicks descending
+		usort( $sources, function( $a, $b ) {
+			return $b['clicks'] <=> $a['clicks'];
+		} );
+
+		return array_slice( $sources, 0, intval( $limit ) );
+	}
+}
@@ -46,6 +46,60 @@ if ( ! defined( 'ABSPATH' ) ) {
 						<?php esc_html_e( 'We\'re here to help!', 'wp-ai-chatbot-leadgen-pro' ); ?>
 					</p>
 				</div>
+				<button 
+					type="button"
+					id="wp-ai-chatbot-threads-toggle"
+					class="wp-ai-chatbot-header__btn wp-ai-chatbot-threads-toggle" 
+					aria-label="<?php esc_attr_e( 'Conversations', 'wp-ai-chatbot-leadgen-pro' ); ?>"
+					aria-controls="wp-ai-chatbot-threads"
+					aria-expanded="false"
+				>
+					<svg width="18" height="18" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+						<path d="M3 5H17M3 10H17M3 15H12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+					</svg>
+				</button>
+				<button 
+					type="button"
+					id="wp-ai-chatbot-search-toggle"
+					class="wp-ai-chatbot-header__btn wp-ai-chatbot-search-toggle" 
+					aria-label="<?php esc_attr_e( 'Search conversation', 'wp-ai-chatbot-leadgen-pro' ); ?>"
+					aria-controls="wp-ai-chatbot-search"
+					aria-expanded="false"
+				>
+					<svg width="18" height="18" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+						<circle cx="9" cy="9" r="6" stroke="currentColor" stroke-width="2"/>
+						<path d="M13.5 13.5L17 17" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+					</svg>
+				</button>
+				<div class="wp-ai-chatbot-menu-wrapper">
+					<button 
+						type="button"
+						id="wp-ai-chatbot-menu-toggle"
+						class="wp-ai-chatbot-header__btn wp-ai-chatbot-menu-toggle" 
+						aria-label="<?php esc_attr_e( 'Transcript options', 'wp-ai-chatbot-leadgen-pro' ); ?>"
+						aria-haspopup="menu"
+						aria-controls="wp-ai-chatbot-menu"
+						aria-expanded="false"
+					>
+						<svg width="18" height="18" viewBox="0 0 20 20" fill="currentColor" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+							<circle cx="10" cy="4" r="1.75"/>
+							<circle cx="10" cy="10" r="1.75"/>
+							<circle cx="10" cy="16" r="1.75"/>
+						</svg>
+					</button>
+					<div id="wp-ai-chatbot-menu" class="wp-ai-chatbot-menu" hidden>
+						<div class="wp-ai-chatbot-menu-items" role="menu" aria-label="<?php esc_attr_e( 'Transcript options', 'wp-ai-chatbot-leadgen-pro' ); ?>"></div>
+						<form class="wp-ai-chatbot-transcript-email" hidden novalidate>
+							<label for="wp-ai-chatbot-transcript-email-input"><?php esc_html_e( 'Send the transcript to', 'wp-ai-chatbot-leadgen-pro' ); ?></label>
+							<input type="email" id="wp-ai-chatbot-transcript-email-input" autocomplete="email" required placeholder="<?php esc_attr_e( 'you@example.com', 'wp-ai-chatbot-leadgen-pro' ); ?>">
+							<div class="wp-ai-chatbot-transcript-email-actions">
+								<button type="button" class="wp-ai-chatbot-transcript-email-cancel"><?php esc_html_e( 'Cancel', 'wp-ai-chatbot-leadgen-pro' ); ?></button>
+								<button type="submit" class="wp-ai-chatbot-transcript-email-send"><?php esc_html_e( 'Send', 'wp-ai-chatbot-leadgen-pro' ); ?></button>
+							</div>
+						</form>
+						<p class="wp-ai-chatbot-menu-status" role="status" aria-live="polite"></p>
+					</div>
+				</div>
 				<button 
 					class="wp-ai-chatbot-close" 
 					aria-label="<?php esc_attr_e( 'Close chat', 'wp-ai-chatbot-leadgen-pro' ); ?>"
@@ -58,6 +112,45 @@ if ( ! defined( 'ABSPATH' ) ) {
 			</div>
 		</header>
 
+		<!-- Live Agent Handoff -->
+		<div id="wp-ai-chatbot-handoff" class="wp-ai-chatbot-handoff" role="status" aria-live="polite" hidden>
+			<img class="wp-ai-chatbot-handoff-avatar" src="" alt="" width="36" height="36" hidden>
+			<div class="wp-ai-chatbot-handoff-info">
+				<span class="wp-ai-chatbot-handoff-title"></span>
+				<span class="wp-ai-chatbot-handoff-detail"></span>
+			</div>
+			<button type="button" class="wp-ai-chatbot-handoff-end"><?php esc_html_e( 'Leave queue', 'wp-ai-chatbot-leadgen-pro' ); ?></button>
+		</div>
+
+		<!-- Conversation Search -->
+		<div id="wp-ai-chatbot-search" class="wp-ai-chatbot-search" role="search" hidden>
+			<label for="wp-ai-chatbot-search-input" class="wp-ai-chatbot-sr-only">
+				<?php esc_html_e( 'Search conversation', 'wp-ai-chatbot-leadgen-pro' ); ?>
+			</label>
+			<input 
+				type="search" 
+				id="wp-ai-chatbot-search-input" 
+				class="wp-ai-chatbot-search-input" 
+				placeholder="<?php esc_attr_e( 'Search messages', 'wp-ai-chatbot-leadgen-pro' ); ?>"
+				autocomplete="off"
+			>
+			<span class="wp-ai-chatbot-search-count" aria-live="polite"></span>
+			<button type="button" class="wp-ai-chatbot-search-older" aria-label="<?php esc_attr_e( 'Older match', 'wp-ai-chatbot-leadgen-pro' ); ?>" disabled>&#9650;</button>
+			<button type="button" class="wp-ai-chatbot-search-newer" aria-label="<?php esc_attr_e( 'Newer match', 'wp-ai-chatbot-leadgen-pro' ); ?>" disabled>&#9660;</button>
+			<button type="button" class="wp-ai-chatbot-search-close" aria-label="<?php esc_attr_e( 'Close search', 'wp-ai-chatbot-leadgen-pro' ); ?>">&times;</button>
+		</div>
+
+		<!-- Conversation Threads -->
+		<div id="wp-ai-chatbot-threads" class="wp-ai-chatbot-threads" hidden>
+			<div class="wp-ai-chatbot-threads-header">
+				<h3 class="wp-ai-chatbot-threads-title"><?php esc_html_e( 'Conversations', 'wp-ai-chatbot-leadgen-pro' ); ?></h3>
+				<button type="button" class="wp-ai-chatbot-thread-new"><?php esc_html_e( 'New conversation', 'wp-ai-chatbot-leadgen-pro' ); ?></button>
+			</div>
+			<p class="wp-ai-chatbot-threads-notice" hidden><?php esc_html_e( 'Wait until your messages are sent to change conversations.', 'wp-ai-chatbot-leadgen-pro' ); ?></p>
+			<ul class="wp-ai-chatbot-threads-list" aria-label="<?php esc_attr_e( 'Conversations', 'wp-ai-chatbot-leadgen-pro' ); ?>"></ul>
+			<button type="button" class="wp-ai-chatbot-threads-archived" aria-expanded="false" hidden></button>
+		</div>
+
 		<!-- Chat Messages Area -->
 		<div 
 			id="wp-ai-chatbot-messages" 
@@ -102,7 +195,33 @@ if ( ! defined( 'ABSPATH' ) ) {
 		<!-- Chat Input Area -->
 		<div class="wp-ai-chatbot-input-area" role="region" aria-label="<?php esc_attr_e( 'Message input', 'wp-ai-chatbot-leadgen-pro' ); ?>">
 			<form id="wp-ai-chatbot-form" class="wp-ai-chatbot-form" role="form" aria-label="<?php esc_attr_e( 'Send message', 'wp-ai-chatbot-leadgen-pro' ); ?>">
+				<!-- Pending attachments -->
+				<div 
+					id="wp-ai-chatbot-attachments" 
+					class="wp-ai-chatbot-attachments" 
+					role="list" 
+					aria-label="<?php esc_attr_e( 'Attachments', 'wp-ai-chatbot-leadgen-pro' ); ?>"
+					style="display: none;"
+				></div>
 				<div class="wp-ai-chatbot-input-wrapper">
+					<button 
+						type="button" 
+						id="wp-ai-chatbot-attach" 
+						class="wp-ai-chatbot-attach" 
+						aria-label="<?php esc_attr_e( 'Attach files', 'wp-ai-chatbot-leadgen-pro' ); ?>"
+					>
+						<svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+							<path d="M16 9.5L10 15.5C8.3 17.2 5.7 17.2 4 15.5C2.3 13.8 2.3 11.2 4 9.5L10 3.5C11.1 2.4 12.9 2.4 14 3.5C15.1 4.6 15.1 6.4 14 7.5L8 13.5C7.4 14.1 6.6 14.1 6 13.5C5.4 12.9 5.4 12.1 6 11.5L11.5 6" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+						</svg>
+					</button>
+					<input 
+						type="file" 
+						id="wp-ai-chatbot-file-input" 
+						class="screen-reader-text" 
+						multiple 
+						tabindex="-1" 
+						aria-hidden="true"
+					>
 					<label for="wp-ai-chatbot-input" class="screen-reader-text">
 						<?php esc_html_e( 'Type your message', 'wp-ai-chatbot-leadgen-pro' ); ?>
 					</label>
@@ -127,6 +246,18 @@ if ( ! defined( 'ABSPATH' ) ) {
 						</svg>
 						<span class="screen-reader-text"><?php esc_html_e( 'Send', 'wp-ai-chatbot-leadgen-pro' ); ?></span>
 					</button>
+					<button 
+						type="button" 
+						id="wp-ai-chatbot-stop" 
+						class="wp-ai-chatbot-stop" 
+						aria-label="<?php esc_attr_e( 'Stop generating', 'wp-ai-chatbot-leadgen-pro' ); ?>"
+						style="display: none;"
+					>
+						<svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+							<rect x="5" y="5" width="10" height="10" rx="2" fill="currentColor"/>
+						</svg>
+						<span class="screen-reader-text"><?php esc_html_e( 'Stop', 'wp-ai-chatbot-leadgen-pro' ); ?></span>
+					</button>
 				</div>
 				<div class="wp-ai-chatbot-input-footer">
 					<p class="wp-ai-chatbot-char-count" aria-live="polite" aria-atomic="true">
@@ -139,7 +270,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 			</form>
 		</div>
 
-		<!-- Lead Capture Form (shown conditionally) -->
+		<!-- Lead Capture Form (shown conditionally, rendered by lead-capture-form.js) -->
 		<div 
 			id="wp-ai-chatbot-lead-capture" 
 			class="wp-ai-chatbot-lead-capture" 
@@ -147,66 +278,17 @@ if ( ! defined( 'ABSPATH' ) ) {
 			aria-label="<?php esc_attr_e( 'Contact information', 'wp-ai-chatbot-leadgen-pro' ); ?>"
 			aria-hidden="true"
 			style="display: none;"
-		>
-			<div class="wp-ai-chatbot-lead-capture-content">
-				<h3 class="wp-ai-chatbot-lead-capture-title">
-					<?php esc_html_e( 'Get in touch', 'wp-ai-chatbot-leadgen-pro' ); ?>
-				</h3>
-				<p class="wp-ai-chatbot-lead-capture-description">
-					<?php esc_html_e( 'Please provide your contact information to continue.', 'wp-ai-chatbot-leadgen-pro' ); ?>
-				</p>
-				<form id="wp-ai-chatbot-lead-form" class="wp-ai-chatbot-lead-form" role="form">
-					<div class="wp-ai-chatbot-form-field">
-						<label for="wp-ai-chatbot-lead-name">
-							<?php esc_html_e( 'Name', 'wp-ai-chatbot-leadgen-pro' ); ?>
-							<span class="required" aria-label="<?php esc_attr_e( 'required', 'wp-ai-chatbot-leadgen-pro' ); ?>">*</span>
-						</label>
-						<input 
-							type="text" 
-							id="wp-ai-chatbot-lead-name" 
-							name="name" 
-							required
-							aria-required="true"
-							aria-label="<?php esc_attr_e( 'Your name', 'wp-ai-chatbot-leadgen-pro' ); ?>"
-						>
-					</div>
-					<div class="wp-ai-chatbot-form-field">
-						<label for="wp-ai-chatbot-lead-email">
-							<?php esc_html_e( 'Email', 'wp-ai-chatbot-leadgen-pro' ); ?>
-							<span class="required" aria-label="<?php esc_attr_e( 'required', 'wp-ai-chatbot-leadgen-pro' ); ?>">*</span>
-						</label>
-						<input 
-							type="email" 
-							id="wp-ai-chatbot-lead-email" 
-							name="email" 
-							required
-							aria-required="true"
-							aria-label="<?php esc_attr_e( 'Your email address', 'wp-ai-chatbot-leadgen-pro' ); ?>"
-						>
-					</div>
-					<div class="wp-ai-chatbot-form-field">
-						<label for="wp-ai-chatbot-lead-phone">
-							<?php esc_html_e( 'Phone', 'wp-ai-chatbot-leadgen-pro' ); ?>
-							<span class="optional"><?php esc_html_e( '(optional)', 'wp-ai-chatbot-leadgen-pro' ); ?></span>
-						</label>
-						<input 
-							type="tel" 
-							id="wp-ai-chatbot-lead-phone" 
-							name="phone"
-							aria-label="<?php esc_attr_e( 'Your phone number', 'wp-ai-chatbot-leadgen-pro' ); ?>"
-						>
-					</div>
-					<div class="wp-ai-chatbot-form-actions">
-						<button type="submit" class="wp-ai-chatbot-button wp-ai-chatbot-button-primary">
-							<?php esc_html_e( 'Continue', 'wp-ai-chatbot-leadgen-pro' ); ?>
-						</button>
-						<button type="button" class="wp-ai-chatbot-button wp-ai-chatbot-button-secondary" id="wp-ai-chatbot-lead-skip">
-							<?php esc_html_e( 'Skip for now', 'wp-ai-chatbot-leadgen-pro' ); ?>
-						</button>
-					</div>
-				</form>
-			</div>
-		</div>
+		></div>
+
+		<!-- End-of-conversation survey (shown conditionally, rendered by conversation-survey.js) -->
+		<div 
+			id="wp-ai-chatbot-survey" 
+			class="wp-ai-chatbot-survey" 
+			role="dialog" 
+			aria-label="<?php esc_attr_e( 'Rate this chat', 'wp-ai-chatbot-leadgen-pro' ); ?>"
+			aria-hidden="true"
+			style="display: none;"
+		></div>
 	</div>
 </div>
 
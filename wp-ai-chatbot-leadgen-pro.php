@@ -3,7 +3,7 @@
  * Plugin Name: WP AI Chatbot LeadGen Pro
  * Plugin URI: https://example.com/wp-ai-chatbot-leadgen-pro
  * Description: Enterprise-grade WordPress plugin that transforms how businesses engage with website visitors through intelligent, context-aware conversations using AI, RAG, and comprehensive lead intelligence.
- * Version: 1.0.0
+ * Version: 1.1.0
  * Author: Your Name
  * Author URI: https://example.com
  * License: GPL v2 or later
@@ -26,7 +26,7 @@ if ( ! defined( 'WPINC' ) ) {
  * Current plugin version.
  * Start at version 1.0.0 and use SemVer - https://semver.org
  */
-define( 'WP_AI_CHATBOT_LEADGEN_PRO_VERSION', '1.0.0' );
+define( 'WP_AI_CHATBOT_LEADGEN_PRO_VERSION', '1.1.0' );
 
 /**
  * Plugin directory path.